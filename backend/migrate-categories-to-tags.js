@@ -0,0 +1,36 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Task = require('./src/models/task');
+const Tag = require('./src/models/tag');
+
+// Migration: copy every task's category into its tags and create the matching Tag documents.
+// Safe to run more than once; tasks that already carry the tag are left unchanged.
+async function migrateCategoriesToTags() {
+    console.log('🏷️  Migrating task categories to tags');
+    console.log('=====================================\n');
+
+    await mongoose.connect(process.env.MONGODB_URL);
+
+    try {
+        const { modifiedCount, tags } = await Task.migrateCategoriesToTags();
+        console.log(`✅ Updated ${modifiedCount} task(s)`);
+
+        const tagsByUser = tags.reduce((groups, tag) => {
+            groups[tag.userId] = groups[tag.userId] || [];
+            groups[tag.userId].push(tag.name);
+            return groups;
+        }, {});
+
+        for (const [userId, names] of Object.entries(tagsByUser)) {
+            await Tag.ensureTags(Number(userId), names);
+        }
+        console.log(`✅ Ensured ${tags.length} tag(s) for ${Object.keys(tagsByUser).length} user(s)`);
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+migrateCategoriesToTags();
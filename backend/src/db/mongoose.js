@@ -1,3 +1,7 @@
 const mongoose = require('mongoose');
 
+// Let every query inside connection.transaction() join the transaction, including
+// the ones run by model hooks
+mongoose.set('transactionAsyncLocalStorage', true);
+
 mongoose.connect(process.env.MONGODB_URL)
\ No newline at end of file
@@ -0,0 +1,79 @@
+const { sendEmail } = require('./mailer');
+const { escapeHtml } = require('./templates');
+const { countDigestTasks } = require('../utils/digestUtils');
+
+const SECTIONS = [
+    { key: 'overdue', title: 'Overdue' },
+    { key: 'dueToday', title: 'Due today' },
+    { key: 'upcoming', title: 'Coming up (high priority)' }
+];
+
+// 'YYYY-MM-DD' -> 'Mon, Jan 6'
+const formatDay = day => new Date(`${day}T12:00:00Z`).toLocaleDateString('en-US', {
+    timeZone: 'UTC',
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric'
+});
+
+const getServiceUrl = () => process.env.SERVICE_URL || 'http://localhost:3000';
+
+const renderSectionsHtml = (digest) => {
+    const serviceUrl = getServiceUrl();
+
+    return SECTIONS
+        .filter(section => digest[section.key].length > 0)
+        .map(section => [
+            `<h2 style="margin:24px 0 8px;font-size:16px;">${section.title} (${digest[section.key].length})</h2>`,
+            '<ul style="margin:0;padding-left:20px;">',
+            ...digest[section.key].map(task => (
+                `<li style="margin:0 0 6px;"><a href="${escapeHtml(`${serviceUrl}/task/${task.taskId}`)}" style="color:#9333ea;">${escapeHtml(task.title)}</a>` +
+                ` <span style="color:#6b7280;font-size:14px;">due ${formatDay(task.dueDay)} &middot; ${escapeHtml(task.priority)} priority</span></li>`
+            )),
+            '</ul>'
+        ].join('\n'))
+        .join('\n');
+};
+
+const renderSectionsText = (digest) => {
+    const serviceUrl = getServiceUrl();
+
+    return SECTIONS
+        .filter(section => digest[section.key].length > 0)
+        .map(section => [
+            `${section.title} (${digest[section.key].length})`,
+            ...digest[section.key].map(task => (
+                `- ${task.title} (due ${formatDay(task.dueDay)}, ${task.priority} priority) ${serviceUrl}/task/${task.taskId}`
+            ))
+        ].join('\n'))
+        .join('\n\n');
+};
+
+const buildSubject = (digest, date) => {
+    const counts = countDigestTasks(digest);
+    const parts = [];
+    if (counts.dueToday > 0) parts.push(`${counts.dueToday} due today`);
+    if (counts.overdue > 0) parts.push(`${counts.overdue} overdue`);
+    if (counts.upcoming > 0) parts.push(`${counts.upcoming} coming up`);
+
+    return `Your tasks for ${formatDay(date)}: ${parts.join(', ')}`;
+};
+
+// Send the daily digest of a user
+// digest is { dueToday, overdue, upcoming } (see utils/digestUtils), date the user's local day
+const sendDailyDigest = async (user, digest, date) => {
+    return sendEmail('dailyDigest', {
+        to: user.email,
+        name: user.name,
+        subject: buildSubject(digest, date),
+        data: {
+            date: formatDay(date),
+            sectionsHtml: renderSectionsHtml(digest),
+            sectionsText: renderSectionsText(digest)
+        }
+    });
+};
+
+module.exports = {
+    sendDailyDigest
+};
@@ -0,0 +1,42 @@
+const { getTransport, getTransportName } = require('./transports');
+const { renderEmail } = require('./templates');
+
+const DEFAULT_FROM = 'Task Crusher <no-reply@taskcrusher.app>';
+
+const getFromAddress = () => process.env.EMAIL_FROM || DEFAULT_FROM;
+
+// Render the template named after the email type and hand it to the configured transport
+// data is passed to the template along with name and subject
+const sendEmail = async (type, { to, name, subject, data = {} }) => {
+    const { html, text } = renderEmail(type, { ...data, name, subject });
+
+    return getTransport().send({
+        type,
+        to,
+        name,
+        from: getFromAddress(),
+        subject,
+        html,
+        text
+    });
+};
+
+// Check that the configured transport can be created (e.g. required settings are present)
+const initializeEmailService = () => {
+    getTransport();
+    return true;
+};
+
+// Email service status check
+const getEmailServiceStatus = () => {
+    return {
+        transport: getTransportName(),
+        from: getFromAddress()
+    };
+};
+
+module.exports = {
+    sendEmail,
+    initializeEmailService,
+    getEmailServiceStatus
+};
@@ -0,0 +1,23 @@
+const { sendEmail } = require('./mailer');
+const { formatLocalDate } = require('../utils/timezoneUtils');
+
+// Send a task reminder to the owner of the task
+const sendTaskReminder = async (user, task) => {
+    const serviceUrl = process.env.SERVICE_URL || 'http://localhost:3000';
+
+    return sendEmail('taskReminder', {
+        to: user.email,
+        name: user.name,
+        subject: `Reminder: ${task.title}`,
+        data: {
+            title: task.title,
+            priority: task.priority,
+            dueDate: formatLocalDate(task.dueDate, user.timezone || 'UTC'),
+            taskUrl: `${serviceUrl}/task/${task.taskId}`
+        }
+    });
+};
+
+module.exports = {
+    sendTaskReminder
+};
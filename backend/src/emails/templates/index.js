@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates
+// Each email has a <name>.html and <name>.txt file; the HTML is wrapped in layout.html.
+// {{key}} placeholders are replaced with values from the data object (HTML-escaped in the HTML part);
+// {{{key}}} inserts a value as is, for HTML the caller has already escaped
+
+const cache = new Map();
+
+const readTemplate = (file) => {
+    if (!cache.has(file)) {
+        cache.set(file, fs.readFileSync(path.join(__dirname, file), 'utf8'));
+    }
+    return cache.get(file);
+};
+
+const escapeHtml = value => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Replace {{key}} and {{{key}}} placeholders; missing values render as empty strings
+const interpolate = (template, data, escape = value => String(value)) => {
+    return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawKey, key) => {
+        const value = data[rawKey || key];
+        if (value === undefined || value === null) return '';
+        return rawKey ? String(value) : escape(value);
+    });
+};
+
+// Render the HTML and text parts of an email (data.subject becomes the HTML title)
+const renderEmail = (name, data = {}) => {
+    const values = {
+        serviceUrl: process.env.SERVICE_URL || 'http://localhost:3000',
+        year: new Date().getFullYear(),
+        ...data
+    };
+
+    const content = interpolate(readTemplate(`${name}.html`), values, escapeHtml);
+    const html = interpolate(readTemplate('layout.html'), { ...values, content }, escapeHtml);
+
+    return {
+        html,
+        text: interpolate(readTemplate(`${name}.txt`), values)
+    };
+};
+
+module.exports = {
+    escapeHtml,
+    interpolate,
+    renderEmail
+};
@@ -0,0 +1,24 @@
+// Print emails to the server log instead of sending them (development default)
+const createConsoleTransport = () => {
+    let sent = 0;
+
+    return {
+        name: 'console',
+
+        send: async ({ type, to, from, subject, text }) => {
+            sent += 1;
+            const messageId = `console-${Date.now()}-${sent}`;
+            console.log([
+                `📧 Email (${type}) ${messageId}`,
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                '',
+                text
+            ].join('\n'));
+            return { transport: 'console', messageId };
+        }
+    };
+};
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,50 @@
+const path = require('path');
+const createSmtpTransport = require('./smtp');
+const createMailerLiteTransport = require('./mailerlite');
+const createConsoleTransport = require('./console');
+const createOutboxTransport = require('./outbox');
+
+// Email transports
+// Every transport exposes send(message) with message = { type, to, name, from, subject, html, text }
+// and resolves to { transport, messageId }
+const transports = {
+    smtp: () => createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }),
+    mailerlite: () => createMailerLiteTransport({ apiKey: process.env.MAILERLITE_API_KEY }),
+    console: () => createConsoleTransport(),
+    outbox: () => createOutboxTransport({
+        directory: process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../../outbox')
+    })
+};
+
+const instances = {};
+
+// Name of the configured transport
+// Defaults to MailerLite when an API key is set, as before, and to the console otherwise
+const getTransportName = () => {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    return process.env.MAILERLITE_API_KEY ? 'mailerlite' : 'console';
+};
+
+// Get a transport by name (defaults to EMAIL_TRANSPORT)
+const getTransport = (name = getTransportName()) => {
+    if (!transports[name]) {
+        throw new Error(`Unknown email transport "${name}". Use ${Object.keys(transports).join(', ')}`);
+    }
+
+    if (!instances[name]) {
+        instances[name] = transports[name]();
+    }
+    return instances[name];
+};
+
+module.exports = {
+    EMAIL_TRANSPORTS: Object.keys(transports),
+    getTransportName,
+    getTransport
+};
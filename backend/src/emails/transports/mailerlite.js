@@ -0,0 +1,73 @@
+const axios = require('axios');
+
+const MAILERLITE_API_BASE = 'https://connect.mailerlite.com/api';
+
+// Subscriber fields that trigger the automations set up in the MailerLite dashboard
+// MailerLite sends its own templates, so the rendered HTML and text are not used
+const TRIGGER_FIELDS = {
+    welcome: (now) => ({
+        welcome_email_trigger: 'true',
+        welcome_date: now,
+        user_type: 'new_user',
+        last_welcome_attempt: now
+    }),
+    accountDeletion: (now) => ({
+        account_deleted: 'true',
+        deletion_date: now
+    })
+};
+
+// Send emails by triggering MailerLite automations on the recipient's subscriber
+const createMailerLiteTransport = ({ apiKey }) => {
+    if (!apiKey) {
+        throw new Error('MAILERLITE_API_KEY environment variable is not set');
+    }
+
+    const headers = {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-Version': '2024-01-01'
+    };
+
+    const describeError = error => error.response?.data?.message || error.message;
+
+    return {
+        name: 'mailerlite',
+
+        send: async ({ type, to, name }) => {
+            if (!TRIGGER_FIELDS[type]) {
+                throw new Error(`MailerLite has no automation for "${type}" emails`);
+            }
+
+            const fields = { name, ...TRIGGER_FIELDS[type](new Date().toISOString()) };
+
+            // Deleted accounts are only notified if they are still subscribed
+            if (type === 'accountDeletion') {
+                try {
+                    const response = await axios.put(`${MAILERLITE_API_BASE}/subscribers/${to}`, { fields }, { headers });
+                    return { transport: 'mailerlite', messageId: response.data.data?.id };
+                } catch (error) {
+                    if (error.response?.status === 404) {
+                        return { transport: 'mailerlite', messageId: null, skipped: true };
+                    }
+                    throw new Error(`Failed to update subscriber: ${describeError(error)}`);
+                }
+            }
+
+            // Creating a subscriber that already exists updates it instead
+            try {
+                const response = await axios.post(`${MAILERLITE_API_BASE}/subscribers`, {
+                    email: to,
+                    fields,
+                    status: 'active'
+                }, { headers });
+                return { transport: 'mailerlite', messageId: response.data.data?.id };
+            } catch (error) {
+                throw new Error(`Failed to update subscriber: ${describeError(error)}`);
+            }
+        }
+    };
+};
+
+module.exports = createMailerLiteTransport;
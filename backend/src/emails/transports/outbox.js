@@ -0,0 +1,46 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Write emails as JSON files to a local outbox directory instead of sending them
+// Lets email flows be tested offline; list() reads the messages back, oldest first
+const createOutboxTransport = ({ directory }) => {
+    const root = path.resolve(directory);
+
+    return {
+        name: 'outbox',
+        directory: root,
+
+        send: async (message) => {
+            const createdAt = new Date();
+            const messageId = `${createdAt.getTime()}-${crypto.randomBytes(4).toString('hex')}`;
+            await fs.promises.mkdir(root, { recursive: true });
+            await fs.promises.writeFile(
+                path.join(root, `${messageId}.json`),
+                JSON.stringify({ messageId, createdAt, ...message }, null, 2)
+            );
+            return { transport: 'outbox', messageId };
+        },
+
+        list: async () => {
+            let files;
+            try {
+                files = await fs.promises.readdir(root);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const messages = await Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(async file => JSON.parse(await fs.promises.readFile(path.join(root, file), 'utf8'))));
+            return messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        },
+
+        clear: async () => {
+            await fs.promises.rm(root, { recursive: true, force: true });
+        }
+    };
+};
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// Send emails through an SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!host) {
+        throw new Error('SMTP_HOST environment variable is not set');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        send: async ({ to, from, subject, html, text }) => {
+            const info = await transporter.sendMail({ to, from, subject, html, text });
+            return { transport: 'smtp', messageId: info.messageId };
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
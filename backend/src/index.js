@@ -4,8 +4,23 @@ const cookieParser = require('cookie-parser');
 require('./db/mongoose');
 const userRouter = require('./routers/user');
 const taskRouter = require('./routers/task');
+const tagRouter = require('./routers/tag');
+const projectRouter = require('./routers/project');
+const timeEntryRouter = require('./routers/timeEntry');
+const commentRouter = require('./routers/comment');
+const reminderRouter = require('./routers/reminder');
+const attachmentRouter = require('./routers/attachment');
+const trashRouter = require('./routers/trash');
+const statsRouter = require('./routers/stats');
+const notificationRouter = require('./routers/notification');
+const eventRouter = require('./routers/event');
 const healthRouter = require('./routers/health');
 const { validateCookieConfig } = require('./utils/cookieConfig');
+const { startTrashPurge } = require('./jobs/purgeTrash');
+const { startAutoArchive } = require('./jobs/archiveTasks');
+const { startDailyDigests } = require('./jobs/sendDigests');
+const { startReminders } = require('./jobs/sendReminders');
+const { startOverdueNotifications } = require('./jobs/notifyOverdue');
 
 const app = express();
 const port = process.env.PORT;
@@ -53,6 +68,16 @@ app.use(express.json());
 app.use(cookieParser());
 app.use('/api', userRouter);
 app.use('/api', taskRouter);
+app.use('/api', tagRouter);
+app.use('/api', projectRouter);
+app.use('/api', timeEntryRouter);
+app.use('/api', commentRouter);
+app.use('/api', reminderRouter);
+app.use('/api', attachmentRouter);
+app.use('/api', trashRouter);
+app.use('/api', statsRouter);
+app.use('/api', notificationRouter);
+app.use('/api', eventRouter);
 app.use('/', healthRouter);
 
 // Error handling middleware
@@ -68,4 +93,19 @@ app.use('*', (req, res) => {
 
 app.listen(port, () => {
     console.log(`Server running at Port ${port}`);
-});
\ No newline at end of file
+});
+
+// Purge tasks that stayed in the trash past TRASH_RETENTION_DAYS
+startTrashPurge();
+
+// Archive the completed tasks of users who turned on auto-archiving
+startAutoArchive();
+
+// Email each user a digest of due and overdue tasks at their notificationTime
+startDailyDigests();
+
+// Deliver task reminders by email and in-app notification as they come due
+startReminders();
+
+// Notify users when their open tasks become overdue
+startOverdueNotifications();
\ No newline at end of file
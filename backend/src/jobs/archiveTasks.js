@@ -0,0 +1,43 @@
+const Task = require('../models/task');
+const User = require('../models/user');
+const { getArchivePolicy, getAutoArchiveCutoff } = require('../utils/archiveUtils');
+
+// How often completed tasks are checked for auto-archiving
+const ARCHIVE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Archive the completed tasks of every user with auto-archiving turned on
+const archiveCompletedTasks = async (now = new Date()) => {
+    const users = await User.find({ 'archivePolicy.autoArchive': true }, { userId: 1, archivePolicy: 1 });
+
+    let archived = 0;
+    for (const user of users) {
+        const cutoff = getAutoArchiveCutoff(getArchivePolicy(user), now);
+        if (!cutoff) continue;
+
+        const archivedTaskIds = await Task.archiveCompletedTasks(user.userId, cutoff, now);
+        archived += archivedTaskIds.length;
+    }
+
+    if (archived > 0) {
+        console.log(`Auto-archived ${archived} completed task(s)`);
+    }
+    return archived;
+};
+
+// Run auto-archiving periodically; returns the timer
+const startAutoArchive = ({ intervalMs = ARCHIVE_INTERVAL_MS } = {}) => {
+    const run = () => archiveCompletedTasks().catch((error) => {
+        console.error('Auto-archive failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for auto-archiving
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    archiveCompletedTasks,
+    startAutoArchive
+};
@@ -0,0 +1,77 @@
+const Task = require('../models/task');
+const User = require('../models/user');
+const { notify } = require('../utils/notifier');
+const { OVERDUE_LOOKBACK_DAYS, isOverdueOn } = require('../utils/notificationUtils');
+const { DAY_MS, formatLocalDate } = require('../utils/timezoneUtils');
+
+// How often tasks are checked for becoming overdue
+const OVERDUE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Most tasks handled per run; the rest are picked up by the next run
+const OVERDUE_BATCH_SIZE = 500;
+
+// Claim a task by marking it notified; false if another run or instance already did
+const claimOverdueTask = async (task, now) => {
+    const result = await Task.updateOne(
+        { _id: task._id, overdueNotifiedAt: null },
+        { $set: { overdueNotifiedAt: now } },
+        { timestamps: false }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Notify the owners of open tasks whose due day has just passed in their timezone
+// Each task is reported once per due date
+const notifyOverdueTasks = async (now = new Date()) => {
+    const tasks = await Task.find(
+        {
+            isCompleted: false,
+            overdueNotifiedAt: null,
+            dueDate: { $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS), $lt: now }
+        },
+        { taskId: 1, userId: 1, title: 1, dueDate: 1 }
+    ).sort({ dueDate: 1 }).limit(OVERDUE_BATCH_SIZE);
+    if (tasks.length === 0) return 0;
+
+    const users = await User.find(
+        { userId: { $in: [...new Set(tasks.map(task => task.userId))] } },
+        { userId: 1, timezone: 1 }
+    );
+    const timezones = new Map(users.map(user => [user.userId, user.timezone || 'UTC']));
+
+    let notified = 0;
+    for (const task of tasks) {
+        const timezone = timezones.get(task.userId) || 'UTC';
+        if (!isOverdueOn(task.dueDate, now, timezone) || !await claimOverdueTask(task, now)) continue;
+
+        await notify(task.userId, 'overdue', {
+            title: `Overdue: ${task.title}`,
+            message: `Was due ${formatLocalDate(task.dueDate, timezone)}`,
+            taskId: task.taskId
+        });
+        notified += 1;
+    }
+
+    if (notified > 0) {
+        console.log(`Sent ${notified} overdue task notification(s)`);
+    }
+    return notified;
+};
+
+// Check for newly overdue tasks periodically; returns the timer
+const startOverdueNotifications = ({ intervalMs = OVERDUE_INTERVAL_MS } = {}) => {
+    const run = () => notifyOverdueTasks().catch((error) => {
+        console.error('Overdue task notifications failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for notifications
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    notifyOverdueTasks,
+    startOverdueNotifications
+};
@@ -0,0 +1,40 @@
+const Task = require('../models/task');
+const { getTrashRetentionDays, getPurgeCutoff } = require('../utils/trashUtils');
+
+// How often the trash is checked for expired tasks
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Purge the tasks that have been in the trash longer than the retention period
+const purgeExpiredTrash = async (now = new Date()) => {
+    const cutoff = getPurgeCutoff(getTrashRetentionDays(), now);
+    if (!cutoff) return 0;
+
+    const purged = await Task.purgeExpiredTrash(cutoff);
+    if (purged > 0) {
+        console.log(`Purged ${purged} expired task(s) from the trash`);
+    }
+    return purged;
+};
+
+// Run the purge periodically; returns the timer, or null when the purge is disabled
+const startTrashPurge = ({ intervalMs = PURGE_INTERVAL_MS } = {}) => {
+    if (!getTrashRetentionDays()) {
+        console.log('Automatic trash purge disabled (TRASH_RETENTION_DAYS=0)');
+        return null;
+    }
+
+    const run = () => purgeExpiredTrash().catch((error) => {
+        console.error('Trash purge failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for the purge
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    purgeExpiredTrash,
+    startTrashPurge
+};
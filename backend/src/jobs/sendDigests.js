@@ -0,0 +1,103 @@
+const Task = require('../models/task');
+const User = require('../models/user');
+const DigestLog = require('../models/digestLog');
+const { sendDailyDigest } = require('../emails/digest');
+const { getDueDigestDate, buildDigestPipeline, groupDigestTasks, countDigestTasks, isDigestEmpty } = require('../utils/digestUtils');
+
+// How often users are checked for due digests
+const DIGEST_INTERVAL_MS = 60 * 1000;
+
+// Claim the digest of a user for a day; null if it was already claimed (sent, skipped or in progress)
+const claimDigest = async (userId, date) => {
+    try {
+        return await DigestLog.create({ userId, date });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+// Send the daily digest of one user unless nothing is due
+const processDigest = async (user, date, now) => {
+    const log = await claimDigest(user.userId, date);
+    if (!log) return null;
+
+    try {
+        const timezone = user.timezone || 'UTC';
+        const tasks = await Task.aggregate(buildDigestPipeline(user.userId, date, timezone, now));
+        const digest = groupDigestTasks(tasks, date);
+        log.counts = countDigestTasks(digest);
+
+        if (isDigestEmpty(digest)) {
+            log.status = 'skipped';
+        } else {
+            const result = await sendDailyDigest(user, digest, date);
+            log.status = 'sent';
+            log.transport = result.transport;
+            log.messageId = result.messageId;
+            log.sentAt = new Date();
+        }
+    } catch (error) {
+        // Failed digests are not retried, so a digest is never sent twice
+        log.status = 'failed';
+        log.error = error.message;
+    }
+
+    await log.save();
+    return log;
+};
+
+// Send the digests that are due: each user gets at most one per local calendar day,
+// at or after their notificationTime
+const sendDailyDigests = async (now = new Date()) => {
+    const users = await User.find(
+        { emailEnabled: true },
+        { userId: 1, name: 1, email: 1, emailEnabled: 1, notificationTime: 1, timezone: 1 }
+    );
+
+    const due = users
+        .map(user => ({ user, date: getDueDigestDate(user, now) }))
+        .filter(({ date }) => date !== null);
+    if (due.length === 0) return 0;
+
+    // Skip the users whose digest for the day is already logged without trying to claim it again
+    const logs = await DigestLog.find(
+        { userId: { $in: due.map(({ user }) => user.userId) }, date: { $in: [...new Set(due.map(({ date }) => date))] } },
+        { userId: 1, date: 1 }
+    );
+    const logged = new Set(logs.map(log => `${log.userId}:${log.date}`));
+
+    let sent = 0;
+    for (const { user, date } of due) {
+        if (logged.has(`${user.userId}:${date}`)) continue;
+
+        const log = await processDigest(user, date, now);
+        if (log && log.status === 'sent') sent += 1;
+        if (log && log.status === 'failed') {
+            console.error(`Daily digest for user ${user.userId} failed:`, log.error);
+        }
+    }
+
+    if (sent > 0) {
+        console.log(`Sent ${sent} daily digest(s)`);
+    }
+    return sent;
+};
+
+// Check for due digests periodically; returns the timer
+const startDailyDigests = ({ intervalMs = DIGEST_INTERVAL_MS } = {}) => {
+    const run = () => sendDailyDigests().catch((error) => {
+        console.error('Daily digests failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for digests
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    sendDailyDigests,
+    startDailyDigests
+};
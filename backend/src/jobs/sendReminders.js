@@ -0,0 +1,100 @@
+const Task = require('../models/task');
+const User = require('../models/user');
+const { sendTaskReminder } = require('../emails/reminder');
+const { notify } = require('../utils/notifier');
+const { formatLocalDate } = require('../utils/timezoneUtils');
+
+// How often due reminders are checked
+const REMINDER_INTERVAL_MS = 30 * 1000;
+
+// Most tasks handled per run; the rest are picked up by the next run
+const REMINDER_BATCH_SIZE = 200;
+
+const pendingCondition = now => ({ fireAt: { $lte: now }, firedAt: null, dismissedAt: null });
+
+const isPending = (reminder, now) => Boolean(reminder.fireAt) &&
+    reminder.fireAt <= now &&
+    !reminder.firedAt &&
+    !reminder.dismissedAt;
+
+// Claim a reminder by marking it fired; false if another run or instance already fired it,
+// or it was snoozed or dismissed in the meantime
+const claimReminder = async (task, reminder, now) => {
+    const result = await Task.updateOne(
+        { _id: task._id, reminders: { $elemMatch: { _id: reminder._id, ...pendingCondition(now) } } },
+        { $set: { 'reminders.$.firedAt': now } },
+        { timestamps: false }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Deliver a claimed reminder as an in-app notification and, if the user wants emails, by email
+// Failures are logged but not retried, so a reminder is never delivered twice
+const deliverReminder = async (task, reminder, user) => {
+    await notify(task.userId, 'reminder', {
+        title: `Reminder: ${task.title}`,
+        message: `Due ${formatLocalDate(task.dueDate, (user && user.timezone) || 'UTC')}`,
+        taskId: task.taskId,
+        data: { reminderId: String(reminder._id) }
+    });
+
+    if (user && user.emailEnabled) {
+        try {
+            await sendTaskReminder(user, task);
+        } catch (error) {
+            console.error(`Reminder email for task ${task.taskId} failed:`, error.message);
+        }
+    }
+};
+
+// Fire the reminders that are due on open tasks; each reminder fires once, even with
+// several server instances running this job
+const fireDueReminders = async (now = new Date()) => {
+    const tasks = await Task.find({ isCompleted: false, reminders: { $elemMatch: pendingCondition(now) } })
+        .sort({ 'reminders.fireAt': 1 })
+        .limit(REMINDER_BATCH_SIZE);
+    if (tasks.length === 0) return 0;
+
+    const users = await User.find(
+        { userId: { $in: [...new Set(tasks.map(task => task.userId))] } },
+        { userId: 1, name: 1, email: 1, emailEnabled: 1, timezone: 1 }
+    );
+    const usersById = new Map(users.map(user => [user.userId, user]));
+
+    let fired = 0;
+    for (const task of tasks) {
+        for (const reminder of task.reminders) {
+            if (!isPending(reminder, now) || !await claimReminder(task, reminder, now)) continue;
+
+            fired += 1;
+            try {
+                await deliverReminder(task, reminder, usersById.get(task.userId));
+            } catch (error) {
+                console.error(`Reminder for task ${task.taskId} failed:`, error.message);
+            }
+        }
+    }
+
+    if (fired > 0) {
+        console.log(`Fired ${fired} task reminder(s)`);
+    }
+    return fired;
+};
+
+// Check for due reminders periodically; returns the timer
+const startReminders = ({ intervalMs = REMINDER_INTERVAL_MS } = {}) => {
+    const run = () => fireDueReminders().catch((error) => {
+        console.error('Task reminders failed:', error.message);
+    });
+
+    run();
+    const timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for reminders
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    fireDueReminders,
+    startReminders
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const { getNextSequence } = require('../utils/counterUtils');
+const { STORAGE_BACKENDS, getStorage } = require('../storage');
+
+const attachmentSchema = new mongoose.Schema({
+    attachmentId: {
+        type: Number,
+        unique: true
+    },
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    taskId: {
+        type: Number,
+        required: true,
+        ref: 'Task'
+    },
+    filename: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    // Size of the original file in bytes
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Storage backend and key of the file and of its thumbnail (images only)
+    storage: {
+        type: String,
+        required: true,
+        enum: STORAGE_BACKENDS
+    },
+    storageKey: {
+        type: String,
+        required: true
+    },
+    thumbnailKey: {
+        type: String,
+        default: null
+    },
+    thumbnailSize: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+attachmentSchema.index({ userId: 1, taskId: 1 });
+
+// Storage details stay on the server
+attachmentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.storage;
+        delete ret.storageKey;
+        ret.hasThumbnail = Boolean(ret.thumbnailKey);
+        delete ret.thumbnailKey;
+        return ret;
+    }
+});
+
+// Static method to get the bytes a user stores, thumbnails included
+attachmentSchema.statics.getStorageUsed = async function(userId) {
+    const [result] = await this.aggregate([
+        { $match: { userId } },
+        { $group: { _id: null, bytes: { $sum: { $add: ['$size', '$thumbnailSize'] } } } }
+    ]);
+
+    return result ? result.bytes : 0;
+};
+
+// Static method to delete attachments together with their stored files
+// Files are removed first; a file that can't be removed is logged and its record is still deleted
+attachmentSchema.statics.deleteWithFiles = async function(filter) {
+    const attachments = await this.find(filter);
+
+    await Promise.all(attachments.map(async (attachment) => {
+        const storage = getStorage(attachment.storage);
+        const keys = [attachment.storageKey, attachment.thumbnailKey].filter(Boolean);
+        try {
+            await Promise.all(keys.map(key => storage.remove(key)));
+        } catch (error) {
+            console.error(`Failed to remove the files of attachment ${attachment.attachmentId}:`, error.message);
+        }
+    }));
+
+    await this.deleteMany({ _id: { $in: attachments.map(attachment => attachment._id) } });
+
+    return attachments;
+};
+
+// Pre-save middleware to generate attachmentId
+attachmentSchema.pre('save', async function(next) {
+    const attachment = this;
+
+    if (attachment.isNew && !attachment.attachmentId) {
+        try {
+            attachment.attachmentId = await getNextSequence('attachmentId');
+        } catch (error) {
+            return next(new Error(`Failed to generate attachmentId: ${error.message}`));
+        }
+    }
+
+    next();
+});
+
+const Attachment = mongoose.model('Attachment', attachmentSchema);
+
+module.exports = Attachment;
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { getNextSequence } = require('../utils/counterUtils');
+const { MAX_COMMENT_LENGTH } = require('../utils/commentUtils');
+
+const commentSchema = new mongoose.Schema({
+    commentId: {
+        type: Number,
+        unique: true
+    },
+    taskId: {
+        type: Number,
+        required: true,
+        ref: 'Task'
+    },
+    // Author of the comment
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    // Markdown source
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: MAX_COMMENT_LENGTH
+    },
+    // Previous versions of the body, oldest first
+    edits: [{
+        _id: false,
+        body: {
+            type: String,
+            required: true
+        },
+        editedAt: {
+            type: Date,
+            required: true
+        }
+    }],
+    // Last time the body was changed (null if never edited)
+    editedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    id: false,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+commentSchema.index({ taskId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ userId: 1 });
+
+// Author name and id, populated from the numeric userId
+commentSchema.virtual('author', {
+    ref: 'User',
+    localField: 'userId',
+    foreignField: 'userId',
+    justOne: true
+});
+
+// Pre-save middleware to generate commentId
+commentSchema.pre('save', async function(next) {
+    const comment = this;
+
+    if (comment.isNew && !comment.commentId) {
+        try {
+            comment.commentId = await getNextSequence('commentId');
+        } catch (error) {
+            return next(new Error(`Failed to generate commentId: ${error.message}`));
+        }
+    }
+
+    next();
+});
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
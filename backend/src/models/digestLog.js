@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One entry per user and local calendar day a daily digest was due
+// The unique index doubles as the send lock: a digest is only sent by whoever created its
+// entry, so restarts and overlapping runs never send the same day's digest twice
+const digestLogSchema = new mongoose.Schema({
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    // Calendar day of the digest in the user's timezone ('YYYY-MM-DD')
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    // sending: claimed, not finished (left as is if the process stopped while sending)
+    // skipped: nothing was due, so no email was sent
+    status: {
+        type: String,
+        enum: ['sending', 'sent', 'skipped', 'failed'],
+        default: 'sending'
+    },
+    counts: {
+        dueToday: { type: Number, default: 0 },
+        overdue: { type: Number, default: 0 },
+        upcoming: { type: Number, default: 0 }
+    },
+    transport: {
+        type: String,
+        default: null
+    },
+    messageId: {
+        type: String,
+        default: null
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    sentAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+digestLogSchema.index({ userId: 1, date: 1 }, { unique: true });
+
+const DigestLog = mongoose.model('DigestLog', digestLogSchema);
+
+module.exports = DigestLog;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const { getNextSequence } = require('../utils/counterUtils');
+const { NOTIFICATION_TYPES } = require('../utils/notificationUtils');
+
+// In-app notification shown to a user
+const notificationSchema = new mongoose.Schema({
+    notificationId: {
+        type: Number,
+        unique: true
+    },
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    message: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    // Task the notification is about, if any
+    taskId: {
+        type: Number,
+        ref: 'Task',
+        default: null
+    },
+    // Type-specific details (e.g. the reminderId of a reminder, the event of a security notification)
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    // null while unread
+    readAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+// Pre-save middleware to generate notificationId
+notificationSchema.pre('save', async function(next) {
+    const notification = this;
+
+    if (notification.isNew && !notification.notificationId) {
+        try {
+            notification.notificationId = await getNextSequence('notificationId');
+        } catch (error) {
+            return next(new Error(`Failed to generate notificationId: ${error.message}`));
+        }
+    }
+
+    next();
+});
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
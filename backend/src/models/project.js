@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { getNextSequence } = require('../utils/counterUtils');
+const { MAX_PROJECT_NAME_LENGTH } = require('../utils/projectUtils');
+
+const projectSchema = new mongoose.Schema({
+    projectId: {
+        type: Number,
+        unique: true
+    },
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 1,
+        maxlength: MAX_PROJECT_NAME_LENGTH
+    },
+    color: {
+        type: String,
+        trim: true,
+        default: '#7c3aed',
+        validate(value) {
+            if (!validator.isHexColor(value)) {
+                throw new Error('Color must be a hex color (e.g. #7c3aed)');
+            }
+        }
+    },
+    icon: {
+        type: String,
+        trim: true,
+        default: 'folder',
+        maxlength: 50
+    },
+    archived: {
+        type: Boolean,
+        default: false
+    },
+    sortOrder: {
+        type: Number
+    }
+}, {
+    timestamps: true
+});
+
+projectSchema.index({ userId: 1, archived: 1, sortOrder: 1 });
+
+// Pre-save middleware to generate projectId and place new projects after the existing ones
+projectSchema.pre('save', async function(next) {
+    const project = this;
+
+    if (project.isNew && !project.projectId) {
+        try {
+            project.projectId = await getNextSequence('projectId');
+        } catch (error) {
+            return next(new Error(`Failed to generate projectId: ${error.message}`));
+        }
+    }
+
+    if (project.isNew && (project.sortOrder === undefined || project.sortOrder === null)) {
+        const Project = mongoose.model('Project');
+        const last = await Project.findOne({ userId: project.userId }).sort({ sortOrder: -1 });
+        project.sortOrder = last && typeof last.sortOrder === 'number' ? last.sortOrder + 1 : 0;
+    }
+
+    next();
+});
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
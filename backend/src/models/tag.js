@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+const { MAX_TAG_LENGTH } = require('../utils/tagUtils');
+
+const tagSchema = new mongoose.Schema({
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        lowercase: true,
+        maxlength: MAX_TAG_LENGTH
+    },
+    color: {
+        type: String,
+        trim: true,
+        default: '#6b7280',
+        validate(value) {
+            if (!validator.isHexColor(value)) {
+                throw new Error('Color must be a hex color (e.g. #6b7280)');
+            }
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+// Tag names are unique per user
+tagSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// Static method to create any tags of a user that don't exist yet
+tagSchema.statics.ensureTags = async function(userId, names) {
+    if (!names || names.length === 0) return;
+
+    try {
+        await this.bulkWrite(names.map(name => ({
+            updateOne: {
+                filter: { userId, name },
+                update: { $setOnInsert: { userId, name } },
+                upsert: true
+            }
+        })), { ordered: false });
+    } catch (error) {
+        // A concurrent request created the same tag first
+        if (error.code !== 11000) throw error;
+    }
+};
+
+const Tag = mongoose.model('Tag', tagSchema);
+
+module.exports = Tag;
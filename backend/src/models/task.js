@@ -1,5 +1,127 @@
 const mongoose = require('mongoose');
 const { getNextSequence } = require('../utils/counterUtils');
+const Project = require('./project');
+const TimeEntry = require('./timeEntry');
+const Comment = require('./comment');
+const Attachment = require('./attachment');
+const TaskRevision = require('./taskRevision');
+const {
+    FREQUENCIES,
+    MONTHLY_MODES,
+    getRecurrenceRule,
+    getNextOccurrenceDate,
+    hasRecurrenceEnded
+} = require('../utils/recurrenceUtils');
+const { PRIORITY_RANKS } = require('../utils/taskQueryUtils');
+const { buildKeysetCondition } = require('../utils/paginationUtils');
+const { MAX_TAG_LENGTH, MAX_TAGS_PER_TASK, normalizeTags, normalizeTagName } = require('../utils/tagUtils');
+const { buildTimeSummary } = require('../utils/timeTrackingUtils');
+const {
+    MAX_REMINDERS_PER_TASK,
+    MAX_OFFSET_MINUTES,
+    getReminderFireAt,
+    mergeReminders,
+    copyOffsetReminders
+} = require('../utils/reminderUtils');
+const { getDependencyCycleError } = require('../utils/dependencyUtils');
+const { notify } = require('../utils/notifier');
+const { formatLocalDate } = require('../utils/timezoneUtils');
+const { hasTaskEventSubscribers, publishTaskEvent } = require('../utils/taskEvents');
+
+// Recurrence rule embedded in a task (see utils/recurrenceUtils for the semantics)
+const recurrenceSchema = new mongoose.Schema({
+    frequency: {
+        type: String,
+        enum: FREQUENCIES,
+        required: true
+    },
+    interval: {
+        type: Number,
+        min: 1,
+        default: 1
+    },
+    weekdays: [{
+        type: Number,
+        min: 0,
+        max: 6
+    }],
+    monthlyMode: {
+        type: String,
+        enum: MONTHLY_MODES,
+        default: 'dayOfMonth'
+    },
+    monthDay: {
+        type: Number,
+        min: 1,
+        max: 31
+    },
+    nthWeek: {
+        type: Number,
+        enum: [-1, 1, 2, 3, 4],
+        required: function() {
+            return this.monthlyMode === 'nthWeekday';
+        }
+    },
+    nthWeekday: {
+        type: Number,
+        min: 0,
+        max: 6,
+        required: function() {
+            return this.monthlyMode === 'nthWeekday';
+        }
+    },
+    count: {
+        type: Number,
+        min: 1
+    },
+    until: {
+        type: Date
+    },
+    occurrence: {
+        type: Number,
+        min: 1,
+        default: 1
+    }
+}, {
+    _id: false
+});
+
+// Reminder embedded in a task (see utils/reminderUtils for the semantics)
+const reminderSchema = new mongoose.Schema({
+    // Minutes before the due date; null for a reminder at a fixed time
+    offsetMinutes: {
+        type: Number,
+        min: 0,
+        max: MAX_OFFSET_MINUTES,
+        default: null,
+        validate: {
+            validator: (value) => value === null || Number.isInteger(value),
+            message: 'offsetMinutes must be a whole number'
+        }
+    },
+    remindAt: {
+        type: Date,
+        default: null
+    },
+    // When the reminder is due, kept in sync by the pre-save hook
+    fireAt: {
+        type: Date,
+        default: null
+    },
+    snoozedUntil: {
+        type: Date,
+        default: null
+    },
+    // Set when the reminder is delivered, so it fires only once
+    firedAt: {
+        type: Date,
+        default: null
+    },
+    dismissedAt: {
+        type: Date,
+        default: null
+    }
+});
 
 const taskSchema = new mongoose.Schema({
     taskId: {
@@ -16,6 +138,16 @@ const taskSchema = new mongoose.Schema({
         ref: 'Task',
         default: null
     },
+    projectId: {
+        type: Number,
+        ref: 'Project',
+        default: null
+    },
+    // Tasks that must be completed before this one can start (see utils/dependencyUtils)
+    blockedBy: [{
+        type: Number,
+        ref: 'Task'
+    }],
     links: [{
         type: String,
         trim: true
@@ -50,14 +182,80 @@ const taskSchema = new mongoose.Schema({
         trim: true,
         default: ''
     },
+    tags: {
+        type: [String],
+        default: [],
+        set: normalizeTags,
+        validate: {
+            validator: (tags) => tags.length <= MAX_TAGS_PER_TASK && tags.every(tag => tag.length <= MAX_TAG_LENGTH),
+            message: `A task can have at most ${MAX_TAGS_PER_TASK} tags of up to ${MAX_TAG_LENGTH} characters`
+        }
+    },
+    // Reminders keep their delivery state when the same reminders are assigned again
+    reminders: {
+        type: [reminderSchema],
+        default: [],
+        set: function(reminders, previous) {
+            return mergeReminders(previous, reminders);
+        },
+        validate: {
+            validator: (reminders) => reminders.length <= MAX_REMINDERS_PER_TASK &&
+                reminders.every(reminder => (reminder.offsetMinutes === null) !== (reminder.remindAt === null)),
+            message: `A task can have at most ${MAX_REMINDERS_PER_TASK} reminders, each with either offsetMinutes or remindAt`
+        }
+    },
     isCompleted: {
         type: Boolean,
         default: false
     },
+    // Set when the task is completed, cleared when it is reopened
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    // Set while the task is in the archive
+    archivedAt: {
+        type: Date,
+        default: null
+    },
+    // Set once the owner was notified that the task is overdue, cleared when the due date changes
+    overdueNotifiedAt: {
+        type: Date,
+        default: null
+    },
+    estimatedMinutes: {
+        type: Number,
+        min: 0,
+        default: null
+    },
     repeatType: {
         type: String,
         enum: ['none', 'daily', 'weekly', 'monthly'],
         default: 'none'
+    },
+    recurrence: {
+        type: recurrenceSchema,
+        default: null
+    },
+    repeatSubtasks: {
+        type: Boolean,
+        default: false
+    },
+    nextOccurrenceId: {
+        type: Number,
+        ref: 'Task',
+        default: null
+    },
+    // Set while the task is in the trash
+    deletedAt: {
+        type: Date,
+        default: null
+    },
+    // taskId of the task whose deletion moved this subtask to the trash (null for the
+    // deleted task itself), so restoring that task brings its subtasks back too
+    deletedWith: {
+        type: Number,
+        default: null
     }
 }, {
     timestamps: true
@@ -69,8 +267,49 @@ taskSchema.index({ userId: 1, dueDate: 1 });
 taskSchema.index({ userId: 1, isCompleted: 1 });
 taskSchema.index({ userId: 1, priority: 1 });
 taskSchema.index({ userId: 1, category: 1 });
+taskSchema.index({ userId: 1, tags: 1 });
 taskSchema.index({ parentId: 1 });
 taskSchema.index({ userId: 1, parentId: 1 });
+taskSchema.index({ userId: 1, projectId: 1 });
+taskSchema.index({ userId: 1, blockedBy: 1 });
+taskSchema.index({ userId: 1, deletedAt: 1 });
+taskSchema.index({ userId: 1, archivedAt: -1 });
+taskSchema.index({ 'reminders.fireAt': 1 });
+taskSchema.index({ overdueNotifiedAt: 1, dueDate: 1 });
+// Full-text search index, title matches rank highest
+taskSchema.index(
+    { title: 'text', description: 'text', additionalDetails: 'text', links: 'text' },
+    { name: 'task_text', weights: { title: 10, description: 5, additionalDetails: 2, links: 1 } }
+);
+
+// Tasks in the trash are left out of every query and aggregation unless the filter
+// mentions deletedAt or the query runs with the withDeleted option
+const hasDeletedAtCondition = (filter) => Object.prototype.hasOwnProperty.call(filter || {}, 'deletedAt');
+
+taskSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'updateOne', 'updateMany', 'findOneAndUpdate'], function() {
+    if (this.getOptions().withDeleted || hasDeletedAtCondition(this.getFilter())) return;
+    this.where({ deletedAt: null });
+});
+
+taskSchema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+
+    const pipeline = this.pipeline();
+    // $text searches must stay in the first stage, so extend it instead of adding a stage
+    if (pipeline[0] && pipeline[0].$match) {
+        if (!hasDeletedAtCondition(pipeline[0].$match)) {
+            pipeline[0].$match = { ...pipeline[0].$match, deletedAt: null };
+        }
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+
+    pipeline.forEach((stage) => {
+        if (stage.$graphLookup && !hasDeletedAtCondition(stage.$graphLookup.restrictSearchWithMatch)) {
+            stage.$graphLookup.restrictSearchWithMatch = { ...stage.$graphLookup.restrictSearchWithMatch, deletedAt: null };
+        }
+    });
+});
 
 // Virtual for formatted due date
 taskSchema.virtual('dueDateFormatted').get(function() {
@@ -111,6 +350,38 @@ taskSchema.methods.getSubtasks = async function() {
     return await Task.find({ parentId: this.taskId, userId: this.userId });
 };
 
+// Method to compute completion progress across all levels of subtasks
+taskSchema.methods.getProgress = async function() {
+    const subtasks = await this.getSubtasks();
+    let total = subtasks.length;
+    let completed = subtasks.filter(subtask => subtask.isCompleted).length;
+
+    for (const subtask of subtasks) {
+        const subtaskProgress = await subtask.getProgress();
+        total += subtaskProgress.total;
+        completed += subtaskProgress.completed;
+    }
+
+    return {
+        completed,
+        total,
+        percent: total > 0 ? Math.round((completed / total) * 100) : null
+    };
+};
+
+// Method to roll up tracked time and estimates across all levels of subtasks
+taskSchema.methods.getTimeSummary = async function() {
+    const Task = mongoose.model('Task');
+    const result = await Task.findWithDescendants(this.taskId, this.userId);
+    const descendants = result ? result.descendants : [];
+    const trackedSeconds = await TimeEntry.getTrackedSeconds(
+        this.userId,
+        [this.taskId, ...descendants.map(descendant => descendant.taskId)]
+    );
+
+    return buildTimeSummary(this, descendants, trackedSeconds);
+};
+
 // Static method to find task by taskId
 taskSchema.statics.findByTaskId = async function(taskId) {
     const task = await this.findOne({ taskId });
@@ -120,9 +391,510 @@ taskSchema.statics.findByTaskId = async function(taskId) {
     return task;
 };
 
+// Static method to get the taskIds of all ancestors of a task, nearest first
+taskSchema.statics.getAncestorIds = async function(taskId, userId) {
+    const [result] = await this.aggregate([
+        { $match: { taskId, userId } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$parentId',
+                connectFromField: 'parentId',
+                connectToField: 'taskId',
+                as: 'ancestors',
+                depthField: 'depth',
+                restrictSearchWithMatch: { userId }
+            }
+        }
+    ]);
+
+    if (!result) return [];
+
+    return result.ancestors
+        .sort((a, b) => a.depth - b.depth)
+        .map(ancestor => ancestor.taskId);
+};
+
+// Static method to get the ancestors of several tasks in a single aggregation
+// Returns a Map of taskId -> [{ taskId, title }] ordered from the top-level task down to the direct parent
+taskSchema.statics.getParentChains = async function(taskIds, userId) {
+    const chains = new Map();
+    if (taskIds.length === 0) return chains;
+
+    const results = await this.aggregate([
+        { $match: { taskId: { $in: taskIds }, userId } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$parentId',
+                connectFromField: 'parentId',
+                connectToField: 'taskId',
+                as: 'ancestors',
+                depthField: 'depth',
+                restrictSearchWithMatch: { userId }
+            }
+        },
+        { $project: { taskId: 1, 'ancestors.taskId': 1, 'ancestors.title': 1, 'ancestors.depth': 1 } }
+    ]);
+
+    results.forEach((result) => {
+        chains.set(result.taskId, result.ancestors
+            .sort((a, b) => b.depth - a.depth)
+            .map(ancestor => ({ taskId: ancestor.taskId, title: ancestor.title })));
+    });
+
+    return chains;
+};
+
+// Static method to get a task with all of its descendants in a single aggregation
+// depth limits the number of subtask levels (null = unlimited). Returns null if the task
+// doesn't exist, otherwise { root, descendants } where each descendant has a depth field
+// (0 = direct subtask)
+taskSchema.statics.findWithDescendants = async function(taskId, userId, { depth = null, filters = {} } = {}) {
+    const pipeline = [{ $match: { taskId, userId } }];
+
+    if (depth !== 0) {
+        const graphLookup = {
+            from: this.collection.name,
+            startWith: '$taskId',
+            connectFromField: 'taskId',
+            connectToField: 'parentId',
+            as: 'descendants',
+            depthField: 'depth',
+            restrictSearchWithMatch: { ...filters, userId }
+        };
+
+        if (depth !== null) {
+            graphLookup.maxDepth = depth - 1;
+        }
+
+        pipeline.push({ $graphLookup: graphLookup });
+    }
+
+    const [result] = await this.aggregate(pipeline);
+    if (!result) return null;
+
+    const { descendants = [], ...root } = result;
+    return { root, descendants };
+};
+
+// Static method to get the dependencies of a task and of every task upstream of it
+// in a single aggregation. Returns a Map of taskId -> blockedBy taskIds
+taskSchema.statics.getDependencyGraph = async function(taskId, userId) {
+    const graph = new Map();
+
+    const [result] = await this.aggregate([
+        { $match: { taskId, userId } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$blockedBy',
+                connectFromField: 'blockedBy',
+                connectToField: 'taskId',
+                as: 'upstream',
+                restrictSearchWithMatch: { userId }
+            }
+        },
+        { $project: { taskId: 1, blockedBy: 1, 'upstream.taskId': 1, 'upstream.blockedBy': 1 } }
+    ]);
+
+    if (!result) return graph;
+
+    [result, ...result.upstream].forEach((task) => {
+        graph.set(task.taskId, task.blockedBy || []);
+    });
+
+    return graph;
+};
+
+// Static method to check a complete blockedBy list for a task, e.g. one restored by a revert
+// Added blockers that no longer exist (trashed or purged) are left out. Returns { blockedBy },
+// or { error } when an added blocker would create a dependency cycle
+taskSchema.statics.resolveBlockedBy = async function(task, blockedBy) {
+    const addedIds = blockedBy.filter(blockerId => !task.blockedBy.includes(blockerId));
+    const existingIds = await this.distinct('taskId', { taskId: { $in: addedIds }, userId: task.userId });
+
+    for (const blockerId of addedIds.filter(id => existingIds.includes(id))) {
+        const error = getDependencyCycleError(task.taskId, blockerId, await this.getDependencyGraph(blockerId, task.userId));
+        if (error) return { error };
+    }
+
+    return { blockedBy: blockedBy.filter(blockerId => !addedIds.includes(blockerId) || existingIds.includes(blockerId)) };
+};
+
+// Static method to find which of the blockers of some tasks are still open
+// Returns a Set of taskIds
+taskSchema.statics.getOpenBlockerIds = async function(tasks) {
+    const blockerIds = [...new Set(tasks.flatMap(task => task.blockedBy || []))];
+    if (blockerIds.length === 0) return new Set();
+
+    const userIds = [...new Set(tasks.map(task => task.userId))];
+    const openBlockers = await this.find(
+        { taskId: { $in: blockerIds }, userId: { $in: userIds }, isCompleted: false },
+        { taskId: 1 }
+    );
+
+    return new Set(openBlockers.map(blocker => blocker.taskId));
+};
+
+// Static method to find tasks with sorting, skip and limit
+// Sorting by priority orders low < medium < high, which needs an aggregation because
+// priority is stored as a string. Pass textScore for $text queries to keep the score field,
+// and after (decoded cursor values, see utils/paginationUtils) to start after a cursor.
+taskSchema.statics.findSorted = async function(match, sort, { limit = 0, skip = 0, textScore = false, after = null } = {}) {
+    const rankedSort = {};
+    Object.entries(sort).forEach(([field, direction]) => {
+        rankedSort[field === 'priority' ? 'priorityRank' : field] = direction;
+    });
+
+    let afterCondition = null;
+    if (after) {
+        const values = Object.keys(sort).map((field, index) => {
+            return field === '_id' ? new mongoose.Types.ObjectId(after[index]) : after[index];
+        });
+        afterCondition = buildKeysetCondition(rankedSort, values);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(sort, 'priority')) {
+        const filter = afterCondition ? { ...match, $and: [...(match.$and || []), afterCondition] } : match;
+        const query = this.find(filter, textScore ? { score: { $meta: 'textScore' } } : {}).sort(sort);
+        if (skip) query.skip(skip);
+        if (limit) query.limit(limit);
+        return query;
+    }
+
+    const pipeline = [
+        { $match: match },
+        {
+            $addFields: {
+                priorityRank: {
+                    $switch: {
+                        branches: Object.entries(PRIORITY_RANKS).map(([priority, rank]) => ({
+                            case: { $eq: ['$priority', priority] },
+                            then: rank
+                        })),
+                        default: 0
+                    }
+                },
+                ...(textScore ? { score: { $meta: 'textScore' } } : {})
+            }
+        }
+    ];
+    if (afterCondition) pipeline.push({ $match: afterCondition });
+    pipeline.push({ $sort: rankedSort });
+    if (skip) pipeline.push({ $skip: skip });
+    if (limit) pipeline.push({ $limit: limit });
+    pipeline.push({ $project: { priorityRank: 0 } });
+
+    const results = await this.aggregate(pipeline);
+    return results.map(result => this.hydrate(result));
+};
+
+// Static method to rename a tag on every task of a user in a single update
+// If a task already has the target tag the two are merged. The legacy category is
+// renamed along with the tag. Tasks in the trash are renamed too, so restoring one
+// doesn't bring the old tag back. Returns the number of modified tasks.
+taskSchema.statics.renameTag = async function(userId, from, to) {
+    const taskIds = hasTaskEventSubscribers(userId) ? await this.distinct('taskId', { userId, tags: from }) : [];
+    const result = await this.updateMany({ userId, tags: from }, [
+        {
+            $set: {
+                tags: {
+                    $reduce: {
+                        input: '$tags',
+                        initialValue: [],
+                        in: {
+                            $let: {
+                                vars: { tag: { $cond: [{ $eq: ['$$this', from] }, to, '$$this'] } },
+                                in: {
+                                    $cond: [
+                                        { $in: ['$$tag', '$$value'] },
+                                        '$$value',
+                                        { $concatArrays: ['$$value', ['$$tag']] }
+                                    ]
+                                }
+                            }
+                        }
+                    }
+                },
+                category: {
+                    $cond: [{ $eq: [{ $toLower: { $trim: { input: '$category' } } }, from] }, to, '$category']
+                }
+            }
+        }
+    ]).setOptions({ withDeleted: true });
+    await this.publishUpdates(userId, taskIds);
+
+    return result.modifiedCount;
+};
+
+// Static method to remove a tag (and the matching legacy category) from every task of a user,
+// including the tasks in the trash. Returns the number of modified tasks
+taskSchema.statics.removeTag = async function(userId, name) {
+    const taskIds = hasTaskEventSubscribers(userId) ? await this.distinct('taskId', { userId, tags: name }) : [];
+    const result = await this.updateMany({ userId, tags: name }, [
+        {
+            $set: {
+                tags: { $filter: { input: '$tags', cond: { $ne: ['$$this', name] } } },
+                category: {
+                    $cond: [{ $eq: [{ $toLower: { $trim: { input: '$category' } } }, name] }, '', '$category']
+                }
+            }
+        }
+    ]).setOptions({ withDeleted: true });
+    await this.publishUpdates(userId, taskIds);
+
+    return result.modifiedCount;
+};
+
+// Static method to copy the legacy category of every task into its tags
+// Returns the number of modified tasks and the distinct { userId, tag } pairs found
+taskSchema.statics.migrateCategoriesToTags = async function() {
+    const categoryTag = { $toLower: { $trim: { input: '$category' } } };
+
+    const result = await this.updateMany(
+        { category: { $nin: ['', null] } },
+        [
+            {
+                $set: {
+                    tags: {
+                        $cond: [
+                            { $in: [categoryTag, { $ifNull: ['$tags', []] }] },
+                            '$tags',
+                            { $concatArrays: [{ $ifNull: ['$tags', []] }, [categoryTag]] }
+                        ]
+                    }
+                }
+            }
+        ]
+    );
+
+    const pairs = await this.aggregate([
+        { $match: { 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: { userId: '$userId', tag: '$tags' } } }
+    ]);
+
+    return {
+        modifiedCount: result.modifiedCount,
+        tags: pairs.map(pair => ({ userId: pair._id.userId, name: pair._id.tag }))
+    };
+};
+
+// Static method to push the current state of tasks changed without saving them (updateMany)
+// to the owner's open event streams
+taskSchema.statics.publishUpdates = async function(userId, taskIds) {
+    if (taskIds.length === 0 || !hasTaskEventSubscribers(userId)) return;
+
+    const tasks = await this.find({ taskId: { $in: taskIds }, userId });
+    tasks.forEach(task => publishTaskEvent(userId, 'task.updated', { task }));
+};
+
+// Static method to move a task to the trash and handle its subtasks
+// mode 'cascade' moves every descendant to the trash with it, 'promote' moves direct
+// subtasks up to the deleted task's parent, 'reparent' moves direct subtasks under targetId.
+// Related records (time entries, comments, attachments, revisions) are kept until the
+// task is purged. Returns the taskIds that were deleted and moved.
+taskSchema.statics.deleteWithSubtasks = async function(task, { mode = 'cascade', targetId = null } = {}) {
+    const deletedAt = new Date();
+    let descendantIds = [];
+    let movedTaskIds = [];
+
+    if (mode === 'cascade') {
+        const result = await this.findWithDescendants(task.taskId, task.userId);
+        descendantIds = result ? result.descendants.map(d => d.taskId) : [];
+    } else {
+        const newParentId = mode === 'reparent' ? targetId : task.parentId;
+        const subtasks = await this.find({ parentId: task.taskId, userId: task.userId }, { taskId: 1 });
+        movedTaskIds = subtasks.map(subtask => subtask.taskId);
+
+        await this.updateMany(
+            { parentId: task.taskId, userId: task.userId },
+            { parentId: newParentId }
+        );
+    }
+
+    await this.updateOne({ taskId: task.taskId, userId: task.userId }, { deletedAt, deletedWith: null });
+    await this.updateMany(
+        { taskId: { $in: descendantIds }, userId: task.userId },
+        { deletedAt, deletedWith: task.taskId }
+    );
+
+    task.deletedAt = deletedAt;
+
+    const deletedTaskIds = [task.taskId, ...descendantIds];
+    publishTaskEvent(task.userId, 'task.deleted', { taskIds: deletedTaskIds });
+    await this.publishUpdates(task.userId, movedTaskIds);
+
+    return { deletedTaskIds, movedTaskIds };
+};
+
+// Static method to restore a task from the trash along with the subtasks deleted with it
+// A task whose parent or project no longer exists is restored at the top level or
+// without a project. Returns the restored taskIds.
+taskSchema.statics.restoreFromTrash = async function(task) {
+    const subtasks = await this.find(
+        { deletedWith: task.taskId, userId: task.userId, deletedAt: task.deletedAt },
+        { taskId: 1 }
+    );
+    const restoredTaskIds = [task.taskId, ...subtasks.map(subtask => subtask.taskId)];
+
+    const restore = { deletedAt: null, deletedWith: null };
+    if (task.parentId !== null && !await this.exists({ taskId: task.parentId, userId: task.userId })) {
+        restore.parentId = null;
+    }
+
+    await this.updateOne({ taskId: task.taskId, userId: task.userId, deletedAt: task.deletedAt }, restore);
+    await this.updateMany(
+        { taskId: { $in: restoredTaskIds.slice(1) }, userId: task.userId, deletedAt: task.deletedAt },
+        { deletedAt: null, deletedWith: null }
+    );
+
+    if (task.projectId !== null && !await Project.exists({ projectId: task.projectId, userId: task.userId })) {
+        await this.updateMany({ taskId: { $in: restoredTaskIds }, userId: task.userId }, { projectId: null });
+    }
+
+    await this.publishUpdates(task.userId, restoredTaskIds);
+
+    return restoredTaskIds;
+};
+
+// Static method to delete tasks for good together with their time entries, comments,
+// attachments and revisions
+taskSchema.statics.purgeTasks = async function(userId, taskIds) {
+    if (taskIds.length === 0) return;
+
+    await this.deleteMany({ taskId: { $in: taskIds }, userId });
+
+    await TimeEntry.deleteMany({ taskId: { $in: taskIds }, userId });
+
+    await Comment.deleteMany({ taskId: { $in: taskIds } });
+
+    await Attachment.deleteWithFiles({ taskId: { $in: taskIds }, userId });
+
+    await TaskRevision.deleteMany({ taskId: { $in: taskIds }, userId });
+
+    // Purged tasks no longer block anything, including tasks in the trash
+    await this.updateMany(
+        { userId, blockedBy: { $in: taskIds } },
+        { $pull: { blockedBy: { $in: taskIds } } }
+    ).setOptions({ withDeleted: true });
+};
+
+// Static method to purge a task in the trash along with the subtasks deleted with it
+// Returns the purged taskIds
+taskSchema.statics.purgeFromTrash = async function(task) {
+    const subtasks = await this.find(
+        { deletedWith: task.taskId, userId: task.userId, deletedAt: task.deletedAt },
+        { taskId: 1 }
+    );
+    const purgedTaskIds = [task.taskId, ...subtasks.map(subtask => subtask.taskId)];
+
+    await this.purgeTasks(task.userId, purgedTaskIds);
+
+    return purgedTaskIds;
+};
+
+// Static method to purge every task that was moved to the trash before a cutoff date
+// Returns the number of purged tasks
+taskSchema.statics.purgeExpiredTrash = async function(cutoff) {
+    const expired = await this.find({ deletedAt: { $ne: null, $lt: cutoff } }, { taskId: 1, userId: 1 });
+
+    const taskIdsByUser = new Map();
+    expired.forEach((task) => {
+        taskIdsByUser.set(task.userId, [...(taskIdsByUser.get(task.userId) || []), task.taskId]);
+    });
+
+    for (const [userId, taskIds] of taskIdsByUser) {
+        await this.purgeTasks(userId, taskIds);
+    }
+
+    return expired.length;
+};
+
+// Static method to archive a task together with all of its subtasks
+// Returns the archived taskIds
+taskSchema.statics.archiveWithSubtasks = async function(task, archivedAt = new Date()) {
+    const result = await this.findWithDescendants(task.taskId, task.userId);
+    const archivedTaskIds = [task.taskId, ...(result ? result.descendants.map(d => d.taskId) : [])];
+
+    await this.updateMany({ taskId: { $in: archivedTaskIds }, userId: task.userId }, { archivedAt });
+
+    task.archivedAt = archivedAt;
+    await this.publishUpdates(task.userId, archivedTaskIds);
+
+    return archivedTaskIds;
+};
+
+// Static method to take a task and its subtasks out of the archive
+// Returns the unarchived taskIds
+taskSchema.statics.unarchiveWithSubtasks = async function(task) {
+    const result = await this.findWithDescendants(task.taskId, task.userId);
+    const unarchivedTaskIds = [task.taskId, ...(result ? result.descendants.map(d => d.taskId) : [])];
+
+    await this.updateMany({ taskId: { $in: unarchivedTaskIds }, userId: task.userId }, { archivedAt: null });
+
+    task.archivedAt = null;
+    await this.publishUpdates(task.userId, unarchivedTaskIds);
+
+    return unarchivedTaskIds;
+};
+
+// Static method to archive the top-level tasks of a user that were completed before a cutoff date
+// Tasks completed before completedAt was recorded fall back to their last update.
+// Returns the archived taskIds
+taskSchema.statics.archiveCompletedTasks = async function(userId, cutoff, archivedAt = new Date()) {
+    const tasks = await this.find({
+        userId,
+        parentId: null,
+        isCompleted: true,
+        archivedAt: null,
+        $or: [
+            { completedAt: { $lte: cutoff } },
+            { completedAt: null, updatedAt: { $lte: cutoff } }
+        ]
+    }, { taskId: 1, userId: 1 });
+
+    let archivedTaskIds = [];
+    for (const task of tasks) {
+        archivedTaskIds = archivedTaskIds.concat(await this.archiveWithSubtasks(task, archivedAt));
+    }
+
+    return archivedTaskIds;
+};
+
+// Static method to release the tasks of a deleted project
+// mode 'unassign' moves them out of any project, 'move' moves them to targetId and
+// 'delete' moves them to the trash with all of their subtasks.
+// Returns the taskIds that were deleted and moved.
+taskSchema.statics.releaseProject = async function(userId, projectId, { mode = 'unassign', targetId = null } = {}) {
+    const tasks = await this.find({ userId, projectId }, { taskId: 1, userId: 1 });
+    const taskIds = tasks.map(task => task.taskId);
+
+    if (mode !== 'delete') {
+        await this.updateMany(
+            { userId, projectId },
+            { projectId: mode === 'move' ? targetId : null }
+        );
+        await this.publishUpdates(userId, taskIds);
+        return { deletedTaskIds: [], movedTaskIds: taskIds };
+    }
+
+    // Subtasks normally share their parent's project, but delete any stragglers outside it too
+    let deletedTaskIds = [];
+    for (const task of tasks) {
+        if (deletedTaskIds.includes(task.taskId)) continue;
+        const deleted = await this.deleteWithSubtasks(task, { mode: 'cascade' });
+        deletedTaskIds = deletedTaskIds.concat(deleted.deletedTaskIds);
+    }
+
+    return { deletedTaskIds, movedTaskIds: [] };
+};
+
 // Pre-save middleware to generate taskId and validate parentId
 taskSchema.pre('save', async function(next) {
     const task = this;
+    task.$locals.wasNew = task.isNew;
 
     // Generate taskId for new tasks
     if (task.isNew && !task.taskId) {
@@ -146,18 +918,19 @@ taskSchema.pre('save', async function(next) {
             if (parentTask.userId !== task.userId) {
                 return next(new Error('Parent task must belong to the same user'));
             }
+
+            // Subtasks always belong to their parent's project
+            task.projectId = parentTask.projectId;
             
-            // Prevent circular references (check if parent is already a child of this task)
-            if (parentTask.parentId === task.taskId) {
-                return next(new Error('Circular parent-child relationship not allowed'));
-            }
-            
-            // For existing tasks, prevent making a parent task a child of its descendant
+            // For existing tasks, prevent circular references by walking every ancestor of the new parent
             if (task.taskId) {
-                const descendants = await Task.find({ parentId: task.taskId, userId: task.userId });
-                const descendantIds = descendants.map(d => d.taskId);
-                if (descendantIds.includes(task.parentId)) {
-                    return next(new Error('Cannot make parent task a child of its descendant'));
+                if (task.parentId === task.taskId) {
+                    return next(new Error('Circular parent-child relationship not allowed: a task cannot be its own parent'));
+                }
+
+                const ancestorIds = await Task.getAncestorIds(task.parentId, task.userId);
+                if (ancestorIds.includes(task.taskId)) {
+                    return next(new Error(`Circular parent-child relationship not allowed: task ${task.parentId} is a descendant of task ${task.taskId}`));
                 }
             }
         } catch (error) {
@@ -165,15 +938,220 @@ taskSchema.pre('save', async function(next) {
         }
     }
 
-    // Handle repeat logic (existing functionality)
-    if (task.isCompleted && task.repeatType !== 'none') {
-        // This could be expanded to create recurring tasks
-        // For now, we'll just mark it as completed
+    // Validate projectId if it changed
+    if (task.isModified('projectId') && task.projectId !== null && task.projectId !== undefined) {
+        const project = await Project.findOne({ projectId: task.projectId, userId: task.userId });
+        if (!project) {
+            return next(new Error('Project not found'));
+        }
+    }
+
+    // Flag tasks that changed project so their subtasks are moved along after save
+    task.$locals.propagateProject = !task.isNew && task.isModified('projectId');
+
+    // The legacy category is also a tag, so clients that only set category can still filter by tag
+    if (task.isModified('category')) {
+        const categoryTag = normalizeTagName(task.category);
+        if (categoryTag && !task.tags.includes(categoryTag)) {
+            task.tags = [...task.tags, categoryTag];
+        }
+    }
+
+    // Keep the legacy repeatType field in sync with the recurrence rule
+    // Changing only repeatType switches the rule to that frequency and keeps when the series ends
+    const repeatTypeChanged = task.isModified('repeatType') && !task.isModified('recurrence');
+    if (repeatTypeChanged && task.repeatType === 'none') {
+        task.recurrence = null;
+    } else if (repeatTypeChanged && task.recurrence && task.recurrence.frequency !== task.repeatType) {
+        const { count, until, occurrence } = task.recurrence;
+        task.recurrence = { frequency: task.repeatType, count, until, occurrence };
+    }
+
+    if (task.recurrence && task.recurrence.frequency) {
+        task.repeatType = task.recurrence.frequency;
+
+        // Anchor monthly rules to the original day so short months don't shift the series
+        if (task.recurrence.frequency === 'monthly' &&
+            task.recurrence.monthlyMode === 'dayOfMonth' &&
+            !task.recurrence.monthDay &&
+            task.dueDate) {
+            task.recurrence.monthDay = new Date(task.dueDate).getUTCDate();
+        }
+    }
+
+    if (!task.isNew && task.isModified('dueDate')) {
+        task.overdueNotifiedAt = null;
     }
 
+    // Schedule reminders; a reminder that moved to a time still ahead fires again
+    if (task.isModified('reminders') || task.isModified('dueDate')) {
+        const now = new Date();
+        task.reminders.forEach((reminder) => {
+            if (task.isModified('dueDate') && reminder.offsetMinutes !== null) {
+                reminder.snoozedUntil = null;
+            }
+
+            const fireAt = getReminderFireAt(reminder, task.dueDate);
+            const rescheduled = !reminder.fireAt || !fireAt || fireAt.getTime() !== reminder.fireAt.getTime();
+            if (rescheduled && fireAt > now) {
+                reminder.firedAt = null;
+                reminder.dismissedAt = null;
+            }
+            reminder.fireAt = fireAt;
+        });
+    }
+
+    if (task.isModified('isCompleted')) {
+        task.completedAt = task.isCompleted ? new Date() : null;
+
+        // Reopening an archived task takes it and its subtasks out of the archive
+        if (!task.isCompleted && task.archivedAt) {
+            task.$locals.unarchiveSubtasks = true;
+            task.archivedAt = null;
+        }
+    }
+
+    // Flag repeating tasks that were just completed so the next occurrence is created after save
+    task.$locals.spawnNextOccurrence = !task.isNew &&
+        task.isModified('isCompleted') &&
+        task.isCompleted &&
+        task.repeatType !== 'none' &&
+        !task.nextOccurrenceId;
+
     next();
 });
 
+// Post-save middleware to push the saved task to the owner's open event streams
+taskSchema.post('save', function(task) {
+    publishTaskEvent(task.userId, task.$locals.wasNew ? 'task.created' : 'task.updated', { task });
+});
+
+// Post-update middleware to push tasks changed with findOneAndUpdate (e.g. dependencies)
+// Only queries returning the updated task ({ new: true }) have its current state
+taskSchema.post('findOneAndUpdate', function(task) {
+    const options = this.getOptions();
+    if (task && (options.new || options.returnDocument === 'after')) {
+        publishTaskEvent(task.userId, 'task.updated', { task });
+    }
+});
+
+// Post-save middleware to move the subtasks of a task that changed project
+taskSchema.post('save', async function(task) {
+    if (!task.$locals.propagateProject) return;
+    task.$locals.propagateProject = false;
+
+    const Task = mongoose.model('Task');
+    const result = await Task.findWithDescendants(task.taskId, task.userId);
+    const descendantIds = result ? result.descendants.map(descendant => descendant.taskId) : [];
+    if (descendantIds.length > 0) {
+        await Task.updateMany(
+            { taskId: { $in: descendantIds }, userId: task.userId },
+            { projectId: task.projectId }
+        );
+        await Task.publishUpdates(task.userId, descendantIds);
+    }
+});
+
+// Post-save middleware to unarchive the subtasks of a reopened archived task
+taskSchema.post('save', async function(task) {
+    if (!task.$locals.unarchiveSubtasks) return;
+    task.$locals.unarchiveSubtasks = false;
+
+    await mongoose.model('Task').unarchiveWithSubtasks(task);
+});
+
+// Post-save middleware to create the next occurrence of a completed repeating task
+taskSchema.post('save', async function(task) {
+    if (!task.$locals.spawnNextOccurrence) return;
+    task.$locals.spawnNextOccurrence = false;
+
+    await task.createNextOccurrence();
+});
+
+// Method to create the next occurrence of a repeating task
+taskSchema.methods.createNextOccurrence = async function() {
+    const task = this;
+    const rule = getRecurrenceRule(task);
+    const nextDueDate = getNextOccurrenceDate(task.dueDate, rule);
+    if (!nextDueDate) return null;
+
+    const occurrence = (rule.occurrence || 1) + 1;
+    if (hasRecurrenceEnded(rule, nextDueDate, occurrence)) return null;
+
+    const Task = mongoose.model('Task');
+    const nextTask = new Task({
+        userId: task.userId,
+        parentId: task.parentId,
+        projectId: task.projectId,
+        title: task.title,
+        description: task.description,
+        additionalDetails: task.additionalDetails,
+        links: task.links,
+        priority: task.priority,
+        category: task.category,
+        tags: task.tags,
+        estimatedMinutes: task.estimatedMinutes,
+        dueDate: nextDueDate,
+        repeatType: task.repeatType,
+        recurrence: task.recurrence ? { ...rule, occurrence } : null,
+        repeatSubtasks: task.repeatSubtasks,
+        reminders: copyOffsetReminders(task.reminders)
+    });
+    await nextTask.save();
+
+    if (task.repeatSubtasks) {
+        const shift = nextDueDate.getTime() - new Date(task.dueDate).getTime();
+        await cloneSubtasks(task, nextTask.taskId, shift);
+    }
+
+    // Link the occurrences without re-running the save hooks on the completed task
+    task.nextOccurrenceId = nextTask.taskId;
+    await Task.updateOne({ _id: task._id }, { nextOccurrenceId: nextTask.taskId });
+
+    await notify(task.userId, 'recurring', {
+        title: `Next occurrence created: ${nextTask.title}`,
+        message: `Due ${formatLocalDate(nextDueDate)}`,
+        taskId: nextTask.taskId,
+        data: { previousTaskId: task.taskId }
+    });
+
+    return nextTask;
+};
+
+/**
+ * Recursively copy the subtasks of a task under a new parent, shifting due dates
+ * @param {Task} sourceTask - Task whose subtasks are copied
+ * @param {number} newParentId - taskId of the new parent
+ * @param {number} shift - Milliseconds to add to each subtask's due date
+ */
+async function cloneSubtasks(sourceTask, newParentId, shift) {
+    const Task = mongoose.model('Task');
+    const subtasks = await sourceTask.getSubtasks();
+
+    for (const subtask of subtasks) {
+        const clone = new Task({
+            userId: subtask.userId,
+            parentId: newParentId,
+            projectId: subtask.projectId,
+            title: subtask.title,
+            description: subtask.description,
+            additionalDetails: subtask.additionalDetails,
+            links: subtask.links,
+            priority: subtask.priority,
+            category: subtask.category,
+            tags: subtask.tags,
+            estimatedMinutes: subtask.estimatedMinutes,
+            dueDate: new Date(new Date(subtask.dueDate).getTime() + shift),
+            repeatType: subtask.repeatType,
+            recurrence: subtask.recurrence ? subtask.recurrence.toObject() : null,
+            repeatSubtasks: subtask.repeatSubtasks,
+            reminders: copyOffsetReminders(subtask.reminders)
+        });
+        await clone.save();
+        await cloneSubtasks(subtask, clone.taskId, shift);
+    }
+}
+
 const Task = mongoose.model('Task', taskSchema);
 
 module.exports = Task;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+const taskRevisionSchema = new mongoose.Schema({
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    taskId: {
+        type: Number,
+        required: true,
+        ref: 'Task'
+    },
+    // Numbered per task, starting at 1; revision 0 is the task before its first recorded change
+    revision: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    // Set when the revision was created by reverting to an earlier revision
+    revertedTo: {
+        type: Number,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+taskRevisionSchema.index({ taskId: 1, revision: -1 }, { unique: true });
+taskRevisionSchema.index({ userId: 1 });
+
+// Static method to get the latest revision number of a task (0 if it was never changed)
+taskRevisionSchema.statics.getCurrentRevision = async function(taskId) {
+    const latest = await this.findOne({ taskId }, { revision: 1 }).sort({ revision: -1 });
+    return latest ? latest.revision : 0;
+};
+
+// Attempts at numbering a revision; concurrent updates of a task can race for the same number
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Static method to append a revision to the log of a task
+// The task is already saved when this runs, so failures are logged and never reach the
+// caller. Returns null when nothing changed or the revision could not be saved.
+taskRevisionSchema.statics.record = async function(task, changes, { revertedTo = null } = {}) {
+    if (changes.length === 0) return null;
+
+    for (let attempt = 1; attempt <= MAX_RECORD_ATTEMPTS; attempt++) {
+        try {
+            return await this.create({
+                userId: task.userId,
+                taskId: task.taskId,
+                revision: await this.getCurrentRevision(task.taskId) + 1,
+                changes,
+                revertedTo
+            });
+        } catch (error) {
+            // Another update took this revision number first; number this one after it
+            if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) continue;
+
+            console.error('TaskRevision: Failed to record revision:', { taskId: task.taskId, error: error.message });
+            return null;
+        }
+    }
+};
+
+const TaskRevision = mongoose.model('TaskRevision', taskRevisionSchema);
+
+module.exports = TaskRevision;
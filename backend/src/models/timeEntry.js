@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { getNextSequence } = require('../utils/counterUtils');
+const { MAX_NOTE_LENGTH, getEntryDuration } = require('../utils/timeTrackingUtils');
+
+const timeEntrySchema = new mongoose.Schema({
+    entryId: {
+        type: Number,
+        unique: true
+    },
+    userId: {
+        type: Number,
+        required: true,
+        ref: 'User'
+    },
+    taskId: {
+        type: Number,
+        required: true,
+        ref: 'Task'
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    // null while the timer is running
+    endedAt: {
+        type: Date,
+        default: null,
+        validate: {
+            validator: function(value) {
+                return value === null || value > this.startedAt;
+            },
+            message: 'endedAt must be after startedAt'
+        }
+    },
+    // Maintained by the pre-save hook; backs the one-running-timer-per-user index
+    isRunning: {
+        type: Boolean,
+        default: false
+    },
+    note: {
+        type: String,
+        trim: true,
+        default: '',
+        maxlength: MAX_NOTE_LENGTH
+    }
+}, {
+    timestamps: true
+});
+
+timeEntrySchema.index({ userId: 1, startedAt: -1 });
+timeEntrySchema.index({ userId: 1, taskId: 1 });
+// Only one running timer per user
+timeEntrySchema.index({ userId: 1, isRunning: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Include the duration in API responses
+timeEntrySchema.set('toJSON', {
+    transform: (doc, ret) => {
+        ret.durationSeconds = getEntryDuration(ret);
+        return ret;
+    }
+});
+
+// Static method to sum the tracked time of tasks
+// Returns a Map of taskId -> seconds (running timers count up to now)
+timeEntrySchema.statics.getTrackedSeconds = async function(userId, taskIds) {
+    const totals = new Map();
+    if (taskIds.length === 0) return totals;
+
+    const results = await this.aggregate([
+        { $match: { userId, taskId: { $in: taskIds } } },
+        {
+            $group: {
+                _id: '$taskId',
+                milliseconds: {
+                    $sum: { $subtract: [{ $ifNull: ['$endedAt', '$$NOW'] }, '$startedAt'] }
+                }
+            }
+        }
+    ]);
+
+    results.forEach((result) => {
+        totals.set(result._id, Math.max(0, Math.floor(result.milliseconds / 1000)));
+    });
+
+    return totals;
+};
+
+// Pre-save middleware to generate entryId and track whether the timer is running
+timeEntrySchema.pre('save', async function(next) {
+    const entry = this;
+
+    if (entry.isNew && !entry.entryId) {
+        try {
+            entry.entryId = await getNextSequence('timeEntryId');
+        } catch (error) {
+            return next(new Error(`Failed to generate entryId: ${error.message}`));
+        }
+    }
+
+    entry.isRunning = !entry.endedAt;
+
+    next();
+});
+
+const TimeEntry = mongoose.model('TimeEntry', timeEntrySchema);
+
+module.exports = TimeEntry;
@@ -3,7 +3,18 @@ const validater = require('validator')
 const bcrypt = require('bcryptjs')
 const jwt = require('jsonwebtoken')
 const Task = require('../models/task')
+const Project = require('../models/project')
+const Tag = require('../models/tag')
+const TimeEntry = require('../models/timeEntry')
+const Comment = require('../models/comment')
+const Attachment = require('../models/attachment')
+const TaskRevision = require('../models/taskRevision')
+const UserActivity = require('../models/userActivity')
+const DigestLog = require('../models/digestLog')
+const Notification = require('../models/notification')
 const { getNextSequence } = require('../utils/counterUtils')
+const { DEFAULT_ARCHIVE_AFTER_DAYS, MAX_ARCHIVE_AFTER_DAYS } = require('../utils/archiveUtils')
+const { isValidTimezone } = require('../utils/timezoneUtils')
 
 const userSchema = new mongoose.Schema({
     userId: {
@@ -62,6 +73,51 @@ const userSchema = new mongoose.Schema({
             }
         }
     },
+    // IANA timezone of notificationTime and of the calendar days in digests
+    timezone: {
+        type: String,
+        default: "UTC",
+        validate(value) {
+            if (!isValidTimezone(value)) {
+                throw new Error("Invalid timezone");
+            }
+        }
+    },
+    completionPolicy: {
+        autoCompleteParent: {
+            type: Boolean,
+            default: false
+        },
+        blockIncompleteParent: {
+            type: Boolean,
+            default: false
+        },
+        reopenParentOnNewSubtask: {
+            type: Boolean,
+            default: false
+        },
+        blockOnOpenDependencies: {
+            type: Boolean,
+            default: false
+        }
+    },
+    archivePolicy: {
+        autoArchive: {
+            type: Boolean,
+            default: false
+        },
+        archiveAfterDays: {
+            type: Number,
+            default: DEFAULT_ARCHIVE_AFTER_DAYS,
+            min: 1,
+            max: MAX_ARCHIVE_AFTER_DAYS,
+            validate(value) {
+                if(!Number.isInteger(value)) {
+                    throw new Error("archiveAfterDays must be a whole number of days")
+                }
+            }
+        }
+    },
     tokens: [{
         token : {
             type : String,
@@ -146,10 +202,19 @@ userSchema.pre('save', async function(next) {
     next()
 })
 
-//User Deletion -> All corresponding task deletion
+//User Deletion -> All corresponding task, project, tag, time entry, comment, attachment, revision and notification deletion
 userSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
     const user = this
     await Task.deleteMany({userId: user.userId})
+    await Project.deleteMany({userId: user.userId})
+    await Tag.deleteMany({userId: user.userId})
+    await TimeEntry.deleteMany({userId: user.userId})
+    await Comment.deleteMany({userId: user.userId})
+    await Attachment.deleteWithFiles({userId: user.userId})
+    await TaskRevision.deleteMany({userId: user.userId})
+    await UserActivity.deleteMany({userId: user.userId})
+    await DigestLog.deleteMany({userId: user.userId})
+    await Notification.deleteMany({userId: user.userId})
     next()
 })
 
@@ -158,6 +223,15 @@ userSchema.pre('findOneAndDelete', async function (next) {
     const user = await this.model.findOne(this.getQuery())
     if (user) {
         await Task.deleteMany({userId: user.userId})
+        await Project.deleteMany({userId: user.userId})
+        await Tag.deleteMany({userId: user.userId})
+        await TimeEntry.deleteMany({userId: user.userId})
+        await Comment.deleteMany({userId: user.userId})
+        await Attachment.deleteWithFiles({userId: user.userId})
+        await TaskRevision.deleteMany({userId: user.userId})
+        await UserActivity.deleteMany({userId: user.userId})
+        await DigestLog.deleteMany({userId: user.userId})
+        await Notification.deleteMany({userId: user.userId})
     }
     next()
 })
@@ -26,6 +26,11 @@ const userActivitySchema = new mongoose.Schema({
         required: false,
         trim: true
     },
+    // Structured details, e.g. { changes: [{ field, from, to }] } for updates
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        required: false
+    },
     timestamp: {
         type: Date,
         default: Date.now
@@ -39,6 +44,7 @@ userActivitySchema.index({ userId: 1, timestamp: -1 });
 userActivitySchema.index({ userId: 1, action: 1 });
 userActivitySchema.index({ userId: 1, action: 1, timestamp: -1 });
 userActivitySchema.index({ taskId: 1 });
+userActivitySchema.index({ userId: 1, taskId: 1, timestamp: -1 });
 
 // Static methods for common queries
 userActivitySchema.statics.findByUserId = async function(userId, limit = 50) {
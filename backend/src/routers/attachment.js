@@ -0,0 +1,219 @@
+const express = require('express');
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const Attachment = require('../models/attachment');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { getStorage } = require('../storage');
+const {
+    getAttachmentLimits,
+    isAllowedFileType,
+    supportsThumbnail,
+    sanitizeFilename,
+    buildContentDisposition,
+    fitsInQuota
+} = require('../utils/attachmentUtils');
+
+const router = new express.Router();
+
+const THUMBNAIL_SIZE = 320;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: getAttachmentLimits().maxFileBytes,
+        files: 1
+    },
+    fileFilter(req, file, cb) {
+        if (!isAllowedFileType(file.mimetype, file.originalname)) {
+            return cb(new Error('This file type is not allowed'));
+        }
+        cb(undefined, true);
+    }
+});
+
+// Find a task of the authenticated user by its numeric taskId
+const findTask = async (req) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) return null;
+
+    return Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+};
+
+// Find an attachment of the authenticated user by its numeric attachmentId
+const findAttachment = async (req) => {
+    const attachmentId = parseInt(req.params.id);
+    if (isNaN(attachmentId)) return null;
+
+    return Attachment.findOne({ attachmentId, userId: req.user.userId || req.user._id });
+};
+
+// Stream a stored file with the given headers
+const sendStoredFile = async (res, storageName, key, headers) => {
+    const stream = await getStorage(storageName).createReadStream(key);
+    res.set({ ...headers, 'X-Content-Type-Options': 'nosniff', 'Cache-Control': 'private, max-age=3600' });
+    stream.on('error', () => res.destroy());
+    stream.pipe(res);
+};
+
+// Get the storage usage and quota of the authenticated user
+router.get("/users/me/storage", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const { maxFileBytes, quotaBytes } = getAttachmentLimits();
+
+        res.send({ usedBytes: await Attachment.getStorageUsed(userId), quotaBytes, maxFileBytes });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Attach a file to a task
+// POST: /tasks/:id/attachments (multipart/form-data with a "file" field)
+// Images also get a thumbnail; the file and thumbnail both count towards the user's quota
+router.post("/tasks/:id/attachments", auth, upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).send({ error: 'Please upload a file' });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        let thumbnail = null;
+        if (supportsThumbnail(req.file.mimetype)) {
+            try {
+                thumbnail = await sharp(req.file.buffer)
+                    .rotate()
+                    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+                    .webp()
+                    .toBuffer();
+            } catch (e) {
+                return res.status(400).send({ error: 'The image could not be read' });
+            }
+        }
+
+        const { quotaBytes } = getAttachmentLimits();
+        const uploadBytes = req.file.size + (thumbnail ? thumbnail.length : 0);
+        const usedBytes = await Attachment.getStorageUsed(userId);
+        if (!fitsInQuota(usedBytes, uploadBytes, quotaBytes)) {
+            return res.status(413).send({ error: 'Storage quota exceeded', usedBytes, quotaBytes });
+        }
+
+        const storage = getStorage();
+        const key = `${userId}/${crypto.randomUUID()}`;
+        await storage.save(key, req.file.buffer, { contentType: req.file.mimetype });
+        if (thumbnail) {
+            await storage.save(`${key}-thumbnail`, thumbnail, { contentType: 'image/webp' });
+        }
+
+        const attachment = new Attachment({
+            userId,
+            taskId: task.taskId,
+            filename: sanitizeFilename(req.file.originalname),
+            contentType: req.file.mimetype,
+            size: req.file.size,
+            storage: storage.name,
+            storageKey: key,
+            thumbnailKey: thumbnail ? `${key}-thumbnail` : null,
+            thumbnailSize: thumbnail ? thumbnail.length : 0
+        });
+
+        try {
+            await attachment.save();
+        } catch (e) {
+            await Promise.all([key, attachment.thumbnailKey].filter(Boolean).map(storedKey => storage.remove(storedKey)));
+            throw e;
+        }
+
+        res.status(201).send(attachment);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+}, (error, req, res, next) => {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).send({ error: `Files can be at most ${getAttachmentLimits().maxFileBytes} bytes` });
+    }
+    res.status(400).send({ error: error.message });
+});
+
+// Get the attachments of a task (newest first)
+router.get("/tasks/:id/attachments", auth, async (req, res) => {
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const attachments = await Attachment.find({ userId: task.userId, taskId: task.taskId }).sort({ createdAt: -1 });
+        res.send(attachments);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Download an attachment
+// GET: /attachments/:id/download?inline=true shows images and PDFs in the browser instead
+router.get("/attachments/:id/download", auth, async (req, res) => {
+    try {
+        const attachment = await findAttachment(req);
+
+        if (!attachment) {
+            return res.status(404).send({ error: 'Attachment not found' });
+        }
+
+        const inline = req.query.inline === 'true' &&
+            (supportsThumbnail(attachment.contentType) || attachment.contentType === 'application/pdf');
+
+        await sendStoredFile(res, attachment.storage, attachment.storageKey, {
+            'Content-Type': attachment.contentType,
+            'Content-Length': attachment.size,
+            'Content-Disposition': buildContentDisposition(attachment.filename, inline ? 'inline' : 'attachment')
+        });
+    } catch (e) {
+        res.status(404).send({ error: 'Attachment file not found' });
+    }
+});
+
+// Get the thumbnail of an image attachment
+router.get("/attachments/:id/thumbnail", auth, async (req, res) => {
+    try {
+        const attachment = await findAttachment(req);
+
+        if (!attachment || !attachment.thumbnailKey) {
+            return res.status(404).send({ error: 'Thumbnail not found' });
+        }
+
+        await sendStoredFile(res, attachment.storage, attachment.thumbnailKey, {
+            'Content-Type': 'image/webp',
+            'Content-Length': attachment.thumbnailSize
+        });
+    } catch (e) {
+        res.status(404).send({ error: 'Thumbnail not found' });
+    }
+});
+
+// Delete an attachment and its stored files
+router.delete("/attachments/:id", auth, async (req, res) => {
+    try {
+        const attachment = await findAttachment(req);
+
+        if (!attachment) {
+            return res.status(404).send({ error: 'Attachment not found' });
+        }
+
+        await Attachment.deleteWithFiles({ _id: attachment._id });
+
+        res.send(attachment);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Comment = require('../models/comment');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { buildPaginationOptions } = require('../utils/taskQueryUtils');
+const {
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+    getPageSize,
+    buildPageLinks
+} = require('../utils/paginationUtils');
+const { parseCommentBody, appendCommentEdit } = require('../utils/commentUtils');
+
+const router = new express.Router();
+
+// Newest first; _id breaks ties between comments created in the same millisecond
+const COMMENT_SORT = { createdAt: -1, _id: -1 };
+
+const AUTHOR_FIELDS = 'userId name';
+
+// Find a task of the authenticated user by its numeric taskId
+const findTask = async (req) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) return null;
+
+    return Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+};
+
+// Find a comment on a task by its numeric commentId
+const findComment = async (task, req) => {
+    const commentId = parseInt(req.params.commentId);
+    if (isNaN(commentId)) return null;
+
+    return Comment.findOne({ commentId, taskId: task.taskId });
+};
+
+// Get the comments of a task, newest first
+// GET: /tasks/:id/comments?limit=20&cursor=... -> { comments, total, nextCursor, hasMore }
+router.get("/tasks/:id/comments", auth, async (req, res) => {
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const match = { taskId: task.taskId };
+        let filter = match;
+        if (req.query.cursor) {
+            let after;
+            try {
+                after = decodeCursor(req.query.cursor, COMMENT_SORT);
+                after[1] = new mongoose.Types.ObjectId(after[1]);
+            } catch (e) {
+                return res.status(400).send({ error: 'Invalid cursor' });
+            }
+            filter = { ...match, ...buildKeysetCondition(COMMENT_SORT, after) };
+        }
+
+        // Fetch one extra comment to know whether another page exists
+        const pageSize = getPageSize(buildPaginationOptions(req.query).limit);
+        const [comments, total] = await Promise.all([
+            Comment.find(filter).sort(COMMENT_SORT).limit(pageSize + 1).populate('author', AUTHOR_FIELDS),
+            Comment.countDocuments(match)
+        ]);
+
+        const hasMore = comments.length > pageSize;
+        const page = comments.slice(0, pageSize);
+        const nextCursor = hasMore ? encodeCursor(page[page.length - 1], COMMENT_SORT) : null;
+
+        res.links(buildPageLinks(`${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`, req.query, nextCursor));
+        res.send({ comments: page, total, nextCursor, hasMore });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Comment on a task
+// POST: /tasks/:id/comments { body } (markdown)
+router.post("/tasks/:id/comments", auth, async (req, res) => {
+    let body;
+    try {
+        body = parseCommentBody(req.body);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const comment = new Comment({
+            taskId: task.taskId,
+            userId: req.user.userId || req.user._id,
+            body
+        });
+        await comment.save();
+        await comment.populate('author', AUTHOR_FIELDS);
+
+        res.status(201).send(comment);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Edit a comment; the previous body is kept in its edit history
+// PATCH: /tasks/:id/comments/:commentId { body }
+router.patch("/tasks/:id/comments/:commentId", auth, async (req, res) => {
+    let body;
+    try {
+        body = parseCommentBody(req.body);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const comment = await findComment(task, req);
+
+        if (!comment) {
+            return res.status(404).send({ error: 'Comment not found' });
+        }
+
+        if (comment.userId !== (req.user.userId || req.user._id)) {
+            return res.status(403).send({ error: 'Only the author can edit a comment' });
+        }
+
+        if (comment.body !== body) {
+            const editedAt = new Date();
+            comment.edits = appendCommentEdit(comment.edits.map(edit => edit.toObject()), comment.body, editedAt);
+            comment.body = body;
+            comment.editedAt = editedAt;
+            await comment.save();
+        }
+        await comment.populate('author', AUTHOR_FIELDS);
+
+        res.send(comment);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Delete a comment
+router.delete("/tasks/:id/comments/:commentId", auth, async (req, res) => {
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const comment = await findComment(task, req);
+
+        if (!comment) {
+            return res.status(404).send({ error: 'Comment not found' });
+        }
+
+        if (comment.userId !== (req.user.userId || req.user._id)) {
+            return res.status(403).send({ error: 'Only the author can delete a comment' });
+        }
+
+        await Comment.deleteOne({ _id: comment._id });
+
+        res.send(comment);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
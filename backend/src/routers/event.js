@@ -0,0 +1,54 @@
+const express = require('express');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+const { TASK_EVENT_TYPES, subscribeToTaskEvents, formatServerSentEvent } = require('../utils/taskEvents');
+
+const router = new express.Router();
+
+// How often a comment is sent to keep proxies from closing an idle stream; the session
+// is checked at the same time so streams end soon after a logout
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Reconnection delay suggested to clients that don't manage reconnects themselves
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+// Stream the task changes of the authenticated user as Server-Sent Events
+// GET: /events -> text/event-stream with events task.created { task }, task.updated { task }
+// and task.deleted { taskIds }
+// task.updated is also sent for tasks that come back into view (restored from the trash, unarchived)
+// Events missed while disconnected are not replayed; clients reload their data after reconnecting.
+router.get("/events", auth, (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        // Stop nginx-style proxies from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n`);
+    res.write(formatServerSentEvent('ready', { events: TASK_EVENT_TYPES }));
+
+    const unsubscribe = subscribeToTaskEvents(req.user.userId || req.user._id, ({ type, data }) => {
+        res.write(formatServerSentEvent(type, data));
+    });
+
+    const heartbeat = setInterval(async () => {
+        try {
+            if (!await User.exists({ _id: req.user._id, 'tokens.token': req.token })) {
+                return res.end();
+            }
+            res.write(': heartbeat\n\n');
+        } catch (e) {
+            console.error('Event stream session check failed:', e.message);
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    // Fires when the client disconnects and when the stream is ended after a logout
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,114 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/notification');
+const auth = require('../middleware/auth');
+const { buildPaginationOptions } = require('../utils/taskQueryUtils');
+const {
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+    getPageSize,
+    buildPageLinks
+} = require('../utils/paginationUtils');
+const { buildNotificationFilters } = require('../utils/notificationUtils');
+
+const router = new express.Router();
+
+// Newest first; _id breaks ties between notifications created in the same millisecond
+const NOTIFICATION_SORT = { createdAt: -1, _id: -1 };
+
+const countUnread = userId => Notification.countDocuments({ userId, readAt: null });
+
+// Get the notifications of the authenticated user, newest first
+// GET: /notifications?unread=true&type=reminder,overdue&limit=20
+//   -> { notifications, total, unreadCount, nextCursor, hasMore }, next page: /notifications?...&cursor=<nextCursor>
+router.get("/notifications", auth, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    let match;
+    let after = null;
+    try {
+        match = buildNotificationFilters(req.query, userId);
+        if (req.query.cursor) {
+            try {
+                after = decodeCursor(req.query.cursor, NOTIFICATION_SORT);
+                after[1] = new mongoose.Types.ObjectId(after[1]);
+            } catch (e) {
+                throw new Error('Invalid cursor');
+            }
+        }
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const filter = after ? { ...match, ...buildKeysetCondition(NOTIFICATION_SORT, after) } : match;
+
+        // Fetch one extra notification to know whether another page exists
+        const pageSize = getPageSize(buildPaginationOptions(req.query).limit);
+        const [notifications, total, unreadCount] = await Promise.all([
+            Notification.find(filter).sort(NOTIFICATION_SORT).limit(pageSize + 1),
+            Notification.countDocuments(match),
+            countUnread(userId)
+        ]);
+
+        const hasMore = notifications.length > pageSize;
+        const page = notifications.slice(0, pageSize);
+        const nextCursor = hasMore ? encodeCursor(page[page.length - 1], NOTIFICATION_SORT) : null;
+
+        res.links(buildPageLinks(`${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`, req.query, nextCursor));
+        res.send({ notifications: page, total, unreadCount, nextCursor, hasMore });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get the number of unread notifications (for badges)
+// GET: /notifications/unread-count -> { unreadCount }
+router.get("/notifications/unread-count", auth, async (req, res) => {
+    try {
+        res.send({ unreadCount: await countUnread(req.user.userId || req.user._id) });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Mark all notifications of the authenticated user as read
+// POST: /notifications/read-all -> { updated, unreadCount }
+router.post("/notifications/read-all", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const result = await Notification.updateMany({ userId, readAt: null }, { readAt: new Date() });
+
+        res.send({ updated: result.modifiedCount, unreadCount: await countUnread(userId) });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Mark a notification as read; reading it again keeps the original readAt
+// POST: /notifications/:id/read -> { notification, unreadCount }
+router.post("/notifications/:id/read", auth, async (req, res) => {
+    const notificationId = parseInt(req.params.id);
+    if (isNaN(notificationId)) {
+        return res.status(400).send({ error: 'Invalid notificationId parameter' });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const notification = await Notification.findOne({ notificationId, userId });
+        if (!notification) {
+            return res.status(404).send({ error: 'Notification not found' });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.send({ notification, unreadCount: await countUnread(userId) });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,160 @@
+const express = require('express');
+const Project = require('../models/project');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { parseBooleanParam } = require('../utils/taskQueryUtils');
+const { parseProjectDeletionMode } = require('../utils/projectUtils');
+
+const router = new express.Router();
+
+// Find a project of the authenticated user by its numeric projectId
+const findProject = async (req) => {
+    const projectId = parseInt(req.params.id);
+    if (isNaN(projectId)) return null;
+
+    return Project.findOne({ projectId, userId: req.user.userId || req.user._id });
+};
+
+// List the projects of the authenticated user in sort order, with their open task counts
+// GET: /projects (active projects) | /projects?archived=true | /projects?archived=all
+router.get("/projects", auth, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    const match = { userId };
+
+    if (req.query.archived !== undefined && req.query.archived !== 'all') {
+        try {
+            match.archived = parseBooleanParam(req.query.archived, 'archived');
+        } catch (e) {
+            return res.status(400).send({ error: e.message });
+        }
+    } else if (req.query.archived === undefined) {
+        match.archived = false;
+    }
+
+    try {
+        const [projects, counts] = await Promise.all([
+            Project.find(match).sort({ sortOrder: 1, projectId: 1 }),
+            Task.aggregate([
+                { $match: { userId, projectId: { $ne: null }, parentId: null, isCompleted: false } },
+                { $group: { _id: '$projectId', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const openTaskCounts = new Map(counts.map(count => [count._id, count.count]));
+
+        res.send(projects.map(project => ({
+            ...project.toJSON(),
+            openTaskCount: openTaskCounts.get(project.projectId) || 0
+        })));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Create a project
+router.post("/projects", auth, async (req, res) => {
+    const project = new Project({
+        name: req.body.name,
+        color: req.body.color,
+        icon: req.body.icon,
+        sortOrder: req.body.sortOrder,
+        userId: req.user.userId || req.user._id
+    });
+
+    try {
+        await project.save();
+        res.status(201).send(project);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Get a specific project by projectId
+router.get("/projects/:id", auth, async (req, res) => {
+    try {
+        const project = await findProject(req);
+
+        if (!project) {
+            return res.status(404).send({ error: 'Project not found' });
+        }
+
+        res.send(project);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Update a project (rename, recolor, archive, reorder)
+router.patch("/projects/:id", auth, async (req, res) => {
+    const allowedUpdates = ['name', 'color', 'icon', 'archived', 'sortOrder'];
+    const updates = Object.keys(req.body);
+    const isValidOperation = updates.every((update) => {
+        return allowedUpdates.includes(update);
+    });
+
+    if (!isValidOperation) {
+        return res.status(400).send({ error: 'Invalid Update Operation' });
+    }
+
+    try {
+        const project = await findProject(req);
+
+        if (!project) {
+            return res.status(404).send({ error: 'Project not found' });
+        }
+
+        updates.forEach((update) => {
+            project[update] = req.body[update];
+        });
+        await project.save();
+
+        res.send(project);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Delete a project and handle its tasks
+// DELETE: /projects/:id?tasks=unassign (default, tasks are kept without a project)
+//   | delete (tasks and their subtasks are deleted) | move:<projectId>
+router.delete("/projects/:id", auth, async (req, res) => {
+    let deletionMode;
+    try {
+        deletionMode = parseProjectDeletionMode(req.query.tasks);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const project = await findProject(req);
+
+        if (!project) {
+            return res.status(404).send({ error: 'Project not found' });
+        }
+
+        if (deletionMode.mode === 'move') {
+            if (deletionMode.targetId === project.projectId) {
+                return res.status(400).send({ error: 'Cannot move tasks to the deleted project' });
+            }
+
+            if (!await Project.exists({ projectId: deletionMode.targetId, userId })) {
+                return res.status(400).send({ error: 'Target project not found' });
+            }
+        }
+
+        const { deletedTaskIds, movedTaskIds } = await Task.releaseProject(userId, project.projectId, deletionMode);
+        await Project.deleteOne({ _id: project._id });
+
+        res.send({
+            project,
+            tasks: deletionMode.mode,
+            deletedTaskIds,
+            movedTaskIds
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { parseSnoozeMinutes } = require('../utils/reminderUtils');
+
+const router = new express.Router();
+
+// Find a task of the authenticated user by its numeric taskId
+const findTask = async (req) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) return null;
+
+    return Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+};
+
+// Find a reminder of a task by its _id
+const findReminder = (task, req) => {
+    if (!mongoose.isValidObjectId(req.params.reminderId)) return null;
+
+    return task.reminders.id(req.params.reminderId);
+};
+
+// Fire a reminder again after a while; works for reminders that already fired or were dismissed
+// POST: /tasks/:id/reminders/:reminderId/snooze { minutes: 60 } -> { reminder } (minutes defaults to 15)
+router.post("/tasks/:id/reminders/:reminderId/snooze", auth, async (req, res) => {
+    let minutes;
+    try {
+        minutes = parseSnoozeMinutes(req.body);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const task = await findTask(req);
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const reminder = findReminder(task, req);
+        if (!reminder) {
+            return res.status(404).send({ error: 'Reminder not found' });
+        }
+
+        if (task.isCompleted) {
+            return res.status(400).send({ error: 'Reminders of completed tasks cannot be snoozed' });
+        }
+
+        reminder.snoozedUntil = new Date(Date.now() + minutes * 60 * 1000);
+        reminder.firedAt = null;
+        reminder.dismissedAt = null;
+        await task.save();
+
+        res.send({ reminder });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Stop a reminder from firing (or firing again after a snooze); the reminder stays on the task
+// POST: /tasks/:id/reminders/:reminderId/dismiss -> { reminder }
+router.post("/tasks/:id/reminders/:reminderId/dismiss", auth, async (req, res) => {
+    try {
+        const task = await findTask(req);
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const reminder = findReminder(task, req);
+        if (!reminder) {
+            return res.status(404).send({ error: 'Reminder not found' });
+        }
+
+        if (!reminder.dismissedAt) {
+            reminder.dismissedAt = new Date();
+            await task.save();
+        }
+
+        res.send({ reminder });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
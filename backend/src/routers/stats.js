@@ -0,0 +1,47 @@
+const express = require('express');
+const Task = require('../models/task');
+const UserActivity = require('../models/userActivity');
+const auth = require('../middleware/auth');
+const {
+    parseStatsRange,
+    buildCompletionPipeline,
+    buildOpenTasksPipeline,
+    buildCompletionDaysPipeline,
+    buildActivityDaysPipeline,
+    buildOverduePipeline,
+    buildStats
+} = require('../utils/statsUtils');
+
+const router = new express.Router();
+
+// Get the productivity statistics of the authenticated user
+// GET: /users/me/stats?from=2025-01-01&to=2025-02-01&timezone=Europe/Berlin (defaults to the last 30 days)
+// Days, weeks and months are calendar periods in the given timezone (defaults to the user's timezone);
+// streaks cover the whole history
+router.get("/users/me/stats", auth, async (req, res) => {
+    let range;
+    try {
+        range = parseStatsRange({ timezone: req.user.timezone, ...req.query });
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const [[completion], [open], taskDays, activityDays, overdueTasks] = await Promise.all([
+            Task.aggregate(buildCompletionPipeline(userId, range)),
+            Task.aggregate(buildOpenTasksPipeline(userId)),
+            Task.aggregate(buildCompletionDaysPipeline(userId, range.timezone)),
+            UserActivity.aggregate(buildActivityDaysPipeline(userId, range.timezone)),
+            Task.aggregate(buildOverduePipeline(userId, range))
+        ]);
+
+        const completionDays = [...taskDays, ...activityDays].map(day => day._id);
+
+        res.send(buildStats(range, { completion, open, completionDays, overdueTasks }));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
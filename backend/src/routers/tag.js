@@ -0,0 +1,161 @@
+const express = require('express');
+const Tag = require('../models/tag');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { parseTagName, normalizeTagName } = require('../utils/tagUtils');
+
+const router = new express.Router();
+
+// List the tags of the authenticated user with the number of tasks using each tag
+router.get("/tags", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+
+        const [tags, counts] = await Promise.all([
+            Tag.find({ userId }).sort({ name: 1 }),
+            Task.aggregate([
+                { $match: { userId, 'tags.0': { $exists: true } } },
+                { $unwind: '$tags' },
+                { $group: { _id: '$tags', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const taskCounts = new Map(counts.map(count => [count._id, count.count]));
+
+        res.send(tags.map(tag => ({
+            ...tag.toJSON(),
+            taskCount: taskCounts.get(tag.name) || 0
+        })));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Create a tag
+router.post("/tags", auth, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+
+    let name;
+    try {
+        name = parseTagName(req.body.name);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        if (await Tag.exists({ userId, name })) {
+            return res.status(400).send({ error: 'Tag already exists' });
+        }
+
+        const tag = new Tag({
+            userId,
+            name,
+            color: req.body.color,
+            description: req.body.description
+        });
+        await tag.save();
+
+        res.status(201).send(tag);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Update a tag; changing the name renames it on every task
+// PATCH: /tags/:name { name, color, description }
+router.patch("/tags/:name", auth, async (req, res) => {
+    const allowedUpdates = ['name', 'color', 'description'];
+    const updates = Object.keys(req.body);
+    const isValidOperation = updates.every((update) => {
+        return allowedUpdates.includes(update);
+    });
+
+    if (!isValidOperation) {
+        return res.status(400).send({ error: 'Invalid Update Operation' });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const tag = await Tag.findOne({ userId, name: normalizeTagName(req.params.name) });
+
+        if (!tag) {
+            return res.status(404).send({ error: 'Tag not found' });
+        }
+
+        let newName = tag.name;
+        if (req.body.name !== undefined) {
+            try {
+                newName = parseTagName(req.body.name);
+            } catch (e) {
+                return res.status(400).send({ error: e.message });
+            }
+
+            if (newName !== tag.name && await Tag.exists({ userId, name: newName })) {
+                return res.status(400).send({ error: `A tag named "${newName}" already exists. Merge the tags instead` });
+            }
+        }
+
+        const previousName = tag.name;
+        tag.name = newName;
+        if (req.body.color !== undefined) tag.color = req.body.color;
+        if (req.body.description !== undefined) tag.description = req.body.description;
+        await tag.save();
+
+        const modifiedTasks = newName !== previousName
+            ? await Task.renameTag(userId, previousName, newName)
+            : 0;
+
+        res.send({ tag, modifiedTasks });
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Merge a tag into another one: tasks get the target tag and the source tag is deleted
+// POST: /tags/:name/merge { into: 'other-tag' }
+router.post("/tags/:name/merge", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const source = await Tag.findOne({ userId, name: normalizeTagName(req.params.name) });
+
+        if (!source) {
+            return res.status(404).send({ error: 'Tag not found' });
+        }
+
+        const target = await Tag.findOne({ userId, name: normalizeTagName(req.body.into) });
+        if (!target) {
+            return res.status(400).send({ error: 'Target tag not found' });
+        }
+
+        if (target.name === source.name) {
+            return res.status(400).send({ error: 'Cannot merge a tag into itself' });
+        }
+
+        const modifiedTasks = await Task.renameTag(userId, source.name, target.name);
+        await Tag.deleteOne({ _id: source._id });
+
+        res.send({ tag: target, merged: source.name, modifiedTasks });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Delete a tag and remove it from every task
+router.delete("/tags/:name", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const tag = await Tag.findOneAndDelete({ userId, name: normalizeTagName(req.params.name) });
+
+        if (!tag) {
+            return res.status(404).send({ error: 'Tag not found' });
+        }
+
+        const modifiedTasks = await Task.removeTag(userId, tag.name);
+
+        res.send({ tag, modifiedTasks });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
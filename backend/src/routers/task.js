@@ -1,10 +1,197 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Task = require('../models/task');
+const Tag = require('../models/tag');
+const Project = require('../models/project');
+const TaskRevision = require('../models/taskRevision');
 const auth = require('../middleware/auth');
-const { buildTaskFilters, buildSortCriteria, buildPaginationOptions } = require('../utils/taskQueryUtils');
+const { buildTaskFilters, buildSortCriteria, buildPaginationOptions, buildOccurrenceWindow } = require('../utils/taskQueryUtils');
+const { projectOccurrences } = require('../utils/recurrenceUtils');
+const { parseTreeDepth, parseSubtaskDeletionMode, buildTaskTree } = require('../utils/taskTreeUtils');
+const {
+    getCompletionPolicy,
+    getCompletionBlocker,
+    completeFinishedParents,
+    reopenCompletedParents
+} = require('../utils/completionPolicy');
+const { parseBulkRequest } = require('../utils/bulkTaskUtils');
+const { normalizeTagName } = require('../utils/tagUtils');
+const { parseSearchQuery, buildHighlights } = require('../utils/taskSearchUtils');
+const { parseDependencyId, getDependencyCycleError, isTaskBlocked } = require('../utils/dependencyUtils');
+const { snapshotFields, diffSnapshots, parseRevision, buildRevertUpdates } = require('../utils/revisionUtils');
+const { getArchiveBlocker } = require('../utils/archiveUtils');
+const { getTaskUpdateAction } = require('../utils/activityUtils');
+const { logActivitySafe } = require('../utils/activityLogger');
+const {
+    withTieBreaker,
+    encodeCursor,
+    decodeCursor,
+    getPageSize,
+    wantsArrayFormat,
+    buildPageLinks
+} = require('../utils/paginationUtils');
 
 const router = new express.Router();
 
+// Fields that may be changed through PATCH /tasks/:id and bulk updates
+const allowedUpdates = ['title', 'description', 'dueDate', 'priority', 'category', 'tags', 'isCompleted', 'estimatedMinutes', 'repeatType', 'recurrence', 'repeatSubtasks', 'links', 'additionalDetails', 'parentId', 'projectId', 'reminders'];
+
+// Fields recorded in the revision log; dependencies are changed through /tasks/:id/dependencies
+const versionedFields = [...allowedUpdates, 'blockedBy'];
+
+// Attach completion progress to each task (used when ?includeProgress=true)
+const withProgress = async (tasks) => {
+    return Promise.all(tasks.map(async (task) => ({
+        ...task.toJSON(),
+        progress: await task.getProgress()
+    })));
+};
+
+// Add the computed isBlocked flag (some blocker is still open) to each task
+const withBlockedFlags = async (tasks) => {
+    const openBlockerIds = await Task.getOpenBlockerIds(tasks);
+
+    return tasks.map((task) => {
+        const json = typeof task.toJSON === 'function' ? task.toJSON() : task;
+        return { ...json, isBlocked: isTaskBlocked(json, openBlockerIds) };
+    });
+};
+
+// Add the computed isBlocked flag to a single task
+const withBlockedFlag = async (task) => {
+    const [result] = await withBlockedFlags([task]);
+    return result;
+};
+
+// Apply field updates to a task following the user's completion policy and record the
+// changed fields in the task's revision log
+// Returns { changes } ([{ field, from, to }]), or { error } when the completion policy rejects the update
+const applyTaskUpdates = async (task, updates, user, { revertedTo = null } = {}) => {
+    const policy = getCompletionPolicy(user);
+    const wasCompleted = task.isCompleted;
+    const previousParentId = task.parentId;
+    const before = snapshotFields(task, versionedFields);
+
+    Object.keys(updates).forEach((update) => {
+        task[update] = updates[update];
+    });
+
+    if (task.isCompleted && !wasCompleted) {
+        const blocker = await getCompletionBlocker(task, policy);
+        if (blocker) {
+            return { error: blocker };
+        }
+    }
+
+    await task.save();
+    const changes = diffSnapshots(before, snapshotFields(task, versionedFields));
+    await TaskRevision.record(task, changes, { revertedTo });
+    await Tag.ensureTags(task.userId, task.tags);
+
+    if (task.isCompleted && !wasCompleted) {
+        await completeFinishedParents(task, policy);
+    }
+
+    // Moving a task under a completed parent counts as adding a new subtask
+    if (task.parentId !== previousParentId) {
+        await reopenCompletedParents(task, policy);
+    }
+
+    return { changes };
+};
+
+// Log a task update in the user's activity log as TASK_UPDATED, TASK_COMPLETED or TASK_REOPENED
+// Updates that changed nothing are not logged
+const logTaskChanges = async (req, task, changes, metadata = {}) => {
+    if (changes.length === 0) return;
+    await logActivitySafe(req, getTaskUpdateAction(changes), task.taskId, null, { changes, ...metadata });
+};
+
+// Load the project of the project-scoped task routes (/projects/:projectId/tasks...)
+const resolveProject = async (req, res, next) => {
+    if (req.params.projectId === undefined) {
+        return next();
+    }
+
+    const projectId = parseInt(req.params.projectId);
+    if (isNaN(projectId)) {
+        return res.status(400).send({ error: 'Invalid projectId parameter' });
+    }
+
+    try {
+        const project = await Project.findOne({ projectId, userId: req.user.userId || req.user._id });
+        if (!project) {
+            return res.status(404).send({ error: 'Project not found' });
+        }
+
+        req.project = project;
+        next();
+    } catch (e) {
+        res.status(500).send(e);
+    }
+};
+
+// Filter restricting a task list to the project of a project-scoped route
+const getProjectScope = (req) => {
+    return req.project ? { projectId: req.project.projectId } : {};
+};
+
+// Build the filters and sort for a task list request
+// taskIds with subtasks are only looked up when the hasSubtasks filter is used
+const buildListQuery = async (query, additionalFilters, { includeArchived = false } = {}) => {
+    const parentTaskIds = query.hasSubtasks !== undefined
+        ? await Task.distinct('parentId', { userId: additionalFilters.userId, parentId: { $ne: null } })
+        : undefined;
+
+    return {
+        match: buildTaskFilters(query, additionalFilters, { parentTaskIds, includeArchived }),
+        sort: buildSortCriteria(query.sortBy)
+    };
+};
+
+// Send a page of tasks as { tasks, total, nextCursor, hasMore } with RFC 5988 Link headers
+// Pages continue from ?cursor=<nextCursor>; ?format=array keeps the legacy bare array response,
+// paged with skip/limit (legacyPaging) or containing every matching task
+const sendTaskPage = async (req, res, match, sort, { legacyPaging = true, transform = async (tasks) => tasks, extra = {} } = {}) => {
+    const { limit, skip } = buildPaginationOptions(req.query);
+
+    if (wantsArrayFormat(req.query)) {
+        const tasks = await Task.findSorted(match, sort, legacyPaging ? { limit, skip } : {});
+        const results = await withBlockedFlags(await transform(tasks));
+        return res.send(Object.keys(extra).length > 0 ? { tasks: results, ...extra } : results);
+    }
+
+    const pageSort = withTieBreaker(sort);
+    let after = null;
+    if (req.query.cursor) {
+        try {
+            after = decodeCursor(req.query.cursor, pageSort);
+        } catch (e) {
+            return res.status(400).send({ error: e.message });
+        }
+    }
+
+    // Fetch one extra task to know whether another page exists
+    const pageSize = getPageSize(limit);
+    const [tasks, total] = await Promise.all([
+        Task.findSorted(match, pageSort, { limit: pageSize + 1, skip: after ? 0 : skip, after }),
+        Task.countDocuments(match)
+    ]);
+
+    const hasMore = tasks.length > pageSize;
+    const page = tasks.slice(0, pageSize);
+    const nextCursor = hasMore ? encodeCursor(page[page.length - 1], pageSort) : null;
+
+    res.links(buildPageLinks(`${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`, req.query, nextCursor));
+    res.send({
+        tasks: await withBlockedFlags(await transform(page)),
+        total,
+        nextCursor,
+        hasMore,
+        ...extra
+    });
+};
+
 // Create a new task
 router.post("/tasks", auth, async (req, res) => {
     const task = new Task({
@@ -14,28 +201,207 @@ router.post("/tasks", auth, async (req, res) => {
 
     try {
         await task.save();
-        res.status(201).send(task);
+        await Tag.ensureTags(task.userId, task.tags);
+        await reopenCompletedParents(task, getCompletionPolicy(req.user));
+        await logActivitySafe(req, 'TASK_CREATED', task.taskId, null, { after: snapshotFields(task, allowedUpdates) });
+        res.status(201).send(await withBlockedFlag(task));
     } catch (e) {
+        await logActivitySafe(req, 'TASK_CREATED', null, e.message);
         res.status(400).send(e);
     }
 });
 
 // Get all top-level tasks for the authenticated user with filtering, pagination, and sorting
-// GET: /tasks?completed=true&priority=high&category=work&limit=10&skip=0&sortBy=dueDate:asc
-router.get("/tasks", auth, async (req, res) => {
+// GET: /tasks?completed=true&priority=high&category=work&limit=10&sortBy=dueDate:asc
+//   -> { tasks, total, nextCursor, hasMore }, next page: /tasks?...&cursor=<nextCursor>
+// GET: /tasks?limit=10&skip=0&format=array -> legacy array response
+// GET: /tasks?priority=high,medium&category=!personal&dueAfter=2025-01-01&dueBefore=2025-01-31
+// GET: /tasks?overdue=true&hasSubtasks=true&createdSince=2025-01-01&sortBy=priority:desc,dueDate:asc
+// Passing occurrencesFrom/occurrencesTo also returns projected occurrences of repeating tasks in that window:
+// GET: /tasks?occurrencesFrom=2025-01-01&occurrencesTo=2025-01-31 -> { tasks, projectedOccurrences }
+// (occurrencesFrom defaults to now, occurrencesTo to 30 days after occurrencesFrom)
+// Passing includeProgress=true adds subtask completion progress to each task
+// GET: /tasks?projectId=3 | /tasks?projectId=none, or the project-scoped /projects/3/tasks
+router.get(["/tasks", "/projects/:projectId/tasks"], auth, resolveProject, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    let occurrenceWindow;
+    let match;
+    let sort;
     try {
-        const userId = req.user.userId || req.user._id;
+        occurrenceWindow = buildOccurrenceWindow(req.query);
         // Only return top-level tasks (parentId is null)
-        const match = buildTaskFilters(req.query, { userId, parentId: null });
-        const sort = buildSortCriteria(req.query.sortBy);
+        ({ match, sort } = await buildListQuery(req.query, { userId, parentId: null }));
+        match = { ...match, ...getProjectScope(req) };
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const extra = {};
+
+        if (occurrenceWindow) {
+            // Only the latest open occurrence of each series is projected forward
+            const seriesHeads = await Task.find({
+                ...match,
+                isCompleted: false,
+                repeatType: { $ne: 'none' },
+                nextOccurrenceId: null
+            });
+
+            extra.projectedOccurrences = seriesHeads
+                .flatMap((task) => projectOccurrences(task, occurrenceWindow.from, occurrenceWindow.to))
+                .sort((a, b) => a.dueDate - b.dueDate);
+        }
+
+        await sendTaskPage(req, res, match, sort, {
+            transform: req.query.includeProgress === 'true' ? withProgress : undefined,
+            extra
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Search tasks and subtasks by text, ranked by relevance
+// GET: /tasks/search?q=report -budget&completed=false&priority=high&limit=10&skip=0
+// Results include the parent chain of subtasks and highlight snippets of the matching fields.
+// Passing sortBy overrides the relevance ranking.
+router.get("/tasks/search", auth, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    let query;
+    let match;
+    let sort;
+    try {
+        query = parseSearchQuery(req.query.q);
+        ({ match, sort } = await buildListQuery(req.query, { userId, $text: { $search: query } }));
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
         const { limit, skip } = buildPaginationOptions(req.query);
+        if (!req.query.sortBy) {
+            sort = { score: { $meta: 'textScore' } };
+        }
+
+        const tasks = await Task.findSorted(match, sort, { limit, skip, textScore: true });
 
-        const tasks = await Task.find(match)
-            .sort(sort)
-            .limit(limit)
-            .skip(skip);
+        const subtaskIds = tasks.filter(task => task.parentId !== null).map(task => task.taskId);
+        const parentChains = await Task.getParentChains(subtaskIds, userId);
 
-        res.send(tasks);
+        const openBlockerIds = await Task.getOpenBlockerIds(tasks);
+
+        res.send(tasks.map(task => ({
+            ...task.toJSON(),
+            isBlocked: isTaskBlocked(task, openBlockerIds),
+            parentChain: parentChains.get(task.taskId) || [],
+            highlights: buildHighlights(task, query)
+        })));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get overdue tasks (paginated like GET /tasks; ?format=array returns every task)
+// Declared before /tasks/:id so "overdue" isn't taken for a task ID
+router.get(["/tasks/overdue", "/projects/:projectId/tasks/overdue"], auth, resolveProject, async (req, res) => {
+    try {
+        const match = {
+            userId: req.user.userId || req.user._id,
+            isCompleted: false,
+            dueDate: { $lt: new Date() },
+            ...getProjectScope(req)
+        };
+
+        await sendTaskPage(req, res, match, { dueDate: 1 }, { legacyPaging: false });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get today's tasks
+// Declared before /tasks/:id so "today" isn't taken for a task ID
+router.get(["/tasks/today", "/projects/:projectId/tasks/today"], auth, resolveProject, async (req, res) => {
+    try {
+        const today = new Date();
+        const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+        const tasks = await Task.find({
+            userId: req.user.userId || req.user._id,
+            dueDate: {
+                $gte: startOfDay,
+                $lt: endOfDay
+            },
+            archivedAt: null,
+            ...getProjectScope(req)
+        }).sort({ priority: -1, dueDate: 1 });
+
+        res.send(await withBlockedFlags(tasks));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get tasks by priority (paginated like GET /tasks; ?format=array returns every task)
+router.get(["/tasks/priority/:priority", "/projects/:projectId/tasks/priority/:priority"], auth, resolveProject, async (req, res) => {
+    try {
+        const match = {
+            userId: req.user.userId || req.user._id,
+            priority: req.params.priority,
+            archivedAt: null,
+            ...getProjectScope(req)
+        };
+
+        await sendTaskPage(req, res, match, { dueDate: 1 }, { legacyPaging: false });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get tasks by category (paginated like GET /tasks; ?format=array returns every task)
+// Categories are tags now, so this also matches tasks tagged with the category name
+router.get("/tasks/category/:category", auth, async (req, res) => {
+    try {
+        const match = {
+            userId: req.user.userId || req.user._id,
+            archivedAt: null,
+            $or: [
+                { category: req.params.category },
+                { tags: normalizeTagName(req.params.category) }
+            ]
+        };
+
+        await sendTaskPage(req, res, match, { dueDate: 1 }, { legacyPaging: false });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Browse archived tasks, most recently archived first (paginated like GET /tasks)
+// GET: /tasks/archived?q=report&archivedAfter=2025-01-01&archivedBefore=2025-01-31&priority=high
+// Only top-level tasks are listed, their subtasks were archived with them
+// Declared before /tasks/:id so "archived" isn't taken for a task ID
+router.get("/tasks/archived", auth, async (req, res) => {
+    const userId = req.user.userId || req.user._id;
+    let match;
+    let sort;
+    try {
+        const additionalFilters = { userId, parentId: null };
+        if (req.query.q !== undefined) {
+            additionalFilters.$text = { $search: parseSearchQuery(req.query.q) };
+        }
+
+        ({ match, sort } = await buildListQuery({ ...req.query, archived: 'true' }, additionalFilters));
+        if (!req.query.sortBy) {
+            sort = { archivedAt: -1 };
+        }
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        await sendTaskPage(req, res, match, sort);
     } catch (e) {
         res.status(500).send(e);
     }
@@ -63,7 +429,10 @@ router.get("/tasks/:id", auth, async (req, res) => {
             return res.status(404).send({ error: 'Task not found' });
         }
 
-        res.send(task);
+        res.send({
+            ...await withBlockedFlag(task),
+            progress: await task.getProgress()
+        });
     } catch (e) {
         res.status(500).send(e);
     }
@@ -71,7 +440,6 @@ router.get("/tasks/:id", auth, async (req, res) => {
 
 // Update a task
 router.patch("/tasks/:id", auth, async (req, res) => {
-    const allowedUpdates = ['title', 'description', 'dueDate', 'priority', 'category', 'isCompleted', 'repeatType', 'links', 'additionalDetails', 'parentId'];
     const updates = Object.keys(req.body);
     const isValidOperation = updates.every((update) => {
         return allowedUpdates.includes(update);
@@ -101,111 +469,424 @@ router.patch("/tasks/:id", auth, async (req, res) => {
             return res.status(404).send({ error: 'Task not found' });
         }
 
-        updates.forEach((update) => {
-            task[update] = req.body[update];
-        });
+        const { error, changes } = await applyTaskUpdates(task, req.body, req.user);
+        if (error) {
+            await logActivitySafe(req, 'TASK_UPDATED', task.taskId, error);
+            return res.status(400).send({ error });
+        }
 
-        await task.save();
-        res.send(task);
+        await logTaskChanges(req, task, changes);
+        res.send(await withBlockedFlag(task));
     } catch (e) {
         res.status(400).send(e);
     }
 });
 
-// Delete a task
-router.delete("/tasks/:id", auth, async (req, res) => {
+// Get the revision log of a task, newest first
+// GET: /tasks/:id/history?limit=20&before=<revision> -> { revisions, currentRevision }
+router.get("/tasks/:id/history", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
     try {
-        // Try to find and delete by numeric taskId first, then fallback to ObjectId
-        let task;
-        const id = req.params.id;
-        const userId = req.user.userId || req.user._id;
-        
-        if (!isNaN(id)) {
-            // If id is numeric, search by taskId
-            task = await Task.findOneAndDelete({ taskId: parseInt(id), userId });
-        }
-        
+        const task = await Task.findOne({ taskId, userId: req.user.userId || req.user._id });
         if (!task) {
-            // Fallback to ObjectId search for backward compatibility
-            task = await Task.findOneAndDelete({ _id: id, userId });
+            return res.status(404).send({ error: 'Task not found' });
         }
 
+        const match = { taskId };
+        const before = parseInt(req.query.before);
+        if (!isNaN(before)) {
+            match.revision = { $lt: before };
+        }
+
+        const [revisions, currentRevision] = await Promise.all([
+            TaskRevision.find(match).sort({ revision: -1 }).limit(getPageSize(buildPaginationOptions(req.query).limit)),
+            TaskRevision.getCurrentRevision(taskId)
+        ]);
+
+        res.send({ revisions, currentRevision });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Restore the fields of a task to their values at an earlier revision
+// The revert is recorded as a new revision, so it can be reverted as well
+// POST: /tasks/:id/revert/:revision (0 restores the task as it was before its first recorded change)
+// Restored dependencies are rejected if they would create a cycle; blockers that no longer exist are left out
+router.post("/tasks/:id/revert/:revision", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
+    try {
+        const task = await Task.findOne({ taskId, userId: req.user.userId || req.user._id });
         if (!task) {
             return res.status(404).send({ error: 'Task not found' });
         }
 
-        res.send(task);
+        let revision;
+        try {
+            revision = parseRevision(req.params.revision, await TaskRevision.getCurrentRevision(taskId));
+        } catch (e) {
+            return res.status(400).send({ error: e.message });
+        }
+
+        const laterRevisions = await TaskRevision.find({ taskId, revision: { $gt: revision } });
+        const updates = buildRevertUpdates(laterRevisions, revision);
+
+        // Restored dependencies get the same cycle check as POST /tasks/:id/dependencies
+        if (updates.blockedBy) {
+            const { error, blockedBy } = await Task.resolveBlockedBy(task, updates.blockedBy);
+            if (error) {
+                return res.status(400).send({ error });
+            }
+            updates.blockedBy = blockedBy;
+        }
+
+        const { error, changes } = await applyTaskUpdates(task, updates, req.user, { revertedTo: revision });
+        if (error) {
+            await logActivitySafe(req, 'TASK_UPDATED', task.taskId, error);
+            return res.status(400).send({ error });
+        }
+
+        await logTaskChanges(req, task, changes, { revertedTo: revision });
+
+        res.send(await withBlockedFlag(task));
     } catch (e) {
-        res.status(500).send(e);
+        res.status(400).send(e);
     }
 });
 
-// Get tasks by priority
-router.get("/tasks/priority/:priority", auth, async (req, res) => {
+// Move a completed top-level task and its subtasks to the archive
+// POST: /tasks/:id/archive -> { task, archivedTaskIds }
+router.post("/tasks/:id/archive", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
     try {
-        const tasks = await Task.find({
-            userId: req.user.userId || req.user._id,
-            priority: req.params.priority
-        }).sort({ dueDate: 1 });
+        const task = await Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const blocker = getArchiveBlocker(task);
+        if (blocker) {
+            return res.status(400).send({ error: blocker });
+        }
+
+        const archivedTaskIds = await Task.archiveWithSubtasks(task);
+        await logActivitySafe(req, 'TASK_ARCHIVED', task.taskId, null, { archivedTaskIds });
 
-        res.send(tasks);
+        res.send({ task: await withBlockedFlag(task), archivedTaskIds });
     } catch (e) {
         res.status(500).send(e);
     }
 });
 
-// Get tasks by category
-router.get("/tasks/category/:category", auth, async (req, res) => {
+// Take an archived task and its subtasks out of the archive
+// Reopening an archived task (isCompleted: false) unarchives it as well
+// POST: /tasks/:id/unarchive -> { task, unarchivedTaskIds }
+router.post("/tasks/:id/unarchive", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
     try {
-        const tasks = await Task.find({
-            userId: req.user.userId || req.user._id,
-            category: req.params.category
-        }).sort({ dueDate: 1 });
+        const task = await Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        if (!task.archivedAt) {
+            return res.status(400).send({ error: 'Task is not archived' });
+        }
+        if (task.parentId !== null) {
+            return res.status(400).send({ error: 'Subtasks are unarchived together with their parent task' });
+        }
 
-        res.send(tasks);
+        const unarchivedTaskIds = await Task.unarchiveWithSubtasks(task);
+        await logActivitySafe(req, 'TASK_UNARCHIVED', task.taskId, null, { unarchivedTaskIds });
+
+        res.send({ task: await withBlockedFlag(task), unarchivedTaskIds });
     } catch (e) {
         res.status(500).send(e);
     }
 });
 
-// Get overdue tasks
-router.get("/tasks/overdue", auth, async (req, res) => {
+// Move a task to the trash and handle its subtasks (see routers/trash.js to restore or purge it)
+// DELETE: /tasks/:id?subtasks=cascade (default) | promote | reparent:<taskId>
+router.delete("/tasks/:id", auth, async (req, res) => {
+    let deletionMode;
     try {
-        const tasks = await Task.find({
-            userId: req.user.userId || req.user._id,
-            isCompleted: false,
-            dueDate: { $lt: new Date() }
-        }).sort({ dueDate: 1 });
+        deletionMode = parseSubtaskDeletionMode(req.query.subtasks);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        // Try to find by numeric taskId first, then fallback to ObjectId
+        let task;
+        const id = req.params.id;
+        const userId = req.user.userId || req.user._id;
+        
+        if (!isNaN(id)) {
+            // If id is numeric, search by taskId
+            task = await Task.findOne({ taskId: parseInt(id), userId });
+        }
+        
+        if (!task) {
+            // Fallback to ObjectId search for backward compatibility
+            task = await Task.findOne({ _id: id, userId });
+        }
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
 
-        res.send(tasks);
+        // The new parent must exist and must not be removed along with the deleted task
+        if (deletionMode.mode === 'reparent') {
+            const targetTask = await Task.findOne({ taskId: deletionMode.targetId, userId });
+            if (!targetTask) {
+                return res.status(400).send({ error: 'Reparent target task not found' });
+            }
+
+            const ancestorIds = await Task.getAncestorIds(targetTask.taskId, userId);
+            if (targetTask.taskId === task.taskId || ancestorIds.includes(task.taskId)) {
+                return res.status(400).send({ error: 'Cannot reparent subtasks to the deleted task or one of its subtasks' });
+            }
+        }
+
+        const before = snapshotFields(task, allowedUpdates);
+        const { deletedTaskIds, movedTaskIds } = await Task.deleteWithSubtasks(task, deletionMode);
+        await logActivitySafe(req, 'TASK_DELETED', task.taskId, null, {
+            before,
+            subtasks: deletionMode.mode,
+            deletedTaskIds,
+            movedTaskIds
+        });
+
+        res.send({
+            task,
+            subtasks: deletionMode.mode,
+            deletedTaskIds,
+            movedTaskIds
+        });
     } catch (e) {
         res.status(500).send(e);
     }
 });
 
-// Get today's tasks
-router.get("/tasks/today", auth, async (req, res) => {
+// Apply one operation to many tasks at once
+// POST: /tasks/bulk { taskIds: [1, 2], operation: 'update', updates: { priority: 'high' } }
+// Other operations: { operation: 'complete' }, { operation: 'delete', subtasks: 'cascade' },
+// { operation: 'move', parentId: 3 } (parentId null moves the tasks to the top level)
+// Every task is validated before anything is written and the writes run in one transaction
+// (MongoDB must run as a replica set); if any item fails, nothing is changed and the
+// per-item results explain why.
+router.post("/tasks/bulk", auth, async (req, res) => {
+    let request;
+    let deletionMode;
     try {
-        const today = new Date();
-        const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-        const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+        request = parseBulkRequest(req.body, allowedUpdates);
+        if (request.operation === 'delete') {
+            deletionMode = parseSubtaskDeletionMode(request.subtasks);
+        }
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
 
-        const tasks = await Task.find({
-            userId: req.user.userId || req.user._id,
-            dueDate: {
-                $gte: startOfDay,
-                $lt: endOfDay
+    try {
+        const userId = req.user.userId || req.user._id;
+        const policy = getCompletionPolicy(req.user);
+        const { operation, taskIds } = request;
+
+        const tasks = await Task.find({ taskId: { $in: taskIds }, userId });
+        const tasksById = new Map(tasks.map(task => [task.taskId, task]));
+        const previousState = new Map(tasks.map(task => [task.taskId, {
+            isCompleted: task.isCompleted,
+            parentId: task.parentId,
+            snapshot: snapshotFields(task, allowedUpdates)
+        }]));
+        const results = taskIds.map(taskId => ({ taskId, success: true }));
+        const fail = (result, error) => {
+            result.success = false;
+            result.error = error;
+        };
+
+        // Tasks can't be moved under themselves or their own subtasks
+        let blockedParentIds = [];
+        if (operation === 'move' && request.parentId !== null) {
+            const targetTask = await Task.findOne({ taskId: request.parentId, userId });
+            if (!targetTask) {
+                return res.status(400).send({ error: 'Parent task not found' });
             }
-        }).sort({ priority: -1, dueDate: 1 });
+            blockedParentIds = [targetTask.taskId, ...await Task.getAncestorIds(targetTask.taskId, userId)];
+        }
+
+        // Tasks can only be moved to one of the user's projects
+        if (operation === 'update' && request.updates.projectId !== undefined && request.updates.projectId !== null) {
+            if (!await Project.exists({ projectId: request.updates.projectId, userId })) {
+                return res.status(400).send({ error: 'Project not found' });
+            }
+        }
+
+        // The new parent must exist and must not be removed along with the deleted tasks
+        if (operation === 'delete' && deletionMode.mode === 'reparent') {
+            const targetTask = await Task.findOne({ taskId: deletionMode.targetId, userId });
+            if (!targetTask) {
+                return res.status(400).send({ error: 'Reparent target task not found' });
+            }
+
+            const targetLineage = [targetTask.taskId, ...await Task.getAncestorIds(targetTask.taskId, userId)];
+            if (targetLineage.some(taskId => tasksById.has(taskId))) {
+                return res.status(400).send({ error: 'Cannot reparent subtasks to a deleted task or one of its subtasks' });
+            }
+        }
+
+        const completingTaskIds = operation === 'complete' || (request.updates && request.updates.isCompleted === true)
+            ? taskIds
+            : [];
+
+        for (const result of results) {
+            const task = tasksById.get(result.taskId);
+            if (!task) {
+                fail(result, 'Task not found');
+                continue;
+            }
+
+            if (operation === 'delete') continue;
+
+            if (operation === 'update') {
+                Object.keys(request.updates).forEach((update) => {
+                    task[update] = request.updates[update];
+                });
+            } else if (operation === 'complete') {
+                task.isCompleted = true;
+            } else if (operation === 'move') {
+                if (blockedParentIds.includes(task.taskId)) {
+                    fail(result, 'Cannot move a task under itself or one of its subtasks');
+                    continue;
+                }
+                task.parentId = request.parentId;
+            }
+
+            if (task.isCompleted && !previousState.get(task.taskId).isCompleted) {
+                const blocker = await getCompletionBlocker(task, policy, completingTaskIds);
+                if (blocker) {
+                    fail(result, blocker);
+                    continue;
+                }
+            }
+
+            try {
+                await task.validate();
+            } catch (e) {
+                fail(result, e.message);
+            }
+        }
+
+        if (results.some(result => !result.success)) {
+            return res.status(400).send({ error: 'Bulk operation failed, no tasks were changed', operation, results });
+        }
+
+        // Delete ancestors before their selected subtasks, so a cascade trashes the subtasks
+        // together with the ancestor (and restores them with it) instead of on their own
+        let writeOrder = results;
+        if (operation === 'delete') {
+            const parentChains = await Task.getParentChains(taskIds, userId);
+            const depth = result => (parentChains.get(result.taskId) || []).length;
+            writeOrder = [...results].sort((a, b) => depth(a) - depth(b));
+        }
 
-        res.send(tasks);
+        // Write every task in one transaction, so a task rejected by a pre-save hook
+        // (e.g. parent validation) leaves the others unchanged too
+        try {
+            await mongoose.connection.transaction(async () => {
+                // The transaction is retried from here after transient errors
+                results.forEach((result) => {
+                    result.success = true;
+                    delete result.error;
+                });
+                const deletedTaskIds = [];
+                for (const result of writeOrder) {
+                    const task = tasksById.get(result.taskId);
+
+                    try {
+                        if (operation === 'delete') {
+                            // Already removed together with a selected ancestor
+                            if (deletedTaskIds.includes(task.taskId)) {
+                                result.deletedTaskIds = [];
+                                result.movedTaskIds = [];
+                                continue;
+                            }
+
+                            const deleted = await Task.deleteWithSubtasks(task, deletionMode);
+                            deletedTaskIds.push(...deleted.deletedTaskIds);
+                            result.deletedTaskIds = deleted.deletedTaskIds;
+                            result.movedTaskIds = deleted.movedTaskIds;
+                            await logActivitySafe(req, 'TASK_DELETED', task.taskId, null, {
+                                before: previousState.get(task.taskId).snapshot,
+                                subtasks: deletionMode.mode,
+                                ...deleted,
+                                bulk: true
+                            });
+                            continue;
+                        }
+
+                        const previous = previousState.get(task.taskId);
+                        await task.save();
+                        const changes = diffSnapshots(previous.snapshot, snapshotFields(task, allowedUpdates));
+                        await TaskRevision.record(task, changes);
+                        await Tag.ensureTags(task.userId, task.tags);
+
+                        if (task.isCompleted && !previous.isCompleted) {
+                            await completeFinishedParents(task, policy);
+                        }
+
+                        if (task.parentId !== previous.parentId) {
+                            await reopenCompletedParents(task, policy);
+                        }
+
+                        await logTaskChanges(req, task, changes, { bulk: true });
+                        result.task = task;
+                    } catch (e) {
+                        fail(result, e.message);
+                        throw e;
+                    }
+                }
+            });
+        } catch (e) {
+            // Clients may have been sent changes that were rolled back; send the tasks as they are
+            await Task.publishUpdates(userId, taskIds);
+
+            if (results.some(result => !result.success)) {
+                results.forEach((result) => {
+                    delete result.task;
+                    delete result.deletedTaskIds;
+                    delete result.movedTaskIds;
+                });
+                return res.status(400).send({ error: 'Bulk operation failed, no tasks were changed', operation, results });
+            }
+            throw e;
+        }
+
+        res.send({ operation, results });
     } catch (e) {
         res.status(500).send(e);
     }
 });
 
 // Get subtasks for a specific parent task
-// GET: /tasks/:taskId/subtasks?completed=true&priority=high&category=work&limit=10&skip=0&sortBy=dueDate:asc
+// GET: /tasks/:taskId/subtasks?completed=true&priority=high&category=work&limit=10&sortBy=dueDate:asc
+//   -> { tasks, total, nextCursor, hasMore } (?format=array for the legacy array response)
 router.get("/tasks/:taskId/subtasks", auth, async (req, res) => {
     try {
         const taskId = parseInt(req.params.taskId);
@@ -223,16 +904,170 @@ router.get("/tasks/:taskId/subtasks", auth, async (req, res) => {
         }
 
         // Build query for subtasks
-        const match = buildTaskFilters(req.query, { userId, parentId: taskId });
-        const sort = buildSortCriteria(req.query.sortBy);
-        const { limit, skip } = buildPaginationOptions(req.query);
+        let match;
+        let sort;
+        try {
+            // Subtasks of an archived task are archived too, so they are listed either way
+            ({ match, sort } = await buildListQuery(req.query, { userId, parentId: taskId }, { includeArchived: true }));
+        } catch (e) {
+            return res.status(400).send({ error: e.message });
+        }
+
+        await sendTaskPage(req, res, match, sort, {
+            transform: req.query.includeProgress === 'true' ? withProgress : undefined
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get the full subtask hierarchy of a task as a nested tree
+// GET: /tasks/:id/tree?depth=2&completed=false&priority=high&category=work&sortBy=dueDate:asc
+// Filters apply at every level, so subtasks of an excluded task are not included either
+router.get("/tasks/:id/tree", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
+    let depth;
+    let filters;
+    let sort;
+    try {
+        depth = parseTreeDepth(req.query.depth);
+        filters = buildTaskFilters(req.query, {}, { includeArchived: true });
+        sort = buildSortCriteria(req.query.sortBy);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+
+        const result = await Task.findWithDescendants(taskId, userId, { depth, filters });
+        if (!result) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const [root, ...descendants] = await withBlockedFlags([result.root, ...result.descendants]);
+        res.send(buildTaskTree(root, descendants, sort));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get the tasks blocking a task and the tasks it blocks
+// GET: /tasks/:id/dependencies -> { blockers, dependents }
+router.get("/tasks/:id/dependencies", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await Task.findOne({ taskId, userId });
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const [blockers, dependents] = await Promise.all([
+            Task.find({ taskId: { $in: task.blockedBy }, userId }).sort({ dueDate: 1 }),
+            Task.find({ blockedBy: task.taskId, userId }).sort({ dueDate: 1 })
+        ]);
+
+        res.send({
+            blockers: await withBlockedFlags(blockers),
+            dependents: await withBlockedFlags(dependents)
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Mark a task as blocked by another task of the same user
+// POST: /tasks/:id/dependencies { blockedBy: 5 }
+// Rejected if task 5 already depends on this task, directly or through other tasks
+router.post("/tasks/:id/dependencies", auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
+    let blockerId;
+    try {
+        blockerId = parseDependencyId(req.body.blockedBy);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await Task.findOne({ taskId, userId });
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        if (!await Task.exists({ taskId: blockerId, userId })) {
+            return res.status(400).send({ error: 'Blocking task not found' });
+        }
+
+        const cycleError = getDependencyCycleError(taskId, blockerId, await Task.getDependencyGraph(blockerId, userId));
+        if (cycleError) {
+            return res.status(400).send({ error: cycleError });
+        }
+
+        const updated = await Task.findOneAndUpdate(
+            { _id: task._id },
+            { $addToSet: { blockedBy: blockerId } },
+            { new: true }
+        );
+        const changes = diffSnapshots(snapshotFields(task, ['blockedBy']), snapshotFields(updated, ['blockedBy']));
+        await TaskRevision.record(updated, changes);
+        await logTaskChanges(req, updated, changes);
+
+        res.status(201).send(await withBlockedFlag(updated));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Remove a dependency
+// DELETE: /tasks/:id/dependencies/5 (or /tasks/:id/dependencies with { blockedBy: 5 })
+router.delete(["/tasks/:id/dependencies/:blockerId", "/tasks/:id/dependencies"], auth, async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) {
+        return res.status(400).send({ error: 'Invalid taskId parameter' });
+    }
+
+    let blockerId;
+    try {
+        blockerId = parseDependencyId(req.params.blockerId !== undefined ? req.params.blockerId : (req.body || {}).blockedBy);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await Task.findOne({ taskId, userId });
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        if (!task.blockedBy.includes(blockerId)) {
+            return res.status(404).send({ error: 'Dependency not found' });
+        }
 
-        const subtasks = await Task.find(match)
-            .sort(sort)
-            .limit(limit)
-            .skip(skip);
+        const updated = await Task.findOneAndUpdate(
+            { _id: task._id },
+            { $pull: { blockedBy: blockerId } },
+            { new: true }
+        );
+        const changes = diffSnapshots(snapshotFields(task, ['blockedBy']), snapshotFields(updated, ['blockedBy']));
+        await TaskRevision.record(updated, changes);
+        await logTaskChanges(req, updated, changes);
 
-        res.send(subtasks);
+        res.send(await withBlockedFlag(updated));
     } catch (e) {
         res.status(500).send(e);
     }
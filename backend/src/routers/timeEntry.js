@@ -0,0 +1,236 @@
+const express = require('express');
+const TimeEntry = require('../models/timeEntry');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { parseTimeEntryInput, parseReportRange, buildTimeReport } = require('../utils/timeTrackingUtils');
+
+const router = new express.Router();
+
+// Find a task of the authenticated user by its numeric taskId
+const findTask = async (req) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) return null;
+
+    return Task.findOne({ taskId, userId: req.user.userId || req.user._id });
+};
+
+// Find a time entry of the authenticated user by its numeric entryId
+const findEntry = async (req) => {
+    const entryId = parseInt(req.params.id);
+    if (isNaN(entryId)) return null;
+
+    return TimeEntry.findOne({ entryId, userId: req.user.userId || req.user._id });
+};
+
+// Get the running timer of the authenticated user (null if no timer is running)
+router.get("/users/me/timer", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const entry = await TimeEntry.findOne({ userId, isRunning: true });
+
+        if (!entry) {
+            return res.send({ entry: null, task: null });
+        }
+
+        const task = await Task.findOne({ taskId: entry.taskId, userId }, { taskId: 1, title: 1 });
+        res.send({ entry, task });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Aggregate tracked time by day, category and task
+// GET: /users/me/time-report?from=2025-01-01&to=2025-02-01 (defaults to the last 7 days)
+// Days are UTC days; entries crossing midnight or the edges of the period are split
+router.get("/users/me/time-report", auth, async (req, res) => {
+    let range;
+    try {
+        range = parseReportRange(req.query);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const userId = req.user.userId || req.user._id;
+        const entries = await TimeEntry.find({
+            userId,
+            startedAt: { $lt: range.to },
+            $or: [{ endedAt: null }, { endedAt: { $gt: range.from } }]
+        });
+
+        const taskIds = [...new Set(entries.map(entry => entry.taskId))];
+        const tasks = await Task.find({ taskId: { $in: taskIds }, userId }, { taskId: 1, title: 1, category: 1 });
+        const tasksById = new Map(tasks.map(task => [task.taskId, task]));
+
+        res.send(buildTimeReport(entries, tasksById, range));
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Start a timer on a task
+// Any timer already running on another task is stopped first, so a user has at most one running timer
+// POST: /tasks/:id/timer/start -> { entry, stopped }
+router.post("/tasks/:id/timer/start", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const now = new Date();
+        const running = await TimeEntry.findOne({ userId, isRunning: true });
+        if (running && running.taskId === task.taskId) {
+            return res.status(400).send({ error: 'A timer is already running for this task' });
+        }
+
+        if (running) {
+            running.endedAt = now;
+            await running.save();
+        }
+
+        const entry = new TimeEntry({
+            userId,
+            taskId: task.taskId,
+            startedAt: now,
+            note: typeof req.body.note === 'string' ? req.body.note : ''
+        });
+
+        try {
+            await entry.save();
+        } catch (e) {
+            if (e.code === 11000) {
+                return res.status(400).send({ error: 'Another timer is already running' });
+            }
+            throw e;
+        }
+
+        res.status(201).send({ entry, stopped: running });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Stop the timer running on a task
+router.post("/tasks/:id/timer/stop", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const entry = await TimeEntry.findOne({ userId, taskId: task.taskId, isRunning: true });
+        if (!entry) {
+            return res.status(400).send({ error: 'No timer is running for this task' });
+        }
+
+        entry.endedAt = new Date();
+        await entry.save();
+
+        res.send(entry);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Get the time entries of a task (newest first) and its tracked time rolled up across subtasks
+// GET: /tasks/:id/time-entries -> { entries, summary }
+router.get("/tasks/:id/time-entries", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const [entries, summary] = await Promise.all([
+            TimeEntry.find({ userId, taskId: task.taskId }).sort({ startedAt: -1 }),
+            task.getTimeSummary()
+        ]);
+
+        res.send({ entries, summary });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Log time on a task manually
+// POST: /tasks/:id/time-entries { startedAt, endedAt, note }
+router.post("/tasks/:id/time-entries", auth, async (req, res) => {
+    let input;
+    try {
+        input = parseTimeEntryInput(req.body);
+    } catch (e) {
+        return res.status(400).send({ error: e.message });
+    }
+
+    try {
+        const task = await findTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found' });
+        }
+
+        const entry = new TimeEntry({
+            ...input,
+            userId: task.userId,
+            taskId: task.taskId
+        });
+        await entry.save();
+
+        res.status(201).send(entry);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Edit a time entry (setting endedAt on a running entry stops it)
+router.patch("/time-entries/:id", auth, async (req, res) => {
+    try {
+        const entry = await findEntry(req);
+
+        if (!entry) {
+            return res.status(404).send({ error: 'Time entry not found' });
+        }
+
+        let input;
+        try {
+            input = parseTimeEntryInput(req.body, entry);
+        } catch (e) {
+            return res.status(400).send({ error: e.message });
+        }
+
+        Object.keys(input).forEach((field) => {
+            entry[field] = input[field];
+        });
+        await entry.save();
+
+        res.send(entry);
+    } catch (e) {
+        res.status(400).send(e);
+    }
+});
+
+// Delete a time entry
+router.delete("/time-entries/:id", auth, async (req, res) => {
+    try {
+        const entry = await findEntry(req);
+
+        if (!entry) {
+            return res.status(404).send({ error: 'Time entry not found' });
+        }
+
+        await TimeEntry.deleteOne({ _id: entry._id });
+
+        res.send(entry);
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
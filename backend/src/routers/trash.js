@@ -0,0 +1,112 @@
+const express = require('express');
+const Task = require('../models/task');
+const auth = require('../middleware/auth');
+const { getTrashRetentionDays, getPurgeDate } = require('../utils/trashUtils');
+
+const router = new express.Router();
+
+// Find a task in the trash of the authenticated user by its numeric taskId
+const findTrashedTask = async (req) => {
+    const taskId = parseInt(req.params.id);
+    if (isNaN(taskId)) return null;
+
+    return Task.findOne({ taskId, userId: req.user.userId || req.user._id, deletedAt: { $ne: null } });
+};
+
+// Subtasks deleted with their parent are restored and purged through that parent
+const getDeletedWithError = (task) => {
+    return `Task ${task.taskId} was deleted together with task ${task.deletedWith}; use that task instead`;
+};
+
+// List the tasks in the trash, most recently deleted first
+// Subtasks deleted along with their parent are counted on the parent instead of listed
+// GET: /trash -> { tasks: [{ ...task, subtaskCount, purgeAt }], retentionDays }
+router.get("/trash", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const retentionDays = getTrashRetentionDays();
+
+        const [tasks, counts] = await Promise.all([
+            Task.find({ userId, deletedAt: { $ne: null }, deletedWith: null }).sort({ deletedAt: -1 }),
+            Task.aggregate([
+                { $match: { userId, deletedAt: { $ne: null }, deletedWith: { $ne: null } } },
+                { $group: { _id: '$deletedWith', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        const subtaskCounts = new Map(counts.map(count => [count._id, count.count]));
+
+        res.send({
+            tasks: tasks.map(task => ({
+                ...task.toJSON(),
+                subtaskCount: subtaskCounts.get(task.taskId) || 0,
+                purgeAt: getPurgeDate(task.deletedAt, retentionDays)
+            })),
+            retentionDays
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Restore a task from the trash together with the subtasks deleted with it
+router.post("/trash/:id/restore", auth, async (req, res) => {
+    try {
+        const task = await findTrashedTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found in trash' });
+        }
+
+        if (task.deletedWith !== null) {
+            return res.status(400).send({ error: getDeletedWithError(task) });
+        }
+
+        const restoredTaskIds = await Task.restoreFromTrash(task);
+
+        res.send({
+            task: await Task.findOne({ taskId: task.taskId, userId: task.userId }),
+            restoredTaskIds
+        });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Empty the trash
+router.delete("/trash", auth, async (req, res) => {
+    try {
+        const userId = req.user.userId || req.user._id;
+        const tasks = await Task.find({ userId, deletedAt: { $ne: null } }, { taskId: 1 });
+        const purgedTaskIds = tasks.map(task => task.taskId);
+
+        await Task.purgeTasks(userId, purgedTaskIds);
+
+        res.send({ purgedTaskIds });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+// Delete a task in the trash for good, together with the subtasks deleted with it
+router.delete("/trash/:id", auth, async (req, res) => {
+    try {
+        const task = await findTrashedTask(req);
+
+        if (!task) {
+            return res.status(404).send({ error: 'Task not found in trash' });
+        }
+
+        if (task.deletedWith !== null) {
+            return res.status(400).send({ error: getDeletedWithError(task) });
+        }
+
+        const purgedTaskIds = await Task.purgeFromTrash(task);
+
+        res.send({ task, purgedTaskIds });
+    } catch (e) {
+        res.status(500).send(e);
+    }
+});
+
+module.exports = router;
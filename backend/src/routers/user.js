@@ -1,5 +1,8 @@
 const express = require('express');
+const mongoose = require('mongoose')
 const User = require('../models/user')
+const UserActivity = require('../models/userActivity')
+const DigestLog = require('../models/digestLog')
 const router = new express.Router();
 const auth = require('../middleware/auth')
 const multer = require('multer')
@@ -7,6 +10,18 @@ const sharp = require('sharp')
 const { sendWelcomeEmail, sendAccountDeletionEmail } = require('../emails/account')
 const { setAuthCookie, clearAuthCookie } = require('../utils/tokenUtils')
 const { logAuthError, logAuthInfo, logSecurityEvent } = require('../utils/logger')
+const { notifyNewLogin, notifyLogoutAll } = require('../utils/notifier')
+const { logActivity, logActivitySafe } = require('../utils/activityLogger')
+const { PROFILE_FIELDS, redactChanges, buildActivityFilters } = require('../utils/activityUtils')
+const { snapshotFields, diffSnapshots } = require('../utils/revisionUtils')
+const { buildPaginationOptions } = require('../utils/taskQueryUtils')
+const { encodeCursor, decodeCursor, buildKeysetCondition, getPageSize, buildPageLinks } = require('../utils/paginationUtils')
+
+// Newest first; _id breaks ties between activities logged in the same millisecond
+const ACTIVITY_SORT = { timestamp: -1, _id: -1 }
+
+// Settings updated key by key, so a PATCH only changes the keys it sends
+const POLICY_UPDATES = ['completionPolicy', 'archivePolicy']
 
 router.post("/users", async (req, res) => {
     const user = new User(req.body)
@@ -20,7 +35,10 @@ router.post("/users", async (req, res) => {
             email: user.email 
         });
         
-        sendWelcomeEmail(user.email, user.name)
+        await logActivity(user.userId, 'USER_SIGNUP')
+        sendWelcomeEmail(user.email, user.name).catch((error) => {
+            logAuthError('Welcome email failed', { userId: user.userId, error: error.message })
+        })
         const token = await user.generateAuthToken()
         
         // Set authentication cookie instead of returning token in response
@@ -51,6 +69,11 @@ router.post("/users/login", async (req, res) => {
             numericUserId: user.userId,
             email: user.email 
         });
+        await notifyNewLogin(user, { ip: req.ip, userAgent: req.get('User-Agent') })
+        await logActivity(user.userId, 'USER_LOGIN', null, null, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        })
         
         // Set authentication cookie instead of returning token in response
         setAuthCookie(res, token)
@@ -71,6 +94,17 @@ router.post("/users/login", async (req, res) => {
             userAgent: req.get('User-Agent')
         });
         
+        // Record failed attempts on existing accounts so their owners can see them
+        if (typeof req.body?.email === 'string') {
+            const user = await User.findOne({ email: req.body.email.toLowerCase().trim() }).catch(() => null)
+            if (user) {
+                await logActivity(user.userId, 'USER_LOGIN', null, e.message, {
+                    ip: req.ip,
+                    userAgent: req.get('User-Agent')
+                })
+            }
+        }
+        
         // Ensure no cookie is set on failure
         res.status(400).send()
     }
@@ -88,6 +122,7 @@ router.post("/users/logout", auth, async(req, res) => {
             userId: req.user.userId ? req.user.userId.toString() : req.user._id.toString(),
             numericUserId: req.user.userId
         });
+        await logActivitySafe(req, 'USER_LOGOUT')
         
         // Clear authentication cookie
         clearAuthCookie(res)
@@ -117,6 +152,8 @@ router.post("/users/logoutall", auth, async(req, res) => {
             numericUserId: req.user.userId,
             tokensCleared: tokenCount 
         });
+        await logActivitySafe(req, 'USER_LOGOUT', null, null, { allSessions: true, tokensCleared: tokenCount })
+        await notifyLogoutAll(req.user, tokenCount)
         
         // Clear authentication cookie
         clearAuthCookie(res)
@@ -150,6 +187,7 @@ router.post("/users/me/avatar", auth, upload.single('avatar'), async (req, res)
     const buffer = await sharp(req.file.buffer).resize({ width: 250, height: 250}).png().toBuffer()
     req.user.avatar = buffer
     await req.user.save()
+    await logActivitySafe(req, 'PROFILE_UPDATED', null, null, { changes: [{ field: 'avatar' }] })
     res.send()
 }, (error, req, res, next) => {
     res.status(400).send({error: error.message})
@@ -158,6 +196,7 @@ router.post("/users/me/avatar", auth, upload.single('avatar'), async (req, res)
 router.delete("/users/me/avatar", auth, async (req, res) => {
         req.user.avatar = undefined
         await req.user.save()
+        await logActivitySafe(req, 'PROFILE_UPDATED', null, null, { changes: [{ field: 'avatar' }] })
         res.send();
 })
 
@@ -191,12 +230,65 @@ router.get("/users/me", auth, async (req, res) => {
     res.send(req.user)
 })
 
+// Get the activity log of the authenticated user, newest first
+// GET: /users/me/activity?action=TASK_CREATED,TASK_DELETED&taskId=12&from=2025-01-01&to=2025-01-31&limit=20
+//   -> { activities, total, nextCursor, hasMore }, next page: /users/me/activity?...&cursor=<nextCursor>
+router.get("/users/me/activity", auth, async (req, res) => {
+    let match
+    let after = null
+    try {
+        match = buildActivityFilters(req.query, req.user.userId)
+        if (req.query.cursor) {
+            try {
+                after = decodeCursor(req.query.cursor, ACTIVITY_SORT)
+                after[1] = new mongoose.Types.ObjectId(after[1])
+            } catch (e) {
+                throw new Error('Invalid cursor')
+            }
+        }
+    } catch (e) {
+        return res.status(400).send({ error: e.message })
+    }
+
+    try {
+        const filter = after ? { ...match, ...buildKeysetCondition(ACTIVITY_SORT, after) } : match
+
+        // Fetch one extra activity to know whether another page exists
+        const pageSize = getPageSize(buildPaginationOptions(req.query).limit)
+        const [activities, total] = await Promise.all([
+            UserActivity.find(filter).sort(ACTIVITY_SORT).limit(pageSize + 1),
+            UserActivity.countDocuments(match)
+        ])
+
+        const hasMore = activities.length > pageSize
+        const page = activities.slice(0, pageSize)
+        const nextCursor = hasMore ? encodeCursor(page[page.length - 1], ACTIVITY_SORT) : null
+
+        res.links(buildPageLinks(`${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`, req.query, nextCursor))
+        res.send({ activities: page, total, nextCursor, hasMore })
+    } catch (e) {
+        res.status(500).send(e)
+    }
+})
+
+// Get the daily digest history of the authenticated user, most recent day first
+// GET: /users/me/digests?limit=30 -> [{ date, status, counts, sentAt, ... }]
+router.get("/users/me/digests", auth, async (req, res) => {
+    try {
+        const limit = getPageSize(buildPaginationOptions(req.query).limit)
+        const digests = await DigestLog.find({ userId: req.user.userId }).sort({ date: -1 }).limit(limit)
+        res.send(digests)
+    } catch (e) {
+        res.status(500).send(e)
+    }
+})
+
 router.patch("/users/me", auth, async (req, res) => {
     const _id = req.user._id
     const changes = req.body
 
     const updates = Object.keys(req.body)
-    const allowedUpdates = ['name', 'email', 'password', 'age', 'emailEnabled', 'notificationTime']
+    const allowedUpdates = ['name', 'email', 'password', 'age', 'emailEnabled', 'notificationTime', 'timezone', 'completionPolicy', 'archivePolicy']
     const isValidOperation = updates.every((update) => {
         return allowedUpdates.includes(update)
     })
@@ -205,14 +297,34 @@ router.patch("/users/me", auth, async (req, res) => {
         return res.status(400).send('error : Invalid Update Operation');
     }
 
+    const invalidPolicy = POLICY_UPDATES.find((policy) => {
+        if (!updates.includes(policy)) return false
+        const value = changes[policy]
+        const allowedKeys = Object.keys(User.schema.obj[policy])
+        return !value || typeof value !== 'object' || Array.isArray(value) ||
+            Object.keys(value).some(key => !allowedKeys.includes(key))
+    })
+    if (invalidPolicy) {
+        return res.status(400).send({ error: `Invalid ${invalidPolicy}. Allowed settings: ${Object.keys(User.schema.obj[invalidPolicy]).join(', ')}` })
+    }
+
+    const before = snapshotFields(req.user, PROFILE_FIELDS)
     try {
         // const user = await User.findByIdAndUpdate(_id, changes, {new: true, runValidators: true})
         updates.forEach((update) => {
-            req.user[update] = changes[update];
+            if (POLICY_UPDATES.includes(update)) {
+                Object.entries(changes[update]).forEach(([key, value]) => req.user.set(`${update}.${key}`, value))
+            } else {
+                req.user[update] = changes[update];
+            }
         })
         await req.user.save()
+        await logActivitySafe(req, 'PROFILE_UPDATED', null, null, {
+            changes: redactChanges(diffSnapshots(before, snapshotFields(req.user, PROFILE_FIELDS)))
+        })
         res.status(201).send(req.user)
     } catch(e) {
+        await logActivitySafe(req, 'PROFILE_UPDATED', null, e.message, { fields: updates })
         res.status(400).send(e)
     }
 })
@@ -221,7 +333,9 @@ router.delete("/users/me", auth, async (req, res) => {
     try {
         // Use the document's deleteOne method to trigger middleware
         await req.user.deleteOne();
-        sendAccountDeletionEmail(req.user.email, req.user.name)
+        sendAccountDeletionEmail(req.user.email, req.user.name).catch((error) => {
+            logAuthError('Account deletion email failed', { userId: req.user.userId, error: error.message })
+        })
         res.send(req.user); 
     } catch(e) {
         res.status(500).send();
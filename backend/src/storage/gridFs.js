@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Store files in MongoDB GridFS, using the storage key as the GridFS file name
+// The bucket is opened lazily because the connection may not be ready when this module loads
+const createGridFsStorage = ({ bucketName = 'attachments' } = {}) => {
+    let bucket = null;
+
+    const getBucket = () => {
+        if (!bucket) {
+            bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+        }
+        return bucket;
+    };
+
+    return {
+        name: 'gridfs',
+
+        save: (key, buffer, { contentType } = {}) => new Promise((resolve, reject) => {
+            const upload = getBucket().openUploadStream(key, { metadata: { contentType } });
+            upload.once('error', reject);
+            upload.once('finish', resolve);
+            upload.end(buffer);
+        }),
+
+        createReadStream: async (key) => {
+            const file = await getBucket().find({ filename: key }).limit(1).next();
+            if (!file) {
+                throw new Error('File not found');
+            }
+            return getBucket().openDownloadStream(file._id);
+        },
+
+        remove: async (key) => {
+            const files = await getBucket().find({ filename: key }).toArray();
+            await Promise.all(files.map(file => getBucket().delete(file._id)));
+        }
+    };
+};
+
+module.exports = createGridFsStorage;
@@ -0,0 +1,33 @@
+const path = require('path');
+const createLocalDiskStorage = require('./localDisk');
+const createGridFsStorage = require('./gridFs');
+
+// Attachment storage backends
+// Every backend exposes save(key, buffer, { contentType }), createReadStream(key) and remove(key)
+const backends = {
+    local: () => createLocalDiskStorage({
+        directory: process.env.ATTACHMENT_DIR || path.join(__dirname, '../../uploads')
+    }),
+    gridfs: () => createGridFsStorage({ bucketName: 'attachments' })
+};
+
+const instances = {};
+
+// Get a storage backend by name (defaults to ATTACHMENT_STORAGE, then local disk)
+// Attachments remember the backend they were written to, so switching the default
+// keeps older files readable
+const getStorage = (name = process.env.ATTACHMENT_STORAGE || 'local') => {
+    if (!backends[name]) {
+        throw new Error(`Unknown attachment storage "${name}". Use ${Object.keys(backends).join(' or ')}`);
+    }
+
+    if (!instances[name]) {
+        instances[name] = backends[name]();
+    }
+    return instances[name];
+};
+
+module.exports = {
+    STORAGE_BACKENDS: Object.keys(backends),
+    getStorage
+};
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const path = require('path');
+
+// Store files under a directory on the local disk
+// Keys may contain "/" and map to sub-directories; anything escaping the root is rejected
+const createLocalDiskStorage = ({ directory }) => {
+    const root = path.resolve(directory);
+
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error('Invalid storage key');
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        save: async (key, buffer) => {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, buffer);
+        },
+
+        createReadStream: async (key) => {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        remove: async (key) => {
+            try {
+                await fs.promises.unlink(resolveKey(key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+    };
+};
+
+module.exports = createLocalDiskStorage;
@@ -24,18 +24,18 @@ router.post('/tasks', auth, async (req, res) => {
     try {
         const task = new Task({
             ...req.body,
-            userId: req.user._id
+            userId: req.user.userId
         });
         
         const savedTask = await task.save();
         
         // Log successful task creation
-        await logActivity(req.user._id, 'TASK_CREATED', savedTask._id);
+        await logActivity(req.user.userId, 'TASK_CREATED', savedTask.taskId);
         
         res.status(201).json(savedTask);
     } catch (error) {
         // Log failed task creation
-        await logActivity(req.user._id, 'TASK_CREATED', null, error.message);
+        await logActivity(req.user.userId, 'TASK_CREATED', null, error.message);
         
         res.status(400).json({ error: error.message });
     }
@@ -47,13 +47,13 @@ router.post('/tasks', auth, async (req, res) => {
 router.patch('/tasks/:id/complete', auth, async (req, res) => {
     try {
         const task = await Task.findOne({ 
-            _id: req.params.id, 
-            userId: req.user._id 
+            taskId: parseInt(req.params.id), 
+            userId: req.user.userId 
         });
         
         if (!task) {
             // Log failed completion attempt
-            await logActivity(req.user._id, 'TASK_COMPLETED', req.params.id, 'Task not found');
+            await logActivity(req.user.userId, 'TASK_COMPLETED', req.params.id, 'Task not found');
             return res.status(404).json({ error: 'Task not found' });
         }
         
@@ -61,12 +61,12 @@ router.patch('/tasks/:id/complete', auth, async (req, res) => {
         await task.save();
         
         // Log successful completion
-        await logActivity(req.user._id, 'TASK_COMPLETED', task._id);
+        await logActivity(req.user.userId, 'TASK_COMPLETED', task.taskId);
         
         res.json(task);
     } catch (error) {
         // Log failed completion
-        await logActivity(req.user._id, 'TASK_COMPLETED', req.params.id, error.message);
+        await logActivity(req.user.userId, 'TASK_COMPLETED', req.params.id, error.message);
         res.status(400).json({ error: error.message });
     }
 });
@@ -84,7 +84,7 @@ router.patch('/tasks/:id',
     async (req, res) => {
         try {
             const task = await Task.findOneAndUpdate(
-                { _id: req.params.id, userId: req.user._id },
+                { taskId: parseInt(req.params.id), userId: req.user.userId },
                 req.body,
                 { new: true, runValidators: true }
             );
@@ -97,7 +97,7 @@ router.patch('/tasks/:id',
             res.json(task);
         } catch (error) {
             // Log error manually since middleware only logs success
-            await logActivity(req.user._id, 'TASK_UPDATED', req.params.id, error.message);
+            await logActivity(req.user.userId, 'TASK_UPDATED', req.params.id, error.message);
             res.status(400).json({ error: error.message });
         }
     }
@@ -125,7 +125,7 @@ router.patch('/profile',
             // Middleware will automatically log PROFILE_UPDATED
             res.json(req.user);
         } catch (error) {
-            await logActivity(req.user._id, 'PROFILE_UPDATED', null, error.message);
+            await logActivity(req.user.userId, 'PROFILE_UPDATED', null, error.message);
             res.status(400).json({ error: error.message });
         }
     }
@@ -141,8 +141,8 @@ router.patch('/profile',
 router.delete('/tasks/:id', auth, async (req, res) => {
     try {
         const task = await Task.findOne({ 
-            _id: req.params.id, 
-            userId: req.user._id 
+            taskId: parseInt(req.params.id), 
+            userId: req.user.userId 
         });
         
         if (!task) {
@@ -176,7 +176,7 @@ router.post('/login', async (req, res) => {
         const token = await user.generateAuthToken();
         
         // Log successful login
-        await logActivity(user._id, 'USER_LOGIN');
+        await logActivity(user.userId, 'USER_LOGIN');
         
         res.json({ user, token });
     } catch (error) {
@@ -195,11 +195,11 @@ router.post('/logout', auth, async (req, res) => {
         await req.user.save();
         
         // Log successful logout
-        await logActivity(req.user._id, 'USER_LOGOUT');
+        await logActivity(req.user.userId, 'USER_LOGOUT');
         
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
-        await logActivity(req.user._id, 'USER_LOGOUT', null, error.message);
+        await logActivity(req.user.userId, 'USER_LOGOUT', null, error.message);
         res.status(500).json({ error: error.message });
     }
 });
@@ -218,8 +218,8 @@ router.patch('/tasks/bulk/complete', auth, async (req, res) => {
     for (const taskId of taskIds) {
         try {
             const task = await Task.findOne({ 
-                _id: taskId, 
-                userId: req.user._id 
+                taskId: parseInt(taskId), 
+                userId: req.user.userId 
             });
             
             if (task) {
@@ -227,15 +227,15 @@ router.patch('/tasks/bulk/complete', auth, async (req, res) => {
                 await task.save();
                 
                 // Log each successful completion
-                await logActivity(req.user._id, 'TASK_COMPLETED', taskId);
+                await logActivity(req.user.userId, 'TASK_COMPLETED', taskId);
                 results.push({ taskId, status: 'completed' });
             } else {
                 // Log each failed completion
-                await logActivity(req.user._id, 'TASK_COMPLETED', taskId, 'Task not found');
+                await logActivity(req.user.userId, 'TASK_COMPLETED', taskId, 'Task not found');
                 results.push({ taskId, status: 'not_found' });
             }
         } catch (error) {
-            await logActivity(req.user._id, 'TASK_COMPLETED', taskId, error.message);
+            await logActivity(req.user.userId, 'TASK_COMPLETED', taskId, error.message);
             results.push({ taskId, status: 'error', error: error.message });
         }
     }
@@ -254,7 +254,7 @@ router.get('/activities', auth, async (req, res) => {
     try {
         const { page = 1, limit = 20, action, startDate, endDate } = req.query;
         
-        const query = { userId: req.user._id };
+        const query = { userId: req.user.userId };
         
         // Filter by action type if provided
         if (action) {
@@ -293,7 +293,7 @@ router.get('/activities', auth, async (req, res) => {
 router.get('/activities/stats', auth, async (req, res) => {
     try {
         const stats = await UserActivity.aggregate([
-            { $match: { userId: req.user._id } },
+            { $match: { userId: req.user.userId } },
             {
                 $group: {
                     _id: '$action',
@@ -329,18 +329,18 @@ router.post('/tasks/:id/duplicate', auth, async (req, res) => {
     try {
         // Find original task
         const originalTask = await Task.findOne({ 
-            _id: originalTaskId, 
-            userId: req.user._id 
+            taskId: parseInt(originalTaskId), 
+            userId: req.user.userId 
         });
         
         if (!originalTask) {
-            await logActivity(req.user._id, 'TASK_DUPLICATED', originalTaskId, 'Original task not found');
+            await logActivity(req.user.userId, 'TASK_DUPLICATED', originalTaskId, 'Original task not found');
             return res.status(404).json({ error: 'Task not found' });
         }
         
         // Create duplicate
         const duplicateTask = new Task({
-            userId: req.user._id,
+            userId: req.user.userId,
             title: `${originalTask.title} (Copy)`,
             description: originalTask.description,
             dueDate: originalTask.dueDate,
@@ -349,11 +349,11 @@ router.post('/tasks/:id/duplicate', auth, async (req, res) => {
         });
         
         const savedTask = await duplicateTask.save();
-        newTaskId = savedTask._id;
+        newTaskId = savedTask.taskId;
         
         // Log successful duplication
-        await logActivity(req.user._id, 'TASK_DUPLICATED', originalTaskId);
-        await logActivity(req.user._id, 'TASK_CREATED', newTaskId);
+        await logActivity(req.user.userId, 'TASK_DUPLICATED', originalTaskId);
+        await logActivity(req.user.userId, 'TASK_CREATED', newTaskId);
         
         res.status(201).json(savedTask);
         
@@ -363,7 +363,7 @@ router.post('/tasks/:id/duplicate', auth, async (req, res) => {
             `Failed to save duplicate of ${originalTaskId}` : 
             `Failed to duplicate ${originalTaskId}`;
             
-        await logActivity(req.user._id, 'TASK_DUPLICATED', originalTaskId, `${errorContext}: ${error.message}`);
+        await logActivity(req.user.userId, 'TASK_DUPLICATED', originalTaskId, `${errorContext}: ${error.message}`);
         
         res.status(400).json({ error: error.message });
     }
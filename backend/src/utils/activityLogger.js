@@ -1,13 +1,23 @@
-const mongoose = require('mongoose');
 const UserActivity = require('../models/userActivity');
 
+/**
+ * Convert a numeric userId/taskId (number or digit string) to a number
+ * @param {number|string} value - Raw ID
+ * @returns {number|null} Positive integer ID, or null if the value isn't a numeric ID
+ */
+const toNumericId = (value) => {
+    const id = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isSafeInteger(id) && id > 0 ? id : null;
+};
+
 /**
  * Logs user activity to the database with automatic message generation
  * 
- * @param {string|ObjectId} userId - The user performing the action (required)
+ * @param {number|string} userId - Numeric userId of the user performing the action (required)
  * @param {string} action - The action type (required, e.g., "TASK_COMPLETED", "USER_LOGIN")
- * @param {string|ObjectId} taskId - The task involved in the action (optional)
+ * @param {number|string} taskId - Numeric taskId of the task involved in the action (optional)
  * @param {string} error - Error message if the action failed (optional)
+ * @param {Object} metadata - Structured details, e.g. { changes: [{ field, from, to }] } (optional)
  * @returns {Promise<UserActivity|null>} The created activity record or null if logging failed
  * 
  * @example
@@ -26,11 +36,20 @@ const UserActivity = require('../models/userActivity');
  * // Log error without task reference
  * const activity = await logActivity(userId, 'PROFILE_UPDATED', null, 'Validation failed');
  * 
+ * @example
+ * // Log an update with the changed fields
+ * const activity = await logActivity(userId, 'TASK_UPDATED', taskId, null, {
+ *     changes: [{ field: 'priority', from: 'low', to: 'high' }]
+ * });
+ * 
  * Common Action Types:
  * - TASK_CREATED: When a new task is created
  * - TASK_UPDATED: When a task is modified
  * - TASK_COMPLETED: When a task is marked as complete
- * - TASK_DELETED: When a task is removed
+ * - TASK_REOPENED: When a completed task is marked as open again
+ * - TASK_ARCHIVED / TASK_UNARCHIVED: When a task is moved into or out of the archive
+ * - TASK_DELETED: When a task is moved to the trash
+ * - USER_SIGNUP: When a user creates an account
  * - USER_LOGIN: When a user logs in
  * - USER_LOGOUT: When a user logs out
  * - PROFILE_UPDATED: When user profile is modified
@@ -41,7 +60,7 @@ const UserActivity = require('../models/userActivity');
  * - Error without task: "User attempted {action} :: ERROR: {error}"
  * - Error with task: "User attempted {action} :: {taskId} :: ERROR: {error}"
  */
-const logActivity = async (userId, action, taskId = null, error = null) => {
+const logActivity = async (userId, action, taskId = null, error = null, metadata = null) => {
     try {
         // Parameter validation
         if (!userId) {
@@ -54,15 +73,16 @@ const logActivity = async (userId, action, taskId = null, error = null) => {
             return null;
         }
 
-        // Validate ObjectId format for userId
-        if (!mongoose.Types.ObjectId.isValid(userId)) {
-            console.error('ActivityLogger: userId must be a valid ObjectId');
+        // Users and tasks are referenced by their numeric IDs
+        const numericUserId = toNumericId(userId);
+        if (numericUserId === null) {
+            console.error('ActivityLogger: userId must be a numeric userId');
             return null;
         }
 
-        // Validate ObjectId format for taskId if provided
-        if (taskId && !mongoose.Types.ObjectId.isValid(taskId)) {
-            console.error('ActivityLogger: taskId must be a valid ObjectId when provided');
+        const numericTaskId = taskId ? toNumericId(taskId) : null;
+        if (taskId && numericTaskId === null) {
+            console.error('ActivityLogger: taskId must be a numeric taskId when provided');
             return null;
         }
 
@@ -70,15 +90,15 @@ const logActivity = async (userId, action, taskId = null, error = null) => {
         let message;
         if (error) {
             // Error scenario
-            if (taskId) {
-                message = `User attempted ${action} :: ${taskId} :: ERROR: ${error}`;
+            if (numericTaskId) {
+                message = `User attempted ${action} :: ${numericTaskId} :: ERROR: ${error}`;
             } else {
                 message = `User attempted ${action} :: ERROR: ${error}`;
             }
         } else {
             // Success scenario
-            if (taskId) {
-                message = `User performed ${action} :: ${taskId}`;
+            if (numericTaskId) {
+                message = `User performed ${action} :: ${numericTaskId}`;
             } else {
                 message = `User performed ${action}`;
             }
@@ -86,21 +106,25 @@ const logActivity = async (userId, action, taskId = null, error = null) => {
 
         // Create activity record
         const activityData = {
-            userId: new mongoose.Types.ObjectId(userId),
+            userId: numericUserId,
             action: action.trim(),
             message: message,
             timestamp: new Date()
         };
 
         // Add optional fields
-        if (taskId) {
-            activityData.taskId = new mongoose.Types.ObjectId(taskId);
+        if (numericTaskId) {
+            activityData.taskId = numericTaskId;
         }
         
         if (error) {
             activityData.error = error.trim();
         }
 
+        if (metadata) {
+            activityData.metadata = metadata;
+        }
+
         // Save to database
         const activity = new UserActivity(activityData);
         const savedActivity = await activity.save();
@@ -154,7 +178,7 @@ const activityLoggerMiddleware = (action, getTaskId = null) => {
             // Log activity after successful response
             if (res.statusCode >= 200 && res.statusCode < 300) {
                 // Extract userId from authenticated user
-                const userId = req.user?._id;
+                const userId = req.user?.userId;
                 
                 if (userId) {
                     // Extract taskId if function provided
@@ -178,22 +202,23 @@ const activityLoggerMiddleware = (action, getTaskId = null) => {
 /**
  * Helper function to log activity with error handling for route handlers
  * 
- * @param {Object} req - Express request object (should have req.user._id)
+ * @param {Object} req - Express request object (should have req.user.userId)
  * @param {string} action - The action type
- * @param {string|ObjectId} taskId - Optional task ID
+ * @param {number|string} taskId - Optional numeric task ID
  * @param {string} error - Optional error message
+ * @param {Object} metadata - Optional structured details (see logActivity)
  * @returns {Promise<void>} Promise that resolves regardless of logging success/failure
  * 
  * @example
  * // In a route handler
  * router.post('/tasks/:id/complete', auth, async (req, res) => {
  *     try {
- *         const task = await Task.findById(req.params.id);
+ *         const task = await Task.findOne({ taskId: parseInt(req.params.id), userId: req.user.userId });
  *         task.isCompleted = true;
  *         await task.save();
  *         
  *         // Log successful completion
- *         await logActivitySafe(req, 'TASK_COMPLETED', task._id);
+ *         await logActivitySafe(req, 'TASK_COMPLETED', task.taskId);
  *         
  *         res.json(task);
  *     } catch (error) {
@@ -203,11 +228,11 @@ const activityLoggerMiddleware = (action, getTaskId = null) => {
  *     }
  * });
  */
-const logActivitySafe = async (req, action, taskId = null, error = null) => {
+const logActivitySafe = async (req, action, taskId = null, error = null, metadata = null) => {
     try {
-        const userId = req.user?._id;
+        const userId = req.user?.userId;
         if (userId) {
-            await logActivity(userId, action, taskId, error);
+            await logActivity(userId, action, taskId, error, metadata);
         }
     } catch (loggingError) {
         // Don't let logging errors affect the main application flow
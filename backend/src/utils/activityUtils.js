@@ -0,0 +1,105 @@
+/**
+ * Utility functions for the user activity log
+ *
+ * Updates record the fields they changed in metadata.changes as { field, from, to }, the
+ * format of the task revision log. Secret fields such as the password are logged by name only.
+ */
+
+const SECRET_FIELDS = ['password'];
+
+// Profile fields whose changes are logged by PATCH /users/me
+const PROFILE_FIELDS = ['name', 'email', 'age', 'emailEnabled', 'notificationTime', 'timezone', 'completionPolicy', 'archivePolicy', 'password'];
+
+/**
+ * Name the action of a task update from the fields it changed
+ * @param {Array<Object>} changes - Changed fields ({ field, from, to })
+ * @returns {string} TASK_COMPLETED, TASK_REOPENED or TASK_UPDATED
+ */
+function getTaskUpdateAction(changes) {
+    const completion = changes.find(change => change.field === 'isCompleted');
+    if (completion) {
+        return completion.to ? 'TASK_COMPLETED' : 'TASK_REOPENED';
+    }
+    return 'TASK_UPDATED';
+}
+
+/**
+ * Drop the values of secret fields from a list of changes
+ * @param {Array<Object>} changes - Changed fields ({ field, from, to })
+ * @returns {Array<Object>} Changes, secret fields reduced to { field }
+ */
+function redactChanges(changes) {
+    return changes.map(change => (SECRET_FIELDS.includes(change.field) ? { field: change.field } : change));
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw parameter
+ * @param {string} name - Parameter name used in the error message
+ * @returns {Date} Parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDateParam(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+}
+
+/**
+ * Build the MongoDB filter of an activity log request
+ *
+ * Supported parameters:
+ * - action: single action or comma-separated list ("TASK_CREATED,TASK_DELETED")
+ * - taskId: numeric taskId
+ * - from, to: dates (inclusive)
+ *
+ * @param {Object} queryParams - Query parameters from request
+ * @param {number} userId - Numeric userId whose activity is listed
+ * @returns {Object} MongoDB filter object
+ * @throws {Error} If a parameter is invalid
+ */
+function buildActivityFilters(queryParams, userId) {
+    const match = { userId };
+
+    if (queryParams.action) {
+        const actions = String(queryParams.action)
+            .split(',')
+            .map(action => action.trim().toUpperCase())
+            .filter(action => action !== '');
+        if (actions.length > 0) {
+            match.action = actions.length === 1 ? actions[0] : { $in: actions };
+        }
+    }
+
+    if (queryParams.taskId !== undefined) {
+        const taskId = Number(queryParams.taskId);
+        if (!Number.isInteger(taskId) || taskId < 1) {
+            throw new Error('Invalid taskId parameter');
+        }
+        match.taskId = taskId;
+    }
+
+    if (queryParams.from || queryParams.to) {
+        match.timestamp = {};
+        if (queryParams.from) {
+            match.timestamp.$gte = parseDateParam(queryParams.from, 'from');
+        }
+        if (queryParams.to) {
+            match.timestamp.$lte = parseDateParam(queryParams.to, 'to');
+        }
+        if (match.timestamp.$gte && match.timestamp.$lte && match.timestamp.$gte > match.timestamp.$lte) {
+            throw new Error('from must be before to');
+        }
+    }
+
+    return match;
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    getTaskUpdateAction,
+    redactChanges,
+    buildActivityFilters
+};
@@ -0,0 +1,65 @@
+/**
+ * Utility functions for the task archive
+ *
+ * Archived tasks are completed tasks kept out of the everyday task lists. Users archive
+ * tasks by hand or turn on auto-archiving (User.archivePolicy), which archives top-level
+ * tasks that have been completed for archiveAfterDays days.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_ARCHIVE_AFTER_DAYS = 14;
+const MAX_ARCHIVE_AFTER_DAYS = 365;
+
+const DEFAULT_ARCHIVE_POLICY = {
+    autoArchive: false,
+    archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS
+};
+
+/**
+ * Resolve the archive policy of a user, filling in defaults
+ * @param {Object} user - User
+ * @returns {Object} { autoArchive, archiveAfterDays }
+ */
+function getArchivePolicy(user) {
+    const policy = user && user.archivePolicy ? user.archivePolicy : {};
+    const days = policy.archiveAfterDays;
+
+    return {
+        autoArchive: typeof policy.autoArchive === 'boolean' ? policy.autoArchive : DEFAULT_ARCHIVE_POLICY.autoArchive,
+        archiveAfterDays: Number.isInteger(days) && days >= 1 && days <= MAX_ARCHIVE_AFTER_DAYS
+            ? days
+            : DEFAULT_ARCHIVE_POLICY.archiveAfterDays
+    };
+}
+
+/**
+ * Get the completion date before which tasks are auto-archived
+ * @param {Object} policy - Archive policy (from getArchivePolicy)
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Cutoff, or null when auto-archiving is off
+ */
+function getAutoArchiveCutoff(policy, now = new Date()) {
+    if (!policy.autoArchive) return null;
+    return new Date(now.getTime() - policy.archiveAfterDays * DAY_MS);
+}
+
+/**
+ * Check why a task can't be archived
+ * @param {Object} task - Task to archive
+ * @returns {string|null} Error message, or null if the task can be archived
+ */
+function getArchiveBlocker(task) {
+    if (task.archivedAt) return 'Task is already archived';
+    if (task.parentId !== null && task.parentId !== undefined) return 'Subtasks are archived together with their parent task';
+    if (!task.isCompleted) return 'Only completed tasks can be archived';
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ARCHIVE_AFTER_DAYS,
+    MAX_ARCHIVE_AFTER_DAYS,
+    getArchivePolicy,
+    getAutoArchiveCutoff,
+    getArchiveBlocker
+};
@@ -0,0 +1,138 @@
+/**
+ * Utility functions for task attachments
+ *
+ * Limits come from the environment so deployments can tune them:
+ * ATTACHMENT_MAX_BYTES (per file) and ATTACHMENT_QUOTA_BYTES (per user, across all tasks).
+ */
+
+const path = require('path');
+
+const DEFAULT_MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const DEFAULT_STORAGE_QUOTA_BYTES = 100 * 1024 * 1024;
+
+const MAX_FILENAME_LENGTH = 255;
+
+// Accepted content types and the file extensions they may use
+const ALLOWED_FILE_TYPES = {
+    'image/png': ['.png'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/gif': ['.gif'],
+    'image/webp': ['.webp'],
+    'application/pdf': ['.pdf'],
+    'text/plain': ['.txt', '.log'],
+    'text/markdown': ['.md', '.markdown'],
+    'text/csv': ['.csv'],
+    'application/json': ['.json'],
+    'application/zip': ['.zip'],
+    'application/msword': ['.doc'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx']
+};
+
+// Images sharp can turn into thumbnails
+const THUMBNAIL_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+/**
+ * Read a positive byte count from the environment
+ * @param {string} value - Raw environment value
+ * @param {number} fallback - Value used when unset or invalid
+ * @returns {number} Byte count
+ */
+function parseByteLimit(value, fallback) {
+    const bytes = parseInt(value);
+    return bytes > 0 ? bytes : fallback;
+}
+
+/**
+ * Get the attachment limits of this deployment
+ * @param {Object} env - Environment variables
+ * @returns {Object} { maxFileBytes, quotaBytes }
+ */
+function getAttachmentLimits(env = process.env) {
+    return {
+        maxFileBytes: parseByteLimit(env.ATTACHMENT_MAX_BYTES, DEFAULT_MAX_ATTACHMENT_BYTES),
+        quotaBytes: parseByteLimit(env.ATTACHMENT_QUOTA_BYTES, DEFAULT_STORAGE_QUOTA_BYTES)
+    };
+}
+
+/**
+ * Check that an upload has an accepted content type and a matching extension
+ * @param {string} mimetype - Content type reported by the client
+ * @param {string} filename - Original file name
+ * @returns {boolean} True if the file may be attached
+ */
+function isAllowedFileType(mimetype, filename) {
+    const extensions = ALLOWED_FILE_TYPES[String(mimetype).toLowerCase()];
+    return Boolean(extensions) && extensions.includes(path.extname(String(filename)).toLowerCase());
+}
+
+/**
+ * Check whether a thumbnail can be generated for a content type
+ * @param {string} mimetype - Content type
+ * @returns {boolean} True for supported images
+ */
+function supportsThumbnail(mimetype) {
+    return THUMBNAIL_TYPES.includes(mimetype);
+}
+
+/**
+ * Clean a client-provided file name for storage and downloads
+ * Drops directories, control characters and path separators and caps the length.
+ * @param {string} filename - Original file name
+ * @returns {string} Safe file name (never empty)
+ */
+function sanitizeFilename(filename) {
+    const base = path.basename(String(filename || '').replace(/\\/g, '/'));
+    // eslint-disable-next-line no-control-regex
+    const cleaned = base.replace(/[\u0000-\u001f\u007f"/\\]/g, '').trim();
+
+    if (!cleaned || cleaned === '.' || cleaned === '..') {
+        return 'file';
+    }
+
+    if (cleaned.length <= MAX_FILENAME_LENGTH) {
+        return cleaned;
+    }
+
+    const extension = path.extname(cleaned).slice(0, 20);
+    return cleaned.slice(0, MAX_FILENAME_LENGTH - extension.length) + extension;
+}
+
+/**
+ * Build a Content-Disposition header (RFC 6266) that survives non-ASCII file names
+ * @param {string} filename - Sanitized file name
+ * @param {string} type - 'attachment' or 'inline'
+ * @returns {string} Header value with an ASCII fallback and a UTF-8 filename*
+ */
+function buildContentDisposition(filename, type = 'attachment') {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    const encoded = encodeURIComponent(filename).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+/**
+ * Check whether an upload fits in a user's remaining quota
+ * @param {number} usedBytes - Bytes already stored by the user
+ * @param {number} uploadBytes - Bytes about to be stored
+ * @param {number} quotaBytes - Quota of the user
+ * @returns {boolean} True if the upload fits
+ */
+function fitsInQuota(usedBytes, uploadBytes, quotaBytes) {
+    return usedBytes + uploadBytes <= quotaBytes;
+}
+
+module.exports = {
+    ALLOWED_FILE_TYPES,
+    DEFAULT_MAX_ATTACHMENT_BYTES,
+    DEFAULT_STORAGE_QUOTA_BYTES,
+    getAttachmentLimits,
+    isAllowedFileType,
+    supportsThumbnail,
+    sanitizeFilename,
+    buildContentDisposition,
+    fitsInQuota
+};
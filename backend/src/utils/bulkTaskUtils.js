@@ -0,0 +1,79 @@
+/**
+ * Utility functions for bulk task operations
+ */
+
+const BULK_OPERATIONS = ['update', 'complete', 'delete', 'move'];
+
+// Upper bound on the number of tasks a single bulk request may touch
+const MAX_BULK_TASKS = 500;
+
+/**
+ * Validate and normalize the body of a bulk task request
+ * @param {Object} body - Request body ({ taskIds, operation, updates, parentId, subtasks })
+ * @param {Array<string>} allowedUpdates - Fields that may be changed by the update operation
+ * @returns {Object} Normalized request with unique numeric taskIds
+ * @throws {Error} If the request is malformed
+ */
+function parseBulkRequest(body, allowedUpdates) {
+    const { taskIds, operation } = body || {};
+
+    if (!Array.isArray(taskIds) || taskIds.length === 0) {
+        throw new Error('taskIds must be a non-empty array');
+    }
+
+    const ids = [...new Set(taskIds.map(id => Number(id)))];
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+        throw new Error('taskIds must contain numeric task IDs');
+    }
+
+    if (ids.length > MAX_BULK_TASKS) {
+        throw new Error(`A bulk operation can include at most ${MAX_BULK_TASKS} tasks`);
+    }
+
+    if (!BULK_OPERATIONS.includes(operation)) {
+        throw new Error(`Invalid operation. Use one of: ${BULK_OPERATIONS.join(', ')}`);
+    }
+
+    const request = { taskIds: ids, operation };
+
+    if (operation === 'update') {
+        const updates = body.updates;
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+            throw new Error('updates must be a non-empty object');
+        }
+
+        const isValidOperation = Object.keys(updates).every((update) => {
+            return allowedUpdates.includes(update);
+        });
+        if (!isValidOperation) {
+            throw new Error('Invalid Update Operation');
+        }
+
+        request.updates = updates;
+    }
+
+    if (operation === 'move') {
+        if (body.parentId === undefined) {
+            throw new Error('parentId is required for the move operation');
+        }
+
+        const parentId = body.parentId === null ? null : Number(body.parentId);
+        if (parentId !== null && (!Number.isInteger(parentId) || parentId <= 0)) {
+            throw new Error('parentId must be a numeric task ID or null');
+        }
+
+        request.parentId = parentId;
+    }
+
+    if (operation === 'delete') {
+        request.subtasks = body.subtasks;
+    }
+
+    return request;
+}
+
+module.exports = {
+    BULK_OPERATIONS,
+    MAX_BULK_TASKS,
+    parseBulkRequest
+};
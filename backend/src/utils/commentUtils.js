@@ -0,0 +1,52 @@
+/**
+ * Utility functions for task comments
+ *
+ * Comment bodies are stored as markdown source; rendering happens in the client.
+ */
+
+const MAX_COMMENT_LENGTH = 10000;
+
+// Number of previous versions kept per comment
+const MAX_COMMENT_EDITS = 50;
+
+/**
+ * Validate the body of a new or edited comment
+ * @param {Object} body - Request body ({ body })
+ * @returns {string} Trimmed markdown body
+ * @throws {Error} If other fields are sent or the body is empty or too long
+ */
+function parseCommentBody(body) {
+    const fields = Object.keys(body || {});
+    if (!fields.every(field => field === 'body')) {
+        throw new Error('Invalid Update Operation');
+    }
+
+    if (typeof body.body !== 'string' || body.body.trim().length === 0) {
+        throw new Error('Comment body is required');
+    }
+
+    const text = body.body.trim();
+    if (text.length > MAX_COMMENT_LENGTH) {
+        throw new Error(`Comment body must be at most ${MAX_COMMENT_LENGTH} characters`);
+    }
+
+    return text;
+}
+
+/**
+ * Record the current body of a comment in its edit history before it changes
+ * @param {Array<Object>} edits - Previous versions ({ body, editedAt }), oldest first
+ * @param {string} previousBody - Body being replaced
+ * @param {Date} editedAt - When the previous body was replaced
+ * @returns {Array<Object>} New edit history, capped at MAX_COMMENT_EDITS entries
+ */
+function appendCommentEdit(edits, previousBody, editedAt = new Date()) {
+    return [...edits, { body: previousBody, editedAt }].slice(-MAX_COMMENT_EDITS);
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    MAX_COMMENT_EDITS,
+    parseCommentBody,
+    appendCommentEdit
+};
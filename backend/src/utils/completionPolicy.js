@@ -0,0 +1,139 @@
+/**
+ * Parent/subtask completion policies
+ *
+ * Policies are stored per user (User.completionPolicy) and applied by the task routes:
+ * - autoCompleteParent: complete a parent when its last open subtask is completed
+ * - blockIncompleteParent: refuse to complete a task that still has open subtasks
+ * - reopenParentOnNewSubtask: reopen a completed parent when a subtask is added to it
+ * - blockOnOpenDependencies: refuse to complete a task whose blockers (blockedBy) are still open
+ */
+
+const TaskRevision = require('../models/taskRevision');
+const { snapshotFields, diffSnapshots } = require('./revisionUtils');
+
+const DEFAULT_COMPLETION_POLICY = {
+    autoCompleteParent: false,
+    blockIncompleteParent: false,
+    reopenParentOnNewSubtask: false,
+    blockOnOpenDependencies: false
+};
+
+/**
+ * Resolve the completion policy of a user, filling in defaults
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Completion policy
+ */
+function getCompletionPolicy(user) {
+    const policy = user && user.completionPolicy ? user.completionPolicy : {};
+
+    return Object.keys(DEFAULT_COMPLETION_POLICY).reduce((resolved, key) => {
+        resolved[key] = typeof policy[key] === 'boolean' ? policy[key] : DEFAULT_COMPLETION_POLICY[key];
+        return resolved;
+    }, {});
+}
+
+/**
+ * Check whether a task may be marked complete under the given policy
+ * @param {Task} task - Task that is about to be completed
+ * @param {Object} policy - Completion policy
+ * @param {Array<number>} completingTaskIds - Subtasks being completed in the same operation
+ * @returns {Promise<string|null>} Error message if completion is blocked, null otherwise
+ */
+async function getCompletionBlocker(task, policy, completingTaskIds = []) {
+    const Task = task.constructor;
+
+    if (policy.blockOnOpenDependencies && task.blockedBy && task.blockedBy.length > 0) {
+        const openBlockerIds = await Task.getOpenBlockerIds([task]);
+        const openBlockers = [...openBlockerIds].filter(taskId => !completingTaskIds.includes(taskId)).length;
+
+        if (openBlockers > 0) {
+            return `Cannot complete a task blocked by ${openBlockers} open task${openBlockers === 1 ? '' : 's'}`;
+        }
+    }
+
+    if (!policy.blockIncompleteParent) return null;
+
+    const result = await Task.findWithDescendants(task.taskId, task.userId);
+    const descendants = result ? result.descendants : [];
+    const openSubtasks = descendants.filter((subtask) => {
+        return !subtask.isCompleted && !completingTaskIds.includes(subtask.taskId);
+    }).length;
+
+    if (openSubtasks > 0) {
+        return `Cannot complete a task with ${openSubtasks} open subtask${openSubtasks === 1 ? '' : 's'}`;
+    }
+
+    return null;
+}
+
+/**
+ * Complete or reopen a parent and record the change in its revision log
+ * @param {Task} parent - Parent task
+ * @param {boolean} isCompleted - New completion state
+ * @returns {Promise<void>}
+ */
+async function saveParentCompletion(parent, isCompleted) {
+    const before = snapshotFields(parent, ['isCompleted']);
+    parent.isCompleted = isCompleted;
+    await parent.save();
+    await TaskRevision.record(parent, diffSnapshots(before, snapshotFields(parent, ['isCompleted'])));
+}
+
+/**
+ * Complete the ancestors of a task whose subtasks are now all complete
+ * @param {Task} task - Task that was just completed
+ * @param {Object} policy - Completion policy
+ * @returns {Promise<Array<number>>} taskIds of the parents that were completed
+ */
+async function completeFinishedParents(task, policy) {
+    if (!policy.autoCompleteParent || !task.isCompleted) return [];
+
+    const completedIds = [];
+    let current = task;
+
+    while (current.isSubtask()) {
+        const parent = await current.getParent();
+        if (!parent || parent.isCompleted) break;
+
+        const siblings = await parent.getSubtasks();
+        if (siblings.some(sibling => !sibling.isCompleted)) break;
+
+        await saveParentCompletion(parent, true);
+        completedIds.push(parent.taskId);
+        current = parent;
+    }
+
+    return completedIds;
+}
+
+/**
+ * Reopen the completed ancestors of a newly added subtask
+ * @param {Task} task - Subtask that was just added
+ * @param {Object} policy - Completion policy
+ * @returns {Promise<Array<number>>} taskIds of the parents that were reopened
+ */
+async function reopenCompletedParents(task, policy) {
+    if (!policy.reopenParentOnNewSubtask || task.isCompleted) return [];
+
+    const reopenedIds = [];
+    let current = task;
+
+    while (current.isSubtask()) {
+        const parent = await current.getParent();
+        if (!parent || !parent.isCompleted) break;
+
+        await saveParentCompletion(parent, false);
+        reopenedIds.push(parent.taskId);
+        current = parent;
+    }
+
+    return reopenedIds;
+}
+
+module.exports = {
+    DEFAULT_COMPLETION_POLICY,
+    getCompletionPolicy,
+    getCompletionBlocker,
+    completeFinishedParents,
+    reopenCompletedParents
+};
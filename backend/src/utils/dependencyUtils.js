@@ -0,0 +1,90 @@
+/**
+ * Utility functions for task dependencies
+ *
+ * A task's blockedBy array holds the taskIds that must be completed before it can start.
+ * Following blockedBy edges from any task must never lead back to the same task.
+ */
+
+/**
+ * Parse the taskId of a dependency from a request
+ * @param {*} value - Raw taskId from the body or URL
+ * @returns {number} taskId
+ * @throws {Error} If the value is not a positive integer
+ */
+function parseDependencyId(value) {
+    const taskId = Number(value);
+    if (value === null || value === '' || !Number.isInteger(taskId) || taskId < 1) {
+        throw new Error('blockedBy must be a taskId');
+    }
+    return taskId;
+}
+
+/**
+ * Find a chain of dependencies leading from one task to another
+ * @param {Map<number, Array<number>>} blockedByMap - taskId -> taskIds blocking it
+ * @param {number} from - taskId to start from
+ * @param {number} to - taskId to look for
+ * @returns {Array<number>|null} taskIds from `from` to `to` (each blocked by the next), or null
+ */
+function findDependencyPath(blockedByMap, from, to) {
+    const previous = new Map([[from, null]]);
+    const queue = [from];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+
+        if (current === to) {
+            const path = [];
+            for (let step = current; step !== null; step = previous.get(step)) {
+                path.unshift(step);
+            }
+            return path;
+        }
+
+        (blockedByMap.get(current) || []).forEach((blockerId) => {
+            if (!previous.has(blockerId)) {
+                previous.set(blockerId, current);
+                queue.push(blockerId);
+            }
+        });
+    }
+
+    return null;
+}
+
+/**
+ * Describe the cycle that "taskId is blocked by blockerId" would create
+ * @param {number} taskId - Task that would be blocked
+ * @param {number} blockerId - Task that would block it
+ * @param {Map<number, Array<number>>} blockedByMap - Dependencies of blockerId and everything upstream
+ * @returns {string|null} Error message, or null if the dependency is safe to add
+ */
+function getDependencyCycleError(taskId, blockerId, blockedByMap) {
+    if (taskId === blockerId) {
+        return 'A task cannot depend on itself';
+    }
+
+    const path = findDependencyPath(blockedByMap, blockerId, taskId);
+    if (path) {
+        return `Dependency would create a cycle: ${[taskId, ...path].join(' -> ')}`;
+    }
+
+    return null;
+}
+
+/**
+ * Check whether a task still has open blockers
+ * @param {Object} task - Task document or plain object
+ * @param {Set<number>} openTaskIds - taskIds of open tasks among its blockers
+ * @returns {boolean} True if any blocker is still open
+ */
+function isTaskBlocked(task, openTaskIds) {
+    return (task.blockedBy || []).some(blockerId => openTaskIds.has(blockerId));
+}
+
+module.exports = {
+    parseDependencyId,
+    findDependencyPath,
+    getDependencyCycleError,
+    isTaskBlocked
+};
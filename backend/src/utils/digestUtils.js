@@ -0,0 +1,116 @@
+/**
+ * Utility functions for the daily digest email
+ *
+ * A digest is due once per calendar day in the user's timezone, as soon as the local
+ * time reaches the user's notificationTime. It lists the open tasks due today, the
+ * overdue ones and the high-priority tasks due in the next few days.
+ */
+
+const { DAY_MS, toDayKey, toLocalTime, addDays } = require('./timezoneUtils');
+
+// How many days ahead high-priority tasks are listed as upcoming
+const UPCOMING_DAYS = 7;
+
+/**
+ * Normalize a notification time to zero-padded 'HH:MM'
+ * @param {string} time - 'H:MM' or 'HH:MM' (24-hour)
+ * @returns {string} 'HH:MM'
+ */
+function normalizeTime(time) {
+    const [hours, minutes] = String(time || '09:00').split(':');
+    return `${hours.padStart(2, '0')}:${minutes}`;
+}
+
+/**
+ * Get the calendar day whose digest is due for a user
+ * @param {Object} user - User ({ emailEnabled, notificationTime, timezone })
+ * @param {Date} now - Reference time
+ * @returns {string|null} Local 'YYYY-MM-DD', or null if emails are off or it is not time yet
+ */
+function getDueDigestDate(user, now = new Date()) {
+    if (!user.emailEnabled) return null;
+
+    const timezone = user.timezone || 'UTC';
+    if (toLocalTime(now, timezone) < normalizeTime(user.notificationTime)) {
+        return null;
+    }
+    return toDayKey(now, timezone);
+}
+
+/**
+ * Build the aggregation of the open tasks that may appear in a digest
+ * @param {number} userId - Numeric userId
+ * @param {string} today - Local 'YYYY-MM-DD'
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} now - Reference time
+ * @returns {Array<Object>} Pipeline producing { taskId, title, priority, dueDate, dueDay } by due date
+ */
+function buildDigestPipeline(userId, today, timezone, now = new Date()) {
+    return [
+        {
+            $match: {
+                userId,
+                isCompleted: false,
+                // Coarse bound; the calendar days are compared below
+                dueDate: { $lt: new Date(now.getTime() + (UPCOMING_DAYS + 2) * DAY_MS) }
+            }
+        },
+        { $addFields: { dueDay: { $dateToString: { format: '%Y-%m-%d', date: '$dueDate', timezone } } } },
+        {
+            $match: {
+                $or: [
+                    { dueDay: { $lte: today } },
+                    { priority: 'high', dueDay: { $lte: addDays(today, UPCOMING_DAYS) } }
+                ]
+            }
+        },
+        { $sort: { dueDate: 1, taskId: 1 } },
+        { $project: { _id: 0, taskId: 1, title: 1, priority: 1, dueDate: 1, dueDay: 1 } }
+    ];
+}
+
+/**
+ * Sort the tasks of a digest into its sections
+ * @param {Array<Object>} tasks - Tasks with dueDay ('YYYY-MM-DD')
+ * @param {string} today - Local 'YYYY-MM-DD'
+ * @returns {Object} { dueToday, overdue, upcoming }
+ */
+function groupDigestTasks(tasks, today) {
+    return {
+        dueToday: tasks.filter(task => task.dueDay === today),
+        overdue: tasks.filter(task => task.dueDay < today),
+        upcoming: tasks.filter(task => task.dueDay > today && task.priority === 'high')
+    };
+}
+
+/**
+ * Count the tasks in each section of a digest
+ * @param {Object} digest - { dueToday, overdue, upcoming }
+ * @returns {Object} { dueToday, overdue, upcoming } counts
+ */
+function countDigestTasks(digest) {
+    return {
+        dueToday: digest.dueToday.length,
+        overdue: digest.overdue.length,
+        upcoming: digest.upcoming.length
+    };
+}
+
+/**
+ * Check whether a digest has nothing to report
+ * @param {Object} digest - { dueToday, overdue, upcoming }
+ * @returns {boolean} True if every section is empty
+ */
+function isDigestEmpty(digest) {
+    return Object.values(countDigestTasks(digest)).every(count => count === 0);
+}
+
+module.exports = {
+    UPCOMING_DAYS,
+    normalizeTime,
+    getDueDigestDate,
+    buildDigestPipeline,
+    groupDigestTasks,
+    countDigestTasks,
+    isDigestEmpty
+};
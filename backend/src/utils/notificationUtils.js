@@ -0,0 +1,81 @@
+/**
+ * Utility functions for in-app notifications
+ *
+ * Notifications are created by the reminder and overdue jobs, when a repeating task
+ * spawns its next occurrence, and on security events (sign-in from a new device,
+ * signing out of all sessions).
+ */
+
+const { toDayKey } = require('./timezoneUtils');
+
+const NOTIFICATION_TYPES = ['reminder', 'overdue', 'recurring', 'security'];
+
+// Open tasks whose due day ended longer ago are not reported as newly overdue, so
+// tasks that were already overdue when notifications were introduced stay quiet
+const OVERDUE_LOOKBACK_DAYS = 3;
+
+/**
+ * Build the filter of a notification list request
+ * @param {Object} queryParams - Query parameters (unread=true|false, type=reminder,overdue)
+ * @param {number} userId - Numeric userId
+ * @returns {Object} MongoDB filter
+ * @throws {Error} If unread or type is invalid
+ */
+function buildNotificationFilters(queryParams, userId) {
+    const filter = { userId };
+
+    if (queryParams.unread !== undefined) {
+        if (!['true', 'false'].includes(queryParams.unread)) {
+            throw new Error('unread must be true or false');
+        }
+        filter.readAt = queryParams.unread === 'true' ? null : { $ne: null };
+    }
+
+    if (queryParams.type) {
+        const types = String(queryParams.type).split(',').map(type => type.trim());
+        const invalid = types.find(type => !NOTIFICATION_TYPES.includes(type));
+        if (invalid) {
+            throw new Error(`Invalid type "${invalid}". Use one of: ${NOTIFICATION_TYPES.join(', ')}`);
+        }
+        filter.type = { $in: types };
+    }
+
+    return filter;
+}
+
+/**
+ * Check whether a task's due day has passed in a timezone
+ * @param {Date} dueDate - Due date of the task
+ * @param {Date} now - Reference time
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} True once the local calendar day after the due day has started
+ */
+function isOverdueOn(dueDate, now, timezone = 'UTC') {
+    return toDayKey(dueDate, timezone) < toDayKey(now, timezone);
+}
+
+/**
+ * Describe the browser and operating system of a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. 'Chrome on Windows', or 'An unknown device'
+ */
+function describeUserAgent(userAgent) {
+    const ua = String(userAgent || '');
+    const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+    const systems = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(ua));
+    const system = systems.find(([, pattern]) => pattern.test(ua));
+
+    if (browser && system) return `${browser[0]} on ${system[0]}`;
+    if (browser || system) return (browser || system)[0];
+    return 'An unknown device';
+}
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    OVERDUE_LOOKBACK_DAYS,
+    buildNotificationFilters,
+    isOverdueOn,
+    describeUserAgent
+};
@@ -0,0 +1,74 @@
+const Notification = require('../models/notification');
+const UserActivity = require('../models/userActivity');
+const { describeUserAgent } = require('./notificationUtils');
+
+/**
+ * Create an in-app notification without letting failures interrupt the caller
+ *
+ * @param {number} userId - Numeric userId of the recipient
+ * @param {string} type - 'reminder', 'overdue', 'recurring' or 'security'
+ * @param {Object} content - { title, message, taskId, data }
+ * @returns {Promise<Notification|null>} The created notification or null if it could not be saved
+ *
+ * @example
+ * await notify(task.userId, 'overdue', { title: `Overdue: ${task.title}`, taskId: task.taskId });
+ */
+const notify = async (userId, type, { title, message = '', taskId = null, data = null }) => {
+    try {
+        return await Notification.create({ userId, type, title, message, taskId, data });
+    } catch (error) {
+        console.error('Notifier: Failed to create notification:', { userId, type, error: error.message });
+        return null;
+    }
+};
+
+/**
+ * Notify a user of a sign-in from an IP address and browser they never signed in from before
+ * Must run before the sign-in itself is logged as USER_LOGIN activity. The first sign-in
+ * of an account is not reported.
+ *
+ * @param {Object} user - User who signed in ({ userId })
+ * @param {Object} context - { ip, userAgent }
+ * @returns {Promise<Notification|null>} The created notification, or null for known devices
+ */
+const notifyNewLogin = async (user, { ip = null, userAgent = null }) => {
+    const previousLogin = { userId: user.userId, action: 'USER_LOGIN', error: { $exists: false } };
+
+    try {
+        const [hasLoggedIn, isKnownDevice] = await Promise.all([
+            UserActivity.exists(previousLogin),
+            UserActivity.exists({ ...previousLogin, 'metadata.ip': ip, 'metadata.userAgent': userAgent })
+        ]);
+        if (!hasLoggedIn || isKnownDevice) return null;
+    } catch (error) {
+        console.error('Notifier: Failed to check previous sign-ins:', { userId: user.userId, error: error.message });
+        return null;
+    }
+
+    return notify(user.userId, 'security', {
+        title: 'New sign-in to your account',
+        message: `${describeUserAgent(userAgent)}${ip ? ` from ${ip}` : ''}. If this wasn't you, sign out of all sessions and change your password.`,
+        data: { event: 'NEW_LOGIN', ip, userAgent }
+    });
+};
+
+/**
+ * Notify a user that all of their sessions were signed out
+ *
+ * @param {Object} user - User who signed out everywhere ({ userId })
+ * @param {number} tokensCleared - Number of sessions that ended
+ * @returns {Promise<Notification|null>} The created notification or null if it could not be saved
+ */
+const notifyLogoutAll = async (user, tokensCleared) => {
+    return notify(user.userId, 'security', {
+        title: 'Signed out of all sessions',
+        message: `${tokensCleared} session(s) were signed out. If this wasn't you, change your password.`,
+        data: { event: 'LOGOUT_ALL', tokensCleared }
+    });
+};
+
+module.exports = {
+    notify,
+    notifyNewLogin,
+    notifyLogoutAll
+};
@@ -0,0 +1,202 @@
+/**
+ * Utility functions for cursor-based pagination of task lists
+ *
+ * A cursor encodes the sort key values of the last task on a page (plus its _id as a
+ * tie-breaker), so the next page starts strictly after it. Unlike skip-based paging,
+ * tasks inserted before the cursor don't shift later pages.
+ */
+
+const { PRIORITY_RANKS } = require('./taskQueryUtils');
+
+const MAX_PAGE_LIMIT = 100;
+
+const DATE_FIELDS = ['dueDate', 'createdAt', 'updatedAt', 'archivedAt', 'timestamp'];
+const NUMBER_FIELDS = ['priority', 'taskId'];
+const BOOLEAN_FIELDS = ['isCompleted'];
+
+/**
+ * Add the _id tie-breaker to a sort so every task has a unique position
+ * @param {Object} sort - MongoDB sort object
+ * @returns {Object} Sort object ending with _id
+ */
+function withTieBreaker(sort) {
+    return sort._id ? sort : { ...sort, _id: 1 };
+}
+
+/**
+ * Describe a sort so cursors can't be reused with a different sort order
+ * @param {Object} sort - MongoDB sort object
+ * @returns {string} Sort signature (e.g. "dueDate:1,_id:1")
+ */
+function getSortSignature(sort) {
+    return Object.entries(sort).map(([field, direction]) => `${field}:${direction}`).join(',');
+}
+
+/**
+ * Encode the position of a task within a sorted list
+ * @param {Object} task - Last task of the current page
+ * @param {Object} sort - Sort object including the _id tie-breaker
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(task, sort) {
+    const values = Object.keys(sort).map((field) => {
+        if (field === 'priority') return PRIORITY_RANKS[task.priority] || 0;
+        if (field === '_id') return String(task._id);
+        return task[field] instanceof Date ? task[field].toISOString() : task[field];
+    });
+
+    const payload = JSON.stringify({ s: getSortSignature(sort), v: values });
+    return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Check that a decoded cursor value has the type of its sort field
+ * Anything else (e.g. an object, which MongoDB would read as a query operator) is rejected.
+ * @param {string} field - Sort field
+ * @param {*} value - Value from the cursor
+ * @returns {boolean} True if the value can be used in a keyset condition
+ */
+function isValidCursorValue(field, value) {
+    if (field === '_id') return typeof value === 'string' && /^[0-9a-f]{24}$/i.test(value);
+    if (value === null) return true;
+    if (DATE_FIELDS.includes(field)) return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+    if (NUMBER_FIELDS.includes(field)) return Number.isFinite(value);
+    if (BOOLEAN_FIELDS.includes(field)) return typeof value === 'boolean';
+    return typeof value === 'string';
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from the nextCursor field or Link header
+ * @param {Object} sort - Sort object including the _id tie-breaker
+ * @returns {Array} Sort key values in the order of the sort object
+ * @throws {Error} If the cursor is malformed, holds a value of the wrong type or was created for another sort order
+ */
+function decodeCursor(cursor, sort) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (e) {
+        throw new Error('Invalid cursor');
+    }
+
+    const fields = Object.keys(sort);
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== fields.length) {
+        throw new Error('Invalid cursor');
+    }
+
+    if (payload.s !== getSortSignature(sort)) {
+        throw new Error('Cursor does not match the requested sort order');
+    }
+
+    if (!payload.v.every((value, index) => isValidCursorValue(fields[index], value))) {
+        throw new Error('Invalid cursor');
+    }
+
+    return payload.v.map((value, index) => {
+        return DATE_FIELDS.includes(fields[index]) && value !== null ? new Date(value) : value;
+    });
+}
+
+/**
+ * Build the condition selecting the values of one sort field that come after a cursor value
+ * MongoDB sorts null (and missing) values first, so after null only non-null values follow
+ * in ascending order and nothing does in descending order, while nulls follow any other value
+ * in descending order.
+ * @param {string} field - Sort field
+ * @param {number} direction - 1 or -1
+ * @param {*} value - Decoded cursor value
+ * @returns {Object|null} MongoDB condition, null if no value comes after
+ */
+function buildAfterValueCondition(field, direction, value) {
+    if (value === null) {
+        return direction === -1 ? null : { [field]: { $ne: null } };
+    }
+    if (direction === -1 && field !== '_id') {
+        return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+    }
+    return { [field]: { [direction === -1 ? '$lt' : '$gt']: value } };
+}
+
+/**
+ * Build the condition selecting the tasks that come after a cursor
+ * e.g. sort { dueDate: 1, _id: 1 } => { $or: [{ dueDate: { $gt: d } }, { dueDate: d, _id: { $gt: id } }] }
+ * @param {Object} sort - Sort object including the _id tie-breaker
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} MongoDB condition
+ */
+function buildKeysetCondition(sort, values) {
+    const fields = Object.keys(sort);
+
+    return {
+        $or: fields
+            .map((field, index) => {
+                const after = buildAfterValueCondition(field, sort[field], values[index]);
+                if (!after) return null;
+
+                const condition = {};
+                fields.slice(0, index).forEach((previous, previousIndex) => {
+                    condition[previous] = values[previousIndex];
+                });
+                return { ...condition, ...after };
+            })
+            .filter(Boolean)
+    };
+}
+
+/**
+ * Clamp the page size of a cursor-paginated request
+ * @param {number} limit - Requested limit (from buildPaginationOptions)
+ * @returns {number} Page size between 1 and MAX_PAGE_LIMIT
+ */
+function getPageSize(limit) {
+    return Math.min(Math.max(limit, 1), MAX_PAGE_LIMIT);
+}
+
+/**
+ * Check whether a request asked for the legacy bare array response
+ * @param {Object} queryParams - Query parameters from request
+ * @returns {boolean} True for ?format=array
+ */
+function wantsArrayFormat(queryParams) {
+    return queryParams.format === 'array';
+}
+
+/**
+ * Build the RFC 5988 links of a page
+ * @param {string} baseUrl - Absolute URL of the endpoint without query string
+ * @param {Object} queryParams - Query parameters of the current request
+ * @param {string|null} nextCursor - Cursor of the next page
+ * @returns {Object} Links keyed by relation, for res.links()
+ */
+function buildPageLinks(baseUrl, queryParams, nextCursor) {
+    const buildUrl = (cursor) => {
+        const params = new URLSearchParams();
+        Object.entries(queryParams).forEach(([key, value]) => {
+            if (key === 'cursor' || key === 'skip') return;
+            (Array.isArray(value) ? value : [value]).forEach(item => params.append(key, item));
+        });
+        if (cursor) params.set('cursor', cursor);
+
+        const query = params.toString();
+        return query ? `${baseUrl}?${query}` : baseUrl;
+    };
+
+    const links = { first: buildUrl(null) };
+    if (nextCursor) {
+        links.next = buildUrl(nextCursor);
+    }
+
+    return links;
+}
+
+module.exports = {
+    MAX_PAGE_LIMIT,
+    withTieBreaker,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+    getPageSize,
+    wantsArrayFormat,
+    buildPageLinks
+};
@@ -0,0 +1,67 @@
+/**
+ * Utility functions for projects
+ */
+
+const MAX_PROJECT_NAME_LENGTH = 100;
+
+/**
+ * Parse a projectId query parameter used to filter tasks
+ * @param {string|Array<string>} value - Raw parameter: a projectId, a comma-separated list,
+ * "none" for tasks without a project, optionally negated with "!" ("!3")
+ * @returns {*} Plain value, $in, $ne or $nin condition on projectId
+ * @throws {Error} If a value is neither a projectId nor "none"
+ */
+function buildProjectCondition(value) {
+    const raw = Array.isArray(value) ? value.join(',') : String(value);
+    const negated = raw.startsWith('!');
+    const values = (negated ? raw.slice(1) : raw)
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item !== '')
+        .map((item) => {
+            if (item === 'none') return null;
+            if (!/^\d+$/.test(item)) {
+                throw new Error('Invalid projectId parameter. Use a projectId or none');
+            }
+            return parseInt(item);
+        });
+
+    if (values.length === 0) {
+        throw new Error('Invalid projectId parameter. Use a projectId or none');
+    }
+
+    if (values.length === 1) {
+        return negated ? { $ne: values[0] } : values[0];
+    }
+
+    return negated ? { $nin: values } : { $in: values };
+}
+
+/**
+ * Parse what happens to the tasks of a project when it is deleted
+ * @param {string} value - Mode query parameter: 'unassign', 'delete' or 'move:<projectId>'
+ * @returns {Object} Object with mode and, for move, the target projectId
+ * @throws {Error} If the mode is not recognized
+ */
+function parseProjectDeletionMode(value) {
+    if (value === undefined || value === '' || value === 'unassign') {
+        return { mode: 'unassign' };
+    }
+
+    if (value === 'delete') {
+        return { mode: 'delete' };
+    }
+
+    const match = /^move:(\d+)$/.exec(value);
+    if (match) {
+        return { mode: 'move', targetId: parseInt(match[1]) };
+    }
+
+    throw new Error('Invalid tasks parameter. Use unassign, delete or move:<projectId>');
+}
+
+module.exports = {
+    MAX_PROJECT_NAME_LENGTH,
+    buildProjectCondition,
+    parseProjectDeletionMode
+};
@@ -0,0 +1,313 @@
+/**
+ * Utility functions for computing recurring task occurrences
+ *
+ * A recurrence rule has the shape:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly',
+ *   interval: 1,                  // every N days/weeks/months
+ *   weekdays: [1, 3, 5],          // weekly only, 0 = Sunday ... 6 = Saturday
+ *   monthlyMode: 'dayOfMonth' | 'nthWeekday' | 'lastBusinessDay',
+ *   monthDay: 15,                 // dayOfMonth mode
+ *   nthWeek: 2,                   // nthWeekday mode, 1-4 or -1 for the last one
+ *   nthWeekday: 2,                // nthWeekday mode, 0 = Sunday ... 6 = Saturday
+ *   count: 10,                    // end after this many occurrences
+ *   until: Date,                  // end after this date
+ *   occurrence: 1                 // position of the current task in the series
+ * }
+ *
+ * All calculations are done in UTC and keep the time of day of the current occurrence.
+ */
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const MONTHLY_MODES = ['dayOfMonth', 'nthWeekday', 'lastBusinessDay'];
+
+// Upper bound on how many occurrences are walked when projecting a window
+const MAX_PROJECTION_STEPS = 1000;
+
+/**
+ * Get the number of days in a month
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow, e.g. 12 = January of next year)
+ * @returns {number} Days in the month
+ */
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+/**
+ * Build a date in the given month/day that keeps the time of day of a reference date
+ * @param {Date} reference - Date providing the time of day
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow)
+ * @param {number} day - Day of month
+ * @returns {Date} New date
+ */
+function withDate(reference, year, month, day) {
+    return new Date(Date.UTC(
+        year,
+        month,
+        day,
+        reference.getUTCHours(),
+        reference.getUTCMinutes(),
+        reference.getUTCSeconds(),
+        reference.getUTCMilliseconds()
+    ));
+}
+
+/**
+ * Add a number of calendar months to a date, clamping to the last day of the
+ * target month (e.g. Jan 31 + 1 month => Feb 28/29)
+ * @param {Date} date - Starting date
+ * @param {number} months - Number of months to add
+ * @returns {Date} New date
+ */
+function addMonthsClamped(date, months) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + months;
+    const day = Math.min(date.getUTCDate(), daysInMonth(year, month));
+
+    return withDate(date, year, month, day);
+}
+
+/**
+ * Convert a weekday (0 = Sunday) into a Monday-based index (0 = Monday)
+ * @param {number} weekday - Weekday number
+ * @returns {number} Monday-based index
+ */
+function mondayIndex(weekday) {
+    return (weekday + 6) % 7;
+}
+
+/**
+ * Find the nth weekday of a month (e.g. the 2nd Tuesday)
+ * @param {Date} reference - Date providing the time of day
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow)
+ * @param {number} weekday - Weekday number (0 = Sunday)
+ * @param {number} nth - 1-4, or -1 for the last one in the month
+ * @returns {Date} Matching date
+ */
+function nthWeekdayOfMonth(reference, year, month, weekday, nth) {
+    if (nth === -1) {
+        const lastDay = daysInMonth(year, month);
+        const lastWeekday = new Date(Date.UTC(year, month, lastDay)).getUTCDay();
+        const offset = (lastWeekday - weekday + 7) % 7;
+        return withDate(reference, year, month, lastDay - offset);
+    }
+
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    const offset = (weekday - firstWeekday + 7) % 7;
+    return withDate(reference, year, month, 1 + offset + (nth - 1) * 7);
+}
+
+/**
+ * Find the last Monday-Friday of a month
+ * @param {Date} reference - Date providing the time of day
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow)
+ * @returns {Date} Matching date
+ */
+function lastBusinessDayOfMonth(reference, year, month) {
+    let day = daysInMonth(year, month);
+    let weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+
+    while (weekday === 0 || weekday === 6) {
+        day--;
+        weekday = (weekday + 6) % 7;
+    }
+
+    return withDate(reference, year, month, day);
+}
+
+/**
+ * Get the occurrence of a monthly rule that falls within a given month
+ * @param {Date} reference - Current occurrence (provides time of day and default day of month)
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month (may overflow)
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date} Occurrence within the month
+ */
+function getMonthlyOccurrence(reference, year, month, rule) {
+    switch (rule.monthlyMode) {
+        case 'nthWeekday':
+            return nthWeekdayOfMonth(reference, year, month, rule.nthWeekday, rule.nthWeek);
+        case 'lastBusinessDay':
+            return lastBusinessDayOfMonth(reference, year, month);
+        default: {
+            const monthDay = rule.monthDay || reference.getUTCDate();
+            return withDate(reference, year, month, Math.min(monthDay, daysInMonth(year, month)));
+        }
+    }
+}
+
+/**
+ * Resolve the recurrence rule of a task, falling back to the legacy repeatType field
+ * @param {Object} task - Task document or plain object
+ * @returns {Object|null} Recurrence rule or null if the task does not repeat
+ */
+function getRecurrenceRule(task) {
+    if (!task) return null;
+
+    const recurrence = task.recurrence && typeof task.recurrence.toObject === 'function'
+        ? task.recurrence.toObject()
+        : task.recurrence;
+
+    if (recurrence && FREQUENCIES.includes(recurrence.frequency)) {
+        return { interval: 1, ...recurrence };
+    }
+
+    if (FREQUENCIES.includes(task.repeatType)) {
+        return { frequency: task.repeatType, interval: 1 };
+    }
+
+    return null;
+}
+
+/**
+ * Calculate the first occurrence of a rule strictly after a given date
+ * @param {Date|string} date - Current occurrence
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date|null} Next occurrence, or null if the rule is invalid
+ */
+function getNextOccurrenceDate(date, rule) {
+    if (!date || !rule || !FREQUENCIES.includes(rule.frequency)) {
+        return null;
+    }
+
+    const current = new Date(date);
+    if (isNaN(current.getTime())) {
+        return null;
+    }
+
+    const interval = Math.max(parseInt(rule.interval) || 1, 1);
+
+    switch (rule.frequency) {
+        case 'daily':
+            return new Date(current.getTime() + interval * MS_PER_DAY);
+
+        case 'weekly': {
+            const weekdays = (rule.weekdays || [])
+                .map(mondayIndex)
+                .sort((a, b) => a - b);
+
+            if (weekdays.length === 0) {
+                return new Date(current.getTime() + interval * 7 * MS_PER_DAY);
+            }
+
+            // Next matching weekday later in the same week
+            const currentIndex = mondayIndex(current.getUTCDay());
+            const laterInWeek = weekdays.find((index) => index > currentIndex);
+            if (laterInWeek !== undefined) {
+                return new Date(current.getTime() + (laterInWeek - currentIndex) * MS_PER_DAY);
+            }
+
+            // Otherwise the first matching weekday of the week N weeks later
+            const daysToNextWeek = interval * 7 - currentIndex + weekdays[0];
+            return new Date(current.getTime() + daysToNextWeek * MS_PER_DAY);
+        }
+
+        case 'monthly': {
+            const year = current.getUTCFullYear();
+            const month = current.getUTCMonth();
+
+            const sameMonth = getMonthlyOccurrence(current, year, month, rule);
+            if (sameMonth > current) {
+                return sameMonth;
+            }
+
+            return getMonthlyOccurrence(current, year, month + interval, rule);
+        }
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check whether an occurrence falls past the end condition of a rule
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} date - Occurrence date
+ * @param {number} occurrence - 1-based position of the occurrence in the series
+ * @returns {boolean} True if the occurrence should not be created
+ */
+function hasRecurrenceEnded(rule, date, occurrence) {
+    if (rule.count && occurrence > rule.count) {
+        return true;
+    }
+
+    if (rule.until && date > new Date(rule.until)) {
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Calculate the due date of the next occurrence for a repeating task
+ * @param {Date|string} dueDate - Due date of the current occurrence
+ * @param {string} repeatType - One of 'daily', 'weekly', 'monthly'
+ * @returns {Date|null} Due date of the next occurrence, or null if the task does not repeat
+ */
+function getNextDueDate(dueDate, repeatType) {
+    return getNextOccurrenceDate(dueDate, getRecurrenceRule({ repeatType }));
+}
+
+/**
+ * List the future occurrences of a repeating task that fall within a date window,
+ * without creating them
+ * @param {Object} task - Task document or plain object (the latest occurrence in its series)
+ * @param {Date} from - Start of the window (inclusive)
+ * @param {Date} to - End of the window (inclusive)
+ * @param {number} maxOccurrences - Upper bound on the number of occurrences returned
+ * @returns {Array<Object>} Projected occurrences
+ */
+function projectOccurrences(task, from, to, maxOccurrences = 100) {
+    const rule = getRecurrenceRule(task);
+    if (!rule) return [];
+
+    const projected = [];
+    let occurrence = rule.occurrence || 1;
+    let date = getNextOccurrenceDate(task.dueDate, rule);
+    let steps = 0;
+
+    while (date && date <= to && projected.length < maxOccurrences && steps < MAX_PROJECTION_STEPS) {
+        steps++;
+        occurrence++;
+        if (hasRecurrenceEnded(rule, date, occurrence)) break;
+
+        if (date >= from) {
+            projected.push({
+                sourceTaskId: task.taskId,
+                userId: task.userId,
+                parentId: task.parentId,
+                projectId: task.projectId,
+                title: task.title,
+                description: task.description,
+                priority: task.priority,
+                category: task.category,
+                tags: task.tags,
+                repeatType: task.repeatType,
+                dueDate: date,
+                occurrence,
+                isProjected: true
+            });
+        }
+
+        date = getNextOccurrenceDate(date, rule);
+    }
+
+    return projected;
+}
+
+module.exports = {
+    FREQUENCIES,
+    MONTHLY_MODES,
+    addMonthsClamped,
+    getRecurrenceRule,
+    getNextOccurrenceDate,
+    hasRecurrenceEnded,
+    getNextDueDate,
+    projectOccurrences
+};
@@ -0,0 +1,147 @@
+/**
+ * Utility functions for task reminders
+ *
+ * A reminder either fires a number of minutes before the task's due date (offsetMinutes)
+ * or at a fixed time (remindAt). Its fireAt is kept up to date by the Task model;
+ * firedAt is set once it has been delivered, which is what makes it fire only once.
+ */
+
+const MAX_REMINDERS_PER_TASK = 5;
+
+// Furthest a reminder can be set ahead of the due date (30 days)
+const MAX_OFFSET_MINUTES = 30 * 24 * 60;
+
+const DEFAULT_SNOOZE_MINUTES = 15;
+
+// Longest a reminder can be snoozed (7 days)
+const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+
+// Fields that describe what a reminder is, as opposed to its delivery state
+const REMINDER_SETTINGS = ['offsetMinutes', 'remindAt'];
+
+const hasValue = value => value !== null && value !== undefined;
+
+/**
+ * Get the time a reminder should fire
+ * @param {Object} reminder - Reminder ({ offsetMinutes, remindAt, snoozedUntil })
+ * @param {Date} dueDate - Due date of the task
+ * @returns {Date|null} Snooze end, absolute time or due date minus the offset
+ */
+function getReminderFireAt(reminder, dueDate) {
+    if (hasValue(reminder.snoozedUntil)) return new Date(reminder.snoozedUntil);
+    if (hasValue(reminder.remindAt)) return new Date(reminder.remindAt);
+    if (hasValue(reminder.offsetMinutes) && dueDate) {
+        return new Date(new Date(dueDate).getTime() - reminder.offsetMinutes * 60 * 1000);
+    }
+    return null;
+}
+
+/**
+ * Check whether two reminders have the same settings
+ * @param {Object} a - Reminder
+ * @param {Object} b - Reminder
+ * @returns {boolean} True for the same offset or the same absolute time
+ */
+function isSameReminder(a, b) {
+    if (hasValue(a.offsetMinutes) || hasValue(b.offsetMinutes)) {
+        return Number(a.offsetMinutes) === Number(b.offsetMinutes) && !hasValue(a.remindAt) && !hasValue(b.remindAt);
+    }
+    if (hasValue(a.remindAt) && hasValue(b.remindAt)) {
+        return new Date(a.remindAt).getTime() === new Date(b.remindAt).getTime();
+    }
+    return false;
+}
+
+/**
+ * Merge the reminders of an update into the existing reminders of a task
+ * Reminders that are kept (same _id or same settings) keep their delivery state, so
+ * resaving a task from an edit form does not make its reminders fire again
+ * @param {Array<Object>} existing - Current reminders of the task
+ * @param {Array<Object>} incoming - Reminders from the request ({ offsetMinutes } or { remindAt }, optional _id)
+ * @returns {Array<Object>} Reminders to assign to the task (incoming unchanged if it is not an array)
+ */
+function mergeReminders(existing, incoming) {
+    if (!Array.isArray(incoming)) return incoming;
+
+    const available = (existing || []).map(reminder => (
+        typeof reminder.toObject === 'function' ? reminder.toObject() : { ...reminder }
+    ));
+
+    return incoming.map((reminder) => {
+        if (!reminder || typeof reminder !== 'object') return reminder;
+
+        // A reminder sent back by _id alone, or with unchanged settings, is the same reminder
+        const hasSettings = REMINDER_SETTINGS.some(field => hasValue(reminder[field]));
+        const index = available.findIndex((current) => {
+            if (reminder._id) {
+                return String(current._id) === String(reminder._id) && (!hasSettings || isSameReminder(current, reminder));
+            }
+            return isSameReminder(current, reminder);
+        });
+        if (index === -1) {
+            const fresh = {};
+            REMINDER_SETTINGS.forEach((field) => {
+                if (hasValue(reminder[field])) fresh[field] = reminder[field];
+            });
+            return fresh;
+        }
+
+        const [match] = available.splice(index, 1);
+        return match;
+    });
+}
+
+/**
+ * Copy the reminders of a task that carry over to a copy with another due date
+ * Used for the next occurrence of a repeating task; reminders at a fixed time are left behind
+ * @param {Array<Object>} reminders - Reminders of the source task
+ * @returns {Array<Object>} [{ offsetMinutes }] without delivery state
+ */
+function copyOffsetReminders(reminders) {
+    return (reminders || [])
+        .filter(reminder => hasValue(reminder.offsetMinutes))
+        .map(reminder => ({ offsetMinutes: reminder.offsetMinutes }));
+}
+
+/**
+ * Parse the snooze duration of a snooze request
+ * @param {Object} body - Request body ({ minutes }); defaults to 15 minutes
+ * @returns {number} Minutes
+ * @throws {Error} If the duration is not a whole number of minutes in range
+ */
+function parseSnoozeMinutes(body) {
+    const minutes = body && hasValue(body.minutes) ? Number(body.minutes) : DEFAULT_SNOOZE_MINUTES;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SNOOZE_MINUTES) {
+        throw new Error(`minutes must be a whole number between 1 and ${MAX_SNOOZE_MINUTES}`);
+    }
+    return minutes;
+}
+
+/**
+ * Describe when a reminder fires relative to the due date
+ * @param {Object} reminder - Reminder ({ offsetMinutes, remindAt })
+ * @returns {string} e.g. '1 day before', '2 hours before', 'At due time' or 'At a set time'
+ */
+function describeReminder(reminder) {
+    if (!hasValue(reminder.offsetMinutes)) return 'At a set time';
+    if (reminder.offsetMinutes === 0) return 'At due time';
+
+    const units = [['week', 7 * 24 * 60], ['day', 24 * 60], ['hour', 60], ['minute', 1]];
+    const [unit, size] = units.find(([, length]) => reminder.offsetMinutes % length === 0);
+    const amount = reminder.offsetMinutes / size;
+    return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+}
+
+module.exports = {
+    MAX_REMINDERS_PER_TASK,
+    MAX_OFFSET_MINUTES,
+    DEFAULT_SNOOZE_MINUTES,
+    MAX_SNOOZE_MINUTES,
+    REMINDER_SETTINGS,
+    getReminderFireAt,
+    isSameReminder,
+    mergeReminders,
+    copyOffsetReminders,
+    parseSnoozeMinutes,
+    describeReminder
+};
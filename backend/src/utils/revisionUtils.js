@@ -0,0 +1,113 @@
+/**
+ * Utility functions for the field-level revision log of tasks
+ *
+ * Each revision records the fields an update changed as { field, from, to }. Values are
+ * stored in their JSON form (dates as ISO strings, sub-document _ids dropped) so that
+ * they compare reliably and can be assigned back to a task when reverting.
+ */
+
+const { REMINDER_SETTINGS } = require('./reminderUtils');
+
+// Fields of which only some keys are versioned; the delivery state of reminders is not
+const VERSIONED_KEYS = {
+    reminders: REMINDER_SETTINGS
+};
+
+/**
+ * Convert a task field value to its stored JSON form
+ * @param {*} value - Field value (from a document or a plain object)
+ * @returns {*} JSON-compatible value (undefined becomes null)
+ */
+function normalizeFieldValue(value) {
+    if (value === undefined || value === null) return null;
+
+    const plain = value && typeof value.toObject === 'function' ? value.toObject() : value;
+    return JSON.parse(JSON.stringify(plain, (key, item) => (key === '_id' ? undefined : item)));
+}
+
+/**
+ * Capture the current values of the given fields of a task
+ * @param {Object} task - Task document
+ * @param {Array<string>} fields - Field names
+ * @returns {Object} field -> normalized value
+ */
+function snapshotFields(task, fields) {
+    const snapshot = {};
+    fields.forEach((field) => {
+        const value = normalizeFieldValue(task.get ? task.get(field) : task[field]);
+        const keys = VERSIONED_KEYS[field];
+        snapshot[field] = keys && Array.isArray(value)
+            ? value.map(item => Object.fromEntries(keys.map(key => [key, item[key] === undefined ? null : item[key]])))
+            : value;
+    });
+    return snapshot;
+}
+
+/**
+ * List the fields whose values differ between two snapshots
+ * @param {Object} before - Snapshot taken before the update
+ * @param {Object} after - Snapshot taken after the update
+ * @returns {Array<Object>} [{ field, from, to }] in the order of the before snapshot
+ */
+function diffSnapshots(before, after) {
+    return Object.keys(before)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+/**
+ * Parse the revision number of a revert request
+ * @param {string} value - Route parameter
+ * @param {number} currentRevision - Latest revision of the task
+ * @returns {number} Revision to restore (0 is the state before the first recorded change)
+ * @throws {Error} If the revision is invalid, unknown or already current
+ */
+function parseRevision(value, currentRevision) {
+    const revision = Number(value);
+    if (!Number.isInteger(revision) || revision < 0) {
+        throw new Error('Invalid revision parameter');
+    }
+
+    if (revision > currentRevision) {
+        throw new Error(`Revision ${revision} does not exist`);
+    }
+
+    if (revision === currentRevision) {
+        throw new Error(`Task is already at revision ${revision}`);
+    }
+
+    return revision;
+}
+
+/**
+ * Compute the field values that restore the state a task had at a revision
+ * Every field changed after the target revision goes back to the value it had before
+ * the first of those later changes.
+ * @param {Array<Object>} revisions - Revisions of the task ({ revision, changes })
+ * @param {number} targetRevision - Revision to restore
+ * @returns {Object} field -> value to assign
+ */
+function buildRevertUpdates(revisions, targetRevision) {
+    const updates = {};
+
+    revisions
+        .filter(revision => revision.revision > targetRevision)
+        .sort((a, b) => a.revision - b.revision)
+        .forEach((revision) => {
+            revision.changes.forEach((change) => {
+                if (!Object.prototype.hasOwnProperty.call(updates, change.field)) {
+                    updates[change.field] = change.from;
+                }
+            });
+        });
+
+    return updates;
+}
+
+module.exports = {
+    normalizeFieldValue,
+    snapshotFields,
+    diffSnapshots,
+    parseRevision,
+    buildRevertUpdates
+};
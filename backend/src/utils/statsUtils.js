@@ -0,0 +1,335 @@
+/**
+ * Utility functions for personal productivity statistics
+ *
+ * Statistics are grouped by calendar day in the user's timezone. Due dates are
+ * calendar dates, so a task completed on its due day counts as on time. Tasks
+ * completed before completedAt existed fall back to updatedAt.
+ */
+
+const { DAY_MS, isValidTimezone, toDayKey, addDays } = require('./timezoneUtils');
+
+const DEFAULT_STATS_DAYS = 30;
+
+// Longest period a single statistics request may cover
+const MAX_STATS_DAYS = 366;
+
+const DAY_FORMAT = '%Y-%m-%d';
+
+// When a completed task was completed
+const COMPLETED_AT = { $ifNull: ['$completedAt', '$updatedAt'] };
+
+/**
+ * Parse a date from a query string
+ * @param {*} value - Raw value
+ * @param {string} name - Parameter name used in the error message
+ * @returns {Date} Parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (value === '' || isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+}
+
+/**
+ * Parse the period and timezone of a statistics request
+ * @param {Object} queryParams - Query parameters (from, to, timezone); defaults to the last 30 days in UTC
+ * @param {Date} now - Reference time
+ * @returns {Object} { from, to, timezone } with from < to
+ * @throws {Error} If the dates or timezone are invalid, or the period is reversed or too long
+ */
+function parseStatsRange(queryParams, now = new Date()) {
+    const to = queryParams.to ? parseDate(queryParams.to, 'to') : now;
+    const from = queryParams.from ? parseDate(queryParams.from, 'from') : new Date(to.getTime() - DEFAULT_STATS_DAYS * DAY_MS);
+    const timezone = queryParams.timezone || 'UTC';
+
+    if (!isValidTimezone(timezone)) {
+        throw new Error('Invalid timezone');
+    }
+
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
+
+    if (to - from > MAX_STATS_DAYS * DAY_MS) {
+        throw new Error(`Statistics can cover at most ${MAX_STATS_DAYS} days`);
+    }
+
+    return { from, to, timezone };
+}
+
+/**
+ * List the calendar days of a period in a timezone
+ * @param {Object} range - { from, to, timezone }
+ * @returns {Array<string>} Days from the day of `from` through the day of `to`
+ */
+function listDays({ from, to, timezone }) {
+    const last = toDayKey(to, timezone);
+    const days = [];
+    for (let day = toDayKey(from, timezone); day <= last; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+}
+
+const dayOf = (field, timezone) => ({ $dateToString: { format: DAY_FORMAT, date: field, timezone } });
+
+/**
+ * Build the aggregation over the tasks completed in a period
+ * Counts completions by day, ISO week and month, on-time vs late completions, the
+ * average lead time (creation to completion) and completions by priority and category
+ * @param {number} userId - Numeric userId
+ * @param {Object} range - { from, to, timezone }
+ * @returns {Array<Object>} Pipeline producing a single document of facets
+ */
+function buildCompletionPipeline(userId, { from, to, timezone }) {
+    const lateCount = { $sum: { $cond: ['$isLate', 1, 0] } };
+
+    return [
+        { $match: { userId, isCompleted: true } },
+        { $addFields: { doneAt: COMPLETED_AT } },
+        { $match: { doneAt: { $gte: from, $lte: to } } },
+        {
+            $addFields: {
+                isLate: { $gt: [dayOf('$doneAt', timezone), dayOf('$dueDate', timezone)] }
+            }
+        },
+        {
+            $facet: {
+                byDay: [
+                    { $group: { _id: dayOf('$doneAt', timezone), count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                byWeek: [
+                    { $group: { _id: { $dateToString: { format: '%G-W%V', date: '$doneAt', timezone } }, count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                byMonth: [
+                    { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$doneAt', timezone } }, count: { $sum: 1 } } },
+                    { $sort: { _id: 1 } }
+                ],
+                summary: [
+                    {
+                        $group: {
+                            _id: null,
+                            total: { $sum: 1 },
+                            late: lateCount,
+                            leadTimeMs: { $avg: { $subtract: ['$doneAt', '$createdAt'] } }
+                        }
+                    }
+                ],
+                byPriority: [
+                    { $group: { _id: '$priority', completed: { $sum: 1 }, late: lateCount } }
+                ],
+                byCategory: [
+                    { $group: { _id: '$category', completed: { $sum: 1 }, late: lateCount } }
+                ]
+            }
+        }
+    ];
+}
+
+/**
+ * Build the aggregation counting open tasks by priority and category
+ * @param {number} userId - Numeric userId
+ * @returns {Array<Object>} Pipeline producing a single document of facets
+ */
+function buildOpenTasksPipeline(userId) {
+    return [
+        { $match: { userId, isCompleted: false } },
+        {
+            $facet: {
+                byPriority: [{ $group: { _id: '$priority', open: { $sum: 1 } } }],
+                byCategory: [{ $group: { _id: '$category', open: { $sum: 1 } } }]
+            }
+        }
+    ];
+}
+
+/**
+ * Build the aggregation of the calendar days on which a user completed tasks
+ * @param {number} userId - Numeric userId
+ * @param {string} timezone - IANA timezone name
+ * @returns {Array<Object>} Pipeline producing one { _id: 'YYYY-MM-DD' } document per day
+ */
+function buildCompletionDaysPipeline(userId, timezone) {
+    return [
+        { $match: { userId, isCompleted: true } },
+        { $group: { _id: dayOf(COMPLETED_AT, timezone) } }
+    ];
+}
+
+/**
+ * Build the aggregation of the calendar days with TASK_COMPLETED activity
+ * Covers completions of tasks that were later reopened or deleted
+ * @param {number} userId - Numeric userId
+ * @param {string} timezone - IANA timezone name
+ * @returns {Array<Object>} Pipeline producing one { _id: 'YYYY-MM-DD' } document per day
+ */
+function buildActivityDaysPipeline(userId, timezone) {
+    return [
+        { $match: { userId, action: 'TASK_COMPLETED' } },
+        { $group: { _id: dayOf('$timestamp', timezone) } }
+    ];
+}
+
+/**
+ * Build the aggregation of the tasks that may have been overdue during a period
+ * Returns the calendar days each task was created, due and completed on
+ * @param {number} userId - Numeric userId
+ * @param {Object} range - { from, to, timezone }
+ * @returns {Array<Object>} Pipeline producing { createdDay, dueDay, doneDay } documents
+ */
+function buildOverduePipeline(userId, { from, to, timezone }) {
+    return [
+        { $match: { userId, dueDate: { $lt: to }, createdAt: { $lte: to } } },
+        { $addFields: { doneAt: { $cond: ['$isCompleted', COMPLETED_AT, null] } } },
+        { $match: { $or: [{ doneAt: null }, { doneAt: { $gte: from } }] } },
+        {
+            $project: {
+                _id: 0,
+                createdDay: dayOf('$createdAt', timezone),
+                dueDay: dayOf('$dueDate', timezone),
+                doneDay: { $cond: ['$doneAt', dayOf('$doneAt', timezone), null] }
+            }
+        }
+    ];
+}
+
+/**
+ * Fill the days without completions of a series with zero counts
+ * @param {Array<string>} days - Days of the period
+ * @param {Array<Object>} rows - Aggregated [{ _id: 'YYYY-MM-DD', count }]
+ * @returns {Array<Object>} [{ date, count }] for every day
+ */
+function fillDailySeries(days, rows) {
+    const counts = new Map(rows.map(row => [row._id, row.count]));
+    return days.map(date => ({ date, count: counts.get(date) || 0 }));
+}
+
+/**
+ * Compute the current and longest run of consecutive days with completions
+ * The current streak still counts when nothing has been completed yet today
+ * @param {Array<string>} days - Days with completions ('YYYY-MM-DD', any order, may repeat)
+ * @param {string} today - Today in the user's timezone
+ * @returns {Object} { current, longest }
+ */
+function computeStreaks(days, today) {
+    const sorted = [...new Set(days)].filter(day => day <= today).sort();
+    let longest = 0;
+    let run = 0;
+
+    sorted.forEach((day, index) => {
+        run = index > 0 && addDays(sorted[index - 1], 1) === day ? run + 1 : 1;
+        longest = Math.max(longest, run);
+    });
+
+    const last = sorted[sorted.length - 1];
+    const current = last === today || last === addDays(today, -1) ? run : 0;
+
+    return { current, longest };
+}
+
+/**
+ * Count the tasks that were overdue at the end of each day of a period
+ * A task is overdue on a day after its due day until the day it is completed
+ * @param {Array<string>} days - Days of the period
+ * @param {Array<Object>} tasks - [{ createdDay, dueDay, doneDay }]
+ * @returns {Array<Object>} [{ date, count }] for every day
+ */
+function countOverdueByDay(days, tasks) {
+    return days.map(date => ({
+        date,
+        count: tasks.filter(task => (
+            task.createdDay <= date && task.dueDay < date && (!task.doneDay || task.doneDay > date)
+        )).length
+    }));
+}
+
+/**
+ * Merge completed and open counts into one breakdown
+ * @param {string} key - Name of the grouping field ('priority' or 'category')
+ * @param {Array<Object>} completedRows - Aggregated [{ _id, completed, late }]
+ * @param {Array<Object>} openRows - Aggregated [{ _id, open }]
+ * @returns {Array<Object>} [{ [key], completed, late, open }], most completed first
+ */
+function mergeBreakdown(key, completedRows, openRows) {
+    const rows = new Map();
+    const getRow = (value) => {
+        const name = value || null;
+        if (!rows.has(name)) {
+            rows.set(name, { [key]: name, completed: 0, late: 0, open: 0 });
+        }
+        return rows.get(name);
+    };
+
+    completedRows.forEach((row) => {
+        const merged = getRow(row._id);
+        merged.completed += row.completed;
+        merged.late += row.late;
+    });
+    openRows.forEach((row) => {
+        getRow(row._id).open += row.open;
+    });
+
+    return [...rows.values()].sort((a, b) => b.completed - a.completed || b.open - a.open);
+}
+
+/**
+ * Assemble the statistics response
+ * @param {Object} range - { from, to, timezone }
+ * @param {Object} results - { completion, open, completionDays, overdueTasks }
+ * @param {Date} now - Reference time
+ * @returns {Object} Statistics (see GET /users/me/stats)
+ */
+function buildStats(range, { completion, open, completionDays, overdueTasks }, now = new Date()) {
+    const days = listDays(range);
+    const summary = completion.summary[0] || { total: 0, late: 0, leadTimeMs: null };
+    const onTime = summary.total - summary.late;
+    const overdueByDay = countOverdueByDay(days, overdueTasks);
+    const today = toDayKey(now, range.timezone);
+
+    return {
+        from: range.from,
+        to: range.to,
+        timezone: range.timezone,
+        completions: {
+            total: summary.total,
+            byDay: fillDailySeries(days, completion.byDay),
+            byWeek: completion.byWeek.map(row => ({ week: row._id, count: row.count })),
+            byMonth: completion.byMonth.map(row => ({ month: row._id, count: row.count }))
+        },
+        onTime: {
+            onTime,
+            late: summary.late,
+            onTimeRate: summary.total > 0 ? onTime / summary.total : null
+        },
+        averageLeadTimeHours: summary.leadTimeMs === null ? null : Math.round(summary.leadTimeMs / 36000) / 100,
+        streaks: computeStreaks(completionDays, today),
+        byPriority: mergeBreakdown('priority', completion.byPriority, open.byPriority),
+        byCategory: mergeBreakdown('category', completion.byCategory, open.byCategory),
+        overdue: {
+            endOfPeriod: overdueByDay.length > 0 ? overdueByDay[overdueByDay.length - 1].count : 0,
+            byDay: overdueByDay
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_STATS_DAYS,
+    MAX_STATS_DAYS,
+    parseStatsRange,
+    listDays,
+    buildCompletionPipeline,
+    buildOpenTasksPipeline,
+    buildCompletionDaysPipeline,
+    buildActivityDaysPipeline,
+    buildOverduePipeline,
+    fillDailySeries,
+    computeStreaks,
+    countOverdueByDay,
+    mergeBreakdown,
+    buildStats
+};
@@ -0,0 +1,59 @@
+/**
+ * Utility functions for task tags
+ *
+ * Tag names are stored normalized (trimmed, lowercase, single spaces) so "Work" and
+ * " work " refer to the same tag.
+ */
+
+const MAX_TAG_LENGTH = 50;
+const MAX_TAGS_PER_TASK = 20;
+
+/**
+ * Normalize a tag name
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized name (empty string if the name is blank)
+ */
+function normalizeTagName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Normalize a list of tags, dropping blanks and duplicates
+ * @param {Array<string>|string} tags - Tags as an array or a comma-separated string
+ * @returns {Array<string>} Normalized unique tags in their original order
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = list.map(normalizeTagName).filter(tag => tag !== '');
+
+    return [...new Set(normalized)];
+}
+
+/**
+ * Validate a tag name for create/rename requests
+ * @param {string} name - Raw tag name
+ * @returns {string} Normalized name
+ * @throws {Error} If the name is blank or too long
+ */
+function parseTagName(name) {
+    const normalized = normalizeTagName(name);
+
+    if (!normalized) {
+        throw new Error('Tag name is required');
+    }
+
+    if (normalized.length > MAX_TAG_LENGTH) {
+        throw new Error(`Tag name must be at most ${MAX_TAG_LENGTH} characters`);
+    }
+
+    return normalized;
+}
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    MAX_TAGS_PER_TASK,
+    normalizeTagName,
+    normalizeTags,
+    parseTagName
+};
@@ -0,0 +1,79 @@
+const { EventEmitter } = require('events');
+
+// Events pushed to a user's open event streams (see routers/event.js)
+// task.created and task.updated carry { task }, task.deleted carries { taskIds }
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+
+// Subscribers live in this process only, so with several server instances a stream
+// receives the changes made through the instance it is connected to
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const channelFor = userId => `user:${userId}`;
+
+/**
+ * Whether a user has an open event stream, so callers can skip building events nobody receives
+ *
+ * @param {number} userId - Numeric userId
+ * @returns {boolean}
+ */
+const hasTaskEventSubscribers = (userId) => emitter.listenerCount(channelFor(userId)) > 0;
+
+/**
+ * Push a task event to every open event stream of a user
+ * Listener failures are logged and never reach the code that changed the task.
+ *
+ * @param {number} userId - Numeric userId of the task owner
+ * @param {string} type - One of TASK_EVENT_TYPES
+ * @param {Object} data - { task } or { taskIds }
+ *
+ * @example
+ * publishTaskEvent(task.userId, 'task.deleted', { taskIds: [12, 13] });
+ */
+const publishTaskEvent = (userId, type, data) => {
+    if (!TASK_EVENT_TYPES.includes(type)) {
+        throw new Error(`Invalid task event type "${type}"`);
+    }
+    if (!hasTaskEventSubscribers(userId)) return;
+
+    try {
+        emitter.emit(channelFor(userId), { type, data });
+    } catch (error) {
+        console.error('Task events: Failed to publish event:', { userId, type, error: error.message });
+    }
+};
+
+/**
+ * Listen to the task events of a user
+ *
+ * @param {number} userId - Numeric userId
+ * @param {Function} listener - Called with { type, data } for every event
+ * @returns {Function} Removes the listener
+ */
+const subscribeToTaskEvents = (userId, listener) => {
+    emitter.on(channelFor(userId), listener);
+    return () => emitter.off(channelFor(userId), listener);
+};
+
+/**
+ * Format a message of the Server-Sent Events protocol
+ *
+ * @param {string} event - Event name, e.g. 'task.updated'
+ * @param {*} data - Serialized as JSON
+ * @returns {string}
+ *
+ * @example
+ * formatServerSentEvent('task.deleted', { taskIds: [3] }) // 'event: task.deleted\ndata: {"taskIds":[3]}\n\n'
+ */
+const formatServerSentEvent = (event, data) => {
+    const lines = JSON.stringify(data).split('\n').map(line => `data: ${line}`);
+    return `event: ${event}\n${lines.join('\n')}\n\n`;
+};
+
+module.exports = {
+    TASK_EVENT_TYPES,
+    hasTaskEventSubscribers,
+    publishTaskEvent,
+    subscribeToTaskEvents,
+    formatServerSentEvent
+};
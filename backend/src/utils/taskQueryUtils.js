@@ -2,14 +2,100 @@
  * Utility functions for building MongoDB queries for task operations
  */
 
+const { normalizeTagName } = require('./tagUtils');
+const { buildProjectCondition } = require('./projectUtils');
+
+// Priorities in ascending order, used to sort by importance rather than alphabetically
+const PRIORITY_RANKS = { low: 1, medium: 2, high: 3 };
+
+// Fields that may be used in sortBy
+const SORTABLE_FIELDS = ['dueDate', 'priority', 'title', 'category', 'createdAt', 'updatedAt', 'isCompleted', 'taskId', 'archivedAt'];
+
+/**
+ * Parse a list query parameter such as "high,medium" or "!low"
+ * @param {string|Array<string>} value - Raw parameter (repeated parameters arrive as an array)
+ * @returns {Object} Object with the values and whether the list is negated
+ */
+function parseListParam(value) {
+    const raw = Array.isArray(value) ? value.join(',') : String(value);
+    const negated = raw.startsWith('!');
+    const values = (negated ? raw.slice(1) : raw)
+        .split(',')
+        .map(item => item.trim())
+        .filter(item => item !== '');
+
+    return { values, negated };
+}
+
+/**
+ * Build a MongoDB condition matching (or, when negated, excluding) a list of values
+ * @param {string|Array<string>} value - Raw parameter, e.g. "high", "high,medium" or "!low"
+ * @returns {*} Plain value, $in, $ne or $nin condition
+ */
+function buildValueCondition(value) {
+    const { values, negated } = parseListParam(value);
+
+    if (values.length === 1) {
+        return negated ? { $ne: values[0] } : values[0];
+    }
+
+    return negated ? { $nin: values } : { $in: values };
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - Raw parameter
+ * @param {string} name - Parameter name used in the error message
+ * @returns {Date} Parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDateParam(value, name) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+}
+
+/**
+ * Parse a boolean query parameter
+ * @param {string} value - Raw parameter
+ * @param {string} name - Parameter name used in the error message
+ * @returns {boolean} Parsed value
+ * @throws {Error} If the value is neither "true" nor "false"
+ */
+function parseBooleanParam(value, name) {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw new Error(`Invalid ${name} value. Use true or false`);
+}
+
 /**
  * Build MongoDB filter object for task queries
+ *
+ * Supported parameters:
+ * - completed=true|false
+ * - priority, category: single value, comma-separated list ("high,medium") or negated with "!" ("!low")
+ * - tags: same syntax, matching tasks with any of the tags (all of them with tagMatch=all)
+ * - projectId: same syntax with numeric projectIds, "none" matches tasks without a project
+ * - dueAfter, dueBefore, createdSince: dates (inclusive)
+ * - overdue=true|false: open tasks whose due date has passed
+ * - hasSubtasks=true|false: requires options.parentTaskIds
+ * - archived=true|false: archived tasks are left out unless archived=true or options.includeArchived
+ * - archivedAfter, archivedBefore: archive dates (inclusive)
+ *
  * @param {Object} queryParams - Query parameters from request
  * @param {Object} additionalFilters - Additional filters to merge (e.g., userId, parentId)
+ * @param {Object} options - parentTaskIds (taskIds that have subtasks), now (reference time for overdue)
+ *   and includeArchived (don't leave out archived tasks by default)
  * @returns {Object} MongoDB filter object
+ * @throws {Error} If a parameter is invalid
  */
-function buildTaskFilters(queryParams, additionalFilters = {}) {
-    const match = { ...additionalFilters };
+function buildTaskFilters(queryParams, additionalFilters = {}, options = {}) {
+    // Tasks in the trash never show up in task lists
+    const match = { deletedAt: null, ...additionalFilters };
+    const conditions = [];
+    const now = options.now || new Date();
     
     // Filter by completion status
     if (queryParams.completed !== undefined) {
@@ -18,12 +104,87 @@ function buildTaskFilters(queryParams, additionalFilters = {}) {
     
     // Filter by priority
     if (queryParams.priority) {
-        match.priority = queryParams.priority;
+        match.priority = buildValueCondition(queryParams.priority);
     }
     
     // Filter by category
     if (queryParams.category) {
-        match.category = queryParams.category;
+        match.category = buildValueCondition(queryParams.category);
+    }
+    
+    // Filter by tags
+    if (queryParams.tags) {
+        const { values, negated } = parseListParam(queryParams.tags);
+        const tags = values.map(normalizeTagName).filter(tag => tag !== '');
+        
+        if (negated) {
+            match.tags = { $nin: tags };
+        } else if (queryParams.tagMatch === 'all') {
+            match.tags = { $all: tags };
+        } else {
+            match.tags = tags.length === 1 ? tags[0] : { $in: tags };
+        }
+    }
+    
+    // Filter by project
+    if (queryParams.projectId !== undefined) {
+        match.projectId = buildProjectCondition(queryParams.projectId);
+    }
+    
+    // Filter by due date range
+    if (queryParams.dueAfter || queryParams.dueBefore) {
+        match.dueDate = {};
+        if (queryParams.dueAfter) {
+            match.dueDate.$gte = parseDateParam(queryParams.dueAfter, 'dueAfter');
+        }
+        if (queryParams.dueBefore) {
+            match.dueDate.$lte = parseDateParam(queryParams.dueBefore, 'dueBefore');
+        }
+    }
+    
+    // Filter by creation date
+    if (queryParams.createdSince) {
+        match.createdAt = { $gte: parseDateParam(queryParams.createdSince, 'createdSince') };
+    }
+    
+    // Archived tasks only show up when asked for
+    if (queryParams.archived !== undefined) {
+        match.archivedAt = parseBooleanParam(queryParams.archived, 'archived') ? { $ne: null } : null;
+    } else if (!options.includeArchived) {
+        match.archivedAt = null;
+    }
+    
+    // Filter by archive date
+    if (queryParams.archivedAfter || queryParams.archivedBefore) {
+        match.archivedAt = { $ne: null };
+        if (queryParams.archivedAfter) {
+            match.archivedAt.$gte = parseDateParam(queryParams.archivedAfter, 'archivedAfter');
+        }
+        if (queryParams.archivedBefore) {
+            match.archivedAt.$lte = parseDateParam(queryParams.archivedBefore, 'archivedBefore');
+        }
+    }
+    
+    // Overdue tasks are open tasks whose due date has passed
+    if (queryParams.overdue !== undefined) {
+        if (parseBooleanParam(queryParams.overdue, 'overdue')) {
+            conditions.push({ dueDate: { $lt: now } }, { isCompleted: false });
+        } else {
+            conditions.push({ $or: [{ dueDate: { $gte: now } }, { isCompleted: true }] });
+        }
+    }
+    
+    // Filter by whether the task has subtasks
+    if (queryParams.hasSubtasks !== undefined) {
+        const hasSubtasks = parseBooleanParam(queryParams.hasSubtasks, 'hasSubtasks');
+        if (!options.parentTaskIds) {
+            throw new Error('hasSubtasks filter is not supported for this request');
+        }
+        conditions.push({ taskId: hasSubtasks ? { $in: options.parentTaskIds } : { $nin: options.parentTaskIds } });
+    }
+    
+    if (conditions.length > 0) {
+        match.$and = [...(match.$and || []), ...conditions];
     }
     
     return match;
@@ -31,15 +192,26 @@ function buildTaskFilters(queryParams, additionalFilters = {}) {
 
 /**
  * Build MongoDB sort criteria object
- * @param {string} sortBy - Sort parameter in format "field:direction" (e.g., "dueDate:asc")
- * @returns {Object} MongoDB sort object
+ * @param {string} sortBy - Comma-separated "field:direction" pairs (e.g., "priority:desc,dueDate:asc")
+ * @returns {Object} MongoDB sort object, keys in order of precedence
+ * @throws {Error} If a field is not sortable or a direction is invalid
  */
 function buildSortCriteria(sortBy) {
     const sort = {};
     
     if (sortBy) {
-        const parts = sortBy.split(":");
-        sort[parts[0]] = (parts[1] === 'desc') ? -1 : 1;
+        sortBy.split(",").forEach((criterion) => {
+            const [field, direction] = criterion.trim().split(":");
+            
+            if (!SORTABLE_FIELDS.includes(field)) {
+                throw new Error(`Invalid sort field "${field}". Sortable fields: ${SORTABLE_FIELDS.join(', ')}`);
+            }
+            if (direction !== undefined && direction !== 'asc' && direction !== 'desc') {
+                throw new Error(`Invalid sort direction "${direction}" for ${field}. Use asc or desc`);
+            }
+            
+            sort[field] = (direction === 'desc') ? -1 : 1;
+        });
     } else {
         // Default sort by due date ascending
         sort.dueDate = 1;
@@ -60,8 +232,40 @@ function buildPaginationOptions(queryParams) {
     };
 }
 
+// Length of the occurrence window when only occurrencesFrom is given
+const DEFAULT_OCCURRENCE_WINDOW_DAYS = 30;
+
+/**
+ * Extract the date window used to project upcoming occurrences of repeating tasks
+ * The window starts now without occurrencesFrom and ends DEFAULT_OCCURRENCE_WINDOW_DAYS
+ * after its start without occurrencesTo.
+ * @param {Object} queryParams - Query parameters from request (occurrencesFrom, occurrencesTo)
+ * @returns {Object|null} Object with from and to dates, or null if no window was requested
+ * @throws {Error} If the window is invalid
+ */
+function buildOccurrenceWindow(queryParams) {
+    if (!queryParams.occurrencesFrom && !queryParams.occurrencesTo) {
+        return null;
+    }
+
+    const from = queryParams.occurrencesFrom ? new Date(queryParams.occurrencesFrom) : new Date();
+    const to = queryParams.occurrencesTo
+        ? new Date(queryParams.occurrencesTo)
+        : new Date(from.getTime() + DEFAULT_OCCURRENCE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+        throw new Error('Invalid occurrence window');
+    }
+
+    return { from, to };
+}
+
 module.exports = {
+    PRIORITY_RANKS,
+    SORTABLE_FIELDS,
+    parseBooleanParam,
     buildTaskFilters,
     buildSortCriteria,
-    buildPaginationOptions
+    buildPaginationOptions,
+    buildOccurrenceWindow
 };
\ No newline at end of file
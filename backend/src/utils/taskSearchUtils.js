@@ -0,0 +1,132 @@
+/**
+ * Utility functions for full-text task search
+ */
+
+// Fields covered by the task text index, in the order highlights are reported
+const SEARCH_FIELDS = ['title', 'description', 'additionalDetails', 'links'];
+
+const MAX_QUERY_LENGTH = 200;
+
+// Characters of context kept on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Validate the search query parameter
+ * @param {string} q - Raw query string
+ * @returns {string} Trimmed query
+ * @throws {Error} If the query is missing or too long
+ */
+function parseSearchQuery(q) {
+    const query = typeof q === 'string' ? q.trim() : '';
+
+    if (!query) {
+        throw new Error('Search query is required');
+    }
+
+    if (query.length > MAX_QUERY_LENGTH) {
+        throw new Error(`Search query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+
+    return query;
+}
+
+/**
+ * Extract the positive search terms from a query, ignoring negated terms
+ * @param {string} query - Search query (MongoDB $text syntax: words, "phrases", -excluded)
+ * @returns {Array<string>} Lowercase terms, longest first
+ */
+function getSearchTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        const negated = match[1] === '-' || match[3] === '-';
+        const term = (match[2] || match[4] || '').replace(/^"+|"+$/g, '').trim().toLowerCase();
+        if (!negated && term) {
+            terms.push(term);
+        }
+    }
+
+    return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a snippet around the matches of the search terms in a piece of text
+ * @param {string} text - Field value
+ * @param {Array<string>} terms - Search terms
+ * @returns {Object|null} { snippet, ranges } where ranges are [start, end) offsets of
+ * matches within the snippet, or null if nothing matched
+ */
+function buildSnippet(text, terms) {
+    if (!text || terms.length === 0) return null;
+
+    // Match whole words or word prefixes so stemmed matches ("plan" -> "planning") still highlight
+    const pattern = new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+    const matches = [];
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        matches.push([match.index, match.index + match[0].length]);
+    }
+
+    if (matches.length === 0) return null;
+
+    const start = Math.max(matches[0][0] - SNIPPET_CONTEXT, 0);
+    const end = Math.min(matches[0][1] + SNIPPET_CONTEXT, text.length);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+
+    const ranges = matches
+        .filter(([matchStart, matchEnd]) => matchStart >= start && matchEnd <= end)
+        .map(([matchStart, matchEnd]) => [
+            matchStart - start + prefix.length,
+            matchEnd - start + prefix.length
+        ]);
+
+    return {
+        snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+        ranges
+    };
+}
+
+/**
+ * Build highlight snippets for every searchable field of a task that matches the query
+ * @param {Object} task - Task document or plain object
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Highlights ({ field, snippet, ranges })
+ */
+function buildHighlights(task, query) {
+    const terms = getSearchTerms(query);
+    const highlights = [];
+
+    SEARCH_FIELDS.forEach((field) => {
+        const values = Array.isArray(task[field]) ? task[field] : [task[field]];
+
+        values.forEach((value) => {
+            const result = buildSnippet(value, terms);
+            if (result) {
+                highlights.push({ field, ...result });
+            }
+        });
+    });
+
+    return highlights;
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    parseSearchQuery,
+    getSearchTerms,
+    buildSnippet,
+    buildHighlights
+};
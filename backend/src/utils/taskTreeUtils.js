@@ -0,0 +1,106 @@
+/**
+ * Utility functions for building nested task hierarchies
+ */
+
+const { PRIORITY_RANKS } = require('./taskQueryUtils');
+
+/**
+ * Parse the depth limit for a task tree
+ * @param {string} depth - Depth query parameter (number of subtask levels to include)
+ * @returns {number|null} Depth limit, or null for unlimited depth
+ * @throws {Error} If the depth is not a non-negative integer
+ */
+function parseTreeDepth(depth) {
+    if (depth === undefined || depth === '') {
+        return null;
+    }
+
+    const parsed = Number(depth);
+    if (!Number.isInteger(parsed) || parsed < 0) {
+        throw new Error('Invalid depth parameter');
+    }
+
+    return parsed;
+}
+
+/**
+ * Sort a list of tasks in place using a MongoDB-style sort object
+ * @param {Array<Object>} tasks - Tasks to sort
+ * @param {Object} sort - Sort criteria (e.g., { dueDate: 1, priority: -1 })
+ * @returns {Array<Object>} The sorted tasks
+ */
+function sortTasks(tasks, sort = {}) {
+    const criteria = Object.entries(sort);
+    const valueOf = (task, field) => {
+        return field === 'priority' ? PRIORITY_RANKS[task.priority] || 0 : task[field];
+    };
+
+    return tasks.sort((a, b) => {
+        for (const [field, direction] of criteria) {
+            const valueA = valueOf(a, field);
+            const valueB = valueOf(b, field);
+            if (valueA < valueB) return -direction;
+            if (valueA > valueB) return direction;
+        }
+        return 0;
+    });
+}
+
+/**
+ * Build a nested task tree from a root task and a flat list of its descendants
+ * @param {Object} root - Root task
+ * @param {Array<Object>} descendants - Descendant tasks with a depth field (0 = direct subtask)
+ * @param {Object} sort - Sort criteria applied to every level
+ * @returns {Object} Root task with nested subtasks arrays and depth fields (root depth = 0)
+ */
+function buildTaskTree(root, descendants, sort = {}) {
+    const nodes = new Map();
+    nodes.set(root.taskId, { ...root, depth: 0, subtasks: [] });
+
+    descendants.forEach((task) => {
+        nodes.set(task.taskId, { ...task, depth: task.depth + 1, subtasks: [] });
+    });
+
+    descendants.forEach((task) => {
+        const parent = nodes.get(task.parentId);
+        if (parent) {
+            parent.subtasks.push(nodes.get(task.taskId));
+        }
+    });
+
+    nodes.forEach((node) => {
+        sortTasks(node.subtasks, sort);
+    });
+
+    return nodes.get(root.taskId);
+}
+
+/**
+ * Parse how subtasks are handled when their parent task is deleted
+ * @param {string} value - Mode query parameter: 'cascade', 'promote' or 'reparent:<taskId>'
+ * @returns {Object} Object with mode and, for reparent, the target taskId
+ * @throws {Error} If the mode is not recognized
+ */
+function parseSubtaskDeletionMode(value) {
+    if (value === undefined || value === '' || value === 'cascade') {
+        return { mode: 'cascade' };
+    }
+
+    if (value === 'promote') {
+        return { mode: 'promote' };
+    }
+
+    const match = /^reparent:(\d+)$/.exec(value);
+    if (match) {
+        return { mode: 'reparent', targetId: parseInt(match[1]) };
+    }
+
+    throw new Error('Invalid subtasks parameter. Use cascade, promote or reparent:<taskId>');
+}
+
+module.exports = {
+    parseTreeDepth,
+    parseSubtaskDeletionMode,
+    sortTasks,
+    buildTaskTree
+};
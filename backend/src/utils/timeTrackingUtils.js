@@ -0,0 +1,206 @@
+/**
+ * Utility functions for time tracking
+ *
+ * Durations are in seconds. A running timer is a time entry without endedAt; it counts
+ * up to "now" wherever durations are computed. Reports group time by UTC day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest period a single time report may cover
+const MAX_REPORT_DAYS = 366;
+
+const MAX_NOTE_LENGTH = 500;
+
+/**
+ * Parse a date from a request body or query string
+ * @param {*} value - Raw value
+ * @param {string} name - Field name used in the error message
+ * @returns {Date} Parsed date
+ * @throws {Error} If the value is not a valid date
+ */
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (value === null || value === undefined || value === '' || isNaN(date.getTime())) {
+        throw new Error(`Invalid ${name} date`);
+    }
+    return date;
+}
+
+/**
+ * Get the tracked duration of a time entry
+ * @param {Object} entry - Time entry with startedAt and optional endedAt
+ * @param {Date} now - Reference time for running timers
+ * @returns {number} Duration in whole seconds
+ */
+function getEntryDuration(entry, now = new Date()) {
+    const end = entry.endedAt ? new Date(entry.endedAt) : now;
+    return Math.max(0, Math.floor((end - new Date(entry.startedAt)) / 1000));
+}
+
+/**
+ * Validate the fields of a manually created or edited time entry
+ * @param {Object} body - Request body ({ startedAt, endedAt, note })
+ * @param {Object} existing - Current values when editing an entry
+ * @returns {Object} Validated { startedAt, endedAt, note } (only the fields that were provided)
+ * @throws {Error} If a field is invalid or the entry would end before it starts
+ */
+function parseTimeEntryInput(body, existing = null) {
+    const allowedFields = ['startedAt', 'endedAt', 'note'];
+    const fields = Object.keys(body || {});
+    if (!fields.every(field => allowedFields.includes(field))) {
+        throw new Error('Invalid Update Operation');
+    }
+
+    const input = {};
+    if (body.startedAt !== undefined) {
+        input.startedAt = parseDate(body.startedAt, 'startedAt');
+    }
+    if (body.endedAt !== undefined) {
+        input.endedAt = parseDate(body.endedAt, 'endedAt');
+    }
+    if (body.note !== undefined) {
+        if (typeof body.note !== 'string' || body.note.length > MAX_NOTE_LENGTH) {
+            throw new Error(`Note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+        }
+        input.note = body.note.trim();
+    }
+
+    const startedAt = input.startedAt || (existing && existing.startedAt);
+    const endedAt = input.endedAt || (existing && existing.endedAt);
+
+    if (!existing && (!input.startedAt || !input.endedAt)) {
+        throw new Error('startedAt and endedAt are required');
+    }
+
+    if (endedAt && startedAt && new Date(endedAt) <= new Date(startedAt)) {
+        throw new Error('endedAt must be after startedAt');
+    }
+
+    return input;
+}
+
+/**
+ * Parse the period of a time report
+ * @param {Object} queryParams - Query parameters (from, to); defaults to the last 7 days
+ * @param {Date} now - Reference time
+ * @returns {Object} { from, to } with from < to
+ * @throws {Error} If the dates are invalid, reversed or too far apart
+ */
+function parseReportRange(queryParams, now = new Date()) {
+    const to = queryParams.to ? parseDate(queryParams.to, 'to') : now;
+    const from = queryParams.from ? parseDate(queryParams.from, 'from') : new Date(to.getTime() - 7 * DAY_MS);
+
+    if (from >= to) {
+        throw new Error('from must be before to');
+    }
+
+    if (to - from > MAX_REPORT_DAYS * DAY_MS) {
+        throw new Error(`A time report can cover at most ${MAX_REPORT_DAYS} days`);
+    }
+
+    return { from, to };
+}
+
+/**
+ * Split the part of a time entry inside a period into UTC days
+ * @param {Object} entry - Time entry
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {Date} now - Reference time for running timers
+ * @returns {Array<Object>} [{ date: 'YYYY-MM-DD', seconds }]
+ */
+function splitEntryByDay(entry, from, to, now = new Date()) {
+    const start = Math.max(new Date(entry.startedAt).getTime(), from.getTime());
+    const end = Math.min((entry.endedAt ? new Date(entry.endedAt) : now).getTime(), to.getTime());
+    const days = [];
+
+    let cursor = start;
+    while (cursor < end) {
+        const nextDay = (Math.floor(cursor / DAY_MS) + 1) * DAY_MS;
+        const sliceEnd = Math.min(nextDay, end);
+        days.push({
+            date: new Date(cursor).toISOString().slice(0, 10),
+            seconds: Math.floor((sliceEnd - cursor) / 1000)
+        });
+        cursor = sliceEnd;
+    }
+
+    return days;
+}
+
+/**
+ * Aggregate time entries into a report by day, category and task
+ * @param {Array<Object>} entries - Time entries overlapping the period
+ * @param {Map<number, Object>} tasksById - Tasks of the entries ({ taskId, title, category })
+ * @param {Object} range - { from, to }
+ * @param {Date} now - Reference time for running timers
+ * @returns {Object} { from, to, totalSeconds, byDay, byCategory, byTask }
+ */
+function buildTimeReport(entries, tasksById, { from, to }, now = new Date()) {
+    const byDay = new Map();
+    const byCategory = new Map();
+    const byTask = new Map();
+    let totalSeconds = 0;
+
+    const add = (map, key, seconds, initial) => {
+        const row = map.get(key) || { ...initial, seconds: 0 };
+        row.seconds += seconds;
+        map.set(key, row);
+    };
+
+    entries.forEach((entry) => {
+        const days = splitEntryByDay(entry, from, to, now);
+        const seconds = days.reduce((sum, day) => sum + day.seconds, 0);
+        if (seconds === 0) return;
+
+        const task = tasksById.get(entry.taskId) || { taskId: entry.taskId, title: null, category: '' };
+        const category = task.category || null;
+
+        totalSeconds += seconds;
+        days.forEach(day => add(byDay, day.date, day.seconds, { date: day.date }));
+        add(byCategory, category, seconds, { category });
+        add(byTask, task.taskId, seconds, { taskId: task.taskId, title: task.title, category });
+    });
+
+    return {
+        from,
+        to,
+        totalSeconds,
+        byDay: [...byDay.values()].sort((a, b) => a.date.localeCompare(b.date)),
+        byCategory: [...byCategory.values()].sort((a, b) => b.seconds - a.seconds),
+        byTask: [...byTask.values()].sort((a, b) => b.seconds - a.seconds)
+    };
+}
+
+/**
+ * Roll up the tracked time and estimates of a task and its subtasks
+ * @param {Object} task - Task ({ taskId, estimatedMinutes })
+ * @param {Array<Object>} descendants - Subtasks at every level
+ * @param {Map<number, number>} trackedSeconds - taskId -> tracked seconds
+ * @returns {Object} { trackedSeconds, totalTrackedSeconds, estimatedMinutes, totalEstimatedMinutes }
+ */
+function buildTimeSummary(task, descendants, trackedSeconds) {
+    const ownSeconds = trackedSeconds.get(task.taskId) || 0;
+    const subtaskSeconds = descendants.reduce((sum, subtask) => sum + (trackedSeconds.get(subtask.taskId) || 0), 0);
+    const subtaskEstimate = descendants.reduce((sum, subtask) => sum + (subtask.estimatedMinutes || 0), 0);
+    const hasEstimate = task.estimatedMinutes !== null && task.estimatedMinutes !== undefined;
+
+    return {
+        trackedSeconds: ownSeconds,
+        totalTrackedSeconds: ownSeconds + subtaskSeconds,
+        estimatedMinutes: hasEstimate ? task.estimatedMinutes : null,
+        totalEstimatedMinutes: (task.estimatedMinutes || 0) + subtaskEstimate
+    };
+}
+
+module.exports = {
+    MAX_REPORT_DAYS,
+    MAX_NOTE_LENGTH,
+    getEntryDuration,
+    parseTimeEntryInput,
+    parseReportRange,
+    splitEntryByDay,
+    buildTimeReport,
+    buildTimeSummary
+};
@@ -0,0 +1,106 @@
+/**
+ * Utility functions for working with calendar days and times in a user's timezone
+ *
+ * Calendar days are 'YYYY-MM-DD' strings and times of day are 'HH:MM' strings, so
+ * both compare correctly as plain strings.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a timezone is a valid IANA timezone name
+ * @param {string} timezone - e.g. 'Europe/Berlin'
+ * @returns {boolean} True if the timezone is supported
+ */
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || timezone.trim() === '') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Split a date into its calendar parts in a timezone
+ * @param {Date} date - Date to split
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute } as zero-padded strings
+ */
+function getLocalParts(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(p => p.type === type).value;
+
+    return {
+        year: part('year'),
+        month: part('month'),
+        day: part('day'),
+        hour: part('hour'),
+        minute: part('minute')
+    };
+}
+
+/**
+ * Format a date as a calendar day in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function toDayKey(date, timezone) {
+    const { year, month, day } = getLocalParts(date, timezone);
+    return `${year}-${month}-${day}`;
+}
+
+/**
+ * Format a date as a time of day in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} 'HH:MM' (24-hour)
+ */
+function toLocalTime(date, timezone) {
+    const { hour, minute } = getLocalParts(date, timezone);
+    return `${hour}:${minute}`;
+}
+
+/**
+ * Move a calendar day by a number of days
+ * @param {string} day - 'YYYY-MM-DD'
+ * @param {number} amount - Days to add (may be negative)
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(day, amount) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + amount * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Format a date as a short calendar date in a timezone
+ * @param {Date} date - Date to format
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} e.g. 'Mon, Jan 6'
+ */
+function formatLocalDate(date, timezone = 'UTC') {
+    return new Date(date).toLocaleDateString('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+module.exports = {
+    DAY_MS,
+    isValidTimezone,
+    toDayKey,
+    toLocalTime,
+    addDays,
+    formatLocalDate
+};
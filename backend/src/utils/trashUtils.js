@@ -0,0 +1,49 @@
+/**
+ * Utility functions for the task trash
+ *
+ * Deleted tasks are kept in the trash for TRASH_RETENTION_DAYS days (default 30) before
+ * they are purged for good; 0 disables the automatic purge.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Get how many days deleted tasks stay in the trash
+ * @param {Object} env - Environment variables
+ * @returns {number} Retention in days (0 = keep until emptied by hand)
+ */
+function getTrashRetentionDays(env = process.env) {
+    const days = parseInt(env.TRASH_RETENTION_DAYS);
+    return isNaN(days) || days < 0 ? DEFAULT_TRASH_RETENTION_DAYS : days;
+}
+
+/**
+ * Get when a task in the trash will be purged
+ * @param {Date} deletedAt - When the task was deleted
+ * @param {number} retentionDays - Retention in days
+ * @returns {Date|null} Purge date, or null when the automatic purge is disabled
+ */
+function getPurgeDate(deletedAt, retentionDays) {
+    if (!retentionDays) return null;
+    return new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+}
+
+/**
+ * Get the deletion date before which tasks in the trash are purged
+ * @param {number} retentionDays - Retention in days
+ * @param {Date} now - Reference time
+ * @returns {Date|null} Cutoff, or null when the automatic purge is disabled
+ */
+function getPurgeCutoff(retentionDays, now = new Date()) {
+    if (!retentionDays) return null;
+    return new Date(now.getTime() - retentionDays * DAY_MS);
+}
+
+module.exports = {
+    DEFAULT_TRASH_RETENTION_DAYS,
+    getTrashRetentionDays,
+    getPurgeDate,
+    getPurgeCutoff
+};
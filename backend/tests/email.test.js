@@ -1,70 +1,112 @@
-// Load environment variables
-require('dotenv').config();
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
 
-const { sendWelcomeEmail, sendAccountDeletionEmail } = require('../src/emails/account');
+// Send every email to a temporary outbox so the email flows can be tested offline
+process.env.EMAIL_TRANSPORT = 'outbox';
+process.env.EMAIL_OUTBOX_DIR = path.join(os.tmpdir(), `task-crusher-outbox-${process.pid}`);
+process.env.SERVICE_URL = 'https://tasks.example.com';
 
-// Test script for email functionality with MailerLite
+const { sendWelcomeEmail, sendAccountDeletionEmail, getEmailServiceStatus } = require('../src/emails/account');
+const { sendDailyDigest } = require('../src/emails/digest');
+const { getTransport } = require('../src/emails/transports');
+const { interpolate } = require('../src/emails/templates');
+
+// Test script for email functionality using the outbox transport
 async function testEmailFunctionality() {
-    console.log('🧪 Testing email functionality with MailerLite...\n');
-    
-    // Test environment variable
-    if (!process.env.MAILERLITE_API_KEY) {
-        console.error('❌ MAILERLITE_API_KEY environment variable is not set');
-        console.log('Please set MAILERLITE_API_KEY in your environment before running tests');
-        return;
-    } else {
-        console.log('✅ MAILERLITE_API_KEY environment variable is set');
-    }
-    
-    // Test data
-    const testEmail = 'rkjyothish@gmail.com';
-    const testName = 'R K Jyothish';
-    
-    console.log(`📬 Testing emails to: ${testEmail}`);
-    
-    console.log('\n--- Testing Welcome Email ---');
-    try {
-        await sendWelcomeEmail(testEmail, testName);
-        console.log('✅ Welcome email function executed without errors');
-    } catch (error) {
-        console.error('❌ Welcome email function failed:', error.message);
-    }
-    
-    console.log('\n--- Testing Account Deletion Email ---');
-    try {
+    console.log('🧪 Testing email functionality with the outbox transport...\n');
+
+    const outbox = getTransport();
+    await outbox.clear();
+    let failures = 0;
+
+    const check = async (description, fn) => {
+        try {
+            await fn();
+            console.log(`✅ ${description}`);
+        } catch (error) {
+            failures += 1;
+            console.error(`❌ ${description}: ${error.message}`);
+        }
+    };
+
+    const testEmail = 'jane@example.com';
+    const testName = 'Jane <Doe>';
+
+    await check('Email service uses the outbox transport', () => {
+        assert.strictEqual(getEmailServiceStatus().transport, 'outbox');
+    });
+
+    await check('Welcome email is rendered and written to the outbox', async () => {
+        const result = await sendWelcomeEmail(testEmail, testName);
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.transport, 'outbox');
+
+        const [message] = await outbox.list();
+        assert.strictEqual(message.type, 'welcome');
+        assert.strictEqual(message.to, testEmail);
+        assert.strictEqual(message.subject, 'Welcome to Task Crusher!');
+        assert.ok(message.text.includes('Welcome, Jane <Doe>!'));
+        assert.ok(message.text.includes('https://tasks.example.com/dashboard'));
+        assert.ok(message.html.includes('Welcome, Jane &lt;Doe&gt;!'));
+        assert.ok(message.html.startsWith('<!DOCTYPE html>'));
+    });
+
+    await check('Account deletion email is written to the outbox', async () => {
         await sendAccountDeletionEmail(testEmail, testName);
-        console.log('✅ Account deletion email function executed without errors');
-    } catch (error) {
-        console.error('❌ Account deletion email function failed:', error.message);
-    }
-    
-    console.log('\n--- Testing Error Handling ---');
-    // Temporarily remove API key to test error handling
-    const originalApiKey = process.env.MAILERLITE_API_KEY;
-    delete process.env.MAILERLITE_API_KEY;
-    
-    try {
-        // Re-require the module to test missing API key handling
-        delete require.cache[require.resolve('../src/emails/account')];
-        const { sendWelcomeEmail: testWelcomeEmail } = require('../src/emails/account');
-        await testWelcomeEmail(testEmail, testName);
-        console.log('❌ Expected error handling for missing API key did not occur');
-    } catch (error) {
-        console.log('✅ Error handling for missing API key works correctly');
-    }
-    
-    // Restore API key
-    process.env.MAILERLITE_API_KEY = originalApiKey;
-    
+
+        const messages = await outbox.list();
+        const message = messages.find(item => item.type === 'accountDeletion');
+        assert.strictEqual(messages.length, 2);
+        assert.ok(message.text.includes('Your Task Crusher account and all of its tasks have been deleted.'));
+    });
+
+    await check('Daily digest lists its sections with escaped task titles', async () => {
+        const digest = {
+            dueToday: [{ taskId: 7, title: 'Pay <rent>', priority: 'high', dueDay: '2025-01-15' }],
+            overdue: [],
+            upcoming: [{ taskId: 9, title: 'Ship release', priority: 'high', dueDay: '2025-01-17' }]
+        };
+        await sendDailyDigest({ email: testEmail, name: testName }, digest, '2025-01-15');
+
+        const message = (await outbox.list()).find(item => item.type === 'dailyDigest');
+        assert.strictEqual(message.subject, 'Your tasks for Wed, Jan 15: 1 due today, 1 coming up');
+        assert.ok(message.text.includes('Due today (1)'));
+        assert.ok(message.text.includes('- Pay <rent> (due Wed, Jan 15, high priority) https://tasks.example.com/task/7'));
+        assert.ok(!message.text.includes('Overdue'));
+        assert.ok(message.html.includes('Pay &lt;rent&gt;'));
+        assert.ok(message.html.includes('href="https://tasks.example.com/task/9"'));
+    });
+
+    await check('Missing template values render as empty strings', () => {
+        assert.strictEqual(interpolate('Hi {{ name }}{{missing}}!', { name: 'Sam' }), 'Hi Sam!');
+        assert.strictEqual(interpolate('{{{html}}}', { html: '<b>bold</b>' }), '<b>bold</b>');
+    });
+
+    await check('Unknown transports are rejected', () => {
+        assert.throws(() => getTransport('pigeon'), /Unknown email transport "pigeon"/);
+    });
+
+    await check('MailerLite transport requires an API key', () => {
+        const createMailerLiteTransport = require('../src/emails/transports/mailerlite');
+        assert.throws(() => createMailerLiteTransport({}), /MAILERLITE_API_KEY environment variable is not set/);
+    });
+
+    await outbox.clear();
+
     console.log('\n--- Test Summary ---');
-    console.log('Email migration testing completed.');
-    console.log('Note: Actual email delivery depends on valid MAILERLITE_API_KEY and email service configuration.');
-    console.log('Make sure the "Account Activation" template exists in your MailerLite account.');
+    console.log(failures === 0 ? 'All email tests passed.' : `${failures} email test(s) failed.`);
+    if (failures > 0) {
+        process.exitCode = 1;
+    }
 }
 
 // Run tests if this file is executed directly
 if (require.main === module) {
-    testEmailFunctionality().catch(console.error);
+    testEmailFunctionality().catch((error) => {
+        console.error(error);
+        process.exitCode = 1;
+    });
 }
 
-module.exports = { testEmailFunctionality };
\ No newline at end of file
+module.exports = { testEmailFunctionality };
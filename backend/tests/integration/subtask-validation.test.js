@@ -384,6 +384,60 @@ async function runTests() {
         
         console.log('  ✓ updating parentId validation works correctly');
 
+        // Test 9: Prevent deep circular references (A -> B -> C -> A)
+        await setupTestDB();
+        
+        const user9 = new User({
+            name: 'Test User 9',
+            email: 'test9@example.com',
+            password: 'testpass123'
+        });
+        await user9.save();
+        
+        const task9a = new Task({
+            userId: user9.userId,
+            title: 'Task 9A',
+            dueDate: new Date('2025-12-31')
+        });
+        await task9a.save();
+        
+        const task9b = new Task({
+            userId: user9.userId,
+            title: 'Task 9B',
+            dueDate: new Date('2025-12-31'),
+            parentId: task9a.taskId
+        });
+        await task9b.save();
+        
+        const task9c = new Task({
+            userId: user9.userId,
+            title: 'Task 9C',
+            dueDate: new Date('2025-12-31'),
+            parentId: task9b.taskId
+        });
+        await task9c.save();
+        
+        task9a.parentId = task9c.taskId;
+        
+        try {
+            await task9a.save();
+            assert.fail('Should have thrown circular reference error');
+        } catch (error) {
+            assert(error.message.includes('Circular parent-child relationship not allowed'));
+        }
+        
+        // A task cannot be its own parent either
+        task9b.parentId = task9b.taskId;
+        
+        try {
+            await task9b.save();
+            assert.fail('Should have thrown circular reference error');
+        } catch (error) {
+            assert(error.message.includes('Circular parent-child relationship not allowed'));
+        }
+        
+        console.log('  ✓ prevents deep circular references');
+
         console.log('\n✅ All Subtask Relationship Validation tests passed!');
         
     } catch (error) {
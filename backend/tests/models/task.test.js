@@ -7,6 +7,12 @@ const mongoose = require('mongoose');
 const Task = require('../../src/models/task');
 const User = require('../../src/models/user');
 const Counter = require('../../src/models/counter');
+const Project = require('../../src/models/project');
+const TimeEntry = require('../../src/models/timeEntry');
+const Comment = require('../../src/models/comment');
+const Attachment = require('../../src/models/attachment');
+const TaskRevision = require('../../src/models/taskRevision');
+const { getStorage } = require('../../src/storage');
 
 // Test database setup
 let isConnected = false;
@@ -21,6 +27,11 @@ async function setupTestDB() {
     await Task.deleteMany({});
     await User.deleteMany({});
     await Counter.deleteMany({});
+    await Project.deleteMany({});
+    await TimeEntry.deleteMany({});
+    await Comment.deleteMany({});
+    await Attachment.deleteMany({});
+    await TaskRevision.deleteMany({});
 }
 
 async function cleanupTestDB() {
@@ -28,6 +39,11 @@ async function cleanupTestDB() {
         await Task.deleteMany({});
         await User.deleteMany({});
         await Counter.deleteMany({});
+        await Project.deleteMany({});
+        await TimeEntry.deleteMany({});
+        await Comment.deleteMany({});
+        await Attachment.deleteMany({});
+        await TaskRevision.deleteMany({});
         await mongoose.disconnect();
         isConnected = false;
     }
@@ -459,6 +475,700 @@ describe('Task Model with Numeric ID and New Fields', () => {
         });
     });
 
+    describe('deleting tasks with subtasks', () => {
+        
+        async function createHierarchy() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const createTask = async (title, parentId = null) => {
+                const task = new Task({ userId: user.userId, title, parentId, dueDate: new Date('2025-12-31') });
+                await task.save();
+                return task;
+            };
+            
+            const grandparent = await createTask('Grandparent');
+            const parent = await createTask('Parent', grandparent.taskId);
+            const child = await createTask('Child', parent.taskId);
+            const grandchild = await createTask('Grandchild', child.taskId);
+            const other = await createTask('Other');
+            
+            return { user, grandparent, parent, child, grandchild, other };
+        }
+        
+        it('should cascade delete all descendants', async () => {
+            const { user, parent, child, grandchild } = await createHierarchy();
+            
+            const result = await Task.deleteWithSubtasks(parent, { mode: 'cascade' });
+            
+            assert.deepStrictEqual(result.deletedTaskIds.sort(), [parent.taskId, child.taskId, grandchild.taskId].sort());
+            assert.deepStrictEqual(result.movedTaskIds, []);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId }), 2);
+        });
+
+        it('should promote direct subtasks to the deleted task\'s parent', async () => {
+            const { grandparent, parent, child, grandchild } = await createHierarchy();
+            
+            const result = await Task.deleteWithSubtasks(parent, { mode: 'promote' });
+            
+            assert.deepStrictEqual(result.deletedTaskIds, [parent.taskId]);
+            assert.deepStrictEqual(result.movedTaskIds, [child.taskId]);
+            
+            const promoted = await Task.findOne({ taskId: child.taskId });
+            assert.strictEqual(promoted.parentId, grandparent.taskId);
+            const untouched = await Task.findOne({ taskId: grandchild.taskId });
+            assert.strictEqual(untouched.parentId, child.taskId);
+        });
+
+        it('should reparent direct subtasks to another task', async () => {
+            const { parent, child, other } = await createHierarchy();
+            
+            await Task.deleteWithSubtasks(parent, { mode: 'reparent', targetId: other.taskId });
+            
+            const moved = await Task.findOne({ taskId: child.taskId });
+            assert.strictEqual(moved.parentId, other.taskId);
+        });
+    });
+
+    describe('subtask progress and completion policies', () => {
+        const { completeFinishedParents, reopenCompletedParents, getCompletionBlocker } = require('../../src/utils/completionPolicy');
+        const allPolicies = { autoCompleteParent: true, blockIncompleteParent: true, reopenParentOnNewSubtask: true };
+        
+        async function createHierarchy() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const createTask = async (title, parentId = null, isCompleted = false) => {
+                const task = new Task({ userId: user.userId, title, parentId, isCompleted, dueDate: new Date('2025-12-31') });
+                await task.save();
+                return task;
+            };
+            
+            const parent = await createTask('Parent');
+            const child = await createTask('Child', parent.taskId, true);
+            const openChild = await createTask('Open Child', parent.taskId);
+            const grandchild = await createTask('Grandchild', child.taskId, true);
+            
+            return { user, parent, child, openChild, grandchild, createTask };
+        }
+        
+        it('should compute progress recursively', async () => {
+            const { parent, child, openChild } = await createHierarchy();
+            
+            assert.deepStrictEqual(await parent.getProgress(), { completed: 2, total: 3, percent: 67 });
+            assert.deepStrictEqual(await child.getProgress(), { completed: 1, total: 1, percent: 100 });
+            assert.deepStrictEqual(await openChild.getProgress(), { completed: 0, total: 0, percent: null });
+        });
+
+        it('should block completing a parent with open subtasks', async () => {
+            const { parent } = await createHierarchy();
+            
+            const blocker = await getCompletionBlocker(parent, allPolicies);
+            assert.strictEqual(blocker, 'Cannot complete a task with 1 open subtask');
+            assert.strictEqual(await getCompletionBlocker(parent, { blockIncompleteParent: false }), null);
+        });
+
+        it('should auto-complete a parent when its last subtask completes', async () => {
+            const { parent, openChild } = await createHierarchy();
+            
+            openChild.isCompleted = true;
+            await openChild.save();
+            const completedIds = await completeFinishedParents(openChild, allPolicies);
+            
+            assert.deepStrictEqual(completedIds, [parent.taskId]);
+            const updated = await Task.findOne({ taskId: parent.taskId });
+            assert.strictEqual(updated.isCompleted, true);
+        });
+
+        it('should record auto-completed parents in their revision log', async () => {
+            const { parent, openChild } = await createHierarchy();
+            
+            openChild.isCompleted = true;
+            await openChild.save();
+            await completeFinishedParents(openChild, allPolicies);
+            
+            const revisions = await TaskRevision.find({ taskId: parent.taskId });
+            assert.strictEqual(revisions.length, 1);
+            assert.deepStrictEqual(revisions[0].toObject().changes, [{ field: 'isCompleted', from: false, to: true }]);
+        });
+
+        it('should reopen completed ancestors when a subtask is added', async () => {
+            const { parent, child, createTask } = await createHierarchy();
+            
+            parent.isCompleted = true;
+            await parent.save();
+            const newSubtask = await createTask('New Grandchild', child.taskId);
+            const reopenedIds = await reopenCompletedParents(newSubtask, allPolicies);
+            
+            assert.deepStrictEqual(reopenedIds, [child.taskId, parent.taskId]);
+            const updated = await Task.findOne({ taskId: parent.taskId });
+            assert.strictEqual(updated.isCompleted, false);
+        });
+    });
+
+    describe('tags', () => {
+        
+        async function createUser() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            return user;
+        }
+        
+        it('should normalize tags and add the category as a tag', async () => {
+            const user = await createUser();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Tagged Task',
+                dueDate: new Date('2025-12-31'),
+                category: 'Work',
+                tags: [' Urgent-Client ', 'urgent-client']
+            });
+            await task.save();
+            
+            assert.deepStrictEqual([...task.tags], ['urgent-client', 'work']);
+        });
+
+        it('should rename and merge tags on every task', async () => {
+            const user = await createUser();
+            const first = new Task({ userId: user.userId, title: 'First', dueDate: new Date('2025-12-31'), tags: ['home', 'chores'] });
+            const second = new Task({ userId: user.userId, title: 'Second', dueDate: new Date('2025-12-31'), category: 'Home', tags: ['errands'] });
+            await first.save();
+            await second.save();
+            
+            const modified = await Task.renameTag(user.userId, 'home', 'chores');
+            
+            assert.strictEqual(modified, 2);
+            const updatedFirst = await Task.findOne({ taskId: first.taskId });
+            const updatedSecond = await Task.findOne({ taskId: second.taskId });
+            assert.deepStrictEqual([...updatedFirst.tags], ['chores']);
+            assert.deepStrictEqual([...updatedSecond.tags], ['errands', 'chores']);
+            assert.strictEqual(updatedSecond.category, 'chores');
+        });
+
+        it('should remove a tag from every task', async () => {
+            const user = await createUser();
+            const task = new Task({ userId: user.userId, title: 'Task', dueDate: new Date('2025-12-31'), category: 'work', tags: ['urgent'] });
+            await task.save();
+            
+            await Task.removeTag(user.userId, 'work');
+            
+            const updated = await Task.findOne({ taskId: task.taskId });
+            assert.deepStrictEqual([...updated.tags], ['urgent']);
+            assert.strictEqual(updated.category, '');
+        });
+
+        it('should rename and remove tags on tasks in the trash', async () => {
+            const user = await createUser();
+            const task = new Task({ userId: user.userId, title: 'Task', dueDate: new Date('2025-12-31'), tags: ['home', 'urgent'] });
+            await task.save();
+            await Task.deleteWithSubtasks(task);
+            
+            await Task.renameTag(user.userId, 'home', 'chores');
+            await Task.removeTag(user.userId, 'urgent');
+            
+            const trashed = await Task.findOne({ taskId: task.taskId }).setOptions({ withDeleted: true });
+            assert.deepStrictEqual([...trashed.tags], ['chores']);
+        });
+    });
+
+    describe('projects', () => {
+        
+        async function createUserWithProjects() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const work = new Project({ userId: user.userId, name: 'Work' });
+            const home = new Project({ userId: user.userId, name: 'Home' });
+            await work.save();
+            await home.save();
+            
+            return { user, work, home };
+        }
+        
+        it('should generate projectId and sort order for new projects', async () => {
+            const { work, home } = await createUserWithProjects();
+            
+            assert.strictEqual(typeof work.projectId, 'number');
+            assert.strictEqual(home.projectId, work.projectId + 1);
+            assert.strictEqual(work.sortOrder, 0);
+            assert.strictEqual(home.sortOrder, 1);
+        });
+
+        it('should reject projects of another user', async () => {
+            const { work } = await createUserWithProjects();
+            
+            const task = new Task({ userId: work.userId + 1, title: 'Task', dueDate: new Date('2025-12-31'), projectId: work.projectId });
+            
+            await assert.rejects(() => task.save(), /Project not found/);
+        });
+
+        it('should keep subtasks in the project of their parent', async () => {
+            const { user, work, home } = await createUserWithProjects();
+            const parent = new Task({ userId: user.userId, title: 'Parent', dueDate: new Date('2025-12-31'), projectId: work.projectId });
+            await parent.save();
+            const subtask = new Task({ userId: user.userId, title: 'Subtask', dueDate: new Date('2025-12-31'), parentId: parent.taskId });
+            await subtask.save();
+            
+            assert.strictEqual(subtask.projectId, work.projectId);
+            
+            parent.projectId = home.projectId;
+            await parent.save();
+            
+            const updatedSubtask = await Task.findOne({ taskId: subtask.taskId });
+            assert.strictEqual(updatedSubtask.projectId, home.projectId);
+        });
+
+        it('should move or delete the tasks of a deleted project', async () => {
+            const { user, work, home } = await createUserWithProjects();
+            const first = new Task({ userId: user.userId, title: 'First', dueDate: new Date('2025-12-31'), projectId: work.projectId });
+            const second = new Task({ userId: user.userId, title: 'Second', dueDate: new Date('2025-12-31'), projectId: home.projectId });
+            await first.save();
+            await second.save();
+            
+            const moved = await Task.releaseProject(user.userId, work.projectId, { mode: 'move', targetId: home.projectId });
+            assert.deepStrictEqual(moved.movedTaskIds, [first.taskId]);
+            
+            const deleted = await Task.releaseProject(user.userId, home.projectId, { mode: 'delete' });
+            assert.strictEqual(deleted.deletedTaskIds.length, 2);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId }), 0);
+        });
+    });
+
+    describe('dependencies', () => {
+        
+        async function createChain() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const first = new Task({ userId: user.userId, title: 'First', dueDate: new Date('2025-12-31') });
+            await first.save();
+            const second = new Task({ userId: user.userId, title: 'Second', dueDate: new Date('2025-12-31'), blockedBy: [first.taskId] });
+            await second.save();
+            const third = new Task({ userId: user.userId, title: 'Third', dueDate: new Date('2025-12-31'), blockedBy: [second.taskId] });
+            await third.save();
+            
+            return { user, first, second, third };
+        }
+        
+        it('should load the upstream dependency graph', async () => {
+            const { user, first, second, third } = await createChain();
+            
+            const graph = await Task.getDependencyGraph(third.taskId, user.userId);
+            
+            assert.deepStrictEqual(graph.get(third.taskId), [second.taskId]);
+            assert.deepStrictEqual(graph.get(second.taskId), [first.taskId]);
+            assert.deepStrictEqual(graph.get(first.taskId), []);
+        });
+
+        it('should only report open blockers', async () => {
+            const { first, second, third } = await createChain();
+            first.isCompleted = true;
+            await first.save();
+            
+            const openBlockerIds = await Task.getOpenBlockerIds([second, third]);
+            
+            assert.deepStrictEqual([...openBlockerIds], [second.taskId]);
+        });
+
+        it('should not count blockers in the trash', async () => {
+            const { first, second } = await createChain();
+            
+            await Task.deleteWithSubtasks(first);
+            
+            const openBlockerIds = await Task.getOpenBlockerIds([second]);
+            assert.deepStrictEqual([...openBlockerIds], []);
+        });
+
+        it('should check dependencies restored by a revert', async () => {
+            const { user, first, second, third } = await createChain();
+            const { buildRevertUpdates } = require('../../src/utils/revisionUtils');
+            
+            // Revision 1 removes the dependency on the second task, after which the second
+            // task starts depending on the third
+            await Task.updateOne({ taskId: third.taskId }, { blockedBy: [] });
+            await TaskRevision.record(third, [{ field: 'blockedBy', from: [second.taskId], to: [] }]);
+            await Task.updateOne({ taskId: second.taskId }, { $addToSet: { blockedBy: third.taskId } });
+            
+            const current = await Task.findOne({ taskId: third.taskId });
+            const updates = buildRevertUpdates(await TaskRevision.find({ taskId: third.taskId }), 0);
+            assert.deepStrictEqual(updates, { blockedBy: [second.taskId] });
+            
+            const { error } = await Task.resolveBlockedBy(current, updates.blockedBy);
+            assert.match(error, /Dependency would create a cycle/);
+            
+            // Without the cycle the dependency comes back, but purged blockers don't
+            await Task.updateOne({ taskId: second.taskId }, { blockedBy: [first.taskId] });
+            const other = new Task({ userId: user.userId, title: 'Other', dueDate: new Date('2025-12-31') });
+            await other.save();
+            await Task.deleteWithSubtasks(other);
+            await Task.purgeFromTrash(other);
+            
+            const resolved = await Task.resolveBlockedBy(current, [second.taskId, other.taskId]);
+            assert.deepStrictEqual(resolved, { blockedBy: [second.taskId] });
+        });
+
+        it('should remove purged tasks from blockedBy', async () => {
+            const { first, second } = await createChain();
+            
+            await Task.deleteWithSubtasks(first);
+            await Task.purgeFromTrash(first);
+            
+            const updated = await Task.findOne({ taskId: second.taskId });
+            assert.deepStrictEqual([...updated.blockedBy], []);
+        });
+    });
+
+    describe('time tracking', () => {
+        
+        async function createTaskWithSubtask() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const parent = new Task({ userId: user.userId, title: 'Parent', dueDate: new Date('2025-12-31'), estimatedMinutes: 60 });
+            await parent.save();
+            const subtask = new Task({ userId: user.userId, title: 'Subtask', dueDate: new Date('2025-12-31'), parentId: parent.taskId, estimatedMinutes: 30 });
+            await subtask.save();
+            
+            return { user, parent, subtask };
+        }
+        
+        it('should roll up tracked time across subtasks', async () => {
+            const { user, parent, subtask } = await createTaskWithSubtask();
+            await new TimeEntry({ userId: user.userId, taskId: parent.taskId, startedAt: new Date('2025-01-01T10:00:00Z'), endedAt: new Date('2025-01-01T10:20:00Z') }).save();
+            await new TimeEntry({ userId: user.userId, taskId: subtask.taskId, startedAt: new Date('2025-01-01T11:00:00Z'), endedAt: new Date('2025-01-01T11:10:00Z') }).save();
+            
+            const summary = await parent.getTimeSummary();
+            
+            assert.deepStrictEqual(summary, {
+                trackedSeconds: 1200,
+                totalTrackedSeconds: 1800,
+                estimatedMinutes: 60,
+                totalEstimatedMinutes: 90
+            });
+        });
+
+        it('should allow only one running timer per user', async () => {
+            const { user, parent, subtask } = await createTaskWithSubtask();
+            await TimeEntry.init();
+            await new TimeEntry({ userId: user.userId, taskId: parent.taskId, startedAt: new Date() }).save();
+            
+            const second = new TimeEntry({ userId: user.userId, taskId: subtask.taskId, startedAt: new Date() });
+            
+            await assert.rejects(() => second.save(), (error) => error.code === 11000);
+        });
+
+        it('should delete the time entries of purged tasks', async () => {
+            const { user, parent } = await createTaskWithSubtask();
+            await new TimeEntry({ userId: user.userId, taskId: parent.taskId, startedAt: new Date('2025-01-01T10:00:00Z'), endedAt: new Date('2025-01-01T10:20:00Z') }).save();
+            
+            await Task.deleteWithSubtasks(parent);
+            await Task.purgeFromTrash(parent);
+            
+            assert.strictEqual(await TimeEntry.countDocuments({ userId: user.userId }), 0);
+        });
+    });
+
+    describe('comments', () => {
+        
+        async function createTaskWithSubtask() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const parent = new Task({ userId: user.userId, title: 'Parent', dueDate: new Date('2025-12-31') });
+            await parent.save();
+            const subtask = new Task({ userId: user.userId, title: 'Subtask', dueDate: new Date('2025-12-31'), parentId: parent.taskId });
+            await subtask.save();
+            
+            return { user, parent, subtask };
+        }
+        
+        it('should assign commentIds and populate the author', async () => {
+            const { user, parent } = await createTaskWithSubtask();
+            const comment = new Comment({ taskId: parent.taskId, userId: user.userId, body: 'First **draft** is up' });
+            await comment.save();
+            await comment.populate('author', 'userId name');
+            
+            assert.strictEqual(typeof comment.commentId, 'number');
+            assert.strictEqual(comment.toJSON().author.name, 'Test User');
+            assert.strictEqual(comment.editedAt, null);
+        });
+
+        it('should delete the comments of purged tasks and their subtasks', async () => {
+            const { user, parent, subtask } = await createTaskWithSubtask();
+            await new Comment({ taskId: parent.taskId, userId: user.userId, body: 'On the parent' }).save();
+            await new Comment({ taskId: subtask.taskId, userId: user.userId, body: 'On the subtask' }).save();
+            
+            await Task.deleteWithSubtasks(parent);
+            await Task.purgeFromTrash(parent);
+            
+            assert.strictEqual(await Comment.countDocuments({ userId: user.userId }), 0);
+        });
+    });
+
+    describe('attachments', () => {
+        
+        async function createTaskWithAttachment() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({ userId: user.userId, title: 'With files', dueDate: new Date('2025-12-31') });
+            await task.save();
+            
+            const storage = getStorage('local');
+            const storageKey = `${user.userId}/test-attachment`;
+            await storage.save(storageKey, Buffer.from('hello'));
+            const attachment = new Attachment({
+                userId: user.userId,
+                taskId: task.taskId,
+                filename: 'hello.txt',
+                contentType: 'text/plain',
+                size: 5,
+                storage: 'local',
+                storageKey
+            });
+            await attachment.save();
+            
+            return { user, task, attachment, storage };
+        }
+        
+        it('should count attachments towards the storage used', async () => {
+            const { user } = await createTaskWithAttachment();
+            
+            assert.strictEqual(await Attachment.getStorageUsed(user.userId), 5);
+        });
+
+        it('should delete attachments and their files when their task is purged', async () => {
+            const { user, task, attachment, storage } = await createTaskWithAttachment();
+            
+            await Task.deleteWithSubtasks(task);
+            await Task.purgeFromTrash(task);
+            
+            assert.strictEqual(await Attachment.countDocuments({ userId: user.userId }), 0);
+            await assert.rejects(() => storage.createReadStream(attachment.storageKey));
+        });
+    });
+
+    describe('revisions', () => {
+        
+        async function createTask() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({ userId: user.userId, title: 'Draft', dueDate: new Date('2025-12-31') });
+            await task.save();
+            
+            return { user, task };
+        }
+        
+        it('should number revisions per task and skip empty changes', async () => {
+            const { task } = await createTask();
+            
+            assert.strictEqual(await TaskRevision.getCurrentRevision(task.taskId), 0);
+            await TaskRevision.record(task, [{ field: 'title', from: 'Draft', to: 'Final' }]);
+            await TaskRevision.record(task, [{ field: 'priority', from: 'medium', to: 'high' }]);
+            
+            assert.strictEqual(await TaskRevision.record(task, []), null);
+            assert.strictEqual(await TaskRevision.getCurrentRevision(task.taskId), 2);
+        });
+
+        it('should number concurrent revisions of a task without failing', async () => {
+            const { task } = await createTask();
+            
+            const revisions = await Promise.all([
+                TaskRevision.record(task, [{ field: 'title', from: 'Draft', to: 'Final' }]),
+                TaskRevision.record(task, [{ field: 'priority', from: 'medium', to: 'high' }]),
+                TaskRevision.record(task, [{ field: 'category', from: '', to: 'work' }])
+            ]);
+            
+            assert.deepStrictEqual(revisions.map(revision => revision.revision).sort(), [1, 2, 3]);
+        });
+
+        it('should delete the revisions of purged tasks', async () => {
+            const { user, task } = await createTask();
+            await TaskRevision.record(task, [{ field: 'title', from: 'Draft', to: 'Final' }]);
+            
+            await Task.deleteWithSubtasks(task);
+            await Task.purgeFromTrash(task);
+            
+            assert.strictEqual(await TaskRevision.countDocuments({ userId: user.userId }), 0);
+        });
+    });
+
+    describe('trash', () => {
+        
+        async function createTaskWithSubtask() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const parent = new Task({ userId: user.userId, title: 'Parent', dueDate: new Date('2025-12-31') });
+            await parent.save();
+            const subtask = new Task({ userId: user.userId, title: 'Subtask', dueDate: new Date('2025-12-31'), parentId: parent.taskId });
+            await subtask.save();
+            
+            return { user, parent, subtask };
+        }
+        
+        it('should hide deleted tasks from queries', async () => {
+            const { user, parent } = await createTaskWithSubtask();
+            
+            await Task.deleteWithSubtasks(parent);
+            
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId }), 0);
+            assert.strictEqual(await Task.findOne({ taskId: parent.taskId }), null);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId, deletedAt: { $ne: null } }), 2);
+        });
+
+        it('should restore a task with the subtasks deleted with it', async () => {
+            const { user, parent } = await createTaskWithSubtask();
+            await Task.deleteWithSubtasks(parent);
+            
+            const restoredTaskIds = await Task.restoreFromTrash(parent);
+            
+            assert.strictEqual(restoredTaskIds.length, 2);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId }), 2);
+        });
+
+        it('should restore a subtask at the top level when its parent is in the trash', async () => {
+            const { parent, subtask } = await createTaskWithSubtask();
+            await Task.deleteWithSubtasks(subtask);
+            await Task.deleteWithSubtasks(parent);
+            
+            await Task.restoreFromTrash(subtask);
+            
+            const restored = await Task.findOne({ taskId: subtask.taskId });
+            assert.strictEqual(restored.parentId, null);
+        });
+
+        it('should purge tasks deleted before the cutoff', async () => {
+            const { user, parent } = await createTaskWithSubtask();
+            await Task.deleteWithSubtasks(parent);
+            
+            assert.strictEqual(await Task.purgeExpiredTrash(new Date(Date.now() - 60000)), 0);
+            assert.strictEqual(await Task.purgeExpiredTrash(new Date(Date.now() + 60000)), 2);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId, deletedAt: { $ne: null } }), 0);
+        });
+    });
+
+    describe('archive', () => {
+        
+        async function createCompletedTaskWithSubtask() {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const parent = new Task({ userId: user.userId, title: 'Parent', dueDate: new Date('2025-12-31'), isCompleted: true });
+            await parent.save();
+            const subtask = new Task({ userId: user.userId, title: 'Subtask', dueDate: new Date('2025-12-31'), parentId: parent.taskId });
+            await subtask.save();
+            
+            return { user, parent, subtask };
+        }
+        
+        it('should record when a task is completed', async () => {
+            const { parent, subtask } = await createCompletedTaskWithSubtask();
+            
+            assert.ok(parent.completedAt instanceof Date);
+            assert.strictEqual(subtask.completedAt, null);
+            
+            parent.isCompleted = false;
+            await parent.save();
+            assert.strictEqual(parent.completedAt, null);
+        });
+
+        it('should archive a task with its subtasks', async () => {
+            const { user, parent } = await createCompletedTaskWithSubtask();
+            
+            const archivedTaskIds = await Task.archiveWithSubtasks(parent);
+            
+            assert.strictEqual(archivedTaskIds.length, 2);
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId, archivedAt: { $ne: null } }), 2);
+        });
+
+        it('should unarchive a reopened task and its subtasks', async () => {
+            const { user, parent } = await createCompletedTaskWithSubtask();
+            await Task.archiveWithSubtasks(parent);
+            
+            const archived = await Task.findOne({ taskId: parent.taskId });
+            archived.isCompleted = false;
+            await archived.save();
+            
+            assert.strictEqual(await Task.countDocuments({ userId: user.userId, archivedAt: { $ne: null } }), 0);
+        });
+
+        it('should auto-archive tasks completed before the cutoff', async () => {
+            const { user } = await createCompletedTaskWithSubtask();
+            
+            assert.deepStrictEqual(await Task.archiveCompletedTasks(user.userId, new Date(Date.now() - 60000)), []);
+            assert.strictEqual((await Task.archiveCompletedTasks(user.userId, new Date(Date.now() + 60000))).length, 2);
+        });
+    });
+
     describe('existing functionality', () => {
         
         it('should maintain existing validation rules', async () => {
@@ -508,6 +1218,201 @@ describe('Task Model with Numeric ID and New Fields', () => {
             assert(task.daysUntilDue() < 0);
         });
     });
+
+    describe('recurring tasks', () => {
+        
+        it('should create the next occurrence when a repeating task is completed', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Take out the trash',
+                category: 'chores',
+                priority: 'high',
+                links: ['https://example.com'],
+                dueDate: new Date('2025-01-06T12:00:00.000Z'),
+                repeatType: 'weekly'
+            });
+            await task.save();
+            
+            task.isCompleted = true;
+            await task.save();
+            
+            const nextTask = await Task.findOne({ taskId: task.nextOccurrenceId });
+            assert(nextTask);
+            assert.strictEqual(nextTask.title, 'Take out the trash');
+            assert.strictEqual(nextTask.category, 'chores');
+            assert.strictEqual(nextTask.priority, 'high');
+            assert.deepStrictEqual(nextTask.links.toObject(), ['https://example.com']);
+            assert.strictEqual(nextTask.isCompleted, false);
+            assert.strictEqual(nextTask.repeatType, 'weekly');
+            assert.strictEqual(nextTask.dueDate.toISOString(), '2025-01-13T12:00:00.000Z');
+        });
+
+        it('should only create one occurrence when completed repeatedly', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Daily standup',
+                dueDate: new Date('2025-01-06T12:00:00.000Z'),
+                repeatType: 'daily'
+            });
+            await task.save();
+            
+            task.isCompleted = true;
+            await task.save();
+            task.isCompleted = false;
+            await task.save();
+            task.isCompleted = true;
+            await task.save();
+            
+            const count = await Task.countDocuments({ userId: user.userId });
+            assert.strictEqual(count, 2);
+        });
+
+        it('should not create an occurrence for non-repeating tasks', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'One-off task',
+                dueDate: new Date('2025-01-06T12:00:00.000Z')
+            });
+            await task.save();
+            
+            task.isCompleted = true;
+            await task.save();
+            
+            assert.strictEqual(task.nextOccurrenceId, null);
+            const count = await Task.countDocuments({ userId: user.userId });
+            assert.strictEqual(count, 1);
+        });
+
+        it('should clone subtasks when repeatSubtasks is enabled', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Monthly report',
+                dueDate: new Date('2025-01-31T12:00:00.000Z'),
+                repeatType: 'monthly',
+                repeatSubtasks: true
+            });
+            await task.save();
+            
+            const subtask = new Task({
+                userId: user.userId,
+                parentId: task.taskId,
+                title: 'Collect numbers',
+                dueDate: new Date('2025-01-30T12:00:00.000Z'),
+                isCompleted: true
+            });
+            await subtask.save();
+            
+            task.isCompleted = true;
+            await task.save();
+            
+            const nextTask = await Task.findOne({ taskId: task.nextOccurrenceId });
+            assert.strictEqual(nextTask.dueDate.toISOString(), '2025-02-28T12:00:00.000Z');
+            
+            const clonedSubtasks = await nextTask.getSubtasks();
+            assert.strictEqual(clonedSubtasks.length, 1);
+            assert.strictEqual(clonedSubtasks[0].title, 'Collect numbers');
+            assert.strictEqual(clonedSubtasks[0].isCompleted, false);
+            assert.strictEqual(clonedSubtasks[0].dueDate.toISOString(), '2025-02-27T12:00:00.000Z');
+        });
+
+        it('should switch the recurrence rule when only repeatType changes', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Stand-up',
+                dueDate: new Date('2025-03-11T12:00:00.000Z'),
+                recurrence: { frequency: 'weekly', weekdays: [1, 3], count: 5 }
+            });
+            await task.save();
+            
+            task.repeatType = 'daily';
+            await task.save();
+            
+            const updated = await Task.findOne({ taskId: task.taskId });
+            assert.strictEqual(updated.repeatType, 'daily');
+            assert.strictEqual(updated.recurrence.frequency, 'daily');
+            assert.deepStrictEqual([...updated.recurrence.weekdays], []);
+            assert.strictEqual(updated.recurrence.count, 5);
+        });
+
+        it('should follow the recurrence rule and stop after its count', async () => {
+            await setupTestDB();
+            
+            const user = new User({
+                name: 'Test User',
+                email: 'test@example.com',
+                password: 'testpass123'
+            });
+            await user.save();
+            
+            const task = new Task({
+                userId: user.userId,
+                title: 'Team sync',
+                dueDate: new Date('2025-03-11T12:00:00.000Z'),
+                recurrence: { frequency: 'monthly', monthlyMode: 'nthWeekday', nthWeek: 2, nthWeekday: 2, count: 2 }
+            });
+            await task.save();
+            assert.strictEqual(task.repeatType, 'monthly');
+            
+            task.isCompleted = true;
+            await task.save();
+            
+            const secondTask = await Task.findOne({ taskId: task.nextOccurrenceId });
+            assert.strictEqual(secondTask.dueDate.toISOString(), '2025-04-08T12:00:00.000Z');
+            assert.strictEqual(secondTask.recurrence.occurrence, 2);
+            
+            secondTask.isCompleted = true;
+            await secondTask.save();
+            
+            assert.strictEqual(secondTask.nextOccurrenceId, null);
+            const count = await Task.countDocuments({ userId: user.userId });
+            assert.strictEqual(count, 2);
+        });
+    });
 });
 
 // Simple test runner
@@ -275,30 +275,44 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should reject missing action', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, null);
             expect(result).toBeNull();
         });
         
         test('should reject non-string action', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, 123);
             expect(result).toBeNull();
         });
         
-        test('should reject invalid userId ObjectId', async () => {
-            const result = await logActivity('invalid-id', 'TASK_COMPLETED');
-            expect(result).toBeNull();
+        test('should reject non-numeric userId', async () => {
+            expect(await logActivity('invalid-id', 'TASK_COMPLETED')).toBeNull();
+            expect(await logActivity(new mongoose.Types.ObjectId(), 'TASK_COMPLETED')).toBeNull();
         });
         
-        test('should reject invalid taskId ObjectId', async () => {
-            const userId = new mongoose.Types.ObjectId();
+        test('should reject non-numeric taskId', async () => {
+            const userId = 1;
             const result = await logActivity(userId, 'TASK_COMPLETED', 'invalid-task-id');
             expect(result).toBeNull();
         });
         
+        test('should accept numeric IDs passed as strings', async () => {
+            const result = await logActivity('1', 'TASK_COMPLETED', '42');
+            
+            expect(result.userId).toBe(1);
+            expect(result.taskId).toBe(42);
+        });
+        
+        test('should store structured metadata', async () => {
+            const changes = [{ field: 'priority', from: 'low', to: 'high' }];
+            const result = await logActivity(1, 'TASK_UPDATED', 42, null, { changes });
+            
+            expect(result.metadata).toEqual({ changes });
+        });
+        
         test('should accept valid parameters', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, 'TASK_COMPLETED');
             
             expect(result).not.toBeNull();
@@ -311,7 +325,7 @@ describe('Activity Logger Function Tests', () => {
     describe('Message Generation', () => {
         
         test('should generate success message without taskId', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, 'USER_LOGIN');
             
             expect(result.message).toBe('User performed USER_LOGIN');
@@ -319,8 +333,8 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should generate success message with taskId', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             const result = await logActivity(userId, 'TASK_COMPLETED', taskId);
             
             expect(result.message).toBe(`User performed TASK_COMPLETED :: ${taskId}`);
@@ -329,7 +343,7 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should generate error message without taskId', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const errorMsg = 'Database connection failed';
             const result = await logActivity(userId, 'USER_LOGIN', null, errorMsg);
             
@@ -338,8 +352,8 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should generate error message with taskId', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             const errorMsg = 'Task not found';
             const result = await logActivity(userId, 'TASK_COMPLETED', taskId, errorMsg);
             
@@ -349,7 +363,7 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should trim action and error strings', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, '  TASK_COMPLETED  ', null, '  Test error  ');
             
             expect(result.action).toBe('TASK_COMPLETED');
@@ -360,8 +374,8 @@ describe('Activity Logger Function Tests', () => {
     describe('Database Operations', () => {
         
         test('should save activity to database successfully', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             
             const result = await logActivity(userId, 'TASK_CREATED', taskId);
             
@@ -383,7 +397,7 @@ describe('Activity Logger Function Tests', () => {
             // Close database connection to simulate database error
             await mongoose.connection.close();
             
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, 'TASK_COMPLETED');
             
             expect(result).toBeNull();
@@ -399,7 +413,7 @@ describe('Activity Logger Function Tests', () => {
         
         test('should set timestamp automatically', async () => {
             const beforeLog = new Date();
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             
             const result = await logActivity(userId, 'TASK_COMPLETED');
             const afterLog = new Date();
@@ -413,8 +427,8 @@ describe('Activity Logger Function Tests', () => {
     describe('Success and Error Scenarios', () => {
         
         test('should handle success scenario correctly', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             
             const result = await logActivity(userId, 'TASK_COMPLETED', taskId);
             
@@ -427,8 +441,8 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should handle error scenario correctly', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             const errorMsg = 'Permission denied';
             
             const result = await logActivity(userId, 'TASK_DELETED', taskId, errorMsg);
@@ -442,7 +456,7 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should use same interface for both success and error', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             
             // Success call
             const successResult = await logActivity(userId, 'TASK_CREATED');
@@ -459,7 +473,7 @@ describe('Activity Logger Function Tests', () => {
     describe('All Parameter Combinations', () => {
         
         test('should handle userId and action only', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const result = await logActivity(userId, 'USER_LOGOUT');
             
             expect(result.userId).toEqual(userId);
@@ -470,8 +484,8 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should handle userId, action, and taskId', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             const result = await logActivity(userId, 'TASK_UPDATED', taskId);
             
             expect(result.userId).toEqual(userId);
@@ -482,7 +496,7 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should handle userId, action, and error', async () => {
-            const userId = new mongoose.Types.ObjectId();
+            const userId = 1;
             const errorMsg = 'Network timeout';
             const result = await logActivity(userId, 'PROFILE_UPDATED', null, errorMsg);
             
@@ -494,8 +508,8 @@ describe('Activity Logger Function Tests', () => {
         });
         
         test('should handle all parameters', async () => {
-            const userId = new mongoose.Types.ObjectId();
-            const taskId = new mongoose.Types.ObjectId();
+            const userId = 1;
+            const taskId = 42;
             const errorMsg = 'Insufficient permissions';
             const result = await logActivity(userId, 'TASK_DELETED', taskId, errorMsg);
             
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for Activity Utilities
+ */
+
+const assert = require('assert');
+const {
+    getTaskUpdateAction,
+    redactChanges,
+    buildActivityFilters
+} = require('../../src/utils/activityUtils');
+
+describe('Activity Utilities', () => {
+    
+    describe('getTaskUpdateAction', () => {
+        
+        it('should name completions and reopenings', () => {
+            assert.strictEqual(getTaskUpdateAction([{ field: 'isCompleted', from: false, to: true }]), 'TASK_COMPLETED');
+            assert.strictEqual(getTaskUpdateAction([{ field: 'isCompleted', from: true, to: false }]), 'TASK_REOPENED');
+        });
+
+        it('should treat other changes as updates', () => {
+            assert.strictEqual(getTaskUpdateAction([{ field: 'title', from: 'A', to: 'B' }]), 'TASK_UPDATED');
+            assert.strictEqual(getTaskUpdateAction([]), 'TASK_UPDATED');
+        });
+    });
+
+    describe('redactChanges', () => {
+        
+        it('should keep only the name of secret fields', () => {
+            const changes = [
+                { field: 'name', from: 'Ann', to: 'Anna' },
+                { field: 'password', from: 'hash1', to: 'hash2' }
+            ];
+            
+            assert.deepStrictEqual(redactChanges(changes), [
+                { field: 'name', from: 'Ann', to: 'Anna' },
+                { field: 'password' }
+            ]);
+        });
+    });
+
+    describe('buildActivityFilters', () => {
+        
+        it('should always filter by user', () => {
+            assert.deepStrictEqual(buildActivityFilters({}, 7), { userId: 7 });
+        });
+
+        it('should filter by one or more actions', () => {
+            assert.strictEqual(buildActivityFilters({ action: 'task_created' }, 7).action, 'TASK_CREATED');
+            assert.deepStrictEqual(buildActivityFilters({ action: 'TASK_CREATED, TASK_DELETED' }, 7).action, {
+                $in: ['TASK_CREATED', 'TASK_DELETED']
+            });
+        });
+
+        it('should filter by task', () => {
+            assert.strictEqual(buildActivityFilters({ taskId: '12' }, 7).taskId, 12);
+            assert.throws(() => buildActivityFilters({ taskId: 'abc' }, 7), /Invalid taskId parameter/);
+        });
+
+        it('should filter by date range', () => {
+            const filters = buildActivityFilters({ from: '2025-01-01', to: '2025-01-31' }, 7);
+            
+            assert.deepStrictEqual(filters.timestamp, {
+                $gte: new Date('2025-01-01'),
+                $lte: new Date('2025-01-31')
+            });
+            assert.throws(() => buildActivityFilters({ from: 'yesterday' }, 7), /Invalid from date/);
+            assert.throws(() => buildActivityFilters({ from: '2025-02-01', to: '2025-01-01' }, 7), /from must be before to/);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Activity Utilities Tests...');
+}
@@ -0,0 +1,80 @@
+/**
+ * Unit tests for Archive Utilities
+ */
+
+const assert = require('assert');
+const {
+    DEFAULT_ARCHIVE_AFTER_DAYS,
+    getArchivePolicy,
+    getAutoArchiveCutoff,
+    getArchiveBlocker
+} = require('../../src/utils/archiveUtils');
+
+describe('Archive Utilities', () => {
+    
+    describe('getArchivePolicy', () => {
+        
+        it('should default to manual archiving after 14 days', () => {
+            assert.deepStrictEqual(getArchivePolicy(null), { autoArchive: false, archiveAfterDays: DEFAULT_ARCHIVE_AFTER_DAYS });
+            assert.deepStrictEqual(getArchivePolicy({}), { autoArchive: false, archiveAfterDays: 14 });
+        });
+
+        it('should read the policy of the user', () => {
+            const user = { archivePolicy: { autoArchive: true, archiveAfterDays: 30 } };
+            assert.deepStrictEqual(getArchivePolicy(user), { autoArchive: true, archiveAfterDays: 30 });
+        });
+
+        it('should ignore out of range periods', () => {
+            assert.strictEqual(getArchivePolicy({ archivePolicy: { archiveAfterDays: 0 } }).archiveAfterDays, 14);
+            assert.strictEqual(getArchivePolicy({ archivePolicy: { archiveAfterDays: 1000 } }).archiveAfterDays, 14);
+            assert.strictEqual(getArchivePolicy({ archivePolicy: { archiveAfterDays: 2.5 } }).archiveAfterDays, 14);
+        });
+    });
+
+    describe('getAutoArchiveCutoff', () => {
+        
+        it('should subtract the period from now', () => {
+            const cutoff = getAutoArchiveCutoff({ autoArchive: true, archiveAfterDays: 14 }, new Date('2025-03-15T08:00:00Z'));
+            assert.deepStrictEqual(cutoff, new Date('2025-03-01T08:00:00Z'));
+        });
+
+        it('should return null when auto-archiving is off', () => {
+            assert.strictEqual(getAutoArchiveCutoff({ autoArchive: false, archiveAfterDays: 14 }), null);
+        });
+    });
+
+    describe('getArchiveBlocker', () => {
+        
+        it('should allow completed top-level tasks', () => {
+            assert.strictEqual(getArchiveBlocker({ isCompleted: true, parentId: null, archivedAt: null }), null);
+        });
+
+        it('should reject open tasks, subtasks and archived tasks', () => {
+            assert.strictEqual(getArchiveBlocker({ isCompleted: false, parentId: null, archivedAt: null }), 'Only completed tasks can be archived');
+            assert.match(getArchiveBlocker({ isCompleted: true, parentId: 4, archivedAt: null }), /parent task/);
+            assert.strictEqual(getArchiveBlocker({ isCompleted: true, parentId: null, archivedAt: new Date() }), 'Task is already archived');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Archive Utilities Tests...');
+}
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for Attachment Utilities
+ */
+
+const assert = require('assert');
+const {
+    DEFAULT_MAX_ATTACHMENT_BYTES,
+    DEFAULT_STORAGE_QUOTA_BYTES,
+    getAttachmentLimits,
+    isAllowedFileType,
+    supportsThumbnail,
+    sanitizeFilename,
+    buildContentDisposition,
+    fitsInQuota
+} = require('../../src/utils/attachmentUtils');
+
+describe('Attachment Utilities', () => {
+    
+    describe('getAttachmentLimits', () => {
+        
+        it('should use the defaults when unset or invalid', () => {
+            assert.deepStrictEqual(getAttachmentLimits({ ATTACHMENT_MAX_BYTES: 'lots' }), {
+                maxFileBytes: DEFAULT_MAX_ATTACHMENT_BYTES,
+                quotaBytes: DEFAULT_STORAGE_QUOTA_BYTES
+            });
+        });
+
+        it('should read the limits from the environment', () => {
+            assert.deepStrictEqual(getAttachmentLimits({ ATTACHMENT_MAX_BYTES: '2048', ATTACHMENT_QUOTA_BYTES: '4096' }), {
+                maxFileBytes: 2048,
+                quotaBytes: 4096
+            });
+        });
+    });
+
+    describe('isAllowedFileType', () => {
+        
+        it('should accept known types with a matching extension', () => {
+            assert.strictEqual(isAllowedFileType('image/jpeg', 'Photo.JPG'), true);
+            assert.strictEqual(isAllowedFileType('application/pdf', 'report.pdf'), true);
+        });
+
+        it('should reject unknown types and mismatched extensions', () => {
+            assert.strictEqual(isAllowedFileType('application/x-msdownload', 'setup.exe'), false);
+            assert.strictEqual(isAllowedFileType('image/png', 'script.html'), false);
+            assert.strictEqual(isAllowedFileType('text/html', 'page.html'), false);
+        });
+    });
+
+    describe('supportsThumbnail', () => {
+        
+        it('should only create thumbnails for images', () => {
+            assert.strictEqual(supportsThumbnail('image/png'), true);
+            assert.strictEqual(supportsThumbnail('application/pdf'), false);
+        });
+    });
+
+    describe('sanitizeFilename', () => {
+        
+        it('should drop directories and unsafe characters', () => {
+            assert.strictEqual(sanitizeFilename('../../etc/passwd'), 'passwd');
+            assert.strictEqual(sanitizeFilename('C:\\Users\\me\\notes.txt'), 'notes.txt');
+            assert.strictEqual(sanitizeFilename('say "hi"\n.txt'), 'say hi.txt');
+        });
+
+        it('should never return an empty name', () => {
+            assert.strictEqual(sanitizeFilename(''), 'file');
+            assert.strictEqual(sanitizeFilename('..'), 'file');
+        });
+
+        it('should keep the extension of long names', () => {
+            const filename = sanitizeFilename(`${'a'.repeat(300)}.pdf`);
+            
+            assert.strictEqual(filename.length, 255);
+            assert.ok(filename.endsWith('.pdf'));
+        });
+    });
+
+    describe('buildContentDisposition', () => {
+        
+        it('should include an ASCII fallback and a UTF-8 file name', () => {
+            assert.strictEqual(
+                buildContentDisposition('résumé.pdf'),
+                'attachment; filename="r_sum_.pdf"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.pdf'
+            );
+        });
+
+        it('should support inline display', () => {
+            assert.ok(buildContentDisposition('photo.png', 'inline').startsWith('inline; filename="photo.png"'));
+        });
+    });
+
+    describe('fitsInQuota', () => {
+        
+        it('should allow uploads up to the quota', () => {
+            assert.strictEqual(fitsInQuota(90, 10, 100), true);
+            assert.strictEqual(fitsInQuota(90, 11, 100), false);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Attachment Utilities Tests...');
+}
@@ -0,0 +1,81 @@
+/**
+ * Unit tests for Bulk Task Utilities
+ */
+
+const assert = require('assert');
+const { parseBulkRequest, MAX_BULK_TASKS } = require('../../src/utils/bulkTaskUtils');
+
+const allowedUpdates = ['title', 'priority', 'category', 'dueDate', 'isCompleted'];
+
+describe('Bulk Task Utilities', () => {
+    
+    describe('parseBulkRequest', () => {
+        
+        it('should normalize task IDs and drop duplicates', () => {
+            const request = parseBulkRequest({ taskIds: [1, '2', 2], operation: 'complete' }, allowedUpdates);
+            
+            assert.deepStrictEqual(request, { taskIds: [1, 2], operation: 'complete' });
+        });
+
+        it('should reject missing or invalid task IDs', () => {
+            assert.throws(() => parseBulkRequest({ operation: 'complete' }, allowedUpdates), /taskIds must be a non-empty array/);
+            assert.throws(() => parseBulkRequest({ taskIds: [], operation: 'complete' }, allowedUpdates), /taskIds must be a non-empty array/);
+            assert.throws(() => parseBulkRequest({ taskIds: ['abc'], operation: 'complete' }, allowedUpdates), /numeric task IDs/);
+            assert.throws(() => parseBulkRequest({ taskIds: [1.5], operation: 'complete' }, allowedUpdates), /numeric task IDs/);
+        });
+
+        it('should limit the number of tasks', () => {
+            const taskIds = Array.from({ length: MAX_BULK_TASKS + 1 }, (_, i) => i + 1);
+            
+            assert.throws(() => parseBulkRequest({ taskIds, operation: 'complete' }, allowedUpdates), /at most/);
+        });
+
+        it('should reject unknown operations', () => {
+            assert.throws(() => parseBulkRequest({ taskIds: [1], operation: 'archive' }, allowedUpdates), /Invalid operation/);
+        });
+
+        it('should only allow whitelisted update fields', () => {
+            const request = parseBulkRequest({ taskIds: [1], operation: 'update', updates: { priority: 'high' } }, allowedUpdates);
+            assert.deepStrictEqual(request.updates, { priority: 'high' });
+            
+            assert.throws(() => parseBulkRequest({ taskIds: [1], operation: 'update', updates: { userId: 2 } }, allowedUpdates), /Invalid Update Operation/);
+            assert.throws(() => parseBulkRequest({ taskIds: [1], operation: 'update', updates: {} }, allowedUpdates), /updates must be a non-empty object/);
+        });
+
+        it('should require a parent for the move operation', () => {
+            assert.strictEqual(parseBulkRequest({ taskIds: [1], operation: 'move', parentId: '5' }, allowedUpdates).parentId, 5);
+            assert.strictEqual(parseBulkRequest({ taskIds: [1], operation: 'move', parentId: null }, allowedUpdates).parentId, null);
+            
+            assert.throws(() => parseBulkRequest({ taskIds: [1], operation: 'move' }, allowedUpdates), /parentId is required/);
+            assert.throws(() => parseBulkRequest({ taskIds: [1], operation: 'move', parentId: 'top' }, allowedUpdates), /parentId must be/);
+        });
+
+        it('should pass the subtask mode through for deletes', () => {
+            const request = parseBulkRequest({ taskIds: [1], operation: 'delete', subtasks: 'promote' }, allowedUpdates);
+            
+            assert.strictEqual(request.subtasks, 'promote');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Bulk Task Utilities Tests...');
+}
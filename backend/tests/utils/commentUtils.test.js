@@ -0,0 +1,77 @@
+/**
+ * Unit tests for Comment Utilities
+ */
+
+const assert = require('assert');
+const {
+    MAX_COMMENT_LENGTH,
+    MAX_COMMENT_EDITS,
+    parseCommentBody,
+    appendCommentEdit
+} = require('../../src/utils/commentUtils');
+
+describe('Comment Utilities', () => {
+    
+    describe('parseCommentBody', () => {
+        
+        it('should trim markdown bodies', () => {
+            assert.strictEqual(parseCommentBody({ body: '  **Done** with the draft\n' }), '**Done** with the draft');
+        });
+
+        it('should reject empty bodies', () => {
+            assert.throws(() => parseCommentBody({}), /Comment body is required/);
+            assert.throws(() => parseCommentBody({ body: '   ' }), /Comment body is required/);
+            assert.throws(() => parseCommentBody({ body: 42 }), /Comment body is required/);
+        });
+
+        it('should reject bodies that are too long', () => {
+            assert.throws(() => parseCommentBody({ body: 'a'.repeat(MAX_COMMENT_LENGTH + 1) }), /at most/);
+        });
+
+        it('should reject other fields', () => {
+            assert.throws(() => parseCommentBody({ body: 'Hi', userId: 2 }), /Invalid Update Operation/);
+        });
+    });
+
+    describe('appendCommentEdit', () => {
+        
+        it('should keep previous bodies oldest first', () => {
+            const editedAt = new Date('2025-01-02T00:00:00Z');
+            const edits = appendCommentEdit([{ body: 'v1', editedAt: new Date('2025-01-01T00:00:00Z') }], 'v2', editedAt);
+            
+            assert.deepStrictEqual(edits.map(edit => edit.body), ['v1', 'v2']);
+            assert.strictEqual(edits[1].editedAt, editedAt);
+        });
+
+        it('should cap the history', () => {
+            const edits = Array.from({ length: MAX_COMMENT_EDITS }, (_, index) => ({ body: `v${index}`, editedAt: new Date() }));
+            const result = appendCommentEdit(edits, 'latest');
+            
+            assert.strictEqual(result.length, MAX_COMMENT_EDITS);
+            assert.strictEqual(result[0].body, 'v1');
+            assert.strictEqual(result[result.length - 1].body, 'latest');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Comment Utilities Tests...');
+}
@@ -0,0 +1,56 @@
+/**
+ * Unit tests for Completion Policy Utilities
+ */
+
+const assert = require('assert');
+const { DEFAULT_COMPLETION_POLICY, getCompletionPolicy } = require('../../src/utils/completionPolicy');
+
+describe('Completion Policy Utilities', () => {
+    
+    describe('getCompletionPolicy', () => {
+        
+        it('should return defaults when the user has no policy', () => {
+            assert.deepStrictEqual(getCompletionPolicy({}), DEFAULT_COMPLETION_POLICY);
+            assert.deepStrictEqual(getCompletionPolicy(undefined), DEFAULT_COMPLETION_POLICY);
+        });
+
+        it('should merge the user policy with defaults', () => {
+            const policy = getCompletionPolicy({ completionPolicy: { autoCompleteParent: true } });
+            
+            assert.deepStrictEqual(policy, {
+                autoCompleteParent: true,
+                blockIncompleteParent: false,
+                reopenParentOnNewSubtask: false,
+                blockOnOpenDependencies: false
+            });
+        });
+
+        it('should ignore non-boolean values', () => {
+            const policy = getCompletionPolicy({ completionPolicy: { blockIncompleteParent: 'yes' } });
+            
+            assert.strictEqual(policy.blockIncompleteParent, false);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Completion Policy Utilities Tests...');
+}
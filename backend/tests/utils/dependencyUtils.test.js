@@ -0,0 +1,101 @@
+/**
+ * Unit tests for Dependency Utilities
+ */
+
+const assert = require('assert');
+const {
+    parseDependencyId,
+    findDependencyPath,
+    getDependencyCycleError,
+    isTaskBlocked
+} = require('../../src/utils/dependencyUtils');
+
+describe('Dependency Utilities', () => {
+    
+    describe('parseDependencyId', () => {
+        
+        it('should accept numeric taskIds and numeric strings', () => {
+            assert.strictEqual(parseDependencyId(5), 5);
+            assert.strictEqual(parseDependencyId('12'), 12);
+        });
+
+        it('should reject missing and invalid taskIds', () => {
+            assert.throws(() => parseDependencyId(undefined), /blockedBy must be a taskId/);
+            assert.throws(() => parseDependencyId(''), /blockedBy must be a taskId/);
+            assert.throws(() => parseDependencyId('abc'), /blockedBy must be a taskId/);
+            assert.throws(() => parseDependencyId(0), /blockedBy must be a taskId/);
+            assert.throws(() => parseDependencyId(1.5), /blockedBy must be a taskId/);
+        });
+    });
+
+    describe('findDependencyPath', () => {
+        
+        // 1 is blocked by 2, 2 by 3 and 4, 4 by 5
+        const graph = new Map([[1, [2]], [2, [3, 4]], [3, []], [4, [5]]]);
+
+        it('should find the shortest chain of blockers', () => {
+            assert.deepStrictEqual(findDependencyPath(graph, 1, 5), [1, 2, 4, 5]);
+            assert.deepStrictEqual(findDependencyPath(graph, 2, 3), [2, 3]);
+            assert.deepStrictEqual(findDependencyPath(graph, 1, 1), [1]);
+        });
+
+        it('should return null when there is no chain', () => {
+            assert.strictEqual(findDependencyPath(graph, 3, 1), null);
+            assert.strictEqual(findDependencyPath(graph, 5, 1), null);
+        });
+
+        it('should not loop forever on existing cycles', () => {
+            const cyclic = new Map([[1, [2]], [2, [1]]]);
+            assert.strictEqual(findDependencyPath(cyclic, 1, 3), null);
+        });
+    });
+
+    describe('getDependencyCycleError', () => {
+        
+        it('should reject self-dependencies', () => {
+            assert.strictEqual(getDependencyCycleError(1, 1, new Map()), 'A task cannot depend on itself');
+        });
+
+        it('should describe indirect cycles', () => {
+            // Making 5 blocked by 1 closes 1 -> 2 -> 4 -> 5
+            const graph = new Map([[1, [2]], [2, [3, 4]], [4, [5]]]);
+            assert.strictEqual(getDependencyCycleError(5, 1, graph), 'Dependency would create a cycle: 5 -> 1 -> 2 -> 4 -> 5');
+        });
+
+        it('should allow dependencies that keep the graph acyclic', () => {
+            const graph = new Map([[1, [2]], [2, []]]);
+            assert.strictEqual(getDependencyCycleError(3, 1, graph), null);
+        });
+    });
+
+    describe('isTaskBlocked', () => {
+        
+        it('should be blocked only while a blocker is open', () => {
+            assert.strictEqual(isTaskBlocked({ blockedBy: [1, 2] }, new Set([2])), true);
+            assert.strictEqual(isTaskBlocked({ blockedBy: [1, 2] }, new Set([3])), false);
+            assert.strictEqual(isTaskBlocked({}, new Set([1])), false);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Dependency Utilities Tests...');
+}
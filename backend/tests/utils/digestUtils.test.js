@@ -0,0 +1,114 @@
+/**
+ * Unit tests for Digest Utilities
+ */
+
+const assert = require('assert');
+const {
+    normalizeTime,
+    getDueDigestDate,
+    buildDigestPipeline,
+    groupDigestTasks,
+    countDigestTasks,
+    isDigestEmpty
+} = require('../../src/utils/digestUtils');
+
+describe('Digest Utilities', () => {
+    
+    describe('normalizeTime', () => {
+        
+        it('should zero-pad single-digit hours', () => {
+            assert.strictEqual(normalizeTime('9:05'), '09:05');
+            assert.strictEqual(normalizeTime('18:30'), '18:30');
+        });
+    });
+
+    describe('getDueDigestDate', () => {
+        
+        const user = { emailEnabled: true, notificationTime: '9:00', timezone: 'Europe/Berlin' };
+
+        it('should wait for the notification time in the user timezone', () => {
+            // 07:30 UTC is 08:30 in Berlin
+            assert.strictEqual(getDueDigestDate(user, new Date('2025-01-15T07:30:00Z')), null);
+            assert.strictEqual(getDueDigestDate(user, new Date('2025-01-15T08:00:00Z')), '2025-01-15');
+        });
+
+        it('should use the local calendar day', () => {
+            // 23:30 UTC is 00:30 on the next day in Berlin
+            const earlyUser = { ...user, notificationTime: '00:15' };
+            assert.strictEqual(getDueDigestDate(earlyUser, new Date('2025-01-15T23:30:00Z')), '2025-01-16');
+            assert.strictEqual(getDueDigestDate(user, new Date('2025-01-15T23:30:00Z')), null);
+        });
+
+        it('should skip users with email turned off', () => {
+            assert.strictEqual(getDueDigestDate({ ...user, emailEnabled: false }, new Date('2025-01-15T12:00:00Z')), null);
+        });
+
+        it('should default to UTC', () => {
+            const utcUser = { emailEnabled: true, notificationTime: '09:00' };
+            assert.strictEqual(getDueDigestDate(utcUser, new Date('2025-01-15T08:59:00Z')), null);
+            assert.strictEqual(getDueDigestDate(utcUser, new Date('2025-01-15T09:00:00Z')), '2025-01-15');
+        });
+    });
+
+    describe('buildDigestPipeline', () => {
+        
+        it('should select open tasks due by today or high-priority tasks due within a week', () => {
+            const pipeline = buildDigestPipeline(3, '2025-01-15', 'Europe/Berlin', new Date('2025-01-15T08:00:00Z'));
+            assert.strictEqual(pipeline[0].$match.userId, 3);
+            assert.strictEqual(pipeline[0].$match.isCompleted, false);
+            assert.strictEqual(pipeline[1].$addFields.dueDay.$dateToString.timezone, 'Europe/Berlin');
+            assert.deepStrictEqual(pipeline[2].$match.$or, [
+                { dueDay: { $lte: '2025-01-15' } },
+                { priority: 'high', dueDay: { $lte: '2025-01-22' } }
+            ]);
+        });
+    });
+
+    describe('groupDigestTasks', () => {
+        
+        it('should sort tasks into overdue, due today and upcoming', () => {
+            const tasks = [
+                { taskId: 1, dueDay: '2025-01-10', priority: 'low' },
+                { taskId: 2, dueDay: '2025-01-15', priority: 'medium' },
+                { taskId: 3, dueDay: '2025-01-17', priority: 'high' },
+                { taskId: 4, dueDay: '2025-01-17', priority: 'medium' }
+            ];
+            const digest = groupDigestTasks(tasks, '2025-01-15');
+
+            assert.deepStrictEqual(digest.overdue.map(task => task.taskId), [1]);
+            assert.deepStrictEqual(digest.dueToday.map(task => task.taskId), [2]);
+            assert.deepStrictEqual(digest.upcoming.map(task => task.taskId), [3]);
+            assert.deepStrictEqual(countDigestTasks(digest), { dueToday: 1, overdue: 1, upcoming: 1 });
+        });
+    });
+
+    describe('isDigestEmpty', () => {
+        
+        it('should detect digests with nothing to report', () => {
+            assert.strictEqual(isDigestEmpty({ dueToday: [], overdue: [], upcoming: [] }), true);
+            assert.strictEqual(isDigestEmpty({ dueToday: [], overdue: [{ taskId: 1 }], upcoming: [] }), false);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Digest Utilities Tests...');
+}
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for Notification Utilities
+ */
+
+const assert = require('assert');
+const {
+    buildNotificationFilters,
+    isOverdueOn,
+    describeUserAgent
+} = require('../../src/utils/notificationUtils');
+
+describe('Notification Utilities', () => {
+    
+    describe('buildNotificationFilters', () => {
+        
+        it('should scope notifications to the user', () => {
+            assert.deepStrictEqual(buildNotificationFilters({}, 7), { userId: 7 });
+        });
+
+        it('should filter by read state and type', () => {
+            assert.deepStrictEqual(buildNotificationFilters({ unread: 'true' }, 7), { userId: 7, readAt: null });
+            assert.deepStrictEqual(buildNotificationFilters({ unread: 'false' }, 7), { userId: 7, readAt: { $ne: null } });
+            assert.deepStrictEqual(
+                buildNotificationFilters({ type: 'reminder, overdue' }, 7),
+                { userId: 7, type: { $in: ['reminder', 'overdue'] } }
+            );
+        });
+
+        it('should reject invalid values', () => {
+            assert.throws(() => buildNotificationFilters({ unread: 'yes' }, 7), /unread must be true or false/);
+            assert.throws(() => buildNotificationFilters({ type: 'reminder,spam' }, 7), /Invalid type "spam"/);
+        });
+    });
+
+    describe('isOverdueOn', () => {
+        
+        // Due Jan 6, stored at local noon in Berlin
+        const dueDate = new Date('2025-01-06T11:00:00Z');
+
+        it('should not count the due day itself', () => {
+            assert.strictEqual(isOverdueOn(dueDate, new Date('2025-01-06T22:30:00Z'), 'Europe/Berlin'), false);
+        });
+
+        it('should count from the next local calendar day', () => {
+            assert.strictEqual(isOverdueOn(dueDate, new Date('2025-01-06T23:30:00Z'), 'Europe/Berlin'), true);
+            assert.strictEqual(isOverdueOn(dueDate, new Date('2025-01-06T23:30:00Z'), 'UTC'), false);
+        });
+    });
+
+    describe('describeUserAgent', () => {
+        
+        it('should name the browser and operating system', () => {
+            const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+            const safari = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+            const edge = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36 Edg/120.0';
+
+            assert.strictEqual(describeUserAgent(chrome), 'Chrome on Windows');
+            assert.strictEqual(describeUserAgent(safari), 'Safari on iOS');
+            assert.strictEqual(describeUserAgent(edge), 'Edge on macOS');
+        });
+
+        it('should fall back for unknown or missing user agents', () => {
+            assert.strictEqual(describeUserAgent('curl/8.4.0'), 'An unknown device');
+            assert.strictEqual(describeUserAgent(undefined), 'An unknown device');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Notification Utilities Tests...');
+}
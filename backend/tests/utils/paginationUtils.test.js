@@ -0,0 +1,142 @@
+/**
+ * Unit tests for Pagination Utilities
+ */
+
+const assert = require('assert');
+const {
+    MAX_PAGE_LIMIT,
+    withTieBreaker,
+    encodeCursor,
+    decodeCursor,
+    buildKeysetCondition,
+    getPageSize,
+    wantsArrayFormat,
+    buildPageLinks
+} = require('../../src/utils/paginationUtils');
+
+describe('Pagination Utilities', () => {
+    
+    describe('withTieBreaker', () => {
+        
+        it('should append _id to the sort', () => {
+            assert.deepStrictEqual(Object.keys(withTieBreaker({ dueDate: 1 })), ['dueDate', '_id']);
+            assert.deepStrictEqual(withTieBreaker({ _id: -1 }), { _id: -1 });
+        });
+    });
+
+    describe('encodeCursor / decodeCursor', () => {
+        
+        const sort = { priority: -1, dueDate: 1, _id: 1 };
+        const task = { _id: '64b000000000000000000001', priority: 'high', dueDate: new Date('2025-03-01T00:00:00Z') };
+
+        it('should round-trip sort values', () => {
+            const cursor = encodeCursor(task, sort);
+            const values = decodeCursor(cursor, sort);
+            
+            assert.strictEqual(typeof cursor, 'string');
+            assert.deepStrictEqual(values, [3, new Date('2025-03-01T00:00:00Z'), '64b000000000000000000001']);
+        });
+
+        it('should reject malformed cursors', () => {
+            assert.throws(() => decodeCursor('not-a-cursor', sort), /Invalid cursor/);
+            assert.throws(() => decodeCursor(Buffer.from('{"v":[1]}').toString('base64url'), sort), /Invalid cursor/);
+        });
+
+        it('should reject cursors created for another sort order', () => {
+            const cursor = encodeCursor(task, sort);
+            
+            assert.throws(() => decodeCursor(cursor, { priority: 1, dueDate: 1, _id: 1 }), /does not match/);
+        });
+
+        it('should reject values that do not match the sort field type', () => {
+            const encode = values => Buffer.from(JSON.stringify({ s: 'priority:-1,dueDate:1,_id:1', v: values })).toString('base64url');
+            
+            assert.throws(() => decodeCursor(encode([{ $gt: 0 }, null, '64b000000000000000000001']), sort), /Invalid cursor/);
+            assert.throws(() => decodeCursor(encode([3, 'tomorrow', '64b000000000000000000001']), sort), /Invalid cursor/);
+            assert.throws(() => decodeCursor(encode([3, null, 'not-an-id']), sort), /Invalid cursor/);
+            assert.deepStrictEqual(decodeCursor(encode([3, null, '64b000000000000000000001']), sort), [3, null, '64b000000000000000000001']);
+        });
+    });
+
+    describe('buildKeysetCondition', () => {
+        
+        it('should select tasks after the cursor position', () => {
+            const condition = buildKeysetCondition({ priorityRank: -1, dueDate: 1, _id: 1 }, [3, 'd', 'id']);
+            
+            assert.deepStrictEqual(condition, {
+                $or: [
+                    { $or: [{ priorityRank: { $lt: 3 } }, { priorityRank: null }] },
+                    { priorityRank: 3, dueDate: { $gt: 'd' } },
+                    { priorityRank: 3, dueDate: 'd', _id: { $gt: 'id' } }
+                ]
+            });
+        });
+
+        it('should place null sort values first', () => {
+            assert.deepStrictEqual(buildKeysetCondition({ archivedAt: 1, _id: 1 }, [null, 'id']), {
+                $or: [
+                    { archivedAt: { $ne: null } },
+                    { archivedAt: null, _id: { $gt: 'id' } }
+                ]
+            });
+            assert.deepStrictEqual(buildKeysetCondition({ archivedAt: -1, _id: -1 }, [null, 'id']), {
+                $or: [{ archivedAt: null, _id: { $lt: 'id' } }]
+            });
+        });
+    });
+
+    describe('getPageSize', () => {
+        
+        it('should clamp the page size', () => {
+            assert.strictEqual(getPageSize(10), 10);
+            assert.strictEqual(getPageSize(-5), 1);
+            assert.strictEqual(getPageSize(1000), MAX_PAGE_LIMIT);
+        });
+    });
+
+    describe('wantsArrayFormat', () => {
+        
+        it('should only enable the legacy format when requested', () => {
+            assert.strictEqual(wantsArrayFormat({ format: 'array' }), true);
+            assert.strictEqual(wantsArrayFormat({}), false);
+        });
+    });
+
+    describe('buildPageLinks', () => {
+        
+        it('should build first and next links keeping the other parameters', () => {
+            const links = buildPageLinks('http://localhost/api/tasks', { priority: 'high', skip: '10', cursor: 'old' }, 'abc');
+            
+            assert.strictEqual(links.first, 'http://localhost/api/tasks?priority=high');
+            assert.strictEqual(links.next, 'http://localhost/api/tasks?priority=high&cursor=abc');
+        });
+
+        it('should omit the next link on the last page', () => {
+            const links = buildPageLinks('http://localhost/api/tasks', {}, null);
+            
+            assert.deepStrictEqual(links, { first: 'http://localhost/api/tasks' });
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Pagination Utilities Tests...');
+}
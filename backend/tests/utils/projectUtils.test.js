@@ -0,0 +1,69 @@
+/**
+ * Unit tests for Project Utilities
+ */
+
+const assert = require('assert');
+const { buildProjectCondition, parseProjectDeletionMode } = require('../../src/utils/projectUtils');
+
+describe('Project Utilities', () => {
+    
+    describe('buildProjectCondition', () => {
+        
+        it('should match a single project or tasks without a project', () => {
+            assert.strictEqual(buildProjectCondition('3'), 3);
+            assert.strictEqual(buildProjectCondition('none'), null);
+        });
+
+        it('should build $in, $ne and $nin conditions', () => {
+            assert.deepStrictEqual(buildProjectCondition('3,4'), { $in: [3, 4] });
+            assert.deepStrictEqual(buildProjectCondition(['3', 'none']), { $in: [3, null] });
+            assert.deepStrictEqual(buildProjectCondition('!3'), { $ne: 3 });
+            assert.deepStrictEqual(buildProjectCondition('!3,4'), { $nin: [3, 4] });
+        });
+
+        it('should reject values that are not projectIds', () => {
+            assert.throws(() => buildProjectCondition('work'), /Invalid projectId parameter/);
+            assert.throws(() => buildProjectCondition(''), /Invalid projectId parameter/);
+        });
+    });
+
+    describe('parseProjectDeletionMode', () => {
+        
+        it('should default to unassigning the tasks', () => {
+            assert.deepStrictEqual(parseProjectDeletionMode(undefined), { mode: 'unassign' });
+            assert.deepStrictEqual(parseProjectDeletionMode('unassign'), { mode: 'unassign' });
+        });
+
+        it('should parse delete and move modes', () => {
+            assert.deepStrictEqual(parseProjectDeletionMode('delete'), { mode: 'delete' });
+            assert.deepStrictEqual(parseProjectDeletionMode('move:7'), { mode: 'move', targetId: 7 });
+        });
+
+        it('should reject unknown modes', () => {
+            assert.throws(() => parseProjectDeletionMode('move:abc'), /Invalid tasks parameter/);
+            assert.throws(() => parseProjectDeletionMode('archive'), /Invalid tasks parameter/);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Project Utilities Tests...');
+}
@@ -0,0 +1,269 @@
+/**
+ * Unit tests for Recurrence Utilities
+ */
+
+const assert = require('assert');
+const {
+    addMonthsClamped,
+    getNextDueDate,
+    getRecurrenceRule,
+    getNextOccurrenceDate,
+    hasRecurrenceEnded,
+    projectOccurrences
+} = require('../../src/utils/recurrenceUtils');
+
+describe('Recurrence Utilities', () => {
+    
+    describe('getNextDueDate', () => {
+        
+        it('should add one day for daily tasks', () => {
+            const next = getNextDueDate(new Date('2025-03-10T12:00:00.000Z'), 'daily');
+            
+            assert.strictEqual(next.toISOString(), '2025-03-11T12:00:00.000Z');
+        });
+
+        it('should add seven days for weekly tasks', () => {
+            const next = getNextDueDate(new Date('2025-12-29T12:00:00.000Z'), 'weekly');
+            
+            assert.strictEqual(next.toISOString(), '2026-01-05T12:00:00.000Z');
+        });
+
+        it('should add one month for monthly tasks', () => {
+            const next = getNextDueDate(new Date('2025-03-15T12:00:00.000Z'), 'monthly');
+            
+            assert.strictEqual(next.toISOString(), '2025-04-15T12:00:00.000Z');
+        });
+
+        it('should accept date strings', () => {
+            const next = getNextDueDate('2025-03-10T12:00:00.000Z', 'daily');
+            
+            assert.strictEqual(next.toISOString(), '2025-03-11T12:00:00.000Z');
+        });
+
+        it('should return null for non-repeating tasks', () => {
+            assert.strictEqual(getNextDueDate(new Date(), 'none'), null);
+            assert.strictEqual(getNextDueDate(new Date(), undefined), null);
+        });
+
+        it('should return null for invalid input', () => {
+            assert.strictEqual(getNextDueDate('not a date', 'daily'), null);
+            assert.strictEqual(getNextDueDate(null, 'daily'), null);
+            assert.strictEqual(getNextDueDate(new Date(), 'yearly'), null);
+        });
+    });
+
+    describe('addMonthsClamped', () => {
+        
+        it('should clamp to the end of shorter months', () => {
+            const next = addMonthsClamped(new Date('2025-01-31T12:00:00.000Z'), 1);
+            
+            assert.strictEqual(next.toISOString(), '2025-02-28T12:00:00.000Z');
+        });
+
+        it('should handle leap years', () => {
+            const next = addMonthsClamped(new Date('2024-01-31T12:00:00.000Z'), 1);
+            
+            assert.strictEqual(next.toISOString(), '2024-02-29T12:00:00.000Z');
+        });
+
+        it('should roll over into the next year', () => {
+            const next = addMonthsClamped(new Date('2025-12-15T12:00:00.000Z'), 1);
+            
+            assert.strictEqual(next.toISOString(), '2026-01-15T12:00:00.000Z');
+        });
+    });
+
+    describe('getRecurrenceRule', () => {
+        
+        it('should prefer the recurrence rule over repeatType', () => {
+            const rule = getRecurrenceRule({
+                repeatType: 'daily',
+                recurrence: { frequency: 'weekly', interval: 2 }
+            });
+            
+            assert.deepStrictEqual(rule, { frequency: 'weekly', interval: 2 });
+        });
+
+        it('should fall back to repeatType', () => {
+            const rule = getRecurrenceRule({ repeatType: 'monthly', recurrence: null });
+            
+            assert.deepStrictEqual(rule, { frequency: 'monthly', interval: 1 });
+        });
+
+        it('should return null for non-repeating tasks', () => {
+            assert.strictEqual(getRecurrenceRule({ repeatType: 'none' }), null);
+            assert.strictEqual(getRecurrenceRule(null), null);
+        });
+    });
+
+    describe('getNextOccurrenceDate', () => {
+        
+        it('should support every N days', () => {
+            const next = getNextOccurrenceDate('2025-03-10T12:00:00.000Z', { frequency: 'daily', interval: 3 });
+            
+            assert.strictEqual(next.toISOString(), '2025-03-13T12:00:00.000Z');
+        });
+
+        it('should support every N weeks', () => {
+            const next = getNextOccurrenceDate('2025-03-10T12:00:00.000Z', { frequency: 'weekly', interval: 2 });
+            
+            assert.strictEqual(next.toISOString(), '2025-03-24T12:00:00.000Z');
+        });
+
+        it('should move to the next listed weekday within the week', () => {
+            // Monday 2025-03-10 -> Wednesday 2025-03-12
+            const rule = { frequency: 'weekly', interval: 1, weekdays: [1, 3, 5] };
+            const next = getNextOccurrenceDate('2025-03-10T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-03-12T12:00:00.000Z');
+        });
+
+        it('should wrap to the first listed weekday of the next interval week', () => {
+            // Friday 2025-03-14 -> Monday 2025-03-24 (every 2 weeks)
+            const rule = { frequency: 'weekly', interval: 2, weekdays: [5, 1, 3] };
+            const next = getNextOccurrenceDate('2025-03-14T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-03-24T12:00:00.000Z');
+        });
+
+        it('should treat Sunday as the last day of the week', () => {
+            // Saturday 2025-03-15 -> Sunday 2025-03-16
+            const rule = { frequency: 'weekly', interval: 1, weekdays: [0, 6] };
+            const next = getNextOccurrenceDate('2025-03-15T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-03-16T12:00:00.000Z');
+        });
+
+        it('should keep the anchored day of month', () => {
+            const rule = { frequency: 'monthly', interval: 1, monthlyMode: 'dayOfMonth', monthDay: 31 };
+            const next = getNextOccurrenceDate('2025-02-28T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-03-31T12:00:00.000Z');
+        });
+
+        it('should support the nth weekday of the month', () => {
+            // 2nd Tuesday: 2025-03-11 -> 2025-04-08
+            const rule = { frequency: 'monthly', interval: 1, monthlyMode: 'nthWeekday', nthWeek: 2, nthWeekday: 2 };
+            const next = getNextOccurrenceDate('2025-03-11T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-04-08T12:00:00.000Z');
+        });
+
+        it('should use a later nth weekday in the same month', () => {
+            const rule = { frequency: 'monthly', interval: 1, monthlyMode: 'nthWeekday', nthWeek: 2, nthWeekday: 2 };
+            const next = getNextOccurrenceDate('2025-03-01T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-03-11T12:00:00.000Z');
+        });
+
+        it('should support the last weekday of the month', () => {
+            // Last Friday: 2025-03-28 -> 2025-04-25
+            const rule = { frequency: 'monthly', interval: 1, monthlyMode: 'nthWeekday', nthWeek: -1, nthWeekday: 5 };
+            const next = getNextOccurrenceDate('2025-03-28T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-04-25T12:00:00.000Z');
+        });
+
+        it('should support the last business day of the month', () => {
+            // May 31 2025 is a Saturday -> Friday May 30
+            const rule = { frequency: 'monthly', interval: 1, monthlyMode: 'lastBusinessDay' };
+            const next = getNextOccurrenceDate('2025-04-30T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2025-05-30T12:00:00.000Z');
+        });
+
+        it('should support every N months', () => {
+            const rule = { frequency: 'monthly', interval: 3, monthlyMode: 'dayOfMonth', monthDay: 15 };
+            const next = getNextOccurrenceDate('2025-11-15T12:00:00.000Z', rule);
+            
+            assert.strictEqual(next.toISOString(), '2026-02-15T12:00:00.000Z');
+        });
+    });
+
+    describe('hasRecurrenceEnded', () => {
+        
+        it('should end after the configured count', () => {
+            const rule = { frequency: 'daily', count: 3 };
+            
+            assert.strictEqual(hasRecurrenceEnded(rule, new Date(), 3), false);
+            assert.strictEqual(hasRecurrenceEnded(rule, new Date(), 4), true);
+        });
+
+        it('should end after the until date', () => {
+            const rule = { frequency: 'daily', until: new Date('2025-03-31T23:59:59.000Z') };
+            
+            assert.strictEqual(hasRecurrenceEnded(rule, new Date('2025-03-31T12:00:00.000Z'), 2), false);
+            assert.strictEqual(hasRecurrenceEnded(rule, new Date('2025-04-01T12:00:00.000Z'), 2), true);
+        });
+    });
+
+    describe('projectOccurrences', () => {
+        
+        it('should list occurrences inside the window', () => {
+            const task = {
+                taskId: 7,
+                title: 'Gym',
+                dueDate: new Date('2025-03-10T12:00:00.000Z'),
+                repeatType: 'weekly',
+                recurrence: { frequency: 'weekly', interval: 1, weekdays: [1, 3, 5] }
+            };
+            
+            const occurrences = projectOccurrences(
+                task,
+                new Date('2025-03-12T00:00:00.000Z'),
+                new Date('2025-03-18T00:00:00.000Z')
+            );
+            
+            assert.deepStrictEqual(
+                occurrences.map((o) => o.dueDate.toISOString()),
+                ['2025-03-12T12:00:00.000Z', '2025-03-14T12:00:00.000Z', '2025-03-17T12:00:00.000Z']
+            );
+            assert.strictEqual(occurrences[0].sourceTaskId, 7);
+            assert.strictEqual(occurrences[0].isProjected, true);
+            assert.strictEqual(occurrences[0].occurrence, 2);
+        });
+
+        it('should respect the end condition', () => {
+            const task = {
+                dueDate: new Date('2025-03-10T12:00:00.000Z'),
+                recurrence: { frequency: 'daily', interval: 1, count: 3, occurrence: 1 }
+            };
+            
+            const occurrences = projectOccurrences(
+                task,
+                new Date('2025-03-01T00:00:00.000Z'),
+                new Date('2025-03-31T00:00:00.000Z')
+            );
+            
+            assert.strictEqual(occurrences.length, 2);
+        });
+
+        it('should return nothing for non-repeating tasks', () => {
+            const task = { dueDate: new Date(), repeatType: 'none' };
+            
+            assert.deepStrictEqual(projectOccurrences(task, new Date(0), new Date()), []);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Recurrence Utilities Tests...');
+}
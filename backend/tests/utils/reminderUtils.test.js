@@ -0,0 +1,145 @@
+/**
+ * Unit tests for Reminder Utilities
+ */
+
+const assert = require('assert');
+const {
+    MAX_SNOOZE_MINUTES,
+    getReminderFireAt,
+    isSameReminder,
+    mergeReminders,
+    copyOffsetReminders,
+    parseSnoozeMinutes,
+    describeReminder
+} = require('../../src/utils/reminderUtils');
+
+describe('Reminder Utilities', () => {
+    
+    const dueDate = new Date('2025-03-10T12:00:00Z');
+
+    describe('getReminderFireAt', () => {
+        
+        it('should subtract the offset from the due date', () => {
+            assert.strictEqual(getReminderFireAt({ offsetMinutes: 120 }, dueDate).toISOString(), '2025-03-10T10:00:00.000Z');
+            assert.strictEqual(getReminderFireAt({ offsetMinutes: 0 }, dueDate).toISOString(), '2025-03-10T12:00:00.000Z');
+        });
+
+        it('should use the absolute time, and the snooze end over both', () => {
+            const remindAt = '2025-03-09T08:30:00Z';
+            assert.strictEqual(getReminderFireAt({ offsetMinutes: null, remindAt }, dueDate).toISOString(), '2025-03-09T08:30:00.000Z');
+            assert.strictEqual(
+                getReminderFireAt({ offsetMinutes: 60, snoozedUntil: '2025-03-10T11:15:00Z' }, dueDate).toISOString(),
+                '2025-03-10T11:15:00.000Z'
+            );
+        });
+
+        it('should return null for a reminder without settings', () => {
+            assert.strictEqual(getReminderFireAt({ offsetMinutes: null, remindAt: null }, dueDate), null);
+        });
+    });
+
+    describe('isSameReminder', () => {
+        
+        it('should compare offsets and absolute times', () => {
+            assert.strictEqual(isSameReminder({ offsetMinutes: 60, remindAt: null }, { offsetMinutes: '60' }), true);
+            assert.strictEqual(isSameReminder({ offsetMinutes: 60 }, { offsetMinutes: 1440 }), false);
+            assert.strictEqual(isSameReminder({ remindAt: new Date('2025-03-09T08:30:00Z') }, { remindAt: '2025-03-09T08:30:00.000Z' }), true);
+            assert.strictEqual(isSameReminder({ offsetMinutes: 0 }, { remindAt: '2025-03-09T08:30:00.000Z' }), false);
+        });
+    });
+
+    describe('mergeReminders', () => {
+        
+        const firedAt = new Date('2025-03-09T12:00:00Z');
+        const existing = [
+            { _id: 'a', offsetMinutes: 1440, remindAt: null, fireAt: firedAt, firedAt },
+            { _id: 'b', offsetMinutes: 60, remindAt: null, fireAt: null, firedAt: null }
+        ];
+
+        it('should keep the state of reminders matched by _id or settings', () => {
+            const merged = mergeReminders(existing, [{ _id: 'a' }, { offsetMinutes: 60 }]);
+            assert.deepStrictEqual(merged, existing);
+        });
+
+        it('should drop client-supplied state from new reminders', () => {
+            const merged = mergeReminders(existing, [{ offsetMinutes: 15, firedAt: new Date(), dismissedAt: new Date() }]);
+            assert.deepStrictEqual(merged, [{ offsetMinutes: 15 }]);
+        });
+
+        it('should treat a reminder whose settings changed as new', () => {
+            const merged = mergeReminders(existing, [{ _id: 'a', offsetMinutes: 2880 }]);
+            assert.deepStrictEqual(merged, [{ offsetMinutes: 2880 }]);
+        });
+
+        it('should match each existing reminder at most once', () => {
+            const merged = mergeReminders(existing, [{ offsetMinutes: 60 }, { offsetMinutes: 60 }]);
+            assert.strictEqual(merged[0]._id, 'b');
+            assert.deepStrictEqual(merged[1], { offsetMinutes: 60 });
+        });
+
+        it('should pass non-array values through for validation', () => {
+            assert.strictEqual(mergeReminders(existing, undefined), undefined);
+            assert.strictEqual(mergeReminders(existing, 'soon'), 'soon');
+        });
+    });
+
+    describe('copyOffsetReminders', () => {
+        
+        it('should copy offsets without state and leave absolute reminders behind', () => {
+            const copied = copyOffsetReminders([
+                { _id: 'a', offsetMinutes: 60, remindAt: null, firedAt: new Date() },
+                { _id: 'b', offsetMinutes: null, remindAt: new Date() }
+            ]);
+            assert.deepStrictEqual(copied, [{ offsetMinutes: 60 }]);
+        });
+    });
+
+    describe('parseSnoozeMinutes', () => {
+        
+        it('should default to 15 minutes', () => {
+            assert.strictEqual(parseSnoozeMinutes({}), 15);
+            assert.strictEqual(parseSnoozeMinutes(undefined), 15);
+            assert.strictEqual(parseSnoozeMinutes({ minutes: '60' }), 60);
+        });
+
+        it('should reject durations out of range', () => {
+            assert.throws(() => parseSnoozeMinutes({ minutes: 0 }), /whole number/);
+            assert.throws(() => parseSnoozeMinutes({ minutes: 2.5 }), /whole number/);
+            assert.throws(() => parseSnoozeMinutes({ minutes: MAX_SNOOZE_MINUTES + 1 }), /whole number/);
+        });
+    });
+
+    describe('describeReminder', () => {
+        
+        it('should name the largest whole unit', () => {
+            assert.strictEqual(describeReminder({ offsetMinutes: 0 }), 'At due time');
+            assert.strictEqual(describeReminder({ offsetMinutes: 15 }), '15 minutes before');
+            assert.strictEqual(describeReminder({ offsetMinutes: 120 }), '2 hours before');
+            assert.strictEqual(describeReminder({ offsetMinutes: 1440 }), '1 day before');
+            assert.strictEqual(describeReminder({ offsetMinutes: 10080 }), '1 week before');
+            assert.strictEqual(describeReminder({ offsetMinutes: null, remindAt: new Date() }), 'At a set time');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Reminder Utilities Tests...');
+}
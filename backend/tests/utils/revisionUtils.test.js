@@ -0,0 +1,121 @@
+/**
+ * Unit tests for Revision Utilities
+ */
+
+const assert = require('assert');
+const {
+    normalizeFieldValue,
+    snapshotFields,
+    diffSnapshots,
+    parseRevision,
+    buildRevertUpdates
+} = require('../../src/utils/revisionUtils');
+
+describe('Revision Utilities', () => {
+    
+    describe('normalizeFieldValue', () => {
+        
+        it('should store dates as ISO strings and missing values as null', () => {
+            assert.strictEqual(normalizeFieldValue(new Date('2025-03-01T00:00:00Z')), '2025-03-01T00:00:00.000Z');
+            assert.strictEqual(normalizeFieldValue(undefined), null);
+        });
+
+        it('should drop sub-document ids', () => {
+            assert.deepStrictEqual(
+                normalizeFieldValue([{ _id: 'abc', url: 'https://example.com', label: 'Spec' }]),
+                [{ url: 'https://example.com', label: 'Spec' }]
+            );
+        });
+    });
+
+    describe('diffSnapshots', () => {
+        
+        it('should list only the changed fields', () => {
+            const task = { title: 'Draft', priority: 'low', tags: ['work'], links: [{ _id: 1, url: 'https://a.io' }] };
+            const before = snapshotFields(task, ['title', 'priority', 'tags', 'links']);
+            const after = snapshotFields(
+                { ...task, priority: 'high', links: [{ _id: 2, url: 'https://a.io' }] },
+                ['title', 'priority', 'tags', 'links']
+            );
+            
+            assert.deepStrictEqual(diffSnapshots(before, after), [{ field: 'priority', from: 'low', to: 'high' }]);
+        });
+
+        it('should ignore the delivery state of reminders', () => {
+            const task = { reminders: [{ _id: 1, offsetMinutes: 60, fireAt: null, firedAt: null }] };
+            const before = snapshotFields(task, ['reminders']);
+            const fired = snapshotFields(
+                { reminders: [{ _id: 1, offsetMinutes: 60, fireAt: new Date(), firedAt: new Date() }] },
+                ['reminders']
+            );
+
+            assert.deepStrictEqual(before, { reminders: [{ offsetMinutes: 60, remindAt: null }] });
+            assert.deepStrictEqual(diffSnapshots(before, fired), []);
+        });
+    });
+
+    describe('parseRevision', () => {
+        
+        it('should accept earlier revisions including 0', () => {
+            assert.strictEqual(parseRevision('0', 3), 0);
+            assert.strictEqual(parseRevision('2', 3), 2);
+        });
+
+        it('should reject invalid, unknown and current revisions', () => {
+            assert.throws(() => parseRevision('abc', 3), /Invalid revision parameter/);
+            assert.throws(() => parseRevision('-1', 3), /Invalid revision parameter/);
+            assert.throws(() => parseRevision('4', 3), /does not exist/);
+            assert.throws(() => parseRevision('3', 3), /already at revision 3/);
+        });
+    });
+
+    describe('buildRevertUpdates', () => {
+        
+        const revisions = [
+            { revision: 1, changes: [{ field: 'title', from: 'A', to: 'B' }] },
+            { revision: 2, changes: [{ field: 'priority', from: 'low', to: 'medium' }, { field: 'title', from: 'B', to: 'C' }] },
+            { revision: 3, changes: [{ field: 'priority', from: 'medium', to: 'high' }] }
+        ];
+
+        it('should restore the values a task had at the target revision', () => {
+            assert.deepStrictEqual(buildRevertUpdates(revisions, 1), { priority: 'low', title: 'B' });
+            assert.deepStrictEqual(buildRevertUpdates(revisions, 2), { priority: 'medium' });
+        });
+
+        it('should restore the original values for revision 0', () => {
+            assert.deepStrictEqual(buildRevertUpdates([...revisions].reverse(), 0), { title: 'A', priority: 'low' });
+        });
+
+        it('should restore dependencies changed in between', () => {
+            const dependencyRevisions = [
+                { revision: 1, changes: [{ field: 'blockedBy', from: [], to: [4] }] },
+                { revision: 2, changes: [{ field: 'blockedBy', from: [4], to: [4, 7] }] }
+            ];
+            
+            assert.deepStrictEqual(buildRevertUpdates(dependencyRevisions, 1), { blockedBy: [4] });
+            assert.deepStrictEqual(buildRevertUpdates(dependencyRevisions, 0), { blockedBy: [] });
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Revision Utilities Tests...');
+}
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for Statistics Utilities
+ */
+
+const assert = require('assert');
+const {
+    parseStatsRange,
+    listDays,
+    buildCompletionPipeline,
+    fillDailySeries,
+    computeStreaks,
+    countOverdueByDay,
+    mergeBreakdown,
+    buildStats
+} = require('../../src/utils/statsUtils');
+
+describe('Statistics Utilities', () => {
+    
+    describe('parseStatsRange', () => {
+        
+        it('should default to the last 30 days in UTC', () => {
+            const now = new Date('2025-03-31T12:00:00Z');
+            const range = parseStatsRange({}, now);
+            assert.strictEqual(range.to, now);
+            assert.strictEqual(range.from.toISOString(), '2025-03-01T12:00:00.000Z');
+            assert.strictEqual(range.timezone, 'UTC');
+        });
+
+        it('should reject invalid timezones and reversed periods', () => {
+            assert.throws(() => parseStatsRange({ timezone: 'Nowhere/City' }), /Invalid timezone/);
+            assert.throws(() => parseStatsRange({ from: '2025-02-01', to: '2025-01-01' }), /from must be before to/);
+            assert.throws(() => parseStatsRange({ from: 'soon' }), /Invalid from date/);
+        });
+
+        it('should limit the length of the period', () => {
+            assert.throws(() => parseStatsRange({ from: '2023-01-01', to: '2025-01-01' }), /at most 366 days/);
+        });
+    });
+
+    describe('listDays', () => {
+        
+        it('should list every day of the period', () => {
+            const days = listDays({
+                from: new Date('2025-02-27T10:00:00Z'),
+                to: new Date('2025-03-02T10:00:00Z'),
+                timezone: 'UTC'
+            });
+            assert.deepStrictEqual(days, ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02']);
+        });
+    });
+
+    describe('buildCompletionPipeline', () => {
+        
+        it('should scope the aggregation to the user and period', () => {
+            const range = { from: new Date('2025-01-01'), to: new Date('2025-02-01'), timezone: 'Europe/Berlin' };
+            const pipeline = buildCompletionPipeline(7, range);
+            assert.deepStrictEqual(pipeline[0], { $match: { userId: 7, isCompleted: true } });
+            assert.deepStrictEqual(pipeline[2], { $match: { doneAt: { $gte: range.from, $lte: range.to } } });
+            assert.strictEqual(pipeline[4].$facet.byDay[0].$group._id.$dateToString.timezone, 'Europe/Berlin');
+        });
+    });
+
+    describe('fillDailySeries', () => {
+        
+        it('should fill days without completions with zero', () => {
+            const series = fillDailySeries(['2025-01-01', '2025-01-02'], [{ _id: '2025-01-02', count: 3 }]);
+            assert.deepStrictEqual(series, [
+                { date: '2025-01-01', count: 0 },
+                { date: '2025-01-02', count: 3 }
+            ]);
+        });
+    });
+
+    describe('computeStreaks', () => {
+        
+        it('should find the current and longest streak', () => {
+            const days = ['2025-01-01', '2025-01-02', '2025-01-03', '2025-01-09', '2025-01-10', '2025-01-10'];
+            assert.deepStrictEqual(computeStreaks(days, '2025-01-10'), { current: 2, longest: 3 });
+        });
+
+        it('should keep the current streak until the end of today', () => {
+            assert.deepStrictEqual(computeStreaks(['2025-01-08', '2025-01-09'], '2025-01-10'), { current: 2, longest: 2 });
+        });
+
+        it('should reset the current streak after a day without completions', () => {
+            assert.deepStrictEqual(computeStreaks(['2025-01-07', '2025-01-08'], '2025-01-10'), { current: 0, longest: 2 });
+        });
+
+        it('should handle users without completions', () => {
+            assert.deepStrictEqual(computeStreaks([], '2025-01-10'), { current: 0, longest: 0 });
+        });
+    });
+
+    describe('countOverdueByDay', () => {
+        
+        it('should count tasks from the day after their due day until completion', () => {
+            const tasks = [
+                { createdDay: '2025-01-01', dueDay: '2025-01-02', doneDay: '2025-01-04' },
+                { createdDay: '2025-01-01', dueDay: '2025-01-03', doneDay: null },
+                { createdDay: '2025-01-01', dueDay: '2025-01-05', doneDay: '2025-01-05' }
+            ];
+            const days = ['2025-01-02', '2025-01-03', '2025-01-04', '2025-01-05'];
+            assert.deepStrictEqual(countOverdueByDay(days, tasks).map(day => day.count), [0, 1, 1, 1]);
+        });
+
+        it('should not count tasks before they were created', () => {
+            const tasks = [{ createdDay: '2025-01-04', dueDay: '2025-01-01', doneDay: null }];
+            assert.deepStrictEqual(countOverdueByDay(['2025-01-03', '2025-01-04'], tasks).map(day => day.count), [0, 1]);
+        });
+    });
+
+    describe('mergeBreakdown', () => {
+        
+        it('should merge completed and open counts', () => {
+            const rows = mergeBreakdown(
+                'category',
+                [{ _id: 'work', completed: 3, late: 1 }, { _id: '', completed: 1, late: 0 }],
+                [{ _id: 'home', open: 2 }, { _id: 'work', open: 1 }]
+            );
+            assert.deepStrictEqual(rows, [
+                { category: 'work', completed: 3, late: 1, open: 1 },
+                { category: null, completed: 1, late: 0, open: 0 },
+                { category: 'home', completed: 0, late: 0, open: 2 }
+            ]);
+        });
+    });
+
+    describe('buildStats', () => {
+        
+        const range = { from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-01-03T12:00:00Z'), timezone: 'UTC' };
+        const emptyCompletion = { byDay: [], byWeek: [], byMonth: [], summary: [], byPriority: [], byCategory: [] };
+        const emptyOpen = { byPriority: [], byCategory: [] };
+
+        it('should compute rates and lead time', () => {
+            const stats = buildStats(range, {
+                completion: {
+                    ...emptyCompletion,
+                    byDay: [{ _id: '2025-01-02', count: 4 }],
+                    byWeek: [{ _id: '2025-W01', count: 4 }],
+                    summary: [{ total: 4, late: 1, leadTimeMs: 90 * 60 * 1000 }]
+                },
+                open: emptyOpen,
+                completionDays: ['2025-01-02', '2025-01-03'],
+                overdueTasks: [{ createdDay: '2024-12-30', dueDay: '2024-12-31', doneDay: null }]
+            }, new Date('2025-01-03T12:00:00Z'));
+
+            assert.strictEqual(stats.completions.total, 4);
+            assert.strictEqual(stats.completions.byDay.length, 3);
+            assert.deepStrictEqual(stats.completions.byWeek, [{ week: '2025-W01', count: 4 }]);
+            assert.deepStrictEqual(stats.onTime, { onTime: 3, late: 1, onTimeRate: 0.75 });
+            assert.strictEqual(stats.averageLeadTimeHours, 1.5);
+            assert.deepStrictEqual(stats.streaks, { current: 2, longest: 2 });
+            assert.strictEqual(stats.overdue.endOfPeriod, 1);
+        });
+
+        it('should handle periods without completions', () => {
+            const stats = buildStats(range, {
+                completion: emptyCompletion,
+                open: emptyOpen,
+                completionDays: [],
+                overdueTasks: []
+            });
+
+            assert.strictEqual(stats.completions.total, 0);
+            assert.strictEqual(stats.onTime.onTimeRate, null);
+            assert.strictEqual(stats.averageLeadTimeHours, null);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Statistics Utilities Tests...');
+}
@@ -0,0 +1,67 @@
+/**
+ * Unit tests for Tag Utilities
+ */
+
+const assert = require('assert');
+const { normalizeTagName, normalizeTags, parseTagName } = require('../../src/utils/tagUtils');
+
+describe('Tag Utilities', () => {
+    
+    describe('normalizeTagName', () => {
+        
+        it('should trim, lowercase and collapse whitespace', () => {
+            assert.strictEqual(normalizeTagName('  Urgent   Client '), 'urgent client');
+        });
+
+        it('should return an empty string for non-strings', () => {
+            assert.strictEqual(normalizeTagName(undefined), '');
+            assert.strictEqual(normalizeTagName(42), '');
+        });
+    });
+
+    describe('normalizeTags', () => {
+        
+        it('should drop blanks and duplicates keeping order', () => {
+            assert.deepStrictEqual(normalizeTags(['Work', 'urgent', ' work ', '']), ['work', 'urgent']);
+        });
+
+        it('should accept comma-separated strings', () => {
+            assert.deepStrictEqual(normalizeTags('work, Home,,'), ['work', 'home']);
+            assert.deepStrictEqual(normalizeTags(undefined), []);
+        });
+    });
+
+    describe('parseTagName', () => {
+        
+        it('should return the normalized name', () => {
+            assert.strictEqual(parseTagName(' Work '), 'work');
+        });
+
+        it('should reject blank and overly long names', () => {
+            assert.throws(() => parseTagName('   '), /Tag name is required/);
+            assert.throws(() => parseTagName('a'.repeat(51)), /at most 50 characters/);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Tag Utilities Tests...');
+}
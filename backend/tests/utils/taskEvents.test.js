@@ -0,0 +1,104 @@
+/**
+ * Unit tests for Task Event Utilities
+ */
+
+const assert = require('assert');
+const {
+    TASK_EVENT_TYPES,
+    hasTaskEventSubscribers,
+    publishTaskEvent,
+    subscribeToTaskEvents,
+    formatServerSentEvent
+} = require('../../src/utils/taskEvents');
+
+describe('Task Event Utilities', () => {
+
+    describe('publishTaskEvent', () => {
+
+        it('should deliver events to the subscribers of the task owner only', () => {
+            const received = [];
+            const others = [];
+            const unsubscribe = subscribeToTaskEvents(1, event => received.push(event));
+            const unsubscribeOther = subscribeToTaskEvents(2, event => others.push(event));
+
+            publishTaskEvent(1, 'task.deleted', { taskIds: [3, 4] });
+
+            assert.deepStrictEqual(received, [{ type: 'task.deleted', data: { taskIds: [3, 4] } }]);
+            assert.deepStrictEqual(others, []);
+            unsubscribe();
+            unsubscribeOther();
+        });
+
+        it('should stop delivering events after unsubscribing', () => {
+            const received = [];
+            const unsubscribe = subscribeToTaskEvents(1, event => received.push(event));
+
+            assert.strictEqual(hasTaskEventSubscribers(1), true);
+            unsubscribe();
+            assert.strictEqual(hasTaskEventSubscribers(1), false);
+
+            publishTaskEvent(1, 'task.updated', { task: { taskId: 3 } });
+            assert.deepStrictEqual(received, []);
+        });
+
+        it('should not let a failing subscriber reach the publisher', () => {
+            const unsubscribe = subscribeToTaskEvents(1, () => {
+                throw new Error('Connection reset');
+            });
+            const originalError = console.error;
+            console.error = () => {};
+
+            try {
+                assert.doesNotThrow(() => publishTaskEvent(1, 'task.created', { task: { taskId: 3 } }));
+            } finally {
+                console.error = originalError;
+                unsubscribe();
+            }
+        });
+
+        it('should reject unknown event types', () => {
+            assert.deepStrictEqual(TASK_EVENT_TYPES, ['task.created', 'task.updated', 'task.deleted']);
+            assert.throws(() => publishTaskEvent(1, 'task.moved', {}), /Invalid task event type "task.moved"/);
+        });
+    });
+
+    describe('formatServerSentEvent', () => {
+
+        it('should format an event with JSON data', () => {
+            assert.strictEqual(
+                formatServerSentEvent('task.deleted', { taskIds: [3] }),
+                'event: task.deleted\ndata: {"taskIds":[3]}\n\n'
+            );
+        });
+
+        it('should serialize documents through toJSON', () => {
+            const task = { toJSON: () => ({ taskId: 3, title: 'Write report' }) };
+            assert.strictEqual(
+                formatServerSentEvent('task.updated', { task }),
+                'event: task.updated\ndata: {"task":{"taskId":3,"title":"Write report"}}\n\n'
+            );
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Task Event Utilities Tests...');
+}
@@ -3,7 +3,7 @@
  */
 
 const assert = require('assert');
-const { buildTaskFilters, buildSortCriteria, buildPaginationOptions } = require('../../src/utils/taskQueryUtils');
+const { buildTaskFilters, buildSortCriteria, buildPaginationOptions, buildOccurrenceWindow } = require('../../src/utils/taskQueryUtils');
 
 describe('Task Query Utilities', () => {
     
@@ -52,7 +52,32 @@ describe('Task Query Utilities', () => {
             const queryParams = {};
             const filters = buildTaskFilters(queryParams);
             
-            assert.deepStrictEqual(filters, {});
+            assert.deepStrictEqual(filters, { deletedAt: null, archivedAt: null });
+        });
+
+        it('should exclude tasks in the trash', () => {
+            const filters = buildTaskFilters({ priority: 'high' }, { userId: 123 });
+            
+            assert.strictEqual(filters.deletedAt, null);
+        });
+
+        it('should exclude archived tasks unless asked for', () => {
+            assert.strictEqual(buildTaskFilters({}).archivedAt, null);
+            assert.deepStrictEqual(buildTaskFilters({ archived: 'true' }).archivedAt, { $ne: null });
+            assert.strictEqual(buildTaskFilters({ archived: 'false' }).archivedAt, null);
+            assert.strictEqual(buildTaskFilters({}, {}, { includeArchived: true }).archivedAt, undefined);
+            assert.throws(() => buildTaskFilters({ archived: 'maybe' }), /Invalid archived value/);
+        });
+
+        it('should filter by archive date', () => {
+            const filters = buildTaskFilters({ archivedAfter: '2025-01-01', archivedBefore: '2025-01-31' });
+            
+            assert.deepStrictEqual(filters.archivedAt, {
+                $ne: null,
+                $gte: new Date('2025-01-01'),
+                $lte: new Date('2025-01-31')
+            });
+            assert.throws(() => buildTaskFilters({ archivedAfter: 'soon' }), /Invalid archivedAfter date/);
         });
 
         it('should ignore undefined priority and category', () => {
@@ -68,6 +93,78 @@ describe('Task Query Utilities', () => {
         });
     });
 
+    describe('buildTaskFilters advanced queries', () => {
+        
+        const now = new Date('2025-06-15T12:00:00Z');
+
+        it('should build multi-value and negated filters', () => {
+            const filters = buildTaskFilters({ priority: 'high,medium', category: '!personal' });
+            
+            assert.deepStrictEqual(filters.priority, { $in: ['high', 'medium'] });
+            assert.deepStrictEqual(filters.category, { $ne: 'personal' });
+        });
+
+        it('should accept repeated parameters and negated lists', () => {
+            const filters = buildTaskFilters({ priority: ['high', 'low'], category: '!work, home' });
+            
+            assert.deepStrictEqual(filters.priority, { $in: ['high', 'low'] });
+            assert.deepStrictEqual(filters.category, { $nin: ['work', 'home'] });
+        });
+
+        it('should build project filters', () => {
+            assert.strictEqual(buildTaskFilters({ projectId: '3' }).projectId, 3);
+            assert.strictEqual(buildTaskFilters({ projectId: 'none' }).projectId, null);
+            assert.deepStrictEqual(buildTaskFilters({ projectId: '!3,none' }).projectId, { $nin: [3, null] });
+            assert.throws(() => buildTaskFilters({ projectId: 'work' }), /Invalid projectId/);
+        });
+
+        it('should build tag filters', () => {
+            assert.strictEqual(buildTaskFilters({ tags: 'Work' }).tags, 'work');
+            assert.deepStrictEqual(buildTaskFilters({ tags: 'work,urgent-client' }).tags, { $in: ['work', 'urgent-client'] });
+            assert.deepStrictEqual(buildTaskFilters({ tags: 'work,urgent-client', tagMatch: 'all' }).tags, { $all: ['work', 'urgent-client'] });
+            assert.deepStrictEqual(buildTaskFilters({ tags: '!personal' }).tags, { $nin: ['personal'] });
+        });
+
+        it('should build due date ranges and createdSince', () => {
+            const filters = buildTaskFilters({
+                dueAfter: '2025-01-01',
+                dueBefore: '2025-01-31',
+                createdSince: '2024-12-01'
+            });
+            
+            assert.deepStrictEqual(filters.dueDate, {
+                $gte: new Date('2025-01-01'),
+                $lte: new Date('2025-01-31')
+            });
+            assert.deepStrictEqual(filters.createdAt, { $gte: new Date('2024-12-01') });
+        });
+
+        it('should reject invalid dates', () => {
+            assert.throws(() => buildTaskFilters({ dueAfter: 'soon' }), /Invalid dueAfter date/);
+            assert.throws(() => buildTaskFilters({ createdSince: 'yesterday' }), /Invalid createdSince date/);
+        });
+
+        it('should build overdue filters', () => {
+            const overdue = buildTaskFilters({ overdue: 'true' }, {}, { now });
+            assert.deepStrictEqual(overdue.$and, [{ dueDate: { $lt: now } }, { isCompleted: false }]);
+            
+            const notOverdue = buildTaskFilters({ overdue: 'false' }, {}, { now });
+            assert.deepStrictEqual(notOverdue.$and, [{ $or: [{ dueDate: { $gte: now } }, { isCompleted: true }] }]);
+            
+            assert.throws(() => buildTaskFilters({ overdue: 'yes' }), /Invalid overdue value/);
+        });
+
+        it('should filter by whether tasks have subtasks', () => {
+            const withSubtasks = buildTaskFilters({ hasSubtasks: 'true' }, {}, { parentTaskIds: [1, 2] });
+            assert.deepStrictEqual(withSubtasks.$and, [{ taskId: { $in: [1, 2] } }]);
+            
+            const withoutSubtasks = buildTaskFilters({ hasSubtasks: 'false' }, {}, { parentTaskIds: [1, 2] });
+            assert.deepStrictEqual(withoutSubtasks.$and, [{ taskId: { $nin: [1, 2] } }]);
+            
+            assert.throws(() => buildTaskFilters({ hasSubtasks: 'true' }), /not supported/);
+        });
+    });
+
     describe('buildSortCriteria', () => {
         
         it('should build ascending sort criteria', () => {
@@ -109,6 +206,22 @@ describe('Task Query Utilities', () => {
             
             assert.deepStrictEqual(sort, { priority: -1 });
         });
+
+        it('should build multi-key sorts in order', () => {
+            const sort = buildSortCriteria('priority:desc, dueDate:asc,title');
+            
+            assert.deepStrictEqual(sort, { priority: -1, dueDate: 1, title: 1 });
+            assert.deepStrictEqual(Object.keys(sort), ['priority', 'dueDate', 'title']);
+        });
+
+        it('should reject fields that are not sortable', () => {
+            assert.throws(() => buildSortCriteria('password:asc'), /Invalid sort field "password"/);
+            assert.throws(() => buildSortCriteria('dueDate:asc,userId'), /Invalid sort field "userId"/);
+        });
+
+        it('should reject invalid sort directions', () => {
+            assert.throws(() => buildSortCriteria('dueDate:up'), /Invalid sort direction "up" for dueDate/);
+        });
     });
 
     describe('buildPaginationOptions', () => {
@@ -161,6 +274,41 @@ describe('Task Query Utilities', () => {
             assert.strictEqual(pagination.skip, -10);
         });
     });
+
+    describe('buildOccurrenceWindow', () => {
+        
+        it('should return null when no window is requested', () => {
+            assert.strictEqual(buildOccurrenceWindow({}), null);
+        });
+
+        it('should parse both window bounds', () => {
+            const window = buildOccurrenceWindow({
+                occurrencesFrom: '2025-01-01',
+                occurrencesTo: '2025-01-31'
+            });
+            
+            assert.strictEqual(window.from.toISOString(), '2025-01-01T00:00:00.000Z');
+            assert.strictEqual(window.to.toISOString(), '2025-01-31T00:00:00.000Z');
+        });
+
+        it('should end the window 30 days after its start without an end date', () => {
+            const window = buildOccurrenceWindow({ occurrencesFrom: '2025-01-01' });
+            
+            assert.strictEqual(window.from.toISOString(), '2025-01-01T00:00:00.000Z');
+            assert.strictEqual(window.to.toISOString(), '2025-01-31T00:00:00.000Z');
+        });
+
+        it('should reject an invalid start date', () => {
+            assert.throws(() => buildOccurrenceWindow({ occurrencesFrom: 'soon' }), /Invalid occurrence window/);
+        });
+
+        it('should reject an inverted window', () => {
+            assert.throws(() => buildOccurrenceWindow({
+                occurrencesFrom: '2025-02-01',
+                occurrencesTo: '2025-01-01'
+            }), /Invalid occurrence window/);
+        });
+    });
 });
 
 // Simple test runner
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for Task Search Utilities
+ */
+
+const assert = require('assert');
+const { parseSearchQuery, getSearchTerms, buildSnippet, buildHighlights } = require('../../src/utils/taskSearchUtils');
+
+describe('Task Search Utilities', () => {
+    
+    describe('parseSearchQuery', () => {
+        
+        it('should trim the query', () => {
+            assert.strictEqual(parseSearchQuery('  report  '), 'report');
+        });
+
+        it('should reject empty and overly long queries', () => {
+            assert.throws(() => parseSearchQuery(undefined), /Search query is required/);
+            assert.throws(() => parseSearchQuery('   '), /Search query is required/);
+            assert.throws(() => parseSearchQuery('a'.repeat(201)), /at most 200 characters/);
+        });
+    });
+
+    describe('getSearchTerms', () => {
+        
+        it('should keep words and phrases and drop negated terms', () => {
+            const terms = getSearchTerms('Weekly "status report" -budget -"old plan"');
+            
+            assert.deepStrictEqual(terms, ['status report', 'weekly']);
+        });
+    });
+
+    describe('buildSnippet', () => {
+        
+        it('should return null when nothing matches', () => {
+            assert.strictEqual(buildSnippet('Buy groceries', ['report']), null);
+            assert.strictEqual(buildSnippet('', ['report']), null);
+        });
+
+        it('should report match ranges including word prefixes', () => {
+            const result = buildSnippet('Weekly planning session', ['plan']);
+            
+            assert.strictEqual(result.snippet, 'Weekly planning session');
+            assert.deepStrictEqual(result.ranges, [[7, 15]]);
+        });
+
+        it('should trim long text around the first match', () => {
+            const text = `${'x '.repeat(50)}quarterly report${' y'.repeat(50)}`;
+            const result = buildSnippet(text, ['report']);
+            
+            assert(result.snippet.startsWith('…'));
+            assert(result.snippet.endsWith('…'));
+            const [start, end] = result.ranges[0];
+            assert.strictEqual(result.snippet.slice(start, end), 'report');
+        });
+    });
+
+    describe('buildHighlights', () => {
+        
+        it('should highlight every matching field including links', () => {
+            const task = {
+                title: 'Quarterly report',
+                description: 'Collect numbers',
+                additionalDetails: 'Send the report to finance',
+                links: ['https://example.com/docs', 'https://example.com/report']
+            };
+            
+            const highlights = buildHighlights(task, 'report');
+            
+            assert.deepStrictEqual(highlights.map(h => h.field), ['title', 'additionalDetails', 'links']);
+            assert.strictEqual(highlights[2].snippet, 'https://example.com/report');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Task Search Utilities Tests...');
+}
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for Task Tree Utilities
+ */
+
+const assert = require('assert');
+const { parseTreeDepth, parseSubtaskDeletionMode, sortTasks, buildTaskTree } = require('../../src/utils/taskTreeUtils');
+
+describe('Task Tree Utilities', () => {
+    
+    describe('parseTreeDepth', () => {
+        
+        it('should return null when depth is not provided', () => {
+            assert.strictEqual(parseTreeDepth(undefined), null);
+            assert.strictEqual(parseTreeDepth(''), null);
+        });
+
+        it('should parse non-negative integers', () => {
+            assert.strictEqual(parseTreeDepth('0'), 0);
+            assert.strictEqual(parseTreeDepth('3'), 3);
+        });
+
+        it('should reject invalid values', () => {
+            assert.throws(() => parseTreeDepth('-1'), /Invalid depth parameter/);
+            assert.throws(() => parseTreeDepth('1.5'), /Invalid depth parameter/);
+            assert.throws(() => parseTreeDepth('deep'), /Invalid depth parameter/);
+        });
+    });
+
+    describe('parseSubtaskDeletionMode', () => {
+        
+        it('should default to cascade', () => {
+            assert.deepStrictEqual(parseSubtaskDeletionMode(undefined), { mode: 'cascade' });
+            assert.deepStrictEqual(parseSubtaskDeletionMode('cascade'), { mode: 'cascade' });
+        });
+
+        it('should parse promote', () => {
+            assert.deepStrictEqual(parseSubtaskDeletionMode('promote'), { mode: 'promote' });
+        });
+
+        it('should parse reparent with a target taskId', () => {
+            assert.deepStrictEqual(parseSubtaskDeletionMode('reparent:42'), { mode: 'reparent', targetId: 42 });
+        });
+
+        it('should reject unknown modes', () => {
+            assert.throws(() => parseSubtaskDeletionMode('orphan'), /Invalid subtasks parameter/);
+            assert.throws(() => parseSubtaskDeletionMode('reparent:'), /Invalid subtasks parameter/);
+            assert.throws(() => parseSubtaskDeletionMode('reparent:abc'), /Invalid subtasks parameter/);
+        });
+    });
+
+    describe('sortTasks', () => {
+        
+        it('should sort by multiple fields', () => {
+            const tasks = [
+                { taskId: 1, priority: 'low', title: 'b' },
+                { taskId: 2, priority: 'high', title: 'b' },
+                { taskId: 3, priority: 'high', title: 'a' }
+            ];
+            
+            sortTasks(tasks, { title: 1, taskId: -1 });
+            
+            assert.deepStrictEqual(tasks.map(t => t.taskId), [3, 2, 1]);
+        });
+
+        it('should sort priorities by importance rather than alphabetically', () => {
+            const tasks = [
+                { taskId: 1, priority: 'medium', title: 'b' },
+                { taskId: 2, priority: 'high', title: 'b' },
+                { taskId: 3, priority: 'low', title: 'a' },
+                { taskId: 4, priority: 'high', title: 'a' }
+            ];
+            
+            sortTasks(tasks, { priority: -1, title: 1 });
+            
+            assert.deepStrictEqual(tasks.map(t => t.taskId), [4, 2, 1, 3]);
+        });
+    });
+
+    describe('buildTaskTree', () => {
+        
+        it('should nest descendants under their parents', () => {
+            const root = { taskId: 1, parentId: null, title: 'Root' };
+            const descendants = [
+                { taskId: 4, parentId: 2, title: 'Grandchild', depth: 1 },
+                { taskId: 2, parentId: 1, title: 'Child B', depth: 0 },
+                { taskId: 3, parentId: 1, title: 'Child A', depth: 0 }
+            ];
+            
+            const tree = buildTaskTree(root, descendants, { title: 1 });
+            
+            assert.strictEqual(tree.depth, 0);
+            assert.deepStrictEqual(tree.subtasks.map(t => t.title), ['Child A', 'Child B']);
+            assert.strictEqual(tree.subtasks[1].depth, 1);
+            assert.strictEqual(tree.subtasks[1].subtasks[0].title, 'Grandchild');
+            assert.strictEqual(tree.subtasks[1].subtasks[0].depth, 2);
+            assert.deepStrictEqual(tree.subtasks[0].subtasks, []);
+        });
+
+        it('should return a leaf root when there are no descendants', () => {
+            const tree = buildTaskTree({ taskId: 1, title: 'Root' }, []);
+            
+            assert.deepStrictEqual(tree.subtasks, []);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Task Tree Utilities Tests...');
+}
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for Time Tracking Utilities
+ */
+
+const assert = require('assert');
+const {
+    getEntryDuration,
+    parseTimeEntryInput,
+    parseReportRange,
+    splitEntryByDay,
+    buildTimeReport,
+    buildTimeSummary
+} = require('../../src/utils/timeTrackingUtils');
+
+describe('Time Tracking Utilities', () => {
+    
+    describe('getEntryDuration', () => {
+        
+        it('should measure stopped entries', () => {
+            const entry = { startedAt: '2025-01-01T10:00:00Z', endedAt: '2025-01-01T10:30:15Z' };
+            assert.strictEqual(getEntryDuration(entry), 1815);
+        });
+
+        it('should count running timers up to now', () => {
+            const entry = { startedAt: '2025-01-01T10:00:00Z', endedAt: null };
+            assert.strictEqual(getEntryDuration(entry, new Date('2025-01-01T10:01:00Z')), 60);
+        });
+    });
+
+    describe('parseTimeEntryInput', () => {
+        
+        it('should require both dates for new entries', () => {
+            assert.throws(() => parseTimeEntryInput({ startedAt: '2025-01-01T10:00:00Z' }), /startedAt and endedAt are required/);
+        });
+
+        it('should reject entries ending before they start', () => {
+            assert.throws(() => parseTimeEntryInput({
+                startedAt: '2025-01-01T10:00:00Z',
+                endedAt: '2025-01-01T09:00:00Z'
+            }), /endedAt must be after startedAt/);
+        });
+
+        it('should validate edits against the existing entry', () => {
+            const existing = { startedAt: new Date('2025-01-01T10:00:00Z'), endedAt: new Date('2025-01-01T11:00:00Z') };
+            
+            assert.throws(() => parseTimeEntryInput({ startedAt: '2025-01-01T12:00:00Z' }, existing), /endedAt must be after startedAt/);
+            assert.deepStrictEqual(parseTimeEntryInput({ note: ' Review ' }, existing), { note: 'Review' });
+        });
+
+        it('should reject unknown fields and invalid dates', () => {
+            assert.throws(() => parseTimeEntryInput({ taskId: 3 }, {}), /Invalid Update Operation/);
+            assert.throws(() => parseTimeEntryInput({ startedAt: 'soon' }, {}), /Invalid startedAt date/);
+        });
+    });
+
+    describe('parseReportRange', () => {
+        
+        it('should default to the last 7 days', () => {
+            const now = new Date('2025-01-08T00:00:00Z');
+            const { from, to } = parseReportRange({}, now);
+            
+            assert.strictEqual(from.toISOString(), '2025-01-01T00:00:00.000Z');
+            assert.strictEqual(to, now);
+        });
+
+        it('should reject reversed and overly long periods', () => {
+            assert.throws(() => parseReportRange({ from: '2025-02-01', to: '2025-01-01' }), /from must be before to/);
+            assert.throws(() => parseReportRange({ from: '2023-01-01', to: '2025-01-01' }), /at most 366 days/);
+        });
+    });
+
+    describe('splitEntryByDay', () => {
+        
+        it('should split entries crossing midnight and clip them to the period', () => {
+            const entry = { startedAt: '2025-01-01T23:00:00Z', endedAt: '2025-01-02T01:30:00Z' };
+            const from = new Date('2025-01-01T23:30:00Z');
+            const to = new Date('2025-01-03T00:00:00Z');
+            
+            assert.deepStrictEqual(splitEntryByDay(entry, from, to), [
+                { date: '2025-01-01', seconds: 1800 },
+                { date: '2025-01-02', seconds: 5400 }
+            ]);
+        });
+    });
+
+    describe('buildTimeReport', () => {
+        
+        it('should aggregate by day, category and task', () => {
+            const tasksById = new Map([
+                [1, { taskId: 1, title: 'Write report', category: 'work' }],
+                [2, { taskId: 2, title: 'Gym', category: '' }]
+            ]);
+            const entries = [
+                { taskId: 1, startedAt: '2025-01-01T09:00:00Z', endedAt: '2025-01-01T10:00:00Z' },
+                { taskId: 1, startedAt: '2025-01-02T09:00:00Z', endedAt: '2025-01-02T09:30:00Z' },
+                { taskId: 2, startedAt: '2025-01-02T18:00:00Z', endedAt: '2025-01-02T18:15:00Z' }
+            ];
+            
+            const report = buildTimeReport(entries, tasksById, {
+                from: new Date('2025-01-01T00:00:00Z'),
+                to: new Date('2025-01-03T00:00:00Z')
+            });
+            
+            assert.strictEqual(report.totalSeconds, 6300);
+            assert.deepStrictEqual(report.byDay, [
+                { date: '2025-01-01', seconds: 3600 },
+                { date: '2025-01-02', seconds: 2700 }
+            ]);
+            assert.deepStrictEqual(report.byCategory, [
+                { category: 'work', seconds: 5400 },
+                { category: null, seconds: 900 }
+            ]);
+            assert.deepStrictEqual(report.byTask.map(row => [row.taskId, row.seconds]), [[1, 5400], [2, 900]]);
+        });
+    });
+
+    describe('buildTimeSummary', () => {
+        
+        it('should roll up tracked time and estimates across subtasks', () => {
+            const trackedSeconds = new Map([[1, 600], [2, 300], [3, 120]]);
+            const summary = buildTimeSummary(
+                { taskId: 1, estimatedMinutes: 30 },
+                [{ taskId: 2, estimatedMinutes: 15 }, { taskId: 3, estimatedMinutes: null }],
+                trackedSeconds
+            );
+            
+            assert.deepStrictEqual(summary, {
+                trackedSeconds: 600,
+                totalTrackedSeconds: 1020,
+                estimatedMinutes: 30,
+                totalEstimatedMinutes: 45
+            });
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Time Tracking Utilities Tests...');
+}
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for Timezone Utilities
+ */
+
+const assert = require('assert');
+const {
+    isValidTimezone,
+    toDayKey,
+    toLocalTime,
+    addDays,
+    formatLocalDate
+} = require('../../src/utils/timezoneUtils');
+
+describe('Timezone Utilities', () => {
+    
+    describe('isValidTimezone', () => {
+        
+        it('should accept IANA timezones', () => {
+            assert.strictEqual(isValidTimezone('Europe/Berlin'), true);
+            assert.strictEqual(isValidTimezone('UTC'), true);
+        });
+
+        it('should reject unknown timezones', () => {
+            assert.strictEqual(isValidTimezone('Mars/Olympus'), false);
+            assert.strictEqual(isValidTimezone(''), false);
+            assert.strictEqual(isValidTimezone(undefined), false);
+        });
+    });
+
+    describe('toDayKey', () => {
+        
+        it('should use the calendar day of the timezone', () => {
+            const date = new Date('2025-01-01T23:30:00Z');
+            assert.strictEqual(toDayKey(date, 'UTC'), '2025-01-01');
+            assert.strictEqual(toDayKey(date, 'Europe/Berlin'), '2025-01-02');
+            assert.strictEqual(toDayKey(date, 'America/New_York'), '2025-01-01');
+        });
+    });
+
+    describe('toLocalTime', () => {
+        
+        it('should use 24-hour times of the timezone', () => {
+            const date = new Date('2025-07-01T22:05:00Z');
+            assert.strictEqual(toLocalTime(date, 'UTC'), '22:05');
+            assert.strictEqual(toLocalTime(date, 'Europe/Berlin'), '00:05');
+        });
+    });
+
+    describe('addDays', () => {
+        
+        it('should move across month and year boundaries', () => {
+            assert.strictEqual(addDays('2024-02-28', 1), '2024-02-29');
+            assert.strictEqual(addDays('2025-01-01', -1), '2024-12-31');
+        });
+    });
+
+    describe('formatLocalDate', () => {
+        
+        it('should format the calendar date in the timezone', () => {
+            const date = new Date('2025-01-06T23:30:00Z');
+            assert.strictEqual(formatLocalDate(date), 'Mon, Jan 6');
+            assert.strictEqual(formatLocalDate(date, 'Europe/Berlin'), 'Tue, Jan 7');
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Timezone Utilities Tests...');
+}
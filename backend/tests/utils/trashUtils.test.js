@@ -0,0 +1,69 @@
+/**
+ * Unit tests for Trash Utilities
+ */
+
+const assert = require('assert');
+const {
+    DEFAULT_TRASH_RETENTION_DAYS,
+    getTrashRetentionDays,
+    getPurgeDate,
+    getPurgeCutoff
+} = require('../../src/utils/trashUtils');
+
+describe('Trash Utilities', () => {
+    
+    describe('getTrashRetentionDays', () => {
+        
+        it('should default to 30 days', () => {
+            assert.strictEqual(getTrashRetentionDays({}), DEFAULT_TRASH_RETENTION_DAYS);
+            assert.strictEqual(getTrashRetentionDays({ TRASH_RETENTION_DAYS: 'forever' }), DEFAULT_TRASH_RETENTION_DAYS);
+            assert.strictEqual(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '-1' }), DEFAULT_TRASH_RETENTION_DAYS);
+        });
+
+        it('should read the retention from the environment', () => {
+            assert.strictEqual(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '7' }), 7);
+            assert.strictEqual(getTrashRetentionDays({ TRASH_RETENTION_DAYS: '0' }), 0);
+        });
+    });
+
+    describe('getPurgeDate', () => {
+        
+        it('should add the retention to the deletion date', () => {
+            assert.deepStrictEqual(getPurgeDate(new Date('2025-01-01T12:00:00Z'), 7), new Date('2025-01-08T12:00:00Z'));
+        });
+
+        it('should return null when the purge is disabled', () => {
+            assert.strictEqual(getPurgeDate(new Date(), 0), null);
+        });
+    });
+
+    describe('getPurgeCutoff', () => {
+        
+        it('should subtract the retention from now', () => {
+            assert.deepStrictEqual(getPurgeCutoff(30, new Date('2025-03-31T00:00:00Z')), new Date('2025-03-01T00:00:00Z'));
+            assert.strictEqual(getPurgeCutoff(0), null);
+        });
+    });
+});
+
+// Simple test runner
+function describe(name, fn) {
+    console.log(`\n${name}`);
+    fn();
+}
+
+function it(name, fn) {
+    try {
+        fn();
+        console.log(`  ✓ ${name}`);
+    } catch (error) {
+        console.log(`  ✗ ${name}`);
+        console.error(`    ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Run the tests if this file is executed directly
+if (require.main === module) {
+    console.log('Running Trash Utilities Tests...');
+}
@@ -7,6 +7,8 @@ import SignUp from './components/auth/SignUp';
 import MobileLayout from './components/layout/MobileLayout';
 import TaskDetail from './components/tasks/TaskDetail';
 import Profile from './components/profile/Profile';
+import Trash from './components/trash/Trash';
+import Archive from './components/archive/Archive';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -67,6 +69,16 @@ function AppRoutes() {
           <Profile />
         </ProtectedRoute>
       } />
+      <Route path="/trash" element={
+        <ProtectedRoute>
+          <Trash />
+        </ProtectedRoute>
+      } />
+      <Route path="/archive" element={
+        <ProtectedRoute>
+          <Archive />
+        </ProtectedRoute>
+      } />
     </Routes>
   );
 }
@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { CheckCircle, Clock, Flame, AlertTriangle, TrendingUp } from 'lucide-react';
+import { format, parseISO } from 'date-fns';
+
+const PERIODS = [
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+  { days: 365, label: 'Year' }
+];
+
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const formatLeadTime = (hours) => {
+  if (hours === null) return '–';
+  if (hours < 24) return `${Math.round(hours)}h`;
+  return `${Math.round(hours / 24)}d`;
+};
+
+const StatCard = ({ icon: Icon, label, value, detail }) => (
+  <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+    <div className="flex items-center text-sm text-gray-500 mb-1">
+      <Icon className="h-4 w-4 mr-1" />
+      {label}
+    </div>
+    <p className="text-2xl font-bold text-gray-900">{value}</p>
+    {detail && <p className="text-xs text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+// Vertical bars for a daily series; long periods only label the first and last day
+const DailyChart = ({ title, series, barClassName, summary }) => {
+  const max = Math.max(1, ...series.map(day => day.count));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900 flex items-center">{title}</h3>
+        {summary && <span className="text-sm text-gray-500">{summary}</span>}
+      </div>
+      <div className="flex items-end h-32 space-x-px">
+        {series.map(day => (
+          <div
+            key={day.date}
+            className="flex-1 h-full flex items-end"
+            title={`${format(parseISO(day.date), 'MMM d')}: ${day.count}`}
+          >
+            <div className={`w-full rounded-t ${barClassName}`} style={{ height: `${(day.count / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      {series.length > 0 && (
+        <div className="flex justify-between text-xs text-gray-500 mt-1">
+          <span>{format(parseISO(series[0].date), 'MMM d')}</span>
+          <span>{format(parseISO(series[series.length - 1].date), 'MMM d')}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Breakdown = ({ title, rows, labelKey, emptyLabel }) => {
+  const max = Math.max(1, ...rows.map(row => row.completed + row.open));
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+      <h3 className="font-semibold text-gray-900 mb-3">{title}</h3>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No tasks yet</p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map(row => (
+            <div key={row[labelKey] || emptyLabel}>
+              <div className="flex items-center justify-between text-sm mb-1">
+                <span className="capitalize text-gray-700">{row[labelKey] || emptyLabel}</span>
+                <span className="text-gray-500">
+                  {row.completed} done{row.late > 0 && ` (${row.late} late)`} · {row.open} open
+                </span>
+              </div>
+              <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden flex">
+                <div className="h-full bg-primary-600" style={{ width: `${(row.completed / max) * 100}%` }} />
+                <div className="h-full bg-gray-400" style={{ width: `${(row.open / max) * 100}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Analytics = () => {
+  const { apiCall } = useAuth();
+  const [days, setDays] = useState(30);
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    try {
+      const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+      const params = new URLSearchParams({ from, timezone: TIMEZONE });
+      const response = await apiCall(`/api/users/me/stats?${params}`);
+      setStats(await response.json());
+      setError('');
+    } catch (error) {
+      console.error('Error fetching statistics:', error);
+      setError('Statistics could not be loaded');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, days]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-900">Analytics</h2>
+        <select
+          value={days}
+          onChange={(e) => setDays(parseInt(e.target.value))}
+          className="input-field text-sm w-auto"
+        >
+          {PERIODS.map(period => (
+            <option key={period.days} value={period.days}>{period.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {loading && !stats ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : stats && (
+        <>
+          <div className="grid grid-cols-2 gap-4">
+            <StatCard
+              icon={CheckCircle}
+              label="Completed"
+              value={stats.completions.total}
+              detail={`${stats.completions.byWeek.length} week(s) with completions`}
+            />
+            <StatCard
+              icon={TrendingUp}
+              label="On time"
+              value={stats.onTime.onTimeRate === null ? '–' : `${Math.round(stats.onTime.onTimeRate * 100)}%`}
+              detail={`${stats.onTime.late} completed late`}
+            />
+            <StatCard
+              icon={Clock}
+              label="Avg. lead time"
+              value={formatLeadTime(stats.averageLeadTimeHours)}
+              detail="From creation to completion"
+            />
+            <StatCard
+              icon={Flame}
+              label="Streak"
+              value={`${stats.streaks.current}d`}
+              detail={`Longest ${stats.streaks.longest} day(s)`}
+            />
+          </div>
+
+          <DailyChart title="Completed per day" series={stats.completions.byDay} barClassName="bg-primary-600" />
+
+          <DailyChart
+            title={(
+              <>
+                <AlertTriangle className="h-4 w-4 mr-1 text-amber-500" />
+                Overdue per day
+              </>
+            )}
+            summary={`${stats.overdue.endOfPeriod} overdue now`}
+            series={stats.overdue.byDay}
+            barClassName="bg-amber-400"
+          />
+
+          <Breakdown title="By priority" rows={stats.byPriority} labelKey="priority" emptyLabel="None" />
+          <Breakdown title="By category" rows={stats.byCategory} labelKey="category" emptyLabel="Uncategorized" />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Analytics;
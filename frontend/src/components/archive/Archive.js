@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { ArrowLeft, Archive as ArchiveIcon, ArchiveRestore, Search } from 'lucide-react';
+import { format } from 'date-fns';
+
+const PAGE_SIZE = 20;
+
+const Archive = () => {
+  const navigate = useNavigate();
+  const { apiCall } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [filters, setFilters] = useState({ q: '', archivedAfter: '', archivedBefore: '' });
+  const [appliedFilters, setAppliedFilters] = useState(filters);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const buildQuery = useCallback((cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (appliedFilters.q.trim()) params.set('q', appliedFilters.q.trim());
+    // Date inputs are whole days, so include the end of the last day
+    if (appliedFilters.archivedAfter) params.set('archivedAfter', new Date(`${appliedFilters.archivedAfter}T00:00:00`).toISOString());
+    if (appliedFilters.archivedBefore) params.set('archivedBefore', new Date(`${appliedFilters.archivedBefore}T23:59:59.999`).toISOString());
+    if (cursor) params.set('cursor', cursor);
+    return `/api/tasks/archived?${params.toString()}`;
+  }, [appliedFilters]);
+
+  const fetchArchive = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiCall(buildQuery(null));
+      const data = await response.json();
+      setTasks(data.tasks);
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+      setMessage('');
+    } catch (error) {
+      setMessage('The archive could not be loaded');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, buildQuery]);
+
+  useEffect(() => {
+    fetchArchive();
+  }, [fetchArchive]);
+
+  const loadMore = async () => {
+    try {
+      const response = await apiCall(buildQuery(nextCursor));
+      const data = await response.json();
+      setTasks(prev => [...prev, ...data.tasks]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      setMessage('More tasks could not be loaded');
+    }
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setAppliedFilters(filters);
+  };
+
+  const handleUnarchive = async (task) => {
+    try {
+      await apiCall(`/api/tasks/${task.taskId}/unarchive`, { method: 'POST', body: JSON.stringify({}) });
+      setTasks(prev => prev.filter(item => item.taskId !== task.taskId));
+      setTotal(prev => prev - 1);
+      setMessage(`"${task.title}" is back in your task list`);
+    } catch (error) {
+      setMessage('The task could not be unarchived');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center">
+          <button
+            onClick={() => navigate(-1)}
+            className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+          >
+            <ArrowLeft className="h-5 w-5" />
+          </button>
+          <h1 className="ml-4 text-xl font-bold text-gray-900">Archived Tasks</h1>
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-4">
+        <form onSubmit={handleSearch} className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 space-y-3">
+          <div className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={filters.q}
+              onChange={(e) => setFilters({ ...filters, q: e.target.value })}
+              className="input-field text-sm"
+              placeholder="Search archived tasks"
+            />
+            <button type="submit" className="btn-primary flex items-center text-sm">
+              <Search className="h-4 w-4 mr-1" />
+              Search
+            </button>
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+            <label className="text-sm text-gray-600">
+              Archived from
+              <input
+                type="date"
+                value={filters.archivedAfter}
+                onChange={(e) => setFilters({ ...filters, archivedAfter: e.target.value })}
+                className="input-field text-sm mt-1"
+              />
+            </label>
+            <label className="text-sm text-gray-600">
+              Archived until
+              <input
+                type="date"
+                value={filters.archivedBefore}
+                onChange={(e) => setFilters({ ...filters, archivedBefore: e.target.value })}
+                className="input-field text-sm mt-1"
+              />
+            </label>
+          </div>
+        </form>
+
+        {message && <p className="text-sm text-primary-600">{message}</p>}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : tasks.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <ArchiveIcon className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+            <p>No archived tasks found</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">{total} archived task{total !== 1 ? 's' : ''}</p>
+            {tasks.map((task) => (
+              <div
+                key={task.taskId}
+                className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex items-center justify-between"
+              >
+                <Link to={`/task/${task.taskId}`} className="min-w-0 hover:text-primary-600">
+                  <p className="font-medium text-gray-900 truncate">{task.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {task.completedAt && `Completed ${format(new Date(task.completedAt), 'MMM d, yyyy')} · `}
+                    Archived {format(new Date(task.archivedAt), 'MMM d, yyyy')}
+                  </p>
+                </Link>
+                <button
+                  onClick={() => handleUnarchive(task)}
+                  className="flex items-center text-sm px-3 py-2 ml-4 text-primary-600 hover:bg-primary-50 rounded-lg"
+                >
+                  <ArchiveRestore className="h-4 w-4 mr-1" />
+                  Unarchive
+                </button>
+              </div>
+            ))}
+            {nextCursor && (
+              <button onClick={loadMore} className="btn-secondary w-full text-sm">
+                Load more
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Archive;
@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { CheckCircle, Trash2, Calendar, Flag, Tag, CornerDownRight, X } from 'lucide-react';
+
+const BulkActionBar = ({ selectedCount, parentOptions, onAction, onCancel, disabled }) => {
+  const [activeField, setActiveField] = useState(null);
+  const [fieldValue, setFieldValue] = useState('');
+
+  const openField = (field, initialValue = '') => {
+    setActiveField(activeField === field ? null : field);
+    setFieldValue(initialValue);
+  };
+
+  const applyField = () => {
+    switch (activeField) {
+      case 'dueDate':
+      case 'priority':
+      case 'category':
+        onAction({ operation: 'update', updates: { [activeField]: fieldValue } });
+        break;
+      case 'parentId':
+        onAction({ operation: 'move', parentId: fieldValue === '' ? null : parseInt(fieldValue) });
+        break;
+      default:
+        return;
+    }
+    setActiveField(null);
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Move ${selectedCount} task${selectedCount !== 1 ? 's' : ''} and their subtasks to the trash?`)) {
+      onAction({ operation: 'delete', subtasks: 'cascade' });
+    }
+  };
+
+  const isEmpty = selectedCount === 0 || disabled;
+
+  return (
+    <div className="sticky top-0 z-20 bg-white border border-gray-200 rounded-lg shadow-md p-3 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-900">
+          {selectedCount} selected
+        </span>
+        <button
+          onClick={onCancel}
+          className="text-gray-500 hover:text-gray-700 p-1 rounded hover:bg-gray-100"
+          title="Exit selection"
+        >
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onAction({ operation: 'complete' })}
+          disabled={isEmpty}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <CheckCircle className="h-4 w-4 mr-1" />
+          Complete
+        </button>
+        <button
+          onClick={() => openField('dueDate', new Date().toISOString().split('T')[0])}
+          disabled={isEmpty}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <Calendar className="h-4 w-4 mr-1" />
+          Reschedule
+        </button>
+        <button
+          onClick={() => openField('priority', 'medium')}
+          disabled={isEmpty}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <Flag className="h-4 w-4 mr-1" />
+          Priority
+        </button>
+        <button
+          onClick={() => openField('category')}
+          disabled={isEmpty}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <Tag className="h-4 w-4 mr-1" />
+          Category
+        </button>
+        <button
+          onClick={() => openField('parentId')}
+          disabled={isEmpty}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <CornerDownRight className="h-4 w-4 mr-1" />
+          Move
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={isEmpty}
+          className="flex items-center text-sm px-3 py-2 rounded-lg text-red-600 hover:bg-red-50 disabled:opacity-50"
+        >
+          <Trash2 className="h-4 w-4 mr-1" />
+          Delete
+        </button>
+      </div>
+
+      {activeField && (
+        <div className="flex items-center space-x-2">
+          {activeField === 'dueDate' && (
+            <input
+              type="date"
+              value={fieldValue}
+              onChange={(e) => setFieldValue(e.target.value)}
+              className="input-field text-sm"
+            />
+          )}
+          {activeField === 'priority' && (
+            <select
+              value={fieldValue}
+              onChange={(e) => setFieldValue(e.target.value)}
+              className="input-field text-sm"
+            >
+              <option value="low">Low</option>
+              <option value="medium">Medium</option>
+              <option value="high">High</option>
+            </select>
+          )}
+          {activeField === 'category' && (
+            <input
+              type="text"
+              value={fieldValue}
+              onChange={(e) => setFieldValue(e.target.value)}
+              className="input-field text-sm"
+              placeholder="e.g., Work, Personal"
+            />
+          )}
+          {activeField === 'parentId' && (
+            <select
+              value={fieldValue}
+              onChange={(e) => setFieldValue(e.target.value)}
+              className="input-field text-sm"
+            >
+              <option value="">No parent (top-level)</option>
+              {parentOptions.map((task) => (
+                <option key={task.taskId} value={task.taskId}>{task.title}</option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={applyField}
+            disabled={isEmpty || (activeField === 'dueDate' && !fieldValue)}
+            className="btn-primary text-sm disabled:opacity-50"
+          >
+            Apply
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkActionBar;
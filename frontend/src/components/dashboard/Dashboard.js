@@ -1,23 +1,31 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
 import { 
   CheckCircle, 
   Clock, 
   Calendar,
   ChevronLeft,
-  ChevronRight
+  ChevronRight,
+  CheckSquare
 } from 'lucide-react';
 import TaskCard from '../tasks/TaskCard';
 import AddTaskModal from '../tasks/AddTaskModal';
+import BulkActionBar from './BulkActionBar';
+import { fetchAllPages } from '../../utils/pagination';
+import { connectTaskEvents, applyTaskEvent } from '../../utils/taskEvents';
 import { format, addDays, subDays, isToday, isSameDay } from 'date-fns';
 
-const Dashboard = () => {
-  const { user, loading: authLoading, apiCall } = useAuth();
+const Dashboard = ({ projectId = null }) => {
+  const { user, loading: authLoading, apiCall, openEventStream } = useAuth();
   const [tasks, setTasks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [showAddTask, setShowAddTask] = useState(false);
   const [hasInitialized, setHasInitialized] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date());
+  const [selectionMode, setSelectionMode] = useState(false);
+  const [selectedTaskIds, setSelectedTaskIds] = useState([]);
+  const [bulkLoading, setBulkLoading] = useState(false);
+  const refreshTimer = useRef(null);
 
 
 
@@ -36,13 +44,8 @@ const Dashboard = () => {
     try {
       setLoading(true);
       
-      const response = await apiCall('/api/tasks');
-      
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const tasksData = await response.json();
+      const tasksUrl = projectId ? `/api/projects/${projectId}/tasks` : '/api/tasks';
+      const tasksData = await fetchAllPages(apiCall, `${tasksUrl}?includeProgress=true`);
       setTasks(tasksData);
     } catch (error) {
       if (error.message === 'Authentication failed') {
@@ -54,7 +57,7 @@ const Dashboard = () => {
     } finally {
       setLoading(false);
     }
-  }, [apiCall]);
+  }, [apiCall, projectId]);
 
   // Add immediate fetch when component mounts
   useEffect(() => {
@@ -63,9 +66,40 @@ const Dashboard = () => {
     }
   }, [user, authLoading, fetchTasks]);
 
+  // Apply task changes made on other devices as they happen
+  useEffect(() => {
+    if (!user || authLoading) return undefined;
+
+    // The dashboard lists the top-level tasks that are not archived, optionally of one project
+    const isListed = task => task.parentId == null && !task.archivedAt && !task.deletedAt &&
+      (projectId == null || task.projectId === projectId);
+
+    // Subtask changes and deletions also change the progress of listed tasks,
+    // so reload the list once a burst of them is over
+    const scheduleRefresh = () => {
+      clearTimeout(refreshTimer.current);
+      refreshTimer.current = setTimeout(fetchTasks, 500);
+    };
+
+    const disconnect = connectTaskEvents(openEventStream, {
+      onEvent: (type, data) => {
+        setTasks(prev => applyTaskEvent(prev, type, data, isListed));
+        if (type === 'task.deleted' || data.task.parentId != null) {
+          scheduleRefresh();
+        }
+      },
+      onReconnect: fetchTasks
+    });
+
+    return () => {
+      disconnect();
+      clearTimeout(refreshTimer.current);
+    };
+  }, [user, authLoading, openEventStream, fetchTasks, projectId]);
+
   const handleTaskAdded = (newTask) => {
     // Immediately add the new task to the local state for instant UI update
-    setTasks(prev => [newTask, ...prev]);
+    setTasks(prev => [newTask, ...prev.filter(task => task.taskId !== newTask.taskId)]);
     
     // Also refresh from API to ensure consistency
     setTimeout(() => {
@@ -95,6 +129,43 @@ const Dashboard = () => {
     }, 100);
   };
 
+  const toggleTaskSelection = (taskId) => {
+    setSelectedTaskIds(prev => (
+      prev.includes(taskId) ? prev.filter(id => id !== taskId) : [...prev, taskId]
+    ));
+  };
+
+  const exitSelectionMode = () => {
+    setSelectionMode(false);
+    setSelectedTaskIds([]);
+  };
+
+  const handleBulkAction = async (payload) => {
+    if (selectedTaskIds.length === 0 || bulkLoading) return;
+
+    setBulkLoading(true);
+    try {
+      await apiCall('/api/tasks/bulk', {
+        method: 'POST',
+        body: JSON.stringify({ taskIds: selectedTaskIds, ...payload })
+      });
+      exitSelectionMode();
+      fetchTasks();
+    } catch (error) {
+      console.error('Error running bulk operation:', error);
+      const data = error.data || {};
+      const failures = (data.results || [])
+        .filter(result => !result.success)
+        .map(result => {
+          const task = tasks.find(t => t.taskId === result.taskId);
+          return `${task ? task.title : `Task ${result.taskId}`}: ${result.error}`;
+        });
+      window.alert([data.error || 'Bulk operation failed', ...failures].join('\n'));
+    } finally {
+      setBulkLoading(false);
+    }
+  };
+
   // Generate 7 days around selected date
   const getWeekDays = () => {
     const days = [];
@@ -262,8 +333,28 @@ const Dashboard = () => {
         <p className="text-gray-600 text-sm">
           {loading ? 'Loading tasks...' : `${currentDayTasks.length} task${currentDayTasks.length !== 1 ? 's' : ''} scheduled`}
         </p>
+        {currentDayTasks.length > 0 && !selectionMode && (
+          <button
+            onClick={() => setSelectionMode(true)}
+            className="mt-2 inline-flex items-center text-sm text-primary-600 hover:text-primary-800"
+          >
+            <CheckSquare className="h-4 w-4 mr-1" />
+            Select tasks
+          </button>
+        )}
       </div>
 
+      {/* Bulk Actions */}
+      {selectionMode && (
+        <BulkActionBar
+          selectedCount={selectedTaskIds.length}
+          parentOptions={tasks.filter(task => !selectedTaskIds.includes(task.taskId))}
+          onAction={handleBulkAction}
+          onCancel={exitSelectionMode}
+          disabled={bulkLoading}
+        />
+      )}
+
       {/* Tasks for Selected Date */}
       {currentDayTasks.length === 0 ? (
         <div className="text-center py-8">
@@ -288,6 +379,9 @@ const Dashboard = () => {
                     onTaskUpdated={handleTaskUpdated}
                     onTaskDeleted={handleTaskDeleted}
                     allowActions={isToday(selectedDate) && !task.isCompleted}
+                    selectable={selectionMode}
+                    selected={selectedTaskIds.includes(task.taskId)}
+                    onSelectToggle={() => toggleTaskSelection(task.taskId)}
                   />
                 ))}
               </div>
@@ -309,6 +403,9 @@ const Dashboard = () => {
                     onTaskUpdated={handleTaskUpdated}
                     onTaskDeleted={handleTaskDeleted}
                     allowActions={false}
+                    selectable={selectionMode}
+                    selected={selectedTaskIds.includes(task.taskId)}
+                    onSelectToggle={() => toggleTaskSelection(task.taskId)}
                   />
                 ))}
               </div>
@@ -320,6 +417,7 @@ const Dashboard = () => {
       {/* Add Task Modal */}
       {showAddTask && (
         <AddTaskModal
+          projectId={projectId}
           onClose={() => setShowAddTask(false)}
           onTaskAdded={handleTaskAdded}
         />
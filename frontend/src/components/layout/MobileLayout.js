@@ -1,13 +1,39 @@
-import React, { useState } from 'react';
-import { Home, Plus, BarChart3, User } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { Home, Plus, BarChart3, Bell, User } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
 import Dashboard from '../dashboard/Dashboard';
 import AddTaskModal from '../tasks/AddTaskModal';
 import Profile from '../profile/Profile';
+import ProjectSwitcher from '../projects/ProjectSwitcher';
+import Analytics from '../analytics/Analytics';
+import NotificationList from '../notifications/NotificationList';
+
+// How often the unread notification badge is refreshed
+const UNREAD_POLL_MS = 60 * 1000;
 
 const MobileLayout = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
   const [showAddTask, setShowAddTask] = useState(false);
   const [refreshKey, setRefreshKey] = useState(0);
+  const [selectedProjectId, setSelectedProjectId] = useState(null);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const { apiCall } = useAuth();
+
+  const fetchUnreadCount = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/notifications/unread-count');
+      const data = await response.json();
+      setUnreadCount(data.unreadCount);
+    } catch (error) {
+      console.error('Error fetching unread notifications:', error);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    fetchUnreadCount();
+    const timer = setInterval(fetchUnreadCount, UNREAD_POLL_MS);
+    return () => clearInterval(timer);
+  }, [fetchUnreadCount]);
   
   console.log('MobileLayout rendered with activeTab:', activeTab);
 
@@ -16,7 +42,15 @@ const MobileLayout = () => {
     switch (activeTab) {
       case 'dashboard':
         console.log('Rendering Dashboard component');
-        return <Dashboard key={refreshKey} />;
+        return (
+          <>
+            <ProjectSwitcher
+              selectedProjectId={selectedProjectId}
+              onSelect={setSelectedProjectId}
+            />
+            <Dashboard key={refreshKey} projectId={selectedProjectId} />
+          </>
+        );
       case 'add-task':
         console.log('Rendering Add Task component');
         return (
@@ -27,18 +61,15 @@ const MobileLayout = () => {
         );
       case 'analytics':
         console.log('Rendering Analytics component');
-        return (
-          <div className="p-4">
-            <h2 className="text-2xl font-bold text-gray-900 mb-4">Analytics</h2>
-            <p className="text-gray-600">Analytics dashboard will go here</p>
-          </div>
-        );
+        return <Analytics />;
+      case 'notifications':
+        return <NotificationList onUnreadCountChange={setUnreadCount} />;
       case 'profile':
         console.log('Rendering Profile component');
         return <Profile />;
       default:
         console.log('Rendering default Dashboard component');
-        return <Dashboard />;
+        return <Dashboard projectId={selectedProjectId} />;
     }
   };
 
@@ -89,6 +120,27 @@ const MobileLayout = () => {
             <span className="text-xs font-medium">Analytics</span>
           </button>
 
+          {/* Notifications Tab */}
+          <button
+            onClick={() => setActiveTab('notifications')}
+            className={`flex flex-col items-center py-2 px-3 rounded-lg transition-colors ${
+              activeTab === 'notifications'
+                ? 'text-primary-600 bg-primary-50'
+                : 'text-gray-500 hover:text-gray-700'
+            }`}
+            aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+          >
+            <div className="relative mb-1">
+              <Bell className="h-6 w-6" />
+              {unreadCount > 0 && (
+                <span className="absolute -top-1 -right-2 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] font-bold leading-[1.1rem] text-center">
+                  {unreadCount > 99 ? '99+' : unreadCount}
+                </span>
+              )}
+            </div>
+            <span className="text-xs font-medium">Alerts</span>
+          </button>
+
           {/* Profile Tab */}
           <button
             onClick={() => {
@@ -110,6 +162,7 @@ const MobileLayout = () => {
       {/* Add Task Modal */}
       {showAddTask && (
         <AddTaskModal
+          projectId={selectedProjectId}
           onClose={() => setShowAddTask(false)}
           onTaskAdded={(newTask) => {
             setShowAddTask(false);
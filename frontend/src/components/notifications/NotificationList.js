@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { Bell, AlertTriangle, Repeat, ShieldAlert, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+
+const PAGE_SIZE = 20;
+
+const TYPE_ICONS = {
+  reminder: { icon: Bell, className: 'text-primary-600 bg-primary-50' },
+  overdue: { icon: AlertTriangle, className: 'text-amber-600 bg-amber-50' },
+  recurring: { icon: Repeat, className: 'text-blue-600 bg-blue-50' },
+  security: { icon: ShieldAlert, className: 'text-red-600 bg-red-50' }
+};
+
+const NotificationList = ({ onUnreadCountChange }) => {
+  const navigate = useNavigate();
+  const { apiCall } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const updateUnreadCount = useCallback((count) => {
+    setUnreadCount(count);
+    if (onUnreadCountChange) onUnreadCountChange(count);
+  }, [onUnreadCountChange]);
+
+  const buildQuery = useCallback((cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (unreadOnly) params.set('unread', 'true');
+    if (cursor) params.set('cursor', cursor);
+    return `/api/notifications?${params.toString()}`;
+  }, [unreadOnly]);
+
+  const fetchNotifications = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiCall(buildQuery(null));
+      const data = await response.json();
+      setNotifications(data.notifications);
+      setNextCursor(data.nextCursor);
+      updateUnreadCount(data.unreadCount);
+      setMessage('');
+    } catch (error) {
+      setMessage('Notifications could not be loaded');
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall, buildQuery, updateUnreadCount]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  const loadMore = async () => {
+    try {
+      const response = await apiCall(buildQuery(nextCursor));
+      const data = await response.json();
+      setNotifications(prev => [...prev, ...data.notifications]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      setMessage('More notifications could not be loaded');
+    }
+  };
+
+  const markRead = async (notification) => {
+    if (notification.readAt) return;
+
+    const response = await apiCall(`/api/notifications/${notification.notificationId}/read`, {
+      method: 'POST',
+      body: JSON.stringify({})
+    });
+    const data = await response.json();
+    setNotifications(prev => prev.map(item => (
+      item.notificationId === notification.notificationId ? data.notification : item
+    )));
+    updateUnreadCount(data.unreadCount);
+  };
+
+  const handleOpen = async (notification) => {
+    try {
+      await markRead(notification);
+    } catch (error) {
+      console.error('Error marking notification as read:', error);
+    }
+
+    if (notification.taskId) {
+      navigate(`/task/${notification.taskId}`);
+    }
+  };
+
+  const handleReadAll = async () => {
+    try {
+      const response = await apiCall('/api/notifications/read-all', { method: 'POST', body: JSON.stringify({}) });
+      const data = await response.json();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => (unreadOnly ? [] : prev.map(item => ({ ...item, readAt: item.readAt || readAt }))));
+      setNextCursor(unreadOnly ? null : nextCursor);
+      updateUnreadCount(data.unreadCount);
+    } catch (error) {
+      setMessage('Notifications could not be marked as read');
+    }
+  };
+
+  return (
+    <div className="p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-2xl font-bold text-gray-900">Notifications</h2>
+        <button
+          onClick={handleReadAll}
+          disabled={unreadCount === 0}
+          className="btn-secondary flex items-center text-sm disabled:opacity-50"
+        >
+          <CheckCheck className="h-4 w-4 mr-1" />
+          Mark all read
+        </button>
+      </div>
+
+      <div className="flex space-x-2">
+        {[false, true].map(option => (
+          <button
+            key={String(option)}
+            onClick={() => setUnreadOnly(option)}
+            className={`px-3 py-1 text-sm rounded-full transition-colors ${
+              unreadOnly === option ? 'bg-primary-600 text-white' : 'bg-white text-gray-600 border border-gray-200'
+            }`}
+          >
+            {option ? `Unread (${unreadCount})` : 'All'}
+          </button>
+        ))}
+      </div>
+
+      {message && <p className="text-sm text-red-600">{message}</p>}
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : notifications.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <Bell className="h-10 w-10 mx-auto mb-2 text-gray-300" />
+          <p>{unreadOnly ? 'You are all caught up' : 'No notifications yet'}</p>
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 divide-y divide-gray-100">
+          {notifications.map((notification) => {
+            const { icon: Icon, className } = TYPE_ICONS[notification.type] || TYPE_ICONS.reminder;
+
+            return (
+              <button
+                key={notification.notificationId}
+                onClick={() => handleOpen(notification)}
+                className={`w-full flex items-start p-4 text-left hover:bg-gray-50 transition-colors ${
+                  notification.readAt ? '' : 'bg-primary-50'
+                }`}
+              >
+                <div className={`p-2 rounded-full mr-3 flex-shrink-0 ${className}`}>
+                  <Icon className="h-4 w-4" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm ${notification.readAt ? 'text-gray-700' : 'font-semibold text-gray-900'}`}>
+                    {notification.title}
+                  </p>
+                  {notification.message && (
+                    <p className="text-sm text-gray-500">{notification.message}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">
+                    {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                  </p>
+                </div>
+                {!notification.readAt && (
+                  <span className="h-2 w-2 mt-2 ml-2 rounded-full bg-primary-600 flex-shrink-0" />
+                )}
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      {nextCursor && !loading && (
+        <button onClick={loadMore} className="btn-secondary w-full text-sm">
+          Load more
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default NotificationList;
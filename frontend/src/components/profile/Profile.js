@@ -13,9 +13,43 @@ import {
   CheckCircle,
   AlertCircle,
   LogOut,
-  Trash2
+  Trash2,
+  ListChecks,
+  FolderOpen,
+  ChevronRight,
+  Archive
 } from 'lucide-react';
 
+const COMPLETION_POLICY_OPTIONS = [
+  {
+    name: 'autoCompleteParent',
+    title: 'Auto-complete parent tasks',
+    description: 'Complete a task when its last open subtask is completed'
+  },
+  {
+    name: 'blockIncompleteParent',
+    title: 'Require subtasks first',
+    description: 'Prevent completing a task that still has open subtasks'
+  },
+  {
+    name: 'reopenParentOnNewSubtask',
+    title: 'Reopen on new subtask',
+    description: 'Reopen a completed task when a subtask is added to it'
+  },
+  {
+    name: 'blockOnOpenDependencies',
+    title: 'Respect dependencies',
+    description: 'Prevent completing a task while the tasks blocking it are still open'
+  }
+];
+
+const DEVICE_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// Every IANA timezone the browser knows, falling back to the device timezone
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [DEVICE_TIMEZONE];
+
 const Profile = () => {
   console.log('Profile component rendered'); // Debug log
   const navigate = useNavigate();
@@ -40,7 +74,22 @@ const Profile = () => {
   // Notification settings state
   const [notificationSettings, setNotificationSettings] = useState({
     emailEnabled: user?.emailEnabled || false,
-    notificationTime: user?.notificationTime || '09:00 AM'
+    notificationTime: user?.notificationTime || '09:00',
+    timezone: user?.timezone || DEVICE_TIMEZONE
+  });
+  
+  // Task completion policy state
+  const [completionPolicy, setCompletionPolicy] = useState({
+    autoCompleteParent: user?.completionPolicy?.autoCompleteParent || false,
+    blockIncompleteParent: user?.completionPolicy?.blockIncompleteParent || false,
+    reopenParentOnNewSubtask: user?.completionPolicy?.reopenParentOnNewSubtask || false,
+    blockOnOpenDependencies: user?.completionPolicy?.blockOnOpenDependencies || false
+  });
+  
+  // Archive policy state
+  const [archivePolicy, setArchivePolicy] = useState({
+    autoArchive: user?.archivePolicy?.autoArchive || false,
+    archiveAfterDays: user?.archivePolicy?.archiveAfterDays || 14
   });
   
   // UI state
@@ -60,7 +109,18 @@ const Profile = () => {
       });
       setNotificationSettings({
         emailEnabled: user.emailEnabled || false,
-        notificationTime: user.notificationTime || '09:00'
+        notificationTime: user.notificationTime || '09:00',
+        timezone: user.timezone || DEVICE_TIMEZONE
+      });
+      setCompletionPolicy({
+        autoCompleteParent: user.completionPolicy?.autoCompleteParent || false,
+        blockIncompleteParent: user.completionPolicy?.blockIncompleteParent || false,
+        reopenParentOnNewSubtask: user.completionPolicy?.reopenParentOnNewSubtask || false,
+        blockOnOpenDependencies: user.completionPolicy?.blockOnOpenDependencies || false
+      });
+      setArchivePolicy({
+        autoArchive: user.archivePolicy?.autoArchive || false,
+        archiveAfterDays: user.archivePolicy?.archiveAfterDays || 14
       });
     }
   }, [user]);
@@ -187,6 +247,78 @@ const Profile = () => {
     }
   };
 
+  const handleCompletionPolicyChange = (e) => {
+    const { name, checked } = e.target;
+    setCompletionPolicy(prev => ({
+      ...prev,
+      [name]: checked
+    }));
+  };
+
+  const updateCompletionPolicy = async () => {
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await apiCall('/api/users/me', {
+        method: 'PATCH',
+        body: JSON.stringify({ completionPolicy })
+      });
+
+      if (response.ok) {
+        const updatedUser = await response.json();
+        updateUser(updatedUser);
+        setMessage({ type: 'success', text: 'Subtask settings updated successfully!' });
+      } else {
+        const error = await response.json();
+        setMessage({ type: 'error', text: error.message || 'Failed to update subtask settings' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to update subtask settings' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleArchivePolicyChange = (e) => {
+    const { name, type, checked, value } = e.target;
+    setArchivePolicy(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+  };
+
+  const updateArchivePolicy = async () => {
+    const archiveAfterDays = parseInt(archivePolicy.archiveAfterDays);
+    if (isNaN(archiveAfterDays) || archiveAfterDays < 1 || archiveAfterDays > 365) {
+      setMessage({ type: 'error', text: 'Archive after must be between 1 and 365 days' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage({ type: '', text: '' });
+
+    try {
+      const response = await apiCall('/api/users/me', {
+        method: 'PATCH',
+        body: JSON.stringify({ archivePolicy: { ...archivePolicy, archiveAfterDays } })
+      });
+
+      if (response.ok) {
+        const updatedUser = await response.json();
+        updateUser(updatedUser);
+        setMessage({ type: 'success', text: 'Archive settings updated successfully!' });
+      } else {
+        const error = await response.json();
+        setMessage({ type: 'error', text: error.message || 'Failed to update archive settings' });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: 'Failed to update archive settings' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (window.confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
       setLoading(true);
@@ -429,12 +561,42 @@ const Profile = () => {
                 </div>
                 
                 {notificationSettings.emailEnabled && (
-                  <div>
-                    <label htmlFor="notificationTime" className="block text-sm font-medium text-gray-700 mb-1">
-                      Notification Time
-                    </label>
-                    <p className="text-sm text-gray-500 mt-1">
-                      All the notifications will be sent at 9:00 AM every day.
+                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <div>
+                      <label htmlFor="notificationTime" className="block text-sm font-medium text-gray-700 mb-1">
+                        Notification Time
+                      </label>
+                      <input
+                        type="time"
+                        id="notificationTime"
+                        name="notificationTime"
+                        value={notificationSettings.notificationTime}
+                        onChange={handleNotificationChange}
+                        className="input-field"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label htmlFor="timezone" className="block text-sm font-medium text-gray-700 mb-1">
+                        Timezone
+                      </label>
+                      <select
+                        id="timezone"
+                        name="timezone"
+                        value={notificationSettings.timezone}
+                        onChange={handleNotificationChange}
+                        className="input-field"
+                      >
+                        {!TIMEZONES.includes(notificationSettings.timezone) && (
+                          <option value={notificationSettings.timezone}>{notificationSettings.timezone}</option>
+                        )}
+                        {TIMEZONES.map(timezone => (
+                          <option key={timezone} value={timezone}>{timezone}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <p className="text-sm text-gray-500 sm:col-span-2">
+                      A digest of the tasks due today, overdue tasks and upcoming high-priority tasks is emailed every day at this time. Days with nothing due are skipped.
                     </p>
                   </div>
                 )}
@@ -457,6 +619,157 @@ const Profile = () => {
             </div>
           </div>
 
+          {/* Completion Settings */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <ListChecks className="h-5 w-5 mr-2" />
+                Completion Settings
+              </h2>
+            </div>
+            
+            <div className="p-6">
+              <div className="space-y-4">
+                {COMPLETION_POLICY_OPTIONS.map((option) => (
+                  <div key={option.name} className="flex items-center justify-between">
+                    <div>
+                      <h3 className="text-sm font-medium text-gray-900">{option.title}</h3>
+                      <p className="text-sm text-gray-500">{option.description}</p>
+                    </div>
+                    <label className="relative inline-flex items-center cursor-pointer">
+                      <input
+                        type="checkbox"
+                        name={option.name}
+                        checked={completionPolicy[option.name]}
+                        onChange={handleCompletionPolicyChange}
+                        className="sr-only peer"
+                      />
+                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                    </label>
+                  </div>
+                ))}
+                
+                <div className="flex justify-end">
+                  <button
+                    onClick={updateCompletionPolicy}
+                    disabled={loading}
+                    className="btn-primary flex items-center"
+                  >
+                    {loading ? (
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    ) : (
+                      <Save className="h-4 w-4 mr-2" />
+                    )}
+                    Save Settings
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Archive Settings */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <Archive className="h-5 w-5 mr-2" />
+                Archive Settings
+              </h2>
+            </div>
+            
+            <div className="p-6">
+              <div className="space-y-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-900">Auto-archive completed tasks</h3>
+                    <p className="text-sm text-gray-500">Move tasks to the archive once they have been completed for a while</p>
+                  </div>
+                  <label className="relative inline-flex items-center cursor-pointer">
+                    <input
+                      type="checkbox"
+                      name="autoArchive"
+                      checked={archivePolicy.autoArchive}
+                      onChange={handleArchivePolicyChange}
+                      className="sr-only peer"
+                    />
+                    <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
+                  </label>
+                </div>
+                
+                {archivePolicy.autoArchive && (
+                  <div>
+                    <label htmlFor="archiveAfterDays" className="block text-sm font-medium text-gray-700 mb-1">
+                      Archive after (days)
+                    </label>
+                    <input
+                      type="number"
+                      id="archiveAfterDays"
+                      name="archiveAfterDays"
+                      min="1"
+                      max="365"
+                      value={archivePolicy.archiveAfterDays}
+                      onChange={handleArchivePolicyChange}
+                      className="input-field w-32"
+                    />
+                  </div>
+                )}
+                
+                <div className="flex justify-end">
+                  <button
+                    onClick={updateArchivePolicy}
+                    disabled={loading}
+                    className="btn-primary flex items-center"
+                  >
+                    {loading ? (
+                      <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                    ) : (
+                      <Save className="h-4 w-4 mr-2" />
+                    )}
+                    Save Settings
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+
+          {/* Task Storage */}
+          <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+                <FolderOpen className="h-5 w-5 mr-2" />
+                Task Storage
+              </h2>
+            </div>
+
+            <div className="divide-y divide-gray-200">
+              <button
+                onClick={() => navigate('/archive')}
+                className="w-full px-6 py-4 flex items-center justify-between text-left hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-center">
+                  <Archive className="h-5 w-5 mr-3 text-gray-500" />
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-900">Archived</h3>
+                    <p className="text-sm text-gray-500">Browse and search completed tasks you archived</p>
+                  </div>
+                </div>
+                <ChevronRight className="h-5 w-5 text-gray-400" />
+              </button>
+              <button
+                onClick={() => navigate('/trash')}
+                className="w-full px-6 py-4 flex items-center justify-between text-left hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-center">
+                  <Trash2 className="h-5 w-5 mr-3 text-gray-500" />
+                  <div>
+                    <h3 className="text-sm font-medium text-gray-900">Trash</h3>
+                    <p className="text-sm text-gray-500">Restore deleted tasks or delete them forever</p>
+                  </div>
+                </div>
+                <ChevronRight className="h-5 w-5 text-gray-400" />
+              </button>
+            </div>
+          </div>
+
           {/* Account Actions */}
           <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
             <div className="px-6 py-4 border-b border-gray-200">
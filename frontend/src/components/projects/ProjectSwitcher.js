@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Folder, ChevronDown, Plus, Archive, Trash2, Check, X } from 'lucide-react';
+
+const PROJECT_COLORS = ['#7c3aed', '#2563eb', '#059669', '#d97706', '#dc2626', '#db2777', '#6b7280'];
+
+const ProjectSwitcher = ({ selectedProjectId, onSelect }) => {
+  const { apiCall } = useAuth();
+  const [projects, setProjects] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newProject, setNewProject] = useState({ name: '', color: PROJECT_COLORS[0] });
+  const [showDeletePanel, setShowDeletePanel] = useState(false);
+  const [deleteMode, setDeleteMode] = useState('unassign');
+  const [moveTargetId, setMoveTargetId] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchProjects = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/projects');
+      if (response.ok) {
+        setProjects(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching projects:', error);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    fetchProjects();
+  }, [fetchProjects]);
+
+  const selectedProject = projects.find(project => project.projectId === selectedProjectId) || null;
+  const otherProjects = projects.filter(project => project.projectId !== selectedProjectId);
+
+  const selectProject = (projectId) => {
+    onSelect(projectId);
+    setIsOpen(false);
+    setShowDeletePanel(false);
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newProject.name.trim()) return;
+
+    try {
+      const response = await apiCall('/api/projects', {
+        method: 'POST',
+        body: JSON.stringify(newProject)
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to create project');
+      }
+
+      const project = await response.json();
+      setProjects(prev => [...prev, { ...project, openTaskCount: 0 }]);
+      setNewProject({ name: '', color: PROJECT_COLORS[0] });
+      setShowCreateForm(false);
+      setError('');
+      selectProject(project.projectId);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleArchive = async () => {
+    if (!selectedProject) return;
+
+    try {
+      const response = await apiCall(`/api/projects/${selectedProject.projectId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ archived: true })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to archive project');
+      }
+
+      setProjects(prev => prev.filter(project => project.projectId !== selectedProject.projectId));
+      selectProject(null);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedProject) return;
+
+    const tasksParam = deleteMode === 'move' ? `move:${moveTargetId}` : deleteMode;
+
+    try {
+      const response = await apiCall(`/api/projects/${selectedProject.projectId}?tasks=${tasksParam}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to delete project');
+      }
+
+      setProjects(prev => prev.filter(project => project.projectId !== selectedProject.projectId));
+      setDeleteMode('unassign');
+      setMoveTargetId('');
+      selectProject(deleteMode === 'move' ? parseInt(moveTargetId) : null);
+      fetchProjects();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="px-4 pt-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setIsOpen(!isOpen)}
+          className="flex items-center space-x-2 px-3 py-2 bg-white border border-gray-200 rounded-lg text-sm font-medium text-gray-900 hover:bg-gray-50"
+        >
+          {selectedProject ? (
+            <span className="h-3 w-3 rounded-full" style={{ backgroundColor: selectedProject.color }} />
+          ) : (
+            <Folder className="h-4 w-4 text-gray-500" />
+          )}
+          <span>{selectedProject ? selectedProject.name : 'All tasks'}</span>
+          <ChevronDown className="h-4 w-4 text-gray-500" />
+        </button>
+
+        {selectedProject && (
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={handleArchive}
+              className="p-2 text-gray-500 hover:text-gray-700 rounded-lg hover:bg-gray-100"
+              title="Archive project"
+            >
+              <Archive className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setShowDeletePanel(!showDeletePanel)}
+              className="p-2 text-red-500 hover:text-red-700 rounded-lg hover:bg-red-50"
+              title="Delete project"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+
+      {isOpen && (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-md divide-y divide-gray-100">
+          <button
+            onClick={() => selectProject(null)}
+            className="w-full flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+          >
+            <span className="flex items-center space-x-2">
+              <Folder className="h-4 w-4 text-gray-500" />
+              <span>All tasks</span>
+            </span>
+            {selectedProjectId === null && <Check className="h-4 w-4 text-primary-600" />}
+          </button>
+
+          {projects.map((project) => (
+            <button
+              key={project.projectId}
+              onClick={() => selectProject(project.projectId)}
+              className="w-full flex items-center justify-between px-3 py-2 text-sm text-gray-700 hover:bg-gray-50"
+            >
+              <span className="flex items-center space-x-2">
+                <span className="h-3 w-3 rounded-full" style={{ backgroundColor: project.color }} />
+                <span>{project.name}</span>
+                <span className="text-xs text-gray-400">{project.openTaskCount}</span>
+              </span>
+              {selectedProjectId === project.projectId && <Check className="h-4 w-4 text-primary-600" />}
+            </button>
+          ))}
+
+          {showCreateForm ? (
+            <form onSubmit={handleCreate} className="p-3 space-y-2">
+              <input
+                type="text"
+                value={newProject.name}
+                onChange={(e) => setNewProject({ ...newProject, name: e.target.value })}
+                className="input-field text-sm"
+                placeholder="Project name"
+                autoFocus
+              />
+              <div className="flex items-center justify-between">
+                <div className="flex space-x-1">
+                  {PROJECT_COLORS.map((color) => (
+                    <button
+                      key={color}
+                      type="button"
+                      onClick={() => setNewProject({ ...newProject, color })}
+                      className={`h-5 w-5 rounded-full ${newProject.color === color ? 'ring-2 ring-offset-1 ring-gray-400' : ''}`}
+                      style={{ backgroundColor: color }}
+                      title={color}
+                    />
+                  ))}
+                </div>
+                <div className="flex space-x-1">
+                  <button
+                    type="button"
+                    onClick={() => setShowCreateForm(false)}
+                    className="p-1 text-gray-500 hover:text-gray-700"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={!newProject.name.trim()}
+                    className="btn-primary text-sm disabled:opacity-50"
+                  >
+                    Create
+                  </button>
+                </div>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={() => setShowCreateForm(true)}
+              className="w-full flex items-center px-3 py-2 text-sm text-primary-600 hover:bg-gray-50"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New project
+            </button>
+          )}
+        </div>
+      )}
+
+      {showDeletePanel && selectedProject && (
+        <div className="bg-white border border-red-200 rounded-lg p-3 space-y-2">
+          <p className="text-sm font-medium text-gray-900">
+            Delete "{selectedProject.name}"? What should happen to its tasks?
+          </p>
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={deleteMode === 'unassign'}
+              onChange={() => setDeleteMode('unassign')}
+            />
+            <span>Keep them without a project</span>
+          </label>
+          {otherProjects.length > 0 && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                checked={deleteMode === 'move'}
+                onChange={() => setDeleteMode('move')}
+              />
+              <span>Move them to</span>
+              <select
+                value={moveTargetId}
+                onChange={(e) => {
+                  setMoveTargetId(e.target.value);
+                  setDeleteMode('move');
+                }}
+                className="input-field text-sm py-1"
+              >
+                <option value="">Choose a project</option>
+                {otherProjects.map((project) => (
+                  <option key={project.projectId} value={project.projectId}>{project.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <label className="flex items-center space-x-2 text-sm text-red-600">
+            <input
+              type="radio"
+              checked={deleteMode === 'delete'}
+              onChange={() => setDeleteMode('delete')}
+            />
+            <span>Delete them and their subtasks</span>
+          </label>
+          <div className="flex justify-end space-x-2">
+            <button
+              onClick={() => setShowDeletePanel(false)}
+              className="btn-secondary text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleDelete}
+              disabled={deleteMode === 'move' && !moveTargetId}
+              className="text-sm px-3 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+            >
+              Delete project
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
@@ -1,8 +1,12 @@
 import React, { useState } from 'react';
 import { useAuth } from '../../contexts/AuthContext';
-import { X, Calendar, Flag, Tag, Repeat, Link, Plus, Trash2, FileText } from 'lucide-react';
+import { X, Calendar, Flag, Tag, Tags, Link, Plus, Trash2, FileText } from 'lucide-react';
+import RecurrenceRuleBuilder from './RecurrenceRuleBuilder';
+import ReminderPicker from './ReminderPicker';
+import { serializeRecurrence } from '../../utils/recurrence';
+import { serializeReminders } from '../../utils/reminders';
 
-const AddTaskModal = ({ onClose, onTaskAdded }) => {
+const AddTaskModal = ({ onClose, onTaskAdded, projectId = null }) => {
   const { apiCall } = useAuth();
   const [formData, setFormData] = useState({
     title: '',
@@ -10,7 +14,11 @@ const AddTaskModal = ({ onClose, onTaskAdded }) => {
     dueDate: new Date().toISOString().split('T')[0],
     priority: 'medium',
     category: '',
-    repeatType: 'none',
+    tags: '',
+    estimatedMinutes: '',
+    recurrence: null,
+    repeatSubtasks: false,
+    reminders: [],
     links: [],
     additionalNotes: ''
   });
@@ -79,8 +87,11 @@ const AddTaskModal = ({ onClose, onTaskAdded }) => {
       // Create task data with new fields (backend will ignore unsupported fields)
       const taskData = {
         ...formData,
+        ...serializeRecurrence(formData.recurrence),
+        ...serializeReminders(formData.reminders),
         links: validLinks,
-        dueDate: dueDate.toISOString()
+        dueDate: dueDate.toISOString(),
+        projectId
       };
       
       const response = await apiCall('/api/tasks', {
@@ -224,30 +235,71 @@ const AddTaskModal = ({ onClose, onTaskAdded }) => {
                     />
                   </div>
                 </div>
-              </div>
 
-              {/* Repeat Type */}
-              <div>
-                <label htmlFor="repeatType" className="block text-sm font-medium text-gray-700 mb-1">
-                  Repeat
-                </label>
-                <div className="relative">
-                  <Repeat className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
-                  <select
-                    id="repeatType"
-                    name="repeatType"
-                    value={formData.repeatType}
+                {/* Tags */}
+                <div>
+                  <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
+                    Tags
+                  </label>
+                  <div className="relative">
+                    <Tags className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+                    <input
+                      type="text"
+                      id="tags"
+                      name="tags"
+                      value={formData.tags}
+                      onChange={handleChange}
+                      className="input-field pl-10"
+                      placeholder="Comma separated, e.g., urgent, client-a"
+                    />
+                  </div>
+                </div>
+
+                {/* Time Estimate */}
+                <div>
+                  <label htmlFor="estimatedMinutes" className="block text-sm font-medium text-gray-700 mb-1">
+                    Estimate (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    id="estimatedMinutes"
+                    name="estimatedMinutes"
+                    value={formData.estimatedMinutes}
                     onChange={handleChange}
-                    className="input-field pl-10"
-                  >
-                    <option value="none">No Repeat</option>
-                    <option value="daily">Daily</option>
-                    <option value="weekly">Weekly</option>
-                    <option value="monthly">Monthly</option>
-                  </select>
+                    className="input-field"
+                    placeholder="Optional"
+                  />
                 </div>
               </div>
 
+              {/* Recurrence */}
+              <div>
+                <RecurrenceRuleBuilder
+                  value={formData.recurrence}
+                  onChange={(recurrence) => setFormData({ ...formData, recurrence })}
+                  dueDate={formData.dueDate}
+                />
+                {formData.recurrence && (
+                  <label className="flex items-center mt-2 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      name="repeatSubtasks"
+                      checked={formData.repeatSubtasks}
+                      onChange={(e) => setFormData({ ...formData, repeatSubtasks: e.target.checked })}
+                      className="h-4 w-4 mr-2 rounded border-gray-300 text-primary-600"
+                    />
+                    Copy subtasks to each new occurrence
+                  </label>
+                )}
+              </div>
+
+              {/* Reminders */}
+              <ReminderPicker
+                value={formData.reminders}
+                onChange={(reminders) => setFormData({ ...formData, reminders })}
+              />
+
               {/* Links Section */}
               <div>
                 <div className="flex items-center justify-between mb-2">
@@ -0,0 +1,148 @@
+import React from 'react';
+
+// Small markdown subset for comments: paragraphs, headings, lists, quotes, fenced code,
+// and inline code, bold, italic and links. Output is built from React elements, so
+// user content is never injected as HTML.
+
+const INLINE_PATTERN = /(`[^`\n]+`)|(\*\*[^*\n]+\*\*)|(\*[^*\n]+\*|_[^_\n]+_)|(\[[^\]\n]+\]\([^)\s]+\))/g;
+
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+const renderInline = (text, keyPrefix) => {
+  const nodes = [];
+  let lastIndex = 0;
+  let match;
+
+  INLINE_PATTERN.lastIndex = 0;
+  while ((match = INLINE_PATTERN.exec(text)) !== null) {
+    if (match.index > lastIndex) {
+      nodes.push(text.slice(lastIndex, match.index));
+    }
+
+    const token = match[0];
+    const key = `${keyPrefix}-${match.index}`;
+    if (match[1]) {
+      nodes.push(<code key={key} className="px-1 py-0.5 rounded bg-gray-100 text-sm font-mono">{token.slice(1, -1)}</code>);
+    } else if (match[2]) {
+      nodes.push(<strong key={key}>{token.slice(2, -2)}</strong>);
+    } else if (match[3]) {
+      nodes.push(<em key={key}>{token.slice(1, -1)}</em>);
+    } else {
+      const [, label, url] = token.match(/^\[([^\]]+)\]\(([^)]+)\)$/);
+      nodes.push(SAFE_URL.test(url) ? (
+        <a key={key} href={url} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:text-blue-800 underline">
+          {label}
+        </a>
+      ) : token);
+    }
+    lastIndex = match.index + token.length;
+  }
+
+  if (lastIndex < text.length) {
+    nodes.push(text.slice(lastIndex));
+  }
+  return nodes;
+};
+
+// Keep single line breaks inside paragraphs
+const renderLines = (lines, keyPrefix) => lines.flatMap((line, index) => [
+  ...(index > 0 ? [<br key={`${keyPrefix}-br-${index}`} />] : []),
+  ...renderInline(line, `${keyPrefix}-${index}`)
+]);
+
+const parseBlocks = (source) => {
+  const lines = source.replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  const collect = (pattern) => {
+    const items = [];
+    while (index < lines.length && pattern.test(lines[index])) {
+      items.push(lines[index].replace(pattern, ''));
+      index += 1;
+    }
+    return items;
+  };
+
+  while (index < lines.length) {
+    const line = lines[index];
+
+    if (line.trim() === '') {
+      index += 1;
+    } else if (line.startsWith('```')) {
+      const code = [];
+      index += 1;
+      while (index < lines.length && !lines[index].startsWith('```')) {
+        code.push(lines[index]);
+        index += 1;
+      }
+      index += 1;
+      blocks.push({ type: 'code', text: code.join('\n') });
+    } else if (/^#{1,3}\s/.test(line)) {
+      const [, hashes, text] = line.match(/^(#{1,3})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text });
+      index += 1;
+    } else if (/^\s*[-*]\s+/.test(line)) {
+      blocks.push({ type: 'ul', items: collect(/^\s*[-*]\s+/) });
+    } else if (/^\s*\d+[.)]\s+/.test(line)) {
+      blocks.push({ type: 'ol', items: collect(/^\s*\d+[.)]\s+/) });
+    } else if (/^>\s?/.test(line)) {
+      blocks.push({ type: 'quote', lines: collect(/^>\s?/) });
+    } else {
+      const paragraph = [];
+      while (index < lines.length && lines[index].trim() !== '' && !/^(```|#{1,3}\s|\s*[-*]\s+|\s*\d+[.)]\s+|>)/.test(lines[index])) {
+        paragraph.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', lines: paragraph });
+    }
+  }
+
+  return blocks;
+};
+
+const HEADING_CLASSES = {
+  1: 'text-lg font-semibold',
+  2: 'text-base font-semibold',
+  3: 'text-sm font-semibold'
+};
+
+const MarkdownText = ({ text, className = '' }) => (
+  <div className={`space-y-2 text-sm text-gray-700 break-words ${className}`}>
+    {parseBlocks(text || '').map((block, index) => {
+      const key = `block-${index}`;
+      switch (block.type) {
+        case 'code':
+          return (
+            <pre key={key} className="p-3 rounded-lg bg-gray-100 text-xs font-mono overflow-x-auto">
+              <code>{block.text}</code>
+            </pre>
+          );
+        case 'heading':
+          return <p key={key} className={`${HEADING_CLASSES[block.level]} text-gray-900`}>{renderInline(block.text, key)}</p>;
+        case 'ul':
+          return (
+            <ul key={key} className="list-disc pl-5 space-y-1">
+              {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>)}
+            </ul>
+          );
+        case 'ol':
+          return (
+            <ol key={key} className="list-decimal pl-5 space-y-1">
+              {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, `${key}-${itemIndex}`)}</li>)}
+            </ol>
+          );
+        case 'quote':
+          return (
+            <blockquote key={key} className="pl-3 border-l-4 border-gray-200 text-gray-600">
+              {renderLines(block.lines, key)}
+            </blockquote>
+          );
+        default:
+          return <p key={key}>{renderLines(block.lines, key)}</p>;
+      }
+    })}
+  </div>
+);
+
+export default MarkdownText;
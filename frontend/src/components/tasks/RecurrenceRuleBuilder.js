@@ -0,0 +1,226 @@
+import React from 'react';
+import { Repeat } from 'lucide-react';
+import {
+  WEEKDAYS,
+  NTH_WEEKS,
+  parseDate,
+  createRecurrenceRule,
+  describeRecurrence
+} from '../../utils/recurrence';
+
+const UNIT_LABELS = {
+  daily: 'day(s)',
+  weekly: 'week(s)',
+  monthly: 'month(s)'
+};
+
+const RecurrenceRuleBuilder = ({ value, onChange, dueDate, idPrefix = 'recurrence' }) => {
+  const rule = value;
+
+  const updateRule = (changes) => {
+    onChange({ ...rule, ...changes });
+  };
+
+  const handleFrequencyChange = (e) => {
+    const frequency = e.target.value;
+    onChange(frequency === 'none' ? null : createRecurrenceRule(frequency, dueDate));
+  };
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = rule.weekdays || [];
+    const next = weekdays.includes(weekday)
+      ? weekdays.filter(day => day !== weekday)
+      : [...weekdays, weekday];
+    updateRule({ weekdays: next });
+  };
+
+  const handleMonthlyModeChange = (e) => {
+    const monthlyMode = e.target.value;
+    const date = dueDate ? parseDate(dueDate) : new Date();
+
+    if (monthlyMode === 'nthWeekday') {
+      updateRule({
+        monthlyMode,
+        nthWeek: Math.min(Math.ceil(date.getDate() / 7), 4),
+        nthWeekday: date.getDay()
+      });
+    } else {
+      updateRule({ monthlyMode });
+    }
+  };
+
+  const getEndType = () => {
+    if (rule.count) return 'count';
+    if (rule.until) return 'until';
+    return 'never';
+  };
+
+  const handleEndTypeChange = (e) => {
+    switch (e.target.value) {
+      case 'count':
+        updateRule({ count: 10, until: undefined });
+        break;
+      case 'until':
+        updateRule({ count: undefined, until: dueDate || new Date().toISOString().split('T')[0] });
+        break;
+      default:
+        updateRule({ count: undefined, until: undefined });
+    }
+  };
+
+  return (
+    <div>
+      <label htmlFor={`${idPrefix}-frequency`} className="block text-sm font-medium text-gray-700 mb-1">
+        Repeat
+      </label>
+      <div className="relative">
+        <Repeat className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-5 w-5" />
+        <select
+          id={`${idPrefix}-frequency`}
+          value={rule ? rule.frequency : 'none'}
+          onChange={handleFrequencyChange}
+          className="input-field pl-10"
+        >
+          <option value="none">No Repeat</option>
+          <option value="daily">Daily</option>
+          <option value="weekly">Weekly</option>
+          <option value="monthly">Monthly</option>
+        </select>
+      </div>
+
+      {rule && (
+        <div className="mt-3 p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-3">
+          {/* Interval */}
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              value={rule.interval || 1}
+              onChange={(e) => updateRule({ interval: Math.max(parseInt(e.target.value) || 1, 1) })}
+              className="input-field w-20 text-sm"
+            />
+            <span>{UNIT_LABELS[rule.frequency]}</span>
+          </div>
+
+          {/* Weekdays */}
+          {rule.frequency === 'weekly' && (
+            <div className="flex flex-wrap gap-1">
+              {WEEKDAYS.map((day) => {
+                const isSelected = (rule.weekdays || []).includes(day.value);
+                return (
+                  <button
+                    key={day.value}
+                    type="button"
+                    onClick={() => toggleWeekday(day.value)}
+                    className={`px-2 py-1 text-xs font-medium rounded-md transition-colors ${
+                      isSelected
+                        ? 'bg-primary-600 text-white'
+                        : 'bg-white text-gray-700 border border-gray-200 hover:bg-gray-100'
+                    }`}
+                  >
+                    {day.short}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+
+          {/* Monthly options */}
+          {rule.frequency === 'monthly' && (
+            <div className="space-y-2">
+              <select
+                value={rule.monthlyMode || 'dayOfMonth'}
+                onChange={handleMonthlyModeChange}
+                className="input-field text-sm"
+              >
+                <option value="dayOfMonth">On a day of the month</option>
+                <option value="nthWeekday">On a weekday of the month</option>
+                <option value="lastBusinessDay">On the last business day</option>
+              </select>
+
+              {(rule.monthlyMode || 'dayOfMonth') === 'dayOfMonth' && (
+                <div className="flex items-center space-x-2 text-sm text-gray-700">
+                  <span>Day</span>
+                  <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={rule.monthDay || ''}
+                    onChange={(e) => updateRule({ monthDay: Math.min(Math.max(parseInt(e.target.value) || 1, 1), 31) })}
+                    className="input-field w-20 text-sm"
+                  />
+                </div>
+              )}
+
+              {rule.monthlyMode === 'nthWeekday' && (
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    value={rule.nthWeek}
+                    onChange={(e) => updateRule({ nthWeek: parseInt(e.target.value) })}
+                    className="input-field text-sm"
+                  >
+                    {NTH_WEEKS.map((week) => (
+                      <option key={week.value} value={week.value}>{week.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={rule.nthWeekday}
+                    onChange={(e) => updateRule({ nthWeekday: parseInt(e.target.value) })}
+                    className="input-field text-sm"
+                  >
+                    {WEEKDAYS.map((day) => (
+                      <option key={day.value} value={day.value}>{day.long}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* End condition */}
+          <div className="grid grid-cols-2 gap-2">
+            <select
+              value={getEndType()}
+              onChange={handleEndTypeChange}
+              className="input-field text-sm"
+            >
+              <option value="never">Never ends</option>
+              <option value="count">Ends after</option>
+              <option value="until">Ends on</option>
+            </select>
+
+            {getEndType() === 'count' && (
+              <div className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.count}
+                  onChange={(e) => updateRule({ count: Math.max(parseInt(e.target.value) || 1, 1) })}
+                  className="input-field w-20 text-sm"
+                />
+                <span>times</span>
+              </div>
+            )}
+
+            {getEndType() === 'until' && (
+              <input
+                type="date"
+                value={rule.until}
+                onChange={(e) => updateRule({ until: e.target.value })}
+                className="input-field text-sm"
+              />
+            )}
+          </div>
+
+          {/* Preview */}
+          <p className="text-sm text-primary-700">
+            {describeRecurrence(rule)}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceRuleBuilder;
@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import { Bell, X, Plus } from 'lucide-react';
+import { MAX_REMINDERS, REMINDER_PRESETS, describeReminder } from '../../utils/reminders';
+
+const CUSTOM = 'custom';
+
+const ReminderPicker = ({ value, onChange, idPrefix = 'reminders' }) => {
+  const reminders = value || [];
+  const [selected, setSelected] = useState('');
+  const [remindAt, setRemindAt] = useState('');
+
+  const presets = REMINDER_PRESETS.filter(preset => (
+    !reminders.some(reminder => reminder.offsetMinutes === preset.offsetMinutes)
+  ));
+  const canAdd = reminders.length < MAX_REMINDERS;
+
+  const addReminder = (reminder) => {
+    onChange([...reminders, reminder]);
+    setSelected('');
+    setRemindAt('');
+  };
+
+  const handleSelect = (e) => {
+    const choice = e.target.value;
+    if (choice === '' || choice === CUSTOM) {
+      setSelected(choice);
+      return;
+    }
+    addReminder({ offsetMinutes: parseInt(choice) });
+  };
+
+  const addCustomReminder = () => {
+    if (!remindAt) return;
+    // datetime-local values are local times
+    addReminder({ remindAt: new Date(remindAt).toISOString() });
+  };
+
+  const removeReminder = (index) => {
+    onChange(reminders.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <label htmlFor={`${idPrefix}-add`} className="block text-sm font-medium text-gray-700 mb-1">
+        <Bell className="inline h-4 w-4 mr-2" />
+        Reminders
+      </label>
+
+      {reminders.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {reminders.map((reminder, index) => (
+            <span
+              key={reminder._id || `${reminder.offsetMinutes}-${reminder.remindAt}`}
+              className="inline-flex items-center px-2 py-1 text-sm bg-primary-50 text-primary-700 rounded-md"
+            >
+              {describeReminder(reminder)}
+              <button
+                type="button"
+                onClick={() => removeReminder(index)}
+                className="ml-1 text-primary-500 hover:text-primary-700"
+                aria-label={`Remove reminder ${describeReminder(reminder)}`}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {canAdd ? (
+        <>
+          <select
+            id={`${idPrefix}-add`}
+            value={selected}
+            onChange={handleSelect}
+            className="input-field text-sm"
+          >
+            <option value="">{reminders.length === 0 ? 'No reminders, add one…' : 'Add another reminder…'}</option>
+            {presets.map(preset => (
+              <option key={preset.offsetMinutes} value={preset.offsetMinutes}>{preset.label}</option>
+            ))}
+            <option value={CUSTOM}>At a specific time…</option>
+          </select>
+
+          {selected === CUSTOM && (
+            <div className="flex space-x-2 mt-2">
+              <input
+                type="datetime-local"
+                value={remindAt}
+                onChange={(e) => setRemindAt(e.target.value)}
+                className="flex-1 input-field text-sm"
+              />
+              <button
+                type="button"
+                onClick={addCustomReminder}
+                disabled={!remindAt}
+                className="inline-flex items-center px-2 py-1 text-sm bg-primary-100 text-primary-700 rounded-md hover:bg-primary-200 transition-colors disabled:opacity-50"
+              >
+                <Plus className="h-3 w-3 mr-1" />
+                Add
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <p className="text-sm text-gray-500 italic">A task can have up to {MAX_REMINDERS} reminders</p>
+      )}
+    </div>
+  );
+};
+
+export default ReminderPicker;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Paperclip, Upload, Download, Trash2, FileText } from 'lucide-react';
+import { format } from 'date-fns';
+
+export const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+// Thumbnails need the auth cookie, so they are fetched and shown as object URLs
+const AttachmentThumbnail = ({ attachment }) => {
+  const { apiCall } = useAuth();
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    if (!attachment.hasThumbnail) return undefined;
+
+    let objectUrl = null;
+    let cancelled = false;
+    apiCall(`/api/attachments/${attachment.attachmentId}/thumbnail`)
+      .then(response => response.blob())
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setSrc(objectUrl);
+      })
+      .catch(error => console.error('Error fetching thumbnail:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [apiCall, attachment.attachmentId, attachment.hasThumbnail]);
+
+  if (!src) {
+    return (
+      <div className="h-12 w-12 flex items-center justify-center rounded bg-gray-100 flex-shrink-0">
+        <FileText className="h-6 w-6 text-gray-400" />
+      </div>
+    );
+  }
+
+  return <img src={src} alt={attachment.filename} className="h-12 w-12 object-cover rounded flex-shrink-0" />;
+};
+
+const TaskAttachments = ({ task }) => {
+  const { apiCall } = useAuth();
+  const [attachments, setAttachments] = useState([]);
+  const [usage, setUsage] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  const fetchAttachments = useCallback(async () => {
+    try {
+      const [attachmentsResponse, usageResponse] = await Promise.all([
+        apiCall(`/api/tasks/${task.taskId}/attachments`),
+        apiCall('/api/users/me/storage')
+      ]);
+      setAttachments(await attachmentsResponse.json());
+      setUsage(await usageResponse.json());
+    } catch (error) {
+      console.error('Error fetching attachments:', error);
+    }
+  }, [apiCall, task.taskId]);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (usage && file.size > usage.maxFileBytes) {
+      setError(`Files can be at most ${formatBytes(usage.maxFileBytes)}`);
+      return;
+    }
+    if (usage && usage.usedBytes + file.size > usage.quotaBytes) {
+      setError(`Not enough storage left (${formatBytes(usage.quotaBytes - usage.usedBytes)} free)`);
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('file', file);
+
+    setUploading(true);
+    try {
+      // Empty headers let the browser set the multipart boundary
+      await apiCall(`/api/tasks/${task.taskId}/attachments`, {
+        method: 'POST',
+        headers: {},
+        body: formData
+      });
+      setError('');
+      fetchAttachments();
+    } catch (error) {
+      setError('Upload failed. Check the file type and size and try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      const response = await apiCall(`/api/attachments/${attachment.attachmentId}/download`);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setError('Download failed');
+    }
+  };
+
+  const handleDelete = async (attachmentId) => {
+    if (!window.confirm('Delete this attachment?')) return;
+    try {
+      await apiCall(`/api/attachments/${attachmentId}`, { method: 'DELETE' });
+      fetchAttachments();
+    } catch (error) {
+      setError('Failed to delete attachment');
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Paperclip className="h-5 w-5 mr-2" />
+            Attachments ({attachments.length})
+          </h2>
+          <button
+            onClick={() => fileInputRef.current && fileInputRef.current.click()}
+            disabled={uploading}
+            className="btn-secondary flex items-center text-sm disabled:opacity-50"
+          >
+            <Upload className="h-4 w-4 mr-1" />
+            {uploading ? 'Uploading...' : 'Attach File'}
+          </button>
+          <input ref={fileInputRef} type="file" onChange={handleUpload} className="hidden" />
+        </div>
+        {usage && (
+          <p className="mt-2 text-xs text-gray-500">
+            {formatBytes(usage.usedBytes)} of {formatBytes(usage.quotaBytes)} used
+          </p>
+        )}
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+      </div>
+
+      <div className="p-6">
+        {attachments.length === 0 ? (
+          <p className="text-sm text-gray-500">No files attached</p>
+        ) : (
+          <div className="space-y-2">
+            {attachments.map((attachment) => (
+              <div
+                key={attachment.attachmentId}
+                className="flex items-center justify-between p-3 rounded-lg border border-gray-200"
+              >
+                <div className="flex items-center space-x-3 min-w-0">
+                  <AttachmentThumbnail attachment={attachment} />
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900 truncate">{attachment.filename}</p>
+                    <p className="text-xs text-gray-500">
+                      {formatBytes(attachment.size)} · {format(new Date(attachment.createdAt), 'MMM d, yyyy')}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-1">
+                  <button
+                    onClick={() => handleDownload(attachment)}
+                    className="text-gray-400 hover:text-gray-700 p-1 rounded hover:bg-gray-100"
+                    title="Download"
+                  >
+                    <Download className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(attachment.attachmentId)}
+                    className="text-gray-400 hover:text-red-600 p-1 rounded hover:bg-red-50"
+                    title="Delete attachment"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskAttachments;
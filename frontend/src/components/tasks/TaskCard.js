@@ -1,9 +1,15 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { CheckCircle, Circle, Trash2, Calendar, X, Pencil, Link, FileText } from 'lucide-react';
+import { CheckCircle, Circle, Trash2, Calendar, X, Pencil, Link, FileText, Square, CheckSquare, Lock } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
+import RecurrenceRuleBuilder from './RecurrenceRuleBuilder';
+import ReminderPicker from './ReminderPicker';
+import TaskProgressBar from './TaskProgressBar';
+import TaskTags from './TaskTags';
+import { recurrenceFromTask, serializeRecurrence } from '../../utils/recurrence';
+import { remindersFromTask, serializeReminders } from '../../utils/reminders';
 
-const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) => {
+const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true, selectable = false, selected = false, onSelectToggle }) => {
   const { apiCall } = useAuth();
   const navigate = useNavigate();
   const [showEditModal, setShowEditModal] = useState(false);
@@ -13,6 +19,9 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
     dueDate: '',
     priority: 'medium',
     category: '',
+    tags: '',
+    recurrence: null,
+    reminders: [],
     links: [],
     additionalNotes: ''
   });
@@ -25,6 +34,9 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
       dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
       priority: task.priority || 'medium',
       category: task.category || '',
+      tags: (task.tags || []).join(', '),
+      recurrence: recurrenceFromTask(task),
+      reminders: remindersFromTask(task),
       links: task.links || [],
       additionalNotes: task.additionalNotes || ''
     });
@@ -67,6 +79,8 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
         method: 'PATCH',
         body: JSON.stringify({
           ...editFormData,
+          ...serializeRecurrence(editFormData.recurrence),
+          ...serializeReminders(editFormData.reminders),
           links: validLinks
         })
       });
@@ -96,6 +110,11 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
       if (response.ok) {
         const updatedTask = await response.json();
         onTaskUpdated(updatedTask);
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        if (errorData.error) {
+          window.alert(errorData.error);
+        }
       }
     } catch (error) {
       console.error('Error updating task:', error);
@@ -104,7 +123,7 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
 
   const handleDelete = async (e) => {
     e.stopPropagation(); // Prevent navigation when clicking delete button
-    if (window.confirm('Are you sure you want to delete this task?')) {
+    if (window.confirm('Move this task to the trash?')) {
       try {
         const response = await apiCall(`/api/tasks/${task._id}`, {
           method: 'DELETE'
@@ -122,6 +141,11 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
   const handleTaskClick = () => {
     // Don't navigate if edit modal is open
     if (showEditModal) return;
+    // In selection mode a click toggles the task instead of opening it
+    if (selectable) {
+      onSelectToggle();
+      return;
+    }
     navigate(`/task/${task._id}`);
   };
 
@@ -144,14 +168,25 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
 
   return (
     <div 
-      className="bg-white rounded-lg border border-gray-200 p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer"
+      className={`bg-white rounded-lg border p-4 hover:shadow-md transition-shadow duration-200 cursor-pointer ${
+        selected ? 'border-primary-500 ring-2 ring-primary-200' : 'border-gray-200'
+      }`}
       onClick={handleTaskClick}
     >
       <div className="flex items-center justify-between">
         <div className="flex items-center space-x-3 flex-1 min-w-0">
+          {selectable && (
+            <span className="flex-shrink-0" aria-hidden="true">
+              {selected ? (
+                <CheckSquare className="h-5 w-5 text-primary-600" />
+              ) : (
+                <Square className="h-5 w-5 text-gray-400" />
+              )}
+            </span>
+          )}
           <button
             onClick={handleComplete}
-            disabled={!allowActions}
+            disabled={!allowActions || selectable}
             className={`flex-shrink-0 ${!allowActions ? 'opacity-50 cursor-not-allowed' : 'hover:scale-110 transition-transform'}`}
           >
             {task.isCompleted ? (
@@ -164,6 +199,12 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
           <div className="flex-1 min-w-0">
             <h3 className={`font-medium text-gray-900 ${task.isCompleted ? 'line-through text-gray-500' : ''}`}>
               {task.title}
+              {task.isBlocked && !task.isCompleted && (
+                <span className="ml-2 inline-flex items-center text-xs font-normal text-amber-700 bg-amber-100 px-2 py-0.5 rounded-full align-middle">
+                  <Lock className="h-3 w-3 mr-1" />
+                  Blocked
+                </span>
+              )}
             </h3>
             {task.description && (
               <p className={`text-sm text-gray-600 mt-1 ${task.isCompleted ? 'line-through text-gray-400' : ''}`}>
@@ -171,6 +212,12 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
               </p>
             )}
             
+            {/* Tags */}
+            <TaskTags tags={task.tags} className="mt-2" />
+            
+            {/* Subtask Progress */}
+            <TaskProgressBar progress={task.progress} className="mt-2 max-w-xs" />
+            
             {/* Display Links */}
             {task.links && task.links.length > 0 && (
               <div className="mt-2 flex flex-wrap gap-2">
@@ -207,7 +254,7 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
             {getPriorityText(task.priority)}
           </span>
           
-          {allowActions && !task.isCompleted && (
+          {allowActions && !selectable && !task.isCompleted && (
             <>
               <button
                 onClick={(e) => {
@@ -352,6 +399,37 @@ const TaskCard = ({ task, onTaskUpdated, onTaskDeleted, allowActions = true }) =
                   </div>
                 </div>
 
+                {/* Tags */}
+                <div>
+                  <label htmlFor="edit-tags" className="block text-sm font-medium text-gray-700 mb-1">
+                    Tags
+                  </label>
+                  <input
+                    type="text"
+                    id="edit-tags"
+                    name="tags"
+                    value={editFormData.tags}
+                    onChange={(e) => setEditFormData({...editFormData, tags: e.target.value})}
+                    className="input-field"
+                    placeholder="Comma separated (optional)"
+                  />
+                </div>
+
+                {/* Recurrence */}
+                <RecurrenceRuleBuilder
+                  value={editFormData.recurrence}
+                  onChange={(recurrence) => setEditFormData({...editFormData, recurrence})}
+                  dueDate={editFormData.dueDate}
+                  idPrefix="edit-recurrence"
+                />
+
+                {/* Reminders */}
+                <ReminderPicker
+                  value={editFormData.reminders}
+                  onChange={(reminders) => setEditFormData({...editFormData, reminders})}
+                  idPrefix="edit-reminders"
+                />
+
                 {/* Links Section */}
                 <div>
                   <div className="flex items-center justify-between mb-2">
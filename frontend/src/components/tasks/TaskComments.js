@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { MessageSquare, Pencil, Trash2, X, Check, History, Send } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
+import MarkdownText from './MarkdownText';
+
+const PAGE_SIZE = 20;
+
+const CommentEditor = ({ initialBody = '', submitLabel, onSubmit, onCancel }) => {
+  const [body, setBody] = useState(initialBody);
+  const [preview, setPreview] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!body.trim()) return;
+
+    setSaving(true);
+    const saved = await onSubmit(body);
+    setSaving(false);
+    if (saved && !onCancel) {
+      setBody('');
+      setPreview(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="flex space-x-4 text-sm">
+        <button
+          type="button"
+          onClick={() => setPreview(false)}
+          className={preview ? 'text-gray-500 hover:text-gray-700' : 'font-medium text-primary-600'}
+        >
+          Write
+        </button>
+        <button
+          type="button"
+          onClick={() => setPreview(true)}
+          className={preview ? 'font-medium text-primary-600' : 'text-gray-500 hover:text-gray-700'}
+        >
+          Preview
+        </button>
+      </div>
+      {preview ? (
+        <div className="min-h-[6rem] p-3 rounded-lg border border-gray-200 bg-gray-50">
+          {body.trim() ? <MarkdownText text={body} /> : <p className="text-sm text-gray-500">Nothing to preview</p>}
+        </div>
+      ) : (
+        <textarea
+          value={body}
+          onChange={(e) => setBody(e.target.value)}
+          className="input-field text-sm"
+          rows={4}
+          placeholder="Write a comment... Markdown is supported"
+        />
+      )}
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button type="button" onClick={onCancel} className="p-2 text-gray-500 hover:text-gray-700">
+            <X className="h-4 w-4" />
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !body.trim()}
+          className="btn-primary text-sm flex items-center disabled:opacity-50"
+        >
+          {onCancel ? <Check className="h-4 w-4 mr-1" /> : <Send className="h-4 w-4 mr-1" />}
+          {submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const TaskComments = ({ task }) => {
+  const { apiCall, user } = useAuth();
+  const [comments, setComments] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [editingCommentId, setEditingCommentId] = useState(null);
+  const [historyCommentId, setHistoryCommentId] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchComments = useCallback(async (cursor = null) => {
+    try {
+      const params = new URLSearchParams({ limit: PAGE_SIZE });
+      if (cursor) params.set('cursor', cursor);
+
+      const response = await apiCall(`/api/tasks/${task.taskId}/comments?${params.toString()}`);
+      if (response.ok) {
+        const data = await response.json();
+        setComments(prev => (cursor ? [...prev, ...data.comments] : data.comments));
+        setTotal(data.total);
+        setNextCursor(data.nextCursor);
+      }
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  }, [apiCall, task.taskId]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  const sendRequest = async (url, options) => {
+    const response = await apiCall(url, options);
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || 'Request failed');
+    }
+    return response.json();
+  };
+
+  const handleAdd = async (body) => {
+    try {
+      const comment = await sendRequest(`/api/tasks/${task.taskId}/comments`, {
+        method: 'POST',
+        body: JSON.stringify({ body })
+      });
+      setComments(prev => [comment, ...prev]);
+      setTotal(prev => prev + 1);
+      setError('');
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const handleEdit = async (commentId, body) => {
+    try {
+      const updated = await sendRequest(`/api/tasks/${task.taskId}/comments/${commentId}`, {
+        method: 'PATCH',
+        body: JSON.stringify({ body })
+      });
+      setComments(prev => prev.map(comment => (comment.commentId === commentId ? updated : comment)));
+      setEditingCommentId(null);
+      setError('');
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment?')) return;
+    try {
+      await sendRequest(`/api/tasks/${task.taskId}/comments/${commentId}`, { method: 'DELETE' });
+      setComments(prev => prev.filter(comment => comment.commentId !== commentId));
+      setTotal(prev => prev - 1);
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const isOwnComment = (comment) => user && comment.userId === user.userId;
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <MessageSquare className="h-5 w-5 mr-2" />
+          Discussion ({total})
+        </h2>
+      </div>
+
+      <div className="p-6 space-y-4">
+        <CommentEditor submitLabel="Comment" onSubmit={handleAdd} />
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {comments.length === 0 ? (
+          <p className="text-sm text-gray-500">No comments yet</p>
+        ) : (
+          <div className="space-y-3">
+            {comments.map((comment) => (
+              <div key={comment.commentId} className="p-3 rounded-lg border border-gray-200">
+                <div className="flex items-center justify-between mb-2">
+                  <p className="text-sm">
+                    <span className="font-medium text-gray-900">
+                      {comment.author ? comment.author.name : 'Deleted user'}
+                    </span>
+                    <span
+                      className="ml-2 text-gray-500"
+                      title={format(new Date(comment.createdAt), 'MMM d, yyyy HH:mm')}
+                    >
+                      {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                    </span>
+                    {comment.editedAt && (
+                      <button
+                        onClick={() => setHistoryCommentId(historyCommentId === comment.commentId ? null : comment.commentId)}
+                        className="ml-2 text-xs text-gray-400 hover:text-gray-600"
+                      >
+                        (edited)
+                      </button>
+                    )}
+                  </p>
+                  {isOwnComment(comment) && editingCommentId !== comment.commentId && (
+                    <div className="flex items-center space-x-1">
+                      <button
+                        onClick={() => setEditingCommentId(comment.commentId)}
+                        className="text-gray-400 hover:text-gray-700 p-1 rounded hover:bg-gray-100"
+                        title="Edit comment"
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(comment.commentId)}
+                        className="text-gray-400 hover:text-red-600 p-1 rounded hover:bg-red-50"
+                        title="Delete comment"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+
+                {editingCommentId === comment.commentId ? (
+                  <CommentEditor
+                    initialBody={comment.body}
+                    submitLabel="Save"
+                    onSubmit={(body) => handleEdit(comment.commentId, body)}
+                    onCancel={() => setEditingCommentId(null)}
+                  />
+                ) : (
+                  <MarkdownText text={comment.body} />
+                )}
+
+                {historyCommentId === comment.commentId && comment.edits && comment.edits.length > 0 && (
+                  <div className="mt-3 pt-3 border-t border-gray-100 space-y-3">
+                    <p className="text-xs font-medium text-gray-500 flex items-center">
+                      <History className="h-3 w-3 mr-1" />
+                      Edit history
+                    </p>
+                    {[...comment.edits].reverse().map((edit, index) => (
+                      <div key={index} className="pl-3 border-l-2 border-gray-200">
+                        <p className="text-xs text-gray-400 mb-1">
+                          Replaced {format(new Date(edit.editedAt), 'MMM d, yyyy HH:mm')}
+                        </p>
+                        <MarkdownText text={edit.body} className="text-gray-500" />
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {nextCursor && (
+          <button onClick={() => fetchComments(nextCursor)} className="btn-secondary w-full text-sm">
+            Load older comments
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { GitBranch, Lock, CheckCircle, Circle, Plus, X } from 'lucide-react';
+import { fetchAllPages } from '../../utils/pagination';
+
+const DependencyRow = ({ task, onRemove }) => (
+  <div className="flex items-center justify-between p-3 rounded-lg border border-gray-200 bg-gray-50">
+    <Link to={`/task/${task.taskId}`} className="flex items-center space-x-2 flex-1 min-w-0 hover:text-primary-600">
+      {task.isCompleted ? (
+        <CheckCircle className="h-4 w-4 text-green-500 flex-shrink-0" />
+      ) : (
+        <Circle className="h-4 w-4 text-gray-400 flex-shrink-0" />
+      )}
+      <span className={`text-sm truncate ${task.isCompleted ? 'line-through text-gray-500' : 'text-gray-900'}`}>
+        {task.title}
+      </span>
+      {task.isBlocked && (
+        <Lock className="h-3 w-3 text-amber-500 flex-shrink-0" />
+      )}
+    </Link>
+    {onRemove && (
+      <button
+        onClick={() => onRemove(task.taskId)}
+        className="text-gray-400 hover:text-red-600 p-1 rounded hover:bg-red-50 transition-colors"
+        title="Remove dependency"
+      >
+        <X className="h-4 w-4" />
+      </button>
+    )}
+  </div>
+);
+
+const TaskDependencies = ({ task, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [blockers, setBlockers] = useState([]);
+  const [dependents, setDependents] = useState([]);
+  const [candidates, setCandidates] = useState([]);
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [selectedBlockerId, setSelectedBlockerId] = useState('');
+  const [error, setError] = useState('');
+
+  const fetchDependencies = useCallback(async () => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/dependencies`);
+      if (response.ok) {
+        const data = await response.json();
+        setBlockers(data.blockers);
+        setDependents(data.dependents);
+      }
+    } catch (error) {
+      console.error('Error fetching dependencies:', error);
+    }
+  }, [apiCall, task.taskId]);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
+  const openAddForm = async () => {
+    setShowAddForm(true);
+    setError('');
+    try {
+      const openTasks = await fetchAllPages(apiCall, '/api/tasks?completed=false');
+      setCandidates(openTasks.filter(candidate => (
+        candidate.taskId !== task.taskId && !blockers.some(blocker => blocker.taskId === candidate.taskId)
+      )));
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!selectedBlockerId) return;
+
+    try {
+      await apiCall(`/api/tasks/${task.taskId}/dependencies`, {
+        method: 'POST',
+        body: JSON.stringify({ blockedBy: parseInt(selectedBlockerId) })
+      });
+
+      setShowAddForm(false);
+      setSelectedBlockerId('');
+      fetchDependencies();
+      onChanged();
+    } catch (error) {
+      // e.g. "Dependency would create a cycle: 3 -> 5 -> 3"
+      setError((error.data && error.data.error) || 'Failed to add dependency');
+    }
+  };
+
+  const handleRemove = async (blockerId) => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/dependencies/${blockerId}`, {
+        method: 'DELETE'
+      });
+
+      if (response.ok) {
+        setBlockers(prev => prev.filter(blocker => blocker.taskId !== blockerId));
+        onChanged();
+      }
+    } catch (error) {
+      console.error('Error removing dependency:', error);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <GitBranch className="h-5 w-5 mr-2" />
+            Dependencies
+          </h2>
+          {!showAddForm && (
+            <button onClick={openAddForm} className="btn-secondary flex items-center text-sm">
+              <Plus className="h-4 w-4 mr-1" />
+              Add Blocker
+            </button>
+          )}
+        </div>
+        {task.isBlocked && (
+          <p className="mt-2 text-sm text-amber-700 flex items-center">
+            <Lock className="h-4 w-4 mr-1" />
+            Blocked until the tasks below are completed
+          </p>
+        )}
+      </div>
+
+      <div className="p-6 space-y-6">
+        {showAddForm && (
+          <form onSubmit={handleAdd} className="space-y-2">
+            <div className="flex items-center space-x-2">
+              <select
+                value={selectedBlockerId}
+                onChange={(e) => setSelectedBlockerId(e.target.value)}
+                className="input-field text-sm"
+              >
+                <option value="">Choose a task that must be done first</option>
+                {candidates.map((candidate) => (
+                  <option key={candidate.taskId} value={candidate.taskId}>{candidate.title}</option>
+                ))}
+              </select>
+              <button
+                type="submit"
+                disabled={!selectedBlockerId}
+                className="btn-primary text-sm disabled:opacity-50"
+              >
+                Add
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowAddForm(false)}
+                className="p-2 text-gray-500 hover:text-gray-700"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            {error && <p className="text-sm text-red-600">{error}</p>}
+          </form>
+        )}
+
+        <div>
+          <h4 className="font-medium text-gray-700 mb-2">Blocked by ({blockers.length})</h4>
+          {blockers.length === 0 ? (
+            <p className="text-sm text-gray-500">Nothing has to be done before this task</p>
+          ) : (
+            <div className="space-y-2">
+              {blockers.map((blocker) => (
+                <DependencyRow key={blocker.taskId} task={blocker} onRemove={handleRemove} />
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <h4 className="font-medium text-gray-700 mb-2">Blocks ({dependents.length})</h4>
+          {dependents.length === 0 ? (
+            <p className="text-sm text-gray-500">No tasks are waiting on this task</p>
+          ) : (
+            <div className="space-y-2">
+              {dependents.map((dependent) => (
+                <DependencyRow key={dependent.taskId} task={dependent} />
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskDependencies;
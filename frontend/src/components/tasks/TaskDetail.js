@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { 
@@ -14,14 +14,31 @@ import {
   Plus,
   List,
   Link,
-  FileText
+  FileText,
+  Lock,
+  Archive,
+  ArchiveRestore
 } from 'lucide-react';
 import { format, isToday, isTomorrow, isPast } from 'date-fns';
+import RecurrenceRuleBuilder from './RecurrenceRuleBuilder';
+import ReminderPicker from './ReminderPicker';
+import TaskProgressBar from './TaskProgressBar';
+import TaskTags from './TaskTags';
+import TaskDependencies from './TaskDependencies';
+import TaskTimeTracker from './TaskTimeTracker';
+import TaskComments from './TaskComments';
+import TaskAttachments from './TaskAttachments';
+import TaskHistory from './TaskHistory';
+import TaskReminders from './TaskReminders';
+import { fetchAllPages } from '../../utils/pagination';
+import { recurrenceFromTask, serializeRecurrence } from '../../utils/recurrence';
+import { remindersFromTask, serializeReminders } from '../../utils/reminders';
+import { connectTaskEvents, applyTaskEvent } from '../../utils/taskEvents';
 
 const TaskDetail = () => {
   const { taskId } = useParams();
   const navigate = useNavigate();
-  const { apiCall } = useAuth();
+  const { apiCall, openEventStream } = useAuth();
   const [task, setTask] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -32,6 +49,10 @@ const TaskDetail = () => {
     dueDate: '',
     priority: 'medium',
     category: '',
+    tags: '',
+    estimatedMinutes: '',
+    recurrence: null,
+    reminders: [],
     links: [],
     additionalNotes: ''
   });
@@ -49,12 +70,20 @@ const TaskDetail = () => {
   const [subtasks, setSubtasks] = useState([]);
   const [subtaskLoading, setSubtaskLoading] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [deleteSubtasksMode, setDeleteSubtasksMode] = useState('cascade');
+  // Read by the task event handler, which outlives renders
+  const subtasksRef = useRef(subtasks);
+  subtasksRef.current = subtasks;
 
   useEffect(() => {
     fetchTaskDetails();
-    fetchSubtasks();
   }, [taskId, apiCall]);
 
+  // Subtasks are fetched by numeric taskId, so wait until the task has loaded
+  useEffect(() => {
+    fetchSubtasks();
+  }, [task?.taskId]);
+
   const fetchTaskDetails = async () => {
     try {
       setLoading(true);
@@ -73,6 +102,20 @@ const TaskDetail = () => {
     }
   };
 
+  // Reload the task in the background to pick up progress and completion rollup changes
+  const refreshTask = useCallback(async () => {
+    try {
+      const response = await apiCall(`/api/tasks/${taskId}`);
+      
+      if (response.ok) {
+        const taskData = await response.json();
+        setTask(taskData);
+      }
+    } catch (error) {
+      console.error('Error refreshing task:', error);
+    }
+  }, [apiCall, taskId]);
+
   const handleComplete = async () => {
     try {
       const response = await apiCall(`/api/tasks/${taskId}`, {
@@ -82,24 +125,63 @@ const TaskDetail = () => {
 
       if (response.ok) {
         const updatedTask = await response.json();
-        setTask(updatedTask);
+        setTask({ ...updatedTask, progress: task.progress });
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        if (errorData.error) {
+          window.alert(errorData.error);
+        }
       }
     } catch (error) {
       console.error('Error updating task:', error);
     }
   };
 
+  const handleArchive = async () => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/${task.archivedAt ? 'unarchive' : 'archive'}`, {
+        method: 'POST',
+        body: JSON.stringify({})
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setTask({ ...data.task, progress: task.progress });
+      }
+    } catch (error) {
+      console.error('Error archiving task:', error);
+    }
+  };
+
   const handleDelete = async () => {
+    setDeleteSubtasksMode('cascade');
     setShowDeleteConfirm(true);
   };
 
+  const getDeleteSummary = ({ deletedTaskIds = [], movedTaskIds = [] }) => {
+    const deletedSubtasks = deletedTaskIds.length - 1;
+    const parts = [];
+    if (deletedSubtasks > 0) {
+      parts.push(`${deletedSubtasks} subtask${deletedSubtasks !== 1 ? 's were' : ' was'} deleted`);
+    }
+    if (movedTaskIds.length > 0) {
+      parts.push(`${movedTaskIds.length} subtask${movedTaskIds.length !== 1 ? 's were' : ' was'} moved up a level`);
+    }
+    return parts.length > 0 ? `Task deleted. ${parts.join(' and ')}.` : null;
+  };
+
   const confirmDelete = async () => {
     try {
-      const response = await apiCall(`/api/tasks/${taskId}`, {
+      const response = await apiCall(`/api/tasks/${taskId}?subtasks=${deleteSubtasksMode}`, {
         method: 'DELETE'
       });
 
       if (response.ok) {
+        const result = await response.json();
+        const summary = getDeleteSummary(result);
+        if (summary) {
+          window.alert(summary);
+        }
         navigate('/dashboard');
       }
     } catch (error) {
@@ -116,6 +198,10 @@ const TaskDetail = () => {
       dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
       priority: task.priority || 'medium',
       category: task.category || '',
+      tags: (task.tags || []).join(', '),
+      estimatedMinutes: task.estimatedMinutes ?? '',
+      recurrence: recurrenceFromTask(task),
+      reminders: remindersFromTask(task),
       links: task.links || [],
       additionalNotes: task.additionalNotes || ''
     });
@@ -155,13 +241,15 @@ const TaskDetail = () => {
         method: 'PATCH',
         body: JSON.stringify({
           ...editFormData,
+          ...serializeRecurrence(editFormData.recurrence),
+          ...serializeReminders(editFormData.reminders),
           links: validLinks
         })
       });
 
       if (response.ok) {
         const updatedTask = await response.json();
-        setTask(updatedTask);
+        setTask({ ...updatedTask, progress: task.progress });
         setShowEditModal(false);
       }
     } catch (error) {
@@ -169,24 +257,57 @@ const TaskDetail = () => {
     }
   };
 
-  const fetchSubtasks = async () => {
+  const fetchSubtasks = useCallback(async () => {
     try {
       setSubtaskLoading(true);
       // Use the numeric taskId from the task object for the subtasks endpoint
-      if (task && task.taskId) {
-        const response = await apiCall(`/api/tasks/${task.taskId}/subtasks`);
-        
-        if (response.ok) {
-          const subtasksData = await response.json();
-          setSubtasks(subtasksData);
-        }
+      if (task?.taskId) {
+        const subtasksData = await fetchAllPages(apiCall, `/api/tasks/${task.taskId}/subtasks`);
+        setSubtasks(subtasksData);
       }
     } catch (error) {
       console.error('Error fetching subtasks:', error);
     } finally {
       setSubtaskLoading(false);
     }
-  };
+  }, [apiCall, task?.taskId]);
+
+  // Apply changes to this task and its subtasks made on other devices as they happen
+  useEffect(() => {
+    const currentTaskId = task?.taskId;
+    if (!currentTaskId) return undefined;
+
+    const isSubtask = changed => changed.parentId === currentTaskId && !changed.archivedAt && !changed.deletedAt;
+    const isShownSubtask = taskIds => subtasksRef.current.some(subtask => taskIds.includes(subtask.taskId));
+
+    return connectTaskEvents(openEventStream, {
+      onEvent: (type, data) => {
+        if (type === 'task.deleted') {
+          if (data.taskIds.includes(currentTaskId)) {
+            setError('This task was moved to the trash.');
+            return;
+          }
+          if (isShownSubtask(data.taskIds)) {
+            setSubtasks(prev => applyTaskEvent(prev, type, data, isSubtask));
+            refreshTask();
+          }
+          return;
+        }
+
+        if (data.task.taskId === currentTaskId) {
+          // Keep progress and isBlocked, which are computed when the task is fetched
+          setTask(prev => (prev ? { ...prev, ...data.task } : prev));
+        } else if (data.task.parentId === currentTaskId || isShownSubtask([data.task.taskId])) {
+          setSubtasks(prev => applyTaskEvent(prev, type, data, isSubtask));
+          refreshTask();
+        }
+      },
+      onReconnect: () => {
+        refreshTask();
+        fetchSubtasks();
+      }
+    });
+  }, [task?.taskId, openEventStream, refreshTask, fetchSubtasks]);
 
   const handleSubtaskSubmit = async (e) => {
     e.preventDefault();
@@ -201,7 +322,8 @@ const TaskDetail = () => {
 
       if (response.ok) {
         const newSubtask = await response.json();
-        setSubtasks(prev => [...prev, newSubtask]);
+        setSubtasks(prev => [...prev.filter(subtask => subtask.taskId !== newSubtask.taskId), newSubtask]);
+        refreshTask();
         setSubtaskForm({ 
           title: '', 
           description: '', 
@@ -231,6 +353,12 @@ const TaskDetail = () => {
         setSubtasks(prev => prev.map(subtask => 
           subtask._id === subtaskId ? updatedSubtask : subtask
         ));
+        refreshTask();
+      } else {
+        const errorData = await response.json().catch(() => ({}));
+        if (errorData.error) {
+          window.alert(errorData.error);
+        }
       }
     } catch (error) {
       console.error('Error updating subtask:', error);
@@ -246,6 +374,7 @@ const TaskDetail = () => {
 
         if (response.ok) {
           setSubtasks(prev => prev.filter(subtask => subtask._id !== subtaskId));
+          refreshTask();
         }
       } catch (error) {
         console.error('Error deleting subtask:', error);
@@ -361,6 +490,25 @@ const TaskDetail = () => {
                  Edit
                </button>
              )}
+
+             {task.isCompleted && !task.parentId && (
+               <button
+                 onClick={handleArchive}
+                 className="flex items-center justify-center flex-1 px-4 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-base font-medium"
+               >
+                 {task.archivedAt ? (
+                   <>
+                     <ArchiveRestore className="h-5 w-5 mr-2" />
+                     Unarchive
+                   </>
+                 ) : (
+                   <>
+                     <Archive className="h-5 w-5 mr-2" />
+                     Archive
+                   </>
+                 )}
+               </button>
+             )}
              
              <button
                onClick={handleDelete}
@@ -392,9 +540,23 @@ const TaskDetail = () => {
                 )}
               </div>
               
-              <span className={`px-3 py-1 text-sm font-medium rounded-full ${getPriorityColor(task.priority)}`}>
-                {getPriorityText(task.priority)} Priority
-              </span>
+              <div className="flex flex-col items-end space-y-2">
+                <span className={`px-3 py-1 text-sm font-medium rounded-full ${getPriorityColor(task.priority)}`}>
+                  {getPriorityText(task.priority)} Priority
+                </span>
+                {task.isBlocked && !task.isCompleted && (
+                  <span className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-full bg-amber-100 text-amber-800">
+                    <Lock className="h-4 w-4 mr-1" />
+                    Blocked
+                  </span>
+                )}
+                {task.archivedAt && (
+                  <span className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-full bg-gray-100 text-gray-700">
+                    <Archive className="h-4 w-4 mr-1" />
+                    Archived
+                  </span>
+                )}
+              </div>
             </div>
 
             {/* Task Meta */}
@@ -413,6 +575,8 @@ const TaskDetail = () => {
                 </div>
               )}
               
+              <TaskTags tags={task.tags} />
+              
               <div className="flex items-center text-gray-600">
                 <Clock className="h-5 w-5 mr-2" />
                 <span>
@@ -462,6 +626,15 @@ const TaskDetail = () => {
           ) : null}
         </div>
 
+        {/* Reminders Section */}
+        <TaskReminders task={task} onChanged={refreshTask} />
+
+        {/* Attachments Section */}
+        <TaskAttachments task={task} />
+
+        {/* Discussion Section */}
+        <TaskComments task={task} />
+
         {/* Subtasks Section */}
         <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -494,6 +667,8 @@ const TaskDetail = () => {
                 </button>
               )}
             </div>
+            
+            <TaskProgressBar progress={task.progress} className="mt-3" />
           </div>
           
           <div className="p-6">
@@ -570,6 +745,15 @@ const TaskDetail = () => {
             )}
           </div>
         </div>
+
+        {/* Dependencies Section */}
+        <TaskDependencies task={task} onChanged={refreshTask} />
+
+        {/* Time Tracking Section */}
+        <TaskTimeTracker task={task} />
+
+        {/* History Section */}
+        <TaskHistory task={task} onReverted={refreshTask} />
       </div>
 
       {/* Edit Task Modal */}
@@ -676,6 +860,54 @@ const TaskDetail = () => {
                   </div>
                 </div>
 
+                {/* Tags */}
+                <div>
+                  <label htmlFor="edit-tags" className="block text-sm font-medium text-gray-700 mb-1">
+                    Tags
+                  </label>
+                  <input
+                    type="text"
+                    id="edit-tags"
+                    name="tags"
+                    value={editFormData.tags}
+                    onChange={(e) => setEditFormData({...editFormData, tags: e.target.value})}
+                    className="input-field"
+                    placeholder="Comma separated (optional)"
+                  />
+                </div>
+
+                {/* Time Estimate */}
+                <div>
+                  <label htmlFor="edit-estimatedMinutes" className="block text-sm font-medium text-gray-700 mb-1">
+                    Estimate (minutes)
+                  </label>
+                  <input
+                    type="number"
+                    min="0"
+                    id="edit-estimatedMinutes"
+                    name="estimatedMinutes"
+                    value={editFormData.estimatedMinutes}
+                    onChange={(e) => setEditFormData({...editFormData, estimatedMinutes: e.target.value})}
+                    className="input-field"
+                    placeholder="Optional"
+                  />
+                </div>
+
+                {/* Recurrence */}
+                <RecurrenceRuleBuilder
+                  value={editFormData.recurrence}
+                  onChange={(recurrence) => setEditFormData({...editFormData, recurrence})}
+                  dueDate={editFormData.dueDate}
+                  idPrefix="edit-recurrence"
+                />
+
+                {/* Reminders */}
+                <ReminderPicker
+                  value={editFormData.reminders}
+                  onChange={(reminders) => setEditFormData({...editFormData, reminders})}
+                  idPrefix="edit-reminders"
+                />
+
                 {/* Links Section */}
                 <div>
                   <div className="flex items-center justify-between mb-2">
@@ -979,8 +1211,37 @@ const TaskDetail = () => {
              <div className="p-6">
                <h3 className="text-lg font-medium text-gray-900 mb-4">Delete Task</h3>
                <p className="text-gray-600 mb-6">
-                 Are you sure you want to delete "{task?.title}"? This action cannot be undone.
+                 Move "{task?.title}" to the trash? You can restore it from the trash later.
                </p>
+               {subtasks.length > 0 && (
+                 <div className="mb-6 space-y-2">
+                   <p className="text-sm font-medium text-gray-700">
+                     This task has {subtasks.length} subtask{subtasks.length !== 1 ? 's' : ''}:
+                   </p>
+                   <label className="flex items-center text-sm text-gray-600">
+                     <input
+                       type="radio"
+                       name="deleteSubtasksMode"
+                       value="cascade"
+                       checked={deleteSubtasksMode === 'cascade'}
+                       onChange={(e) => setDeleteSubtasksMode(e.target.value)}
+                       className="mr-2"
+                     />
+                     Delete the subtasks too
+                   </label>
+                   <label className="flex items-center text-sm text-gray-600">
+                     <input
+                       type="radio"
+                       name="deleteSubtasksMode"
+                       value="promote"
+                       checked={deleteSubtasksMode === 'promote'}
+                       onChange={(e) => setDeleteSubtasksMode(e.target.value)}
+                       className="mr-2"
+                     />
+                     Keep the subtasks and move them up a level
+                   </label>
+                 </div>
+               )}
                <div className="flex space-x-3">
                  <button
                    onClick={() => setShowDeleteConfirm(false)}
@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { History, ChevronDown, ChevronRight, RotateCcw } from 'lucide-react';
+import { format } from 'date-fns';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  dueDate: 'Due date',
+  priority: 'Priority',
+  category: 'Category',
+  tags: 'Tags',
+  isCompleted: 'Completed',
+  estimatedMinutes: 'Estimate (minutes)',
+  repeatType: 'Repeat',
+  recurrence: 'Recurrence',
+  repeatSubtasks: 'Repeat subtasks',
+  links: 'Links',
+  additionalDetails: 'Additional details',
+  parentId: 'Parent task',
+  projectId: 'Project'
+};
+
+const formatValue = (field, value) => {
+  if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) return 'none';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'dueDate') return format(new Date(value), 'MMM d, yyyy');
+  if (field === 'tags') return value.map(tag => `#${tag}`).join(' ');
+  if (field === 'links') return value.map(link => link.label || link.url).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const TaskHistory = ({ task, onReverted }) => {
+  const { apiCall } = useAuth();
+  const [expanded, setExpanded] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [currentRevision, setCurrentRevision] = useState(0);
+  const [error, setError] = useState('');
+
+  const fetchHistory = useCallback(async () => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/history?limit=50`);
+      const data = await response.json();
+      setRevisions(data.revisions);
+      setCurrentRevision(data.currentRevision);
+    } catch (error) {
+      console.error('Error fetching task history:', error);
+    }
+  }, [apiCall, task.taskId]);
+
+  // Reload whenever the task changes while the timeline is open
+  useEffect(() => {
+    if (expanded) fetchHistory();
+  }, [expanded, fetchHistory, task.updatedAt]);
+
+  const handleRevert = async (revision) => {
+    const label = revision === 0 ? 'the original version' : `revision ${revision}`;
+    if (!window.confirm(`Restore this task to ${label}?`)) return;
+
+    try {
+      await apiCall(`/api/tasks/${task.taskId}/revert/${revision}`, { method: 'POST', body: JSON.stringify({}) });
+      setError('');
+      onReverted();
+    } catch (error) {
+      setError('This version could not be restored');
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full px-6 py-4 flex items-center justify-between text-left"
+      >
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <History className="h-5 w-5 mr-2" />
+          History
+        </h2>
+        {expanded ? <ChevronDown className="h-5 w-5 text-gray-500" /> : <ChevronRight className="h-5 w-5 text-gray-500" />}
+      </button>
+
+      {expanded && (
+        <div className="px-6 pb-6 border-t border-gray-200">
+          {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+          {revisions.length === 0 ? (
+            <p className="mt-4 text-sm text-gray-500">No changes yet</p>
+          ) : (
+            <ol className="mt-4 relative border-l-2 border-gray-200 space-y-6">
+              {revisions.map((revision) => (
+                <li key={revision.revision} className="ml-4">
+                  <span className="absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full bg-primary-600" />
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-medium text-gray-900">
+                      Revision {revision.revision}
+                      <span className="ml-2 font-normal text-gray-500">
+                        {format(new Date(revision.createdAt), 'MMM d, yyyy HH:mm')}
+                      </span>
+                    </p>
+                    {revision.revision !== currentRevision && (
+                      <button
+                        onClick={() => handleRevert(revision.revision)}
+                        className="flex items-center text-xs text-gray-500 hover:text-primary-600"
+                      >
+                        <RotateCcw className="h-3 w-3 mr-1" />
+                        Restore
+                      </button>
+                    )}
+                  </div>
+                  {revision.revertedTo !== null && (
+                    <p className="text-xs text-gray-500">
+                      Restored {revision.revertedTo === 0 ? 'the original version' : `revision ${revision.revertedTo}`}
+                    </p>
+                  )}
+                  <ul className="mt-1 space-y-1">
+                    {revision.changes.map((change) => (
+                      <li key={change.field} className="text-sm text-gray-600 break-words">
+                        <span className="font-medium">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+                        <span className="line-through text-gray-400">{formatValue(change.field, change.from)}</span>
+                        {' → '}
+                        <span>{formatValue(change.field, change.to)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          )}
+          {currentRevision > 0 && revisions.length === currentRevision && (
+            <button
+              onClick={() => handleRevert(0)}
+              className="mt-6 btn-secondary text-sm flex items-center"
+            >
+              <RotateCcw className="h-4 w-4 mr-1" />
+              Restore Original Version
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TaskHistory;
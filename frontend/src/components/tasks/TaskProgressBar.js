@@ -0,0 +1,24 @@
+import React from 'react';
+
+const TaskProgressBar = ({ progress, className = '' }) => {
+  if (!progress || !progress.total) return null;
+
+  const percent = progress.percent || 0;
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between text-xs text-gray-500 mb-1">
+        <span>{progress.completed} of {progress.total} subtasks</span>
+        <span>{percent}%</span>
+      </div>
+      <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${percent === 100 ? 'bg-green-500' : 'bg-primary-600'}`}
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TaskProgressBar;
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Bell, BellOff, AlarmClock } from 'lucide-react';
+import { format } from 'date-fns';
+import { SNOOZE_OPTIONS, describeReminder, getReminderStatus } from '../../utils/reminders';
+
+const formatTime = (date) => format(new Date(date), 'MMM d, h:mm a');
+
+const getStatusText = (reminder) => {
+  switch (getReminderStatus(reminder)) {
+    case 'dismissed':
+      return 'Dismissed';
+    case 'fired':
+      return `Sent ${formatTime(reminder.firedAt)}`;
+    case 'snoozed':
+      return `Snoozed until ${formatTime(reminder.snoozedUntil)}`;
+    default:
+      return reminder.fireAt ? `Fires ${formatTime(reminder.fireAt)}` : 'Scheduled';
+  }
+};
+
+// Reminders of a task with their delivery state; reminders are added and removed in the edit form
+const TaskReminders = ({ task, onChanged }) => {
+  const { apiCall } = useAuth();
+  const [error, setError] = useState('');
+  const reminders = task.reminders || [];
+
+  if (reminders.length === 0) return null;
+
+  const runAction = async (reminder, action, body = {}) => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/reminders/${reminder._id}/${action}`, {
+        method: 'POST',
+        body: JSON.stringify(body)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to ${action} reminder`);
+      }
+
+      setError('');
+      onChanged();
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Bell className="h-5 w-5 mr-2" />
+          Reminders ({reminders.length})
+        </h2>
+      </div>
+
+      <div className="p-6 space-y-2">
+        {reminders.map((reminder) => {
+          const status = getReminderStatus(reminder);
+
+          return (
+            <div
+              key={reminder._id}
+              className="flex flex-col sm:flex-row sm:items-center sm:justify-between p-3 rounded-lg border border-gray-200 bg-gray-50"
+            >
+              <div>
+                <p className={`text-sm font-medium ${status === 'dismissed' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                  {describeReminder(reminder)}
+                </p>
+                <p className="text-xs text-gray-500">{getStatusText(reminder)}</p>
+              </div>
+
+              {!task.isCompleted && (
+                <div className="flex items-center space-x-1 mt-2 sm:mt-0">
+                  <AlarmClock className="h-4 w-4 text-gray-400" />
+                  {SNOOZE_OPTIONS.map(option => (
+                    <button
+                      key={option.minutes}
+                      onClick={() => runAction(reminder, 'snooze', { minutes: option.minutes })}
+                      className="px-2 py-1 text-xs text-primary-700 bg-primary-50 rounded hover:bg-primary-100 transition-colors"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                  {status !== 'dismissed' && (
+                    <button
+                      onClick={() => runAction(reminder, 'dismiss')}
+                      className="p-1 text-gray-400 hover:text-red-600 rounded hover:bg-red-50 transition-colors"
+                      title="Dismiss reminder"
+                    >
+                      <BellOff className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {error && <p className="text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default TaskReminders;
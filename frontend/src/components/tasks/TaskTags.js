@@ -0,0 +1,20 @@
+import React from 'react';
+
+const TaskTags = ({ tags, className = '' }) => {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {tags.map((tag) => (
+        <span
+          key={tag}
+          className="inline-flex items-center text-xs text-gray-700 bg-gray-100 px-2 py-0.5 rounded-full"
+        >
+          #{tag}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+export default TaskTags;
@@ -0,0 +1,288 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Timer, Play, Square, Plus, Pencil, Trash2, X, Check } from 'lucide-react';
+import { format } from 'date-fns';
+
+const INPUT_FORMAT = "yyyy-MM-dd'T'HH:mm";
+
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds % 60}s`;
+};
+
+const toInputValue = (date) => (date ? format(new Date(date), INPUT_FORMAT) : '');
+
+const TaskTimeTracker = ({ task }) => {
+  const { apiCall } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [editingEntryId, setEditingEntryId] = useState(null);
+  const [entryForm, setEntryForm] = useState({ startedAt: '', endedAt: '', note: '' });
+  const [showManualForm, setShowManualForm] = useState(false);
+  const [message, setMessage] = useState('');
+
+  const runningEntry = entries.find(entry => !entry.endedAt) || null;
+
+  const fetchEntries = useCallback(async () => {
+    try {
+      const response = await apiCall(`/api/tasks/${task.taskId}/time-entries`);
+      if (response.ok) {
+        const data = await response.json();
+        setEntries(data.entries);
+        setSummary(data.summary);
+      }
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+    }
+  }, [apiCall, task.taskId]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Tick every second while a timer is running
+  useEffect(() => {
+    if (!runningEntry) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [runningEntry]);
+
+  const getElapsed = (entry) => {
+    const end = entry.endedAt ? new Date(entry.endedAt).getTime() : now;
+    return Math.max(0, Math.floor((end - new Date(entry.startedAt).getTime()) / 1000));
+  };
+
+  // Running timers keep counting between refreshes
+  const liveSeconds = runningEntry ? getElapsed(runningEntry) - runningEntry.durationSeconds : 0;
+
+  // Rethrow failures with the server's message, e.g. "A timer is already running for this task"
+  const sendRequest = async (url, options) => {
+    try {
+      const response = await apiCall(url, options);
+      return await response.json();
+    } catch (error) {
+      throw new Error((error.data && error.data.error) || 'Request failed');
+    }
+  };
+
+  const handleStart = async () => {
+    try {
+      const result = await sendRequest(`/api/tasks/${task.taskId}/timer/start`, { method: 'POST', body: JSON.stringify({}) });
+      setMessage(result.stopped && result.stopped.taskId !== task.taskId ? 'The timer running on another task was stopped' : '');
+      setNow(Date.now());
+      fetchEntries();
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleStop = async () => {
+    try {
+      await sendRequest(`/api/tasks/${task.taskId}/timer/stop`, { method: 'POST', body: JSON.stringify({}) });
+      setMessage('');
+      fetchEntries();
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const startEditing = (entry) => {
+    setShowManualForm(false);
+    setEditingEntryId(entry.entryId);
+    setEntryForm({
+      startedAt: toInputValue(entry.startedAt),
+      endedAt: toInputValue(entry.endedAt),
+      note: entry.note || ''
+    });
+  };
+
+  const openManualForm = () => {
+    const end = new Date();
+    const start = new Date(end.getTime() - 30 * 60 * 1000);
+    setEditingEntryId(null);
+    setEntryForm({ startedAt: toInputValue(start), endedAt: toInputValue(end), note: '' });
+    setShowManualForm(true);
+  };
+
+  const buildEntryBody = () => {
+    const body = { startedAt: new Date(entryForm.startedAt).toISOString(), note: entryForm.note };
+    if (entryForm.endedAt) {
+      body.endedAt = new Date(entryForm.endedAt).toISOString();
+    }
+    return body;
+  };
+
+  const handleSaveEntry = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingEntryId) {
+        await sendRequest(`/api/time-entries/${editingEntryId}`, { method: 'PATCH', body: JSON.stringify(buildEntryBody()) });
+      } else {
+        await sendRequest(`/api/tasks/${task.taskId}/time-entries`, { method: 'POST', body: JSON.stringify(buildEntryBody()) });
+      }
+      setEditingEntryId(null);
+      setShowManualForm(false);
+      setMessage('');
+      fetchEntries();
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const handleDeleteEntry = async (entryId) => {
+    if (!window.confirm('Delete this time entry?')) return;
+    try {
+      await sendRequest(`/api/time-entries/${entryId}`, { method: 'DELETE' });
+      fetchEntries();
+    } catch (error) {
+      setMessage(error.message);
+    }
+  };
+
+  const renderEntryForm = () => (
+    <form onSubmit={handleSaveEntry} className="space-y-2 p-3 rounded-lg border border-gray-200 bg-gray-50">
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        <input
+          type="datetime-local"
+          value={entryForm.startedAt}
+          onChange={(e) => setEntryForm({ ...entryForm, startedAt: e.target.value })}
+          className="input-field text-sm"
+          required
+        />
+        <input
+          type="datetime-local"
+          value={entryForm.endedAt}
+          onChange={(e) => setEntryForm({ ...entryForm, endedAt: e.target.value })}
+          className="input-field text-sm"
+          required={!editingEntryId}
+        />
+      </div>
+      <input
+        type="text"
+        value={entryForm.note}
+        onChange={(e) => setEntryForm({ ...entryForm, note: e.target.value })}
+        className="input-field text-sm"
+        placeholder="Note (optional)"
+      />
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={() => {
+            setEditingEntryId(null);
+            setShowManualForm(false);
+          }}
+          className="p-2 text-gray-500 hover:text-gray-700"
+        >
+          <X className="h-4 w-4" />
+        </button>
+        <button type="submit" className="btn-primary text-sm flex items-center">
+          <Check className="h-4 w-4 mr-1" />
+          Save
+        </button>
+      </div>
+    </form>
+  );
+
+  const trackedSeconds = summary ? summary.trackedSeconds + liveSeconds : 0;
+  const totalTrackedSeconds = summary ? summary.totalTrackedSeconds + liveSeconds : 0;
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Timer className="h-5 w-5 mr-2" />
+            Time Tracking
+          </h2>
+          {runningEntry ? (
+            <button
+              onClick={handleStop}
+              className="flex items-center text-sm px-3 py-2 rounded-lg bg-red-600 text-white hover:bg-red-700"
+            >
+              <Square className="h-4 w-4 mr-1" />
+              Stop {formatDuration(getElapsed(runningEntry))}
+            </button>
+          ) : (
+            <button onClick={handleStart} className="btn-primary flex items-center text-sm">
+              <Play className="h-4 w-4 mr-1" />
+              Start Timer
+            </button>
+          )}
+        </div>
+
+        {summary && (
+          <div className="mt-2 text-sm text-gray-600 space-y-1">
+            <p>
+              Tracked {formatDuration(trackedSeconds)}
+              {totalTrackedSeconds !== trackedSeconds && ` (${formatDuration(totalTrackedSeconds)} including subtasks)`}
+            </p>
+            {summary.totalEstimatedMinutes > 0 && (
+              <p className={totalTrackedSeconds > summary.totalEstimatedMinutes * 60 ? 'text-red-600' : ''}>
+                Estimate {formatDuration(summary.totalEstimatedMinutes * 60)}
+              </p>
+            )}
+          </div>
+        )}
+        {message && <p className="mt-2 text-sm text-amber-700">{message}</p>}
+      </div>
+
+      <div className="p-6 space-y-3">
+        {showManualForm ? renderEntryForm() : (
+          <button onClick={openManualForm} className="btn-secondary flex items-center text-sm">
+            <Plus className="h-4 w-4 mr-1" />
+            Log Time
+          </button>
+        )}
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">No time logged yet</p>
+        ) : (
+          <div className="space-y-2">
+            {entries.map((entry) => (
+              editingEntryId === entry.entryId ? (
+                <div key={entry.entryId}>{renderEntryForm()}</div>
+              ) : (
+                <div
+                  key={entry.entryId}
+                  className="flex items-center justify-between p-3 rounded-lg border border-gray-200"
+                >
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900">
+                      {format(new Date(entry.startedAt), 'MMM d, HH:mm')}
+                      {' – '}
+                      {entry.endedAt ? format(new Date(entry.endedAt), 'HH:mm') : 'running'}
+                      <span className="ml-2 font-medium">{formatDuration(getElapsed(entry))}</span>
+                    </p>
+                    {entry.note && <p className="text-xs text-gray-500 truncate">{entry.note}</p>}
+                  </div>
+                  <div className="flex items-center space-x-1">
+                    <button
+                      onClick={() => startEditing(entry)}
+                      className="text-gray-400 hover:text-gray-700 p-1 rounded hover:bg-gray-100"
+                      title="Edit entry"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDeleteEntry(entry.entryId)}
+                      className="text-gray-400 hover:text-red-600 p-1 rounded hover:bg-red-50"
+                      title="Delete entry"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TaskTimeTracker;
@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { ArrowLeft, Trash2, RotateCcw, XCircle } from 'lucide-react';
+import { format, formatDistanceToNow } from 'date-fns';
+
+const Trash = () => {
+  const navigate = useNavigate();
+  const { apiCall } = useAuth();
+  const [tasks, setTasks] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [message, setMessage] = useState('');
+
+  const fetchTrash = useCallback(async () => {
+    try {
+      const response = await apiCall('/api/trash');
+      const data = await response.json();
+      setTasks(data.tasks);
+      setRetentionDays(data.retentionDays);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiCall]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  const handleRestore = async (task) => {
+    try {
+      const response = await apiCall(`/api/trash/${task.taskId}/restore`, { method: 'POST', body: JSON.stringify({}) });
+      const data = await response.json();
+      setTasks(prev => prev.filter(item => item.taskId !== task.taskId));
+      setMessage(`Restored "${task.title}"${data.restoredTaskIds.length > 1 ? ` and ${data.restoredTaskIds.length - 1} subtask(s)` : ''}`);
+    } catch (error) {
+      setMessage('The task could not be restored');
+    }
+  };
+
+  const handlePurge = async (task) => {
+    if (!window.confirm(`Delete "${task.title}" forever? This action cannot be undone.`)) return;
+    try {
+      await apiCall(`/api/trash/${task.taskId}`, { method: 'DELETE' });
+      setTasks(prev => prev.filter(item => item.taskId !== task.taskId));
+      setMessage('');
+    } catch (error) {
+      setMessage('The task could not be deleted');
+    }
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Delete every task in the trash forever? This action cannot be undone.')) return;
+    try {
+      await apiCall('/api/trash', { method: 'DELETE' });
+      setTasks([]);
+      setMessage('Trash emptied');
+    } catch (error) {
+      setMessage('The trash could not be emptied');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200">
+        <div className="max-w-4xl mx-auto px-4 py-4 flex items-center justify-between">
+          <div className="flex items-center">
+            <button
+              onClick={() => navigate(-1)}
+              className="flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+            >
+              <ArrowLeft className="h-5 w-5" />
+            </button>
+            <h1 className="ml-4 text-xl font-bold text-gray-900">Trash</h1>
+          </div>
+          {tasks.length > 0 && (
+            <button
+              onClick={handleEmpty}
+              className="flex items-center text-sm px-3 py-2 text-red-600 hover:text-red-700 hover:bg-red-50 rounded-lg border border-red-200"
+            >
+              <XCircle className="h-4 w-4 mr-1" />
+              Empty Trash
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="max-w-4xl mx-auto px-4 py-8 space-y-4">
+        {retentionDays > 0 && (
+          <p className="text-sm text-gray-600">
+            Tasks are deleted forever {retentionDays} day{retentionDays !== 1 ? 's' : ''} after they are moved to the trash.
+          </p>
+        )}
+        {message && <p className="text-sm text-primary-600">{message}</p>}
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+          </div>
+        ) : tasks.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Trash2 className="h-12 w-12 mx-auto mb-3 text-gray-300" />
+            <p>The trash is empty</p>
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {tasks.map((task) => (
+              <div
+                key={task.taskId}
+                className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 flex items-center justify-between"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{task.title}</p>
+                  <p className="text-xs text-gray-500">
+                    Deleted {formatDistanceToNow(new Date(task.deletedAt), { addSuffix: true })}
+                    {task.subtaskCount > 0 && ` · ${task.subtaskCount} subtask${task.subtaskCount !== 1 ? 's' : ''}`}
+                    {task.purgeAt && ` · deleted forever on ${format(new Date(task.purgeAt), 'MMM d, yyyy')}`}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-1 ml-4">
+                  <button
+                    onClick={() => handleRestore(task)}
+                    className="flex items-center text-sm px-3 py-2 text-primary-600 hover:bg-primary-50 rounded-lg"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-1" />
+                    Restore
+                  </button>
+                  <button
+                    onClick={() => handlePurge(task)}
+                    className="text-gray-400 hover:text-red-600 p-2 rounded hover:bg-red-50"
+                    title="Delete forever"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -58,7 +58,11 @@ export const AuthProvider = ({ children }) => {
           setUser(null);
           throw new Error('Authentication failed');
         }
-        throw new Error(`API call failed: ${response.status}`);
+        // Keep the status and body ({ error, ... }) so callers can show the server's message
+        const apiError = new Error(`API call failed: ${response.status}`);
+        apiError.status = response.status;
+        apiError.data = await response.json().catch(() => ({}));
+        throw apiError;
       }
       
       return response;
@@ -67,6 +71,11 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Open a Server-Sent Events stream that authenticates with the same cookie
+  const openEventStream = (endpoint) => {
+    return new EventSource(`${API_BASE_URL}${endpoint}`, { withCredentials: true });
+  };
+
   const checkAuthStatus = async () => {
     try {
       // Check authentication status via API
@@ -188,7 +197,8 @@ export const AuthProvider = ({ children }) => {
     updateUser,
     checkAuthStatus,
     refreshAuth,
-    apiCall
+    apiCall,
+    openEventStream
   };
 
   return (
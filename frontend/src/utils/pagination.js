@@ -0,0 +1,27 @@
+// Page size used when loading every task of a list
+const PAGE_LIMIT = 100;
+
+/**
+ * Follow nextCursor through a paginated task endpoint and collect every task.
+ * Responses have the shape { tasks, total, nextCursor, hasMore }.
+ */
+export const fetchAllPages = async (apiCall, url) => {
+  const separator = url.includes('?') ? '&' : '?';
+  let tasks = [];
+  let cursor = null;
+
+  do {
+    const cursorParam = cursor ? `&cursor=${encodeURIComponent(cursor)}` : '';
+    const response = await apiCall(`${url}${separator}limit=${PAGE_LIMIT}${cursorParam}`);
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const page = await response.json();
+    tasks = tasks.concat(page.tasks);
+    cursor = page.hasMore ? page.nextCursor : null;
+  } while (cursor);
+
+  return tasks;
+};
@@ -0,0 +1,125 @@
+import { format } from 'date-fns';
+
+export const WEEKDAYS = [
+  { value: 1, short: 'Mon', long: 'Monday' },
+  { value: 2, short: 'Tue', long: 'Tuesday' },
+  { value: 3, short: 'Wed', long: 'Wednesday' },
+  { value: 4, short: 'Thu', long: 'Thursday' },
+  { value: 5, short: 'Fri', long: 'Friday' },
+  { value: 6, short: 'Sat', long: 'Saturday' },
+  { value: 0, short: 'Sun', long: 'Sunday' }
+];
+
+export const NTH_WEEKS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'last' }
+];
+
+const UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month'
+};
+
+const getWeekday = (value) => WEEKDAYS.find(day => day.value === value);
+
+// Parse "yyyy-MM-dd" form values as local dates instead of UTC midnight
+export const parseDate = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value)
+);
+
+// Default rule for a frequency, seeded from the task's due date
+export const createRecurrenceRule = (frequency, dueDate) => {
+  const date = dueDate ? parseDate(dueDate) : new Date();
+  const rule = { frequency, interval: 1 };
+
+  if (frequency === 'weekly') {
+    rule.weekdays = [date.getDay()];
+  }
+
+  if (frequency === 'monthly') {
+    rule.monthlyMode = 'dayOfMonth';
+    rule.monthDay = date.getDate();
+  }
+
+  return rule;
+};
+
+// Build the form value for a task, falling back to the legacy repeatType field
+export const recurrenceFromTask = (task) => {
+  if (task?.recurrence?.frequency) {
+    return {
+      ...task.recurrence,
+      until: task.recurrence.until ? format(new Date(task.recurrence.until), 'yyyy-MM-dd') : undefined
+    };
+  }
+
+  if (task?.repeatType && task.repeatType !== 'none') {
+    return createRecurrenceRule(task.repeatType, task.dueDate);
+  }
+
+  return null;
+};
+
+// Convert the form value into the fields sent to the API
+export const serializeRecurrence = (rule) => {
+  if (!rule) {
+    return { repeatType: 'none', recurrence: null };
+  }
+
+  const recurrence = { ...rule };
+  if (recurrence.until) {
+    // Include the whole last day
+    recurrence.until = new Date(`${recurrence.until}T23:59:59`).toISOString();
+  } else {
+    delete recurrence.until;
+  }
+  if (!recurrence.count) {
+    delete recurrence.count;
+  }
+
+  return { repeatType: rule.frequency, recurrence };
+};
+
+// Human-readable summary, e.g. "Every 2 weeks on Mon, Wed, Fri, until Mar 5, 2026"
+export const describeRecurrence = (rule) => {
+  if (!rule || !UNITS[rule.frequency]) {
+    return 'Does not repeat';
+  }
+
+  const interval = parseInt(rule.interval) || 1;
+  const unit = UNITS[rule.frequency];
+  let text = interval > 1 ? `Every ${interval} ${unit}s` : `Every ${unit}`;
+
+  if (rule.frequency === 'weekly' && rule.weekdays?.length > 0) {
+    const days = WEEKDAYS
+      .filter(day => rule.weekdays.includes(day.value))
+      .map(day => day.short);
+    text += ` on ${days.join(', ')}`;
+  }
+
+  if (rule.frequency === 'monthly') {
+    if (rule.monthlyMode === 'nthWeekday') {
+      const nth = NTH_WEEKS.find(week => week.value === rule.nthWeek);
+      const weekday = getWeekday(rule.nthWeekday);
+      if (nth && weekday) {
+        text += ` on the ${nth.label} ${weekday.long}`;
+      }
+    } else if (rule.monthlyMode === 'lastBusinessDay') {
+      text += ' on the last business day';
+    } else if (rule.monthDay) {
+      text += ` on day ${rule.monthDay}`;
+    }
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} time${parseInt(rule.count) === 1 ? '' : 's'}`;
+  } else if (rule.until) {
+    text += `, until ${format(parseDate(rule.until), 'MMM d, yyyy')}`;
+  }
+
+  return text;
+};
@@ -0,0 +1,57 @@
+import { format } from 'date-fns';
+
+// Mirrors MAX_REMINDERS_PER_TASK in the backend's utils/reminderUtils
+export const MAX_REMINDERS = 5;
+
+// Offsets in minutes before the due date
+export const REMINDER_PRESETS = [
+  { offsetMinutes: 0, label: 'At due time' },
+  { offsetMinutes: 15, label: '15 minutes before' },
+  { offsetMinutes: 60, label: '1 hour before' },
+  { offsetMinutes: 120, label: '2 hours before' },
+  { offsetMinutes: 24 * 60, label: '1 day before' },
+  { offsetMinutes: 2 * 24 * 60, label: '2 days before' },
+  { offsetMinutes: 7 * 24 * 60, label: '1 week before' }
+];
+
+export const SNOOZE_OPTIONS = [
+  { minutes: 15, label: '15 min' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 24 * 60, label: '1 day' }
+];
+
+const hasOffset = (reminder) => reminder.offsetMinutes !== null && reminder.offsetMinutes !== undefined;
+
+// "1 day before" for offsets, "Mar 9, 8:30 AM" for reminders at a set time
+export const describeReminder = (reminder) => {
+  if (!hasOffset(reminder)) {
+    return format(new Date(reminder.remindAt), 'MMM d, h:mm a');
+  }
+
+  const preset = REMINDER_PRESETS.find(option => option.offsetMinutes === reminder.offsetMinutes);
+  return preset ? preset.label : `${reminder.offsetMinutes} minutes before`;
+};
+
+// Reminders of a loaded task as edited in the task forms
+export const remindersFromTask = (task) => (task.reminders || []).map(reminder => (
+  hasOffset(reminder)
+    ? { _id: reminder._id, offsetMinutes: reminder.offsetMinutes }
+    : { _id: reminder._id, remindAt: reminder.remindAt }
+));
+
+// Reminder settings as sent to the API; _id lets the backend keep the state of kept reminders
+export const serializeReminders = (reminders) => ({
+  reminders: reminders.map(reminder => (
+    hasOffset(reminder)
+      ? { ...(reminder._id && { _id: reminder._id }), offsetMinutes: reminder.offsetMinutes }
+      : { ...(reminder._id && { _id: reminder._id }), remindAt: new Date(reminder.remindAt).toISOString() }
+  ))
+});
+
+// Where a reminder stands: 'pending', 'snoozed', 'fired' or 'dismissed'
+export const getReminderStatus = (reminder) => {
+  if (reminder.dismissedAt) return 'dismissed';
+  if (reminder.firedAt) return 'fired';
+  if (reminder.snoozedUntil) return 'snoozed';
+  return 'pending';
+};
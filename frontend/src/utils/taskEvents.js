@@ -0,0 +1,84 @@
+// Events sent by GET /api/events
+export const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+
+// Delay before reconnecting a dropped stream, doubled after every failed attempt
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30 * 1000;
+
+/**
+ * Listen to the task changes of the signed-in user, reconnecting with backoff when the
+ * stream drops. Events missed while disconnected are not replayed, so onReconnect should
+ * reload whatever the view shows.
+ * Returns a function that closes the stream.
+ */
+export const connectTaskEvents = (openEventStream, { onEvent, onReconnect }) => {
+  let source = null;
+  let retryTimer = null;
+  let attempts = 0;
+  let hasConnected = false;
+  let closed = false;
+
+  const connect = () => {
+    source = openEventStream('/api/events');
+
+    source.addEventListener('ready', () => {
+      if (hasConnected && onReconnect) {
+        onReconnect();
+      }
+      hasConnected = true;
+      attempts = 0;
+    });
+
+    TASK_EVENT_TYPES.forEach((type) => {
+      source.addEventListener(type, (event) => {
+        try {
+          onEvent(type, JSON.parse(event.data));
+        } catch (error) {
+          console.error(`Error applying ${type} event:`, error);
+        }
+      });
+    });
+
+    // EventSource retries on its own at a fixed rate; take over to back off instead
+    source.onerror = () => {
+      source.close();
+      if (closed) return;
+
+      const delay = Math.min(INITIAL_RETRY_MS * 2 ** attempts, MAX_RETRY_MS);
+      attempts += 1;
+      retryTimer = setTimeout(connect, delay);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) {
+      source.close();
+    }
+  };
+};
+
+/**
+ * Apply a task event to a list of tasks.
+ * Created and updated tasks are merged into the list when isListed(task) is true (keeping
+ * computed fields such as progress) and removed from it otherwise.
+ */
+export const applyTaskEvent = (tasks, type, data, isListed) => {
+  if (type === 'task.deleted') {
+    return tasks.filter(task => !data.taskIds.includes(task.taskId));
+  }
+
+  const changed = data.task;
+  const existing = tasks.find(task => task.taskId === changed.taskId);
+
+  if (!isListed(changed)) {
+    return existing ? tasks.filter(task => task.taskId !== changed.taskId) : tasks;
+  }
+  if (!existing) {
+    return [changed, ...tasks];
+  }
+  return tasks.map(task => (task.taskId === changed.taskId ? { ...task, ...changed } : task));
+};